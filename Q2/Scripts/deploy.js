@@ -1,5 +1,6 @@
 const hre = require("hardhat");
 const fs = require("fs");
+const path = require("path");
 
 async function main() {
     console.log("Deploying Layer 2 Security Demonstration Contracts...\n");
@@ -63,8 +64,9 @@ async function main() {
         }
     };
 
+    // Read by the security monitor fleet (Scripts/monitor/monitor-fleet.js)
     fs.writeFileSync(
-        'deployment-addresses.json',
+        path.join(__dirname, '../deployment-addresses.json'),
         JSON.stringify(deploymentInfo, null, 2)
     );
 
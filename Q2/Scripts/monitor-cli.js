@@ -0,0 +1,831 @@
+#!/usr/bin/env node
+const fs = require("fs");
+const path = require("path");
+const { parseArgs } = require("util");
+const { createDefaultRegistry } = require("./monitor/detector-registry");
+const { createAlertStore } = require("./monitor/stores");
+const { loadMonitorConfig, watchMonitorConfig } = require("./monitor/config");
+const { toJSON } = require("./monitor/notifiers/format");
+const { INCIDENT_STATUSES, isClosed, updateIncident, incidentMetrics } = require("./monitor/incidents");
+const { CircuitBreaker, isPausable, readActions, defaultLogPath } = require("./monitor/circuit-breaker");
+const { defaultCheckpointPath } = require("./monitor/block-ingestor");
+const WithdrawalReviews = require("./monitor/withdrawal-reviews");
+
+const EXIT_OK = 0;
+const EXIT_ERROR = 1;
+const EXIT_CRITICAL = 2;
+
+const USAGE = `Usage: node Scripts/monitor-cli.js <command> [options]
+
+Commands:
+  watch                  Monitor the deployed contracts until interrupted
+  backfill               Replay past blocks through the detectors
+  report                 Summarize stored alerts
+  alerts list            List stored alerts, newest first
+  alerts show <id>       Show one stored alert
+  alerts ack <id>        Acknowledge a stored alert
+  incidents list         List incidents, most recently active first
+  incidents show <id>    Show an incident with its notes and history
+  incidents update <id>  Change an incident's status, assignee or notes
+  detectors list         List the registered detectors
+  withdrawals list       List reviewed bridge withdrawals
+  withdrawals review <txHash>
+                         Mark a pending bridge withdrawal (its bridge txHash) as
+                         reviewed so it is not reported as leaving its challenge
+                         window unreviewed; needs --contract
+  breaker log            List circuit breaker actions, newest first
+  breaker unpause <label>
+                         Unpause a contract paused by the circuit breaker
+
+Options:
+  --rpc <url>            JSON-RPC endpoint (default: MONITOR_RPC_URL, else the Hardhat network)
+  --deployment <file>    Deployment addresses (default: deployment-addresses.json)
+  --config <file>        Monitor config, YAML or JSON (default: MONITOR_CONFIG)
+  --format <table|json>  Output format (default: table)
+  --include <label>      Only monitor this contract or group; repeatable (watch, backfill)
+  --notifications <file> Notification channels and routes, JSON (watch)
+  --http <port>          Serve the dashboard and HTTP API (watch)
+  --duration <time>      Stop watching after e.g. 30m, 24h (watch)
+  --from <block>         First block (backfill, default: 0)
+  --to <block>           Last block (backfill, default: latest)
+  --since <time>         ISO date or age such as 24h, 7d (report, alerts list, incidents list,
+                         breaker log)
+  --until <time>         ISO date or age (report, alerts list, incidents list)
+  --type, --severity, --contract, --user <value>
+                         Filter alerts; repeatable (report, alerts list); --contract
+                         also filters breaker log and withdrawals list and names the
+                         bridge for withdrawals review
+  --unacknowledged       Only unacknowledged alerts (alerts list)
+  --status <status>      Incident status to filter on (incidents list; repeatable)
+                         or move to (incidents update): ${INCIDENT_STATUSES.join(", ")}
+  --assign <name>        Assign the incident; empty to unassign (incidents update)
+  --limit <n>            Maximum alerts, incidents, actions or reviews listed (default: 50)
+  --by <name>, --note <text>
+                         Who made the change and why (alerts ack, incidents update,
+                         breaker unpause, withdrawals review)
+  --kind <kind>          Only detectors for bridge, bank or dex contracts (detectors list)
+  -h, --help             Show this help
+
+The circuitBreaker section of the config pauses contracts while watching.
+Pausing and unpausing are signed with MONITOR_OPERATOR_KEY, or with the
+first Hardhat account when no --rpc is given.
+
+Exit codes: 0 success, 1 error, 2 open CRITICAL alerts found: not acknowledged
+and not part of a resolved or false-positive incident (raised by watch or
+backfill, or matched by report or alerts list).`;
+
+const OPTIONS = {
+    rpc: { type: "string" },
+    deployment: { type: "string" },
+    config: { type: "string" },
+    format: { type: "string", default: "table" },
+    include: { type: "string", multiple: true },
+    notifications: { type: "string" },
+    http: { type: "string" },
+    duration: { type: "string" },
+    from: { type: "string" },
+    to: { type: "string" },
+    since: { type: "string" },
+    until: { type: "string" },
+    type: { type: "string", multiple: true },
+    severity: { type: "string", multiple: true },
+    contract: { type: "string", multiple: true },
+    user: { type: "string", multiple: true },
+    unacknowledged: { type: "boolean" },
+    status: { type: "string", multiple: true },
+    assign: { type: "string" },
+    limit: { type: "string" },
+    by: { type: "string" },
+    note: { type: "string" },
+    kind: { type: "string" },
+    help: { type: "boolean", short: "h" }
+};
+
+const DURATION_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+/**
+ * Error caused by the command line rather than the monitor
+ */
+class UsageError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = "UsageError";
+    }
+}
+
+/**
+ * Milliseconds in a duration such as "90s", "30m", "24h" or "7d"
+ */
+function parseDuration(value) {
+    const match = /^(\d+(?:\.\d+)?)\s*([smhd])$/.exec(value.trim());
+    if (!match) {
+        throw new UsageError(`Invalid duration "${value}" (expected e.g. 30m, 24h, 7d)`);
+    }
+    return Number(match[1]) * DURATION_UNITS[match[2]];
+}
+
+/**
+ * ISO timestamp for an ISO date or an age ("24h" means 24 hours ago)
+ */
+function parseTime(value) {
+    if (value === undefined) return undefined;
+    if (/^\d+(?:\.\d+)?\s*[smhd]$/.test(value.trim())) {
+        return new Date(Date.now() - parseDuration(value)).toISOString();
+    }
+
+    const time = new Date(value);
+    if (Number.isNaN(time.getTime())) {
+        throw new UsageError(`Invalid time "${value}" (expected an ISO date or an age such as 24h)`);
+    }
+    return time.toISOString();
+}
+
+function parseBlock(value, fallback) {
+    if (value === undefined) return fallback;
+    if (value === "latest") return value;
+    if (!/^\d+$/.test(value)) {
+        throw new UsageError(`Invalid block number "${value}"`);
+    }
+    return Number(value);
+}
+
+/**
+ * Render rows as aligned text columns; columns are [header, value(row)]
+ */
+function formatTable(rows, columns) {
+    const cells = rows.map(row => columns.map(([, value]) => {
+        const cell = value(row);
+        return cell === undefined || cell === null ? "" : String(cell);
+    }));
+    const widths = columns.map(([header], i) =>
+        Math.max(header.length, ...cells.map(row => row[i].length)));
+    const line = values => values.map((value, i) => value.padEnd(widths[i])).join("  ").trimEnd();
+
+    return [line(columns.map(([header]) => header)), ...cells.map(line)].join("\n");
+}
+
+function truncate(text, length) {
+    if (!text) return text;
+    return text.length > length ? `${text.slice(0, length - 3)}...` : text;
+}
+
+const ALERT_COLUMNS = [
+    ["ID", alert => alert.id],
+    ["TIME", alert => alert.timestamp],
+    ["SEVERITY", alert => alert.severity],
+    ["TYPE", alert => alert.type],
+    ["CONTRACT", alert => alert.contractLabel],
+    ["ACK", alert => (alert.acknowledged ? "yes" : "")],
+    ["DETAILS", alert => truncate(alert.details, 60)]
+];
+
+const INCIDENT_COLUMNS = [
+    ["ID", incident => incident.id],
+    ["STATUS", incident => incident.status],
+    ["SEVERITY", incident => incident.severity],
+    ["TITLE", incident => incident.title],
+    ["CONTRACT", incident => incident.contract],
+    ["ALERTS", incident => incident.alertCount],
+    ["ASSIGNEE", incident => incident.assignee],
+    ["LAST SEEN", incident => incident.lastSeen]
+];
+
+/**
+ * "2h 5m" style duration, or "n/a" when there is nothing to average
+ */
+function formatDuration(ms) {
+    if (ms === null || ms === undefined) return "n/a";
+    const seconds = Math.round(ms / 1000);
+    if (seconds < 60) return `${seconds}s`;
+    const minutes = Math.floor(seconds / 60);
+    if (minutes < 60) return `${minutes}m ${seconds % 60}s`;
+    return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+}
+
+/**
+ * CRITICAL alert nobody has dealt with yet, from a block still on the chain
+ */
+function isOpenCritical(alert, closedIncidents = new Set()) {
+    return alert.severity === "CRITICAL" && !alert.acknowledged && !alert.orphaned &&
+        !closedIncidents.has(alert.incidentId);
+}
+
+function closedIncidentIds(store) {
+    return new Set(store.queryIncidents().filter(isClosed).map(incident => incident.id));
+}
+
+/**
+ * One invocation of the CLI: parsed options, loaded config and output
+ */
+class MonitorCli {
+    constructor(values, { output = process.stdout } = {}) {
+        this.options = values;
+        this.output = output;
+
+        if (!["table", "json"].includes(values.format)) {
+            throw new UsageError(`Unknown format "${values.format}" (expected table or json)`);
+        }
+
+        this.knownDetectors = createDefaultRegistry().list();
+        this.configPath = values.config || process.env.MONITOR_CONFIG;
+        this.config = this.configPath
+            ? loadMonitorConfig(this.configPath, { knownDetectors: this.knownDetectors })
+            : undefined;
+    }
+
+    print(text) {
+        this.output.write(`${text}\n`);
+    }
+
+    /**
+     * Print data as JSON, or via render() as text
+     */
+    show(data, render) {
+        this.print(this.options.format === "json" ? toJSON(data, 2) : render(data));
+    }
+
+    openAlertStore() {
+        return createAlertStore(this.config && this.config.alertStore);
+    }
+
+    /**
+     * Alert query filter from --type/--severity/--contract/--user/--since/--until
+     */
+    alertFilter() {
+        const { type, severity, contract, user, since, until } = this.options;
+        return {
+            type,
+            severity: severity && severity.map(value => value.toUpperCase()),
+            contract,
+            user,
+            since: parseTime(since),
+            until: parseTime(until)
+        };
+    }
+
+    parseLimit() {
+        const limit = this.options.limit === undefined ? 50 : Number(this.options.limit);
+        if (!Number.isInteger(limit) || limit < 1) {
+            throw new UsageError(`Invalid limit "${this.options.limit}"`);
+        }
+        return limit;
+    }
+
+    /**
+     * Fleet for the deployed contracts, connected to --rpc when given
+     */
+    async createFleet({ include = this.options.include } = {}) {
+        const { MonitorFleet } = require("./monitor/monitor-fleet");
+        const { ethers } = require("ethers");
+
+        const { rpc = process.env.MONITOR_RPC_URL, deployment, notifications } = this.options;
+        return MonitorFleet.fromDeployment(deployment ? path.resolve(deployment) : undefined, {
+            include,
+            config: this.config,
+            notifications: notifications ? JSON.parse(fs.readFileSync(notifications, "utf8")) : undefined,
+            // A factory lets monitors open a fresh connection after provider errors
+            provider: rpc ? () => new ethers.JsonRpcProvider(rpc) : undefined
+        });
+    }
+
+    /**
+     * Signer for the contracts' operator: MONITOR_OPERATOR_KEY on the
+     * --rpc endpoint, else the first Hardhat account (the deployer)
+     */
+    async operatorSigner() {
+        const rpc = this.options.rpc || process.env.MONITOR_RPC_URL;
+        const key = process.env.MONITOR_OPERATOR_KEY;
+        const { ethers } = require("hardhat");
+
+        if (key) {
+            return new ethers.Wallet(key, rpc ? new ethers.JsonRpcProvider(rpc) : ethers.provider);
+        }
+        if (rpc) {
+            throw new UsageError("Set MONITOR_OPERATOR_KEY to the operator's private key to pause or unpause over --rpc");
+        }
+        const [operator] = await ethers.getSigners();
+        return operator;
+    }
+
+    breakerConfig() {
+        return (this.config && this.config.circuitBreaker) || {};
+    }
+
+    /**
+     * Circuit breakers for the fleet's pausable contracts, as configured
+     * in the circuitBreaker section; none when it is absent or disabled
+     */
+    async startBreakers(fleet) {
+        const config = this.config && this.config.circuitBreaker;
+        if (!config || config.enabled === false) return [];
+        const { enabled, contracts, ...options } = config;
+
+        const monitors = fleet.monitors
+            .filter(monitor => (contracts ? contracts.includes(monitor.label) : isPausable(monitor.contractABI)));
+        const signer = monitors.length > 0 && await this.operatorSigner();
+
+        const breakers = [];
+        for (const monitor of monitors) {
+            const breaker = new CircuitBreaker(monitor, { ...options, signer });
+            breaker.on("action", action => this.print(this.options.format === "json"
+                ? toJSON({ breakerAction: action })
+                : `${action.at}  BREAKER   ${action.action} ${action.outcome}  ${action.contract}  ${action.reason || ""}`));
+            breakers.push(await breaker.start());
+        }
+        return breakers;
+    }
+
+    /**
+     * Print alerts as the fleet raises them and collect the CRITICAL ones
+     */
+    followAlerts(fleet) {
+        const critical = [];
+        fleet.on("alert", ({ alert }) => {
+            if (isOpenCritical(alert)) critical.push(alert);
+            this.print(this.options.format === "json"
+                ? toJSON(alert)
+                : `${alert.timestamp}  ${alert.severity.padEnd(8)}  ${alert.type}  ${alert.contractLabel}  ${alert.details || ""}`);
+        });
+        return critical;
+    }
+
+    async watch() {
+        const fleet = await this.createFleet();
+        const critical = this.followAlerts(fleet);
+        const duration = this.options.duration && parseDuration(this.options.duration);
+
+        await fleet.startMonitoring();
+        const breakers = await this.startBreakers(fleet);
+
+        // Edits to the config file take effect without restarting
+        const configWatcher = this.configPath && watchMonitorConfig(
+            this.configPath,
+            updated => fleet.applyConfig(updated),
+            { knownDetectors: this.knownDetectors }
+        );
+
+        let server;
+        if (this.options.http !== undefined) {
+            const MonitorHttpServer = require("./monitor/http-server");
+            server = new MonitorHttpServer(fleet, { port: Number(this.options.http) || undefined });
+            await server.start();
+        }
+
+        // Runs until Ctrl+C, SIGTERM or the end of --duration
+        await new Promise(resolve => {
+            const stop = () => {
+                clearTimeout(timer);
+                process.off("SIGINT", stop);
+                process.off("SIGTERM", stop);
+                resolve();
+            };
+            const timer = duration && setTimeout(stop, duration);
+            process.on("SIGINT", stop);
+            process.on("SIGTERM", stop);
+        });
+
+        if (configWatcher) configWatcher.close();
+        if (server) await server.stop();
+        await Promise.all(breakers.map(breaker => breaker.stop()));
+        await fleet.stopMonitoring();
+
+        this.show(fleet.generateReport(), report => formatTable(Object.entries(report.contracts), [
+            ["CONTRACT", ([label]) => label],
+            ["ALERTS", ([, contract]) => contract.totalAlerts],
+            ["INCIDENTS", ([, contract]) => contract.incidents.length],
+            ...Object.keys(report.alertsBySeverity).map(severity =>
+                [severity, ([, contract]) => contract.alertsBySeverity[severity]])
+        ]));
+        return critical.length > 0 ? EXIT_CRITICAL : EXIT_OK;
+    }
+
+    async backfill() {
+        const fromBlock = parseBlock(this.options.from, 0);
+        const toBlock = parseBlock(this.options.to, "latest");
+
+        const fleet = await this.createFleet();
+        const raised = [];
+        fleet.on("alert", ({ alert }) => raised.push(alert));
+        const results = await fleet.backfill(fromBlock, toBlock);
+
+        this.show({ results, alerts: raised }, ({ results, alerts }) => [
+            formatTable(Object.entries(results), [
+                ["CONTRACT", ([label]) => label],
+                ["BLOCKS", ([, result]) => `${result.fromBlock}-${result.toBlock}`],
+                ["EVENTS", ([, result]) => result.eventsProcessed],
+                ["ALERTS", ([, result]) => result.alertsRaised]
+            ]),
+            ...(alerts.length > 0 ? ["", formatTable(alerts, ALERT_COLUMNS)] : [])
+        ].join("\n"));
+
+        return raised.some(alert => isOpenCritical(alert)) ? EXIT_CRITICAL : EXIT_OK;
+    }
+
+    report() {
+        const store = this.openAlertStore();
+        const filter = this.alertFilter();
+        const alerts = store.query(filter);
+        const incidents = store.queryIncidents({ contract: filter.contract, since: filter.since, until: filter.until });
+        const closedIncidents = closedIncidentIds(store);
+        store.close();
+
+        const count = field => {
+            const counts = {};
+            alerts.forEach(alert => {
+                const key = alert[field] || "unknown";
+                counts[key] = (counts[key] || 0) + 1;
+            });
+            return counts;
+        };
+        const bySeverity = count("severity");
+        const openCritical = alerts.filter(alert => isOpenCritical(alert, closedIncidents));
+
+        const report = {
+            generatedAt: new Date().toISOString(),
+            since: filter.since || null,
+            until: filter.until || null,
+            totalAlerts: alerts.length,
+            acknowledged: alerts.filter(alert => alert.acknowledged).length,
+            alertsBySeverity: {
+                CRITICAL: bySeverity.CRITICAL || 0,
+                HIGH: bySeverity.HIGH || 0,
+                MEDIUM: bySeverity.MEDIUM || 0,
+                LOW: bySeverity.LOW || 0
+            },
+            alertsByType: count("type"),
+            alertsByContract: count("contractLabel"),
+            openCritical,
+            incidentMetrics: incidentMetrics(incidents)
+        };
+
+        this.show(report, data => this.renderReport(data));
+        return openCritical.length > 0 ? EXIT_CRITICAL : EXIT_OK;
+    }
+
+    renderReport(report) {
+        const counts = (title, values) => [
+            "",
+            formatTable(Object.entries(values).sort(([, a], [, b]) => b - a), [
+                [title, ([key]) => key],
+                ["ALERTS", ([, n]) => n]
+            ])
+        ];
+        const window = report.since || report.until
+            ? `Alerts from ${report.since || "the beginning"} to ${report.until || "now"}`
+            : "All stored alerts";
+
+        return [
+            `${window}: ${report.totalAlerts} (${report.acknowledged} acknowledged)`,
+            ...counts("SEVERITY", report.alertsBySeverity),
+            ...counts("TYPE", report.alertsByType),
+            ...counts("CONTRACT", report.alertsByContract),
+            ...this.renderIncidentMetrics(report.incidentMetrics),
+            ...(report.openCritical.length > 0
+                ? ["", "Open CRITICAL alerts:", formatTable(report.openCritical, ALERT_COLUMNS)]
+                : [])
+        ].join("\n");
+    }
+
+    renderIncidentMetrics(metrics) {
+        const statuses = Object.entries(metrics.byStatus)
+            .filter(([, n]) => n > 0)
+            .map(([status, n]) => `${n} ${status}`);
+        const rates = Object.entries(metrics.falsePositiveRateByType)
+            .sort(([, a], [, b]) => b.falsePositiveRate - a.falsePositiveRate);
+
+        return [
+            "",
+            `Incidents: ${metrics.total}${statuses.length > 0 ? ` (${statuses.join(", ")})` : ""}`,
+            `Mean time to acknowledge: ${formatDuration(metrics.meanTimeToAcknowledgeMs)}`,
+            `Mean time to resolve: ${formatDuration(metrics.meanTimeToResolveMs)}`,
+            ...(rates.length > 0
+                ? ["", formatTable(rates, [
+                    ["TYPE", ([type]) => type],
+                    ["CLOSED", ([, stats]) => stats.closed],
+                    ["FALSE POSITIVES", ([, stats]) => stats.falsePositives],
+                    ["RATE", ([, stats]) => `${Math.round(stats.falsePositiveRate * 100)}%`]
+                ])]
+                : [])
+        ];
+    }
+
+    alertsList() {
+        const limit = this.parseLimit();
+        const store = this.openAlertStore();
+        const alerts = store.query({
+            ...this.alertFilter(),
+            acknowledged: this.options.unacknowledged ? false : undefined,
+            limit
+        });
+        const closedIncidents = closedIncidentIds(store);
+        store.close();
+
+        this.show(alerts, rows => (rows.length > 0 ? formatTable(rows, ALERT_COLUMNS) : "No alerts found"));
+        return alerts.some(alert => isOpenCritical(alert, closedIncidents)) ? EXIT_CRITICAL : EXIT_OK;
+    }
+
+    alertsShow(id) {
+        const store = this.openAlertStore();
+        const alert = store.get(this.requireId(id));
+        store.close();
+
+        if (!alert) {
+            throw new Error(`No alert with id ${id}`);
+        }
+        this.show(alert, renderAlert);
+        return EXIT_OK;
+    }
+
+    alertsAck(id) {
+        const store = this.openAlertStore();
+        const alert = store.acknowledge(this.requireId(id), {
+            by: this.options.by || process.env.USER || null,
+            note: this.options.note || null
+        });
+        store.close();
+
+        if (!alert) {
+            throw new Error(`No alert with id ${id}`);
+        }
+        this.show(alert, acknowledged =>
+            `Acknowledged ${acknowledged.id} (${acknowledged.severity} ${acknowledged.type})` +
+            (acknowledged.acknowledged.by ? ` as ${acknowledged.acknowledged.by}` : ""));
+        return EXIT_OK;
+    }
+
+    incidentsList() {
+        const { status, contract, since, until } = this.options;
+        const store = this.openAlertStore();
+        const incidents = store.queryIncidents({
+            status,
+            contract,
+            since: parseTime(since),
+            until: parseTime(until),
+            limit: this.parseLimit()
+        });
+        store.close();
+
+        this.show(incidents, rows => (rows.length > 0 ? formatTable(rows, INCIDENT_COLUMNS) : "No incidents found"));
+        return EXIT_OK;
+    }
+
+    incidentsShow(id) {
+        const store = this.openAlertStore();
+        const incident = store.getIncident(this.requireId(id, "incident"));
+        store.close();
+
+        if (!incident) {
+            throw new Error(`No incident with id ${id}`);
+        }
+        this.show(incident, renderIncident);
+        return EXIT_OK;
+    }
+
+    incidentsUpdate(id) {
+        const { status, assign, note, by } = this.options;
+        if (status && status.length > 1) {
+            throw new UsageError("Give a single --status to move the incident to");
+        }
+
+        const store = this.openAlertStore();
+        try {
+            const incident = store.getIncident(this.requireId(id, "incident"));
+            if (!incident) {
+                throw new Error(`No incident with id ${id}`);
+            }
+
+            updateIncident(incident, {
+                status: status && status[0],
+                assignee: assign,
+                note,
+                by: by || process.env.USER || null
+            });
+            store.saveIncident(incident);
+            this.show(incident, renderIncident);
+        } finally {
+            store.close();
+        }
+        return EXIT_OK;
+    }
+
+    requireId(id, kind = "alert") {
+        if (!id) {
+            throw new UsageError(`Missing ${kind} id`);
+        }
+        return id;
+    }
+
+    breakerLog() {
+        const store = this.openAlertStore();
+        const logPath = this.breakerConfig().logPath || defaultLogPath(store);
+        store.close();
+
+        const actions = readActions(logPath, {
+            contract: this.options.contract,
+            since: parseTime(this.options.since),
+            limit: this.parseLimit()
+        });
+        this.show(actions, rows => (rows.length > 0
+            ? formatTable(rows, [
+                ["TIME", action => action.at],
+                ["CONTRACT", action => action.contract],
+                ["ACTION", action => action.action],
+                ["OUTCOME", action => action.outcome],
+                ["BY", action => action.by],
+                ["TX", action => action.txHash],
+                ["REASON", action => truncate(action.reason || action.error, 60)]
+            ])
+            : "No circuit breaker actions recorded"));
+        return EXIT_OK;
+    }
+
+    async breakerUnpause(label) {
+        if (!label) {
+            throw new UsageError("Missing contract label, e.g. secure.bridge");
+        }
+
+        const { contracts, enabled, ...options } = this.breakerConfig();
+        const fleet = await this.createFleet({ include: [label] });
+        const monitor = fleet.getMonitor(label);
+        if (!monitor) {
+            throw new UsageError(`Unknown contract "${label}"`);
+        }
+
+        const breaker = new CircuitBreaker(monitor, { ...options, signer: await this.operatorSigner() });
+        const action = await breaker.unpause({
+            by: this.options.by || process.env.USER || null,
+            reason: this.options.note || null
+        });
+        this.show(action, unpaused => `Unpaused ${unpaused.contract} in ${unpaused.txHash}`);
+        return EXIT_OK;
+    }
+
+    /**
+     * Withdrawal reviews of a bridge, stored next to its monitor's checkpoint
+     */
+    openWithdrawalReviews(label) {
+        const store = this.openAlertStore();
+        const reviews = new WithdrawalReviews(WithdrawalReviews.reviewsPath(defaultCheckpointPath(store, label)));
+        store.close();
+        return reviews;
+    }
+
+    withdrawalsList() {
+        const labels = this.options.contract || bridgeLabels();
+        const reviews = labels
+            .flatMap(label => this.openWithdrawalReviews(label).list().map(review => ({ contract: label, ...review })))
+            .sort((a, b) => b.at.localeCompare(a.at))
+            .slice(0, this.parseLimit());
+
+        this.show(reviews, rows => (rows.length > 0
+            ? formatTable(rows, [
+                ["TIME", review => review.at],
+                ["CONTRACT", review => review.contract],
+                ["WITHDRAWAL", review => review.txHash],
+                ["BY", review => review.by],
+                ["NOTE", review => truncate(review.note, 60)]
+            ])
+            : "No withdrawal reviews recorded"));
+        return EXIT_OK;
+    }
+
+    /**
+     * Record a review; a running monitor picks it up from the reviews file
+     * on its next periodic check
+     */
+    withdrawalsReview(txHash) {
+        if (!txHash || !/^0x[0-9a-fA-F]{64}$/.test(txHash)) {
+            throw new UsageError(`Missing or invalid withdrawal txHash "${txHash || ""}"`);
+        }
+        const { contract } = this.options;
+        const bridges = bridgeLabels();
+        if (!contract || contract.length !== 1 || !bridges.includes(contract[0])) {
+            throw new UsageError(`Give the bridge with a single --contract: ${bridges.join(" or ")}`);
+        }
+
+        const review = this.openWithdrawalReviews(contract[0]).add(txHash, {
+            by: this.options.by || process.env.USER || null,
+            note: this.options.note || null
+        });
+        this.show(review, reviewed => `Reviewed withdrawal ${reviewed.txHash} on ${contract[0]}` +
+            (reviewed.by ? ` as ${reviewed.by}` : ""));
+        return EXIT_OK;
+    }
+
+    detectorsList() {
+        const { kind } = this.options;
+        const globalSettings = (this.config && this.config.detectors) || {};
+        const detectors = createDefaultRegistry().createAll()
+            .filter(detector => !kind || detector.appliesTo(kind))
+            .map(detector => ({
+                name: detector.name,
+                contractKinds: detector.contractKinds,
+                events: detector.events,
+                enabled: (globalSettings[detector.name] || {}).enabled !== false,
+                description: detector.description
+            }));
+
+        this.show(detectors, rows => formatTable(rows, [
+            ["NAME", detector => detector.name],
+            ["CONTRACTS", detector => detector.contractKinds.join(",") || "any"],
+            ["EVENTS", detector => detector.events.join(",")],
+            ["ENABLED", detector => (detector.enabled ? "yes" : "no")],
+            ["DESCRIPTION", detector => detector.description]
+        ]));
+        return EXIT_OK;
+    }
+}
+
+/**
+ * Labels of the deployed bridges, e.g. secure.bridge
+ */
+function bridgeLabels() {
+    const { DEPLOYED_CONTRACTS } = require("./monitor/monitor-fleet");
+    return Object.keys(DEPLOYED_CONTRACTS).filter(label => label.endsWith(".bridge"));
+}
+
+function renderIncident(incident) {
+    const { notes, history, signals, ...fields } = incident;
+    return [
+        renderAlert(fields),
+        "",
+        formatTable(signals, [
+            ["SIGNAL", signal => signal.type],
+            ["SEVERITY", signal => signal.severity],
+            ["COUNT", signal => signal.count]
+        ]),
+        "",
+        formatTable(history, [
+            ["TIME", entry => entry.at],
+            ["BY", entry => entry.by],
+            ["CHANGE", entry => (entry.action === "note" ? "note" : `${entry.action}: ${entry.from || "-"} -> ${entry.to || "-"}`)],
+            ["NOTE", entry => entry.note]
+        ])
+    ].join("\n");
+}
+
+function renderAlert(alert) {
+    const width = Math.max(...Object.keys(alert).map(key => key.length));
+    return Object.entries(alert)
+        .map(([key, value]) => `${key.padEnd(width)}  ${typeof value === "object" ? toJSON(value) : value}`)
+        .join("\n");
+}
+
+const COMMANDS = {
+    watch: cli => cli.watch(),
+    backfill: cli => cli.backfill(),
+    report: cli => cli.report(),
+    "alerts list": cli => cli.alertsList(),
+    "alerts show": (cli, [id]) => cli.alertsShow(id),
+    "alerts ack": (cli, [id]) => cli.alertsAck(id),
+    "incidents list": cli => cli.incidentsList(),
+    "incidents show": (cli, [id]) => cli.incidentsShow(id),
+    "incidents update": (cli, [id]) => cli.incidentsUpdate(id),
+    "detectors list": cli => cli.detectorsList(),
+    "breaker log": cli => cli.breakerLog(),
+    "breaker unpause": (cli, [label]) => cli.breakerUnpause(label),
+    "withdrawals list": cli => cli.withdrawalsList(),
+    "withdrawals review": (cli, [txHash]) => cli.withdrawalsReview(txHash)
+};
+
+/**
+ * Run the CLI with the given arguments and resolve to its exit code
+ */
+async function run(argv = process.argv.slice(2), { output = process.stdout } = {}) {
+    const log = console.log;
+    try {
+        const { values, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+
+        if (values.help || positionals.length === 0) {
+            output.write(`${USAGE}\n`);
+            return values.help ? EXIT_OK : EXIT_ERROR;
+        }
+
+        const nested = ["alerts", "incidents", "detectors", "breaker", "withdrawals"].includes(positionals[0]);
+        const name = nested ? positionals.slice(0, 2).join(" ") : positionals[0];
+        const command = COMMANDS[name];
+        if (!command) {
+            throw new UsageError(`Unknown command "${positionals.slice(0, nested ? 2 : 1).join(" ")}"`);
+        }
+
+        // Monitor progress messages go to stderr so JSON output stays parseable
+        if (values.format === "json") {
+            console.log = console.error;
+        }
+
+        const cli = new MonitorCli(values, { output });
+        return await command(cli, positionals.slice(nested ? 2 : 1));
+    } catch (error) {
+        const usage = error instanceof UsageError || String(error.code).startsWith("ERR_PARSE_ARGS");
+        console.error(`Error: ${error.message}${usage ? "\nRun with --help for usage." : ""}`);
+        return EXIT_ERROR;
+    } finally {
+        console.log = log;
+    }
+}
+
+module.exports = { run, parseDuration, parseTime, formatTable, EXIT_OK, EXIT_ERROR, EXIT_CRITICAL };
+
+if (require.main === module) {
+    run().then(code => process.exit(code));
+}
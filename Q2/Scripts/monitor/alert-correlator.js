@@ -0,0 +1,265 @@
+const crypto = require("crypto");
+const { initialWorkflow, isClosed } = require("./incidents");
+
+const SEVERITY_ORDER = ["LOW", "MEDIUM", "HIGH", "CRITICAL"];
+
+const DEFAULT_CONFIG = {
+    // Cooldown per fingerprint before the same alert is recorded again (ms)
+    suppression: {
+        default: 60000,
+        POTENTIAL_DOUBLE_SPENDING: 60000,
+        SUSPICIOUS_PATTERN: 60000,
+        PRICE_MANIPULATION: 30000
+    },
+    // Alerts for the same contract and user (or transaction) within this
+    // window are grouped into one incident (ms)
+    correlationWindow: 300000,
+    // Raise the incident severity each time this many more signals arrive
+    escalation: {
+        signalThreshold: 5
+    }
+};
+
+/**
+ * Deduplicates, correlates and suppresses security alerts.
+ *
+ * Every alert gets a fingerprint (type + user + transaction, or type + user
+ * when the alert is not tied to a transaction). Repeats of a fingerprint
+ * inside its suppression window are counted but not recorded again.
+ * Alerts about the same contract and user, or the same transaction, are
+ * grouped into one incident listing its contributing signals. Closed
+ * (resolved or false-positive) incidents take no new signals; a new
+ * incident is opened instead. See incidents.js for the workflow.
+ *
+ * Only incidents that can still take signals are kept in memory: quiet
+ * ones are evicted once no correlation key or fingerprint can match them,
+ * closed ones once their suppression window has passed. The alert store
+ * keeps every incident.
+ */
+class AlertCorrelator {
+    constructor(config = {}) {
+        this.configure(config);
+        this.fingerprints = new Map(); // fingerprint -> { lastRecorded, incidentId }
+        this.incidents = new Map(); // incident id -> incident
+        this.incidentKeys = new Map(); // correlation key -> incident id
+    }
+
+    /**
+     * Replace the windows and thresholds; open incidents are kept
+     */
+    configure(config = {}) {
+        this.config = {
+            ...DEFAULT_CONFIG,
+            ...config,
+            suppression: { ...DEFAULT_CONFIG.suppression, ...config.suppression },
+            escalation: { ...DEFAULT_CONFIG.escalation, ...config.escalation }
+        };
+    }
+
+    /**
+     * Fingerprint identifying duplicates of an alert
+     */
+    fingerprint(alert) {
+        const subject = alert.user || alert.contract || alert.contractLabel || "-";
+        return [alert.type, subject, alert.txHash || "*"].join("|");
+    }
+
+    /**
+     * Keys an alert can be correlated on
+     */
+    correlationKeys(alert) {
+        const contract = alert.contractLabel || alert.contract || "-";
+        const keys = [];
+        if (alert.txHash) keys.push(`tx:${alert.txHash}`);
+        if (alert.user) keys.push(`user:${contract}:${alert.user}`);
+        if (keys.length === 0) keys.push(`type:${contract}:${alert.type}`);
+        return keys;
+    }
+
+    suppressionWindow(type) {
+        const { suppression } = this.config;
+        return suppression[type] !== undefined ? suppression[type] : suppression.default;
+    }
+
+    /**
+     * Classify an alert. Returns { action, fingerprint, incident } where
+     * action is "new", "correlated", "escalated" or "suppressed".
+     */
+    process(alert) {
+        const now = Date.parse(alert.timestamp) || Date.now();
+        this.prune(now);
+
+        const fingerprint = this.fingerprint(alert);
+        const seen = this.fingerprints.get(fingerprint);
+
+        if (seen && now - seen.lastRecorded < this.suppressionWindow(alert.type)) {
+            const incident = this.incidents.get(seen.incidentId);
+            incident.suppressedCount++;
+            incident.lastSeen = new Date(Math.max(now, Date.parse(incident.lastSeen))).toISOString();
+            return { action: "suppressed", fingerprint, incident };
+        }
+
+        const keys = this.correlationKeys(alert);
+        let incident = keys
+            .map(key => this.incidents.get(this.incidentKeys.get(key)))
+            .find(candidate => candidate && !isClosed(candidate));
+        let action = "correlated";
+
+        if (!incident) {
+            incident = this.openIncident(alert, keys[0], now);
+            action = "new";
+        }
+
+        keys.forEach(key => this.incidentKeys.set(key, incident.id));
+        this.fingerprints.set(fingerprint, { lastRecorded: now, incidentId: incident.id });
+        this.addSignal(incident, alert, now);
+
+        if (action === "correlated" && this.shouldEscalate(incident)) {
+            this.escalate(incident);
+            action = "escalated";
+        }
+
+        return { action, fingerprint, incident };
+    }
+
+    openIncident(alert, key, now) {
+        const firstSeen = new Date(now).toISOString();
+        const incident = {
+            id: crypto.createHash("sha1").update(`${key}|${firstSeen}`).digest("hex").slice(0, 12),
+            key,
+            title: alert.type,
+            contract: alert.contractLabel || alert.contract,
+            user: alert.user,
+            severity: alert.severity,
+            escalationLevel: 0,
+            signals: [],
+            alertCount: 0,
+            suppressedCount: 0,
+            signalsAtLastEscalation: 0,
+            firstSeen,
+            lastSeen: firstSeen,
+            ...initialWorkflow(firstSeen)
+        };
+
+        this.incidents.set(incident.id, incident);
+        return incident;
+    }
+
+    addSignal(incident, alert, now) {
+        let signal = incident.signals.find(s => s.type === alert.type);
+        if (!signal) {
+            signal = { type: alert.type, severity: alert.severity, count: 0, txHashes: [] };
+            incident.signals.push(signal);
+        }
+
+        signal.count++;
+        if (alert.txHash && !signal.txHashes.includes(alert.txHash)) {
+            signal.txHashes.push(alert.txHash);
+        }
+
+        incident.alertCount++;
+        incident.severity = maxSeverity(incident.severity, alert.severity);
+        incident.lastSeen = new Date(Math.max(now, Date.parse(incident.lastSeen))).toISOString();
+    }
+
+    /**
+     * An incident escalates every escalation.signalThreshold new signals
+     */
+    shouldEscalate(incident) {
+        const { signalThreshold } = this.config.escalation;
+        return signalThreshold > 0 &&
+            incident.alertCount - incident.signalsAtLastEscalation >= signalThreshold;
+    }
+
+    escalate(incident) {
+        const index = SEVERITY_ORDER.indexOf(incident.severity);
+        incident.severity = SEVERITY_ORDER[Math.min(index + 1, SEVERITY_ORDER.length - 1)];
+        incident.escalationLevel++;
+        incident.signalsAtLastEscalation = incident.alertCount;
+    }
+
+    /**
+     * Take back a recorded alert, e.g. one raised from blocks a chain
+     * reorg removed: it no longer counts towards its incident and its
+     * fingerprint may be recorded again. incident defaults to the alert's
+     * incident if still in memory; pass the stored one for evicted
+     * incidents. Returns the incident, if known.
+     */
+    retract(alert, incident = this.incidents.get(alert.incidentId)) {
+        const seen = this.fingerprints.get(alert.fingerprint);
+        if (seen && seen.incidentId === alert.incidentId) {
+            this.fingerprints.delete(alert.fingerprint);
+        }
+
+        if (!incident) return undefined;
+
+        const signal = incident.signals.find(s => s.type === alert.type);
+        if (signal && --signal.count <= 0) {
+            incident.signals = incident.signals.filter(s => s !== signal);
+        }
+        incident.alertCount = Math.max(incident.alertCount - 1, 0);
+        incident.retractedCount = (incident.retractedCount || 0) + 1;
+        return incident;
+    }
+
+    /**
+     * Forget fingerprints, correlation keys and incidents that have gone
+     * quiet. Incidents go once quiet for longer than both the correlation
+     * window and the longest suppression window, closed ones once quiet
+     * for longer than the suppression window.
+     */
+    prune(now) {
+        const maxSuppression = Math.max(...Object.values(this.config.suppression));
+        const retention = Math.max(maxSuppression, this.config.correlationWindow);
+
+        for (const [id, incident] of this.incidents) {
+            const quiet = now - Date.parse(incident.lastSeen);
+            if (quiet > retention || (isClosed(incident) && quiet > maxSuppression)) {
+                this.incidents.delete(id);
+            }
+        }
+
+        for (const [fingerprint, seen] of this.fingerprints) {
+            if (now - seen.lastRecorded > maxSuppression || !this.incidents.has(seen.incidentId)) {
+                this.fingerprints.delete(fingerprint);
+            }
+        }
+
+        for (const [key, id] of this.incidentKeys) {
+            const incident = this.incidents.get(id);
+            if (!incident || isClosed(incident) ||
+                now - Date.parse(incident.lastSeen) > this.config.correlationWindow) {
+                this.incidentKeys.delete(key);
+            }
+        }
+    }
+
+    /**
+     * Load previously stored incidents so their workflow and metrics
+     * survive a restart. They are not correlated with new alerts and are
+     * evicted like any other quiet incident.
+     */
+    restore(incidents) {
+        incidents
+            .filter(incident => !this.incidents.has(incident.id))
+            .forEach(incident => this.incidents.set(incident.id, incident));
+    }
+
+    getIncident(id) {
+        return this.incidents.get(id);
+    }
+
+    /**
+     * Incidents in memory, most recently active first
+     */
+    getIncidents() {
+        return Array.from(this.incidents.values())
+            .sort((a, b) => b.lastSeen.localeCompare(a.lastSeen));
+    }
+}
+
+function maxSeverity(a, b) {
+    return SEVERITY_ORDER.indexOf(a) >= SEVERITY_ORDER.indexOf(b) ? a : b;
+}
+
+module.exports = { AlertCorrelator, SEVERITY_ORDER };
@@ -0,0 +1,439 @@
+const EventEmitter = require("events");
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { DetectorError } = require("./detector");
+
+const DEFAULT_RETRY = {
+    initialDelay: 1000, // ms before the first retry
+    factor: 2,
+    maxDelay: 30000
+};
+
+/**
+ * Feeds a SecurityMonitor from a block cursor instead of provider event
+ * subscriptions, so nothing is lost when the node goes away.
+ *
+ * Every poll reads the logs of the next unprocessed blocks, dispatches
+ * them in block and log order (followed by a "block" event per block),
+ * and persists the cursor to a checkpoint file after each log. On
+ * restart the gap since the checkpoint is replayed, skipping logs already
+ * processed, so each log is dispatched exactly once.
+ *
+ * A detector failing on an event (e.g. a provider error inside evaluate)
+ * stops the batch before that event and records the failed detectors in
+ * the checkpoint; the retry replays the event to those detectors only.
+ *
+ * Before each poll the last recorded block hashes are re-validated; on a
+ * reorg the cursor rewinds to the common ancestor, detector state returns
+ * to its snapshot at that block, alerts raised from the removed blocks
+ * are flagged as orphaned and the replacement blocks are processed. A
+ * different genesis block (e.g. a restarted Hardhat node) resets the
+ * cursor and detector state.
+ *
+ * Provider errors are retried with exponential backoff, reconnecting the
+ * monitor's provider between attempts.
+ *
+ * Emits "reorg" ({ from, to, orphanedAlerts }), "chain-reset" ({ genesisHash }) and
+ * "ingestion-error" ({ error, failures, retryIn }).
+ */
+class BlockIngestor extends EventEmitter {
+    constructor(monitor, {
+        checkpointPath,
+        startBlock = "latest",
+        pollInterval = 2000,
+        confirmations = 0,
+        reorgDepth = 64,
+        batchSize = 500,
+        retry = {}
+    } = {}) {
+        super();
+        this.monitor = monitor;
+        this.checkpointPath = checkpointPath;
+        this.startBlock = startBlock;
+        this.pollInterval = pollInterval;
+        this.confirmations = confirmations;
+        this.reorgDepth = reorgDepth;
+        this.batchSize = batchSize;
+        this.retry = { ...DEFAULT_RETRY, ...retry };
+
+        this.checkpoint = null;
+        this.snapshots = []; // { blockNumber, states: detector name -> snapshot }, oldest first
+        this.running = false;
+        this.failures = 0;
+        this.lastError = null;
+        this.lastPollAt = null;
+    }
+
+    /**
+     * Start polling in the background; the first poll loads the checkpoint
+     */
+    start() {
+        if (this.running) return;
+        this.running = true;
+        this.loop = this.run();
+    }
+
+    /**
+     * Stop polling; resolves once the current poll has finished
+     */
+    async stop() {
+        this.running = false;
+        if (this.wakeUp) this.wakeUp();
+        await this.loop;
+    }
+
+    async run() {
+        while (this.running) {
+            let delay = this.pollInterval;
+            try {
+                await this.poll();
+                this.failures = 0;
+                this.lastError = null;
+            } catch (error) {
+                this.failures++;
+                this.lastError = error.message;
+                delay = Math.min(
+                    this.retry.initialDelay * this.retry.factor ** (this.failures - 1),
+                    this.retry.maxDelay
+                );
+                console.error(
+                    `[${this.monitor.label}] Block ingestion failed (attempt ${this.failures}), ` +
+                    `retrying in ${delay}ms: ${error.message}`
+                );
+                this.emit("ingestion-error", { error, failures: this.failures, retryIn: delay });
+                await this.monitor.reconnect();
+            }
+            await this.sleep(delay);
+        }
+    }
+
+    sleep(ms) {
+        return new Promise(resolve => {
+            if (!this.running) return resolve();
+            const timer = setTimeout(resolve, ms);
+            this.wakeUp = () => {
+                clearTimeout(timer);
+                resolve();
+            };
+        });
+    }
+
+    /**
+     * Validate recorded blocks, then process the next batch up to the
+     * confirmed head
+     */
+    async poll() {
+        const provider = this.monitor.provider;
+        this.lastPollAt = Date.now();
+
+        if (!this.checkpoint) {
+            this.checkpoint = this.loadCheckpoint() || await this.freshCheckpoint();
+            this.saveCheckpoint();
+            this.takeSnapshot(this.checkpoint.blockNumber);
+        }
+
+        await this.checkForReorg();
+
+        const head = await provider.getBlockNumber();
+        const target = head - this.confirmations;
+        const from = this.checkpoint.blockNumber + 1;
+        if (from > target) return;
+
+        const to = Math.min(target, from + this.batchSize - 1);
+        await this.processRange(from, to);
+    }
+
+    /**
+     * Dispatch the contract logs of a block range and a "block" event per
+     * block. With record (the default) the cursor is advanced and saved;
+     * backfills pass record: false and everyBlock: false so only blocks
+     * with monitored logs get a "block" event.
+     */
+    async processRange(from, to, { record = true, everyBlock = true } = {}) {
+        const monitor = this.monitor;
+        const provider = monitor.provider;
+        const iface = monitor.contract.interface;
+        const eventNames = new Set(monitor.getContractEventNames());
+        const wantsBlocks = monitor.detectors.some(detector => detector.handles("block"));
+
+        const last = await provider.getBlock(to);
+        if (!last) {
+            throw new Error(`Block ${to} is not available yet`);
+        }
+        // The range end is the newest processed block, even when a backfill
+        // only reads the older blocks that have logs
+        monitor.blockTimestamps.set(to, last.timestamp * 1000);
+
+        const logsByBlock = new Map();
+        if (eventNames.size > 0) {
+            const logs = await provider.getLogs({ address: monitor.contractAddress, fromBlock: from, toBlock: to });
+            for (const log of logs) {
+                // Logs read across a reorg would mix two chains
+                if (log.blockNumber === to && log.blockHash !== last.hash) {
+                    throw new Error(`Block ${to} changed while reading logs`);
+                }
+
+                const fragment = iface.getEvent(log.topics[0]);
+                if (!fragment || !eventNames.has(fragment.name)) continue;
+
+                if (!logsByBlock.has(log.blockNumber)) logsByBlock.set(log.blockNumber, []);
+                logsByBlock.get(log.blockNumber).push(new ethers.EventLog(log, iface, fragment));
+            }
+        }
+
+        const blockNumbers = everyBlock
+            ? Array.from({ length: to - from + 1 }, (_, i) => from + i)
+            : Array.from(logsByBlock.keys()).sort((a, b) => a - b);
+        let eventsProcessed = 0;
+        let alertsRaised = 0;
+
+        for (const blockNumber of blockNumbers) {
+            const logs = (logsByBlock.get(blockNumber) || []).sort((a, b) => a.index - b.index);
+            if (logs.length === 0 && !wantsBlocks) continue;
+
+            const timestamp = await monitor.getBlockTimestamp(blockNumber);
+            const partial = record && this.checkpoint.partial;
+
+            for (const log of logs) {
+                if (partial && partial.blockHash === log.blockHash && log.index <= partial.logIndex) {
+                    continue;
+                }
+
+                const alerts = await this.dispatchAt(
+                    monitor.toMonitorEvent(log, timestamp),
+                    { blockNumber, logIndex: log.index },
+                    record
+                );
+                alertsRaised += alerts.length;
+                eventsProcessed++;
+
+                if (record) {
+                    this.checkpoint.partial = { blockNumber, blockHash: log.blockHash, logIndex: log.index };
+                    this.saveCheckpoint();
+                }
+            }
+
+            if (wantsBlocks) {
+                const alerts = await this.dispatchAt({
+                    name: "block",
+                    blockNumber,
+                    address: monitor.contractAddress,
+                    timestamp
+                }, { blockNumber, logIndex: null }, record);
+                alertsRaised += alerts.length;
+            }
+
+            if (record) {
+                this.checkpoint.blockNumber = blockNumber;
+                this.checkpoint.partial = null;
+                this.takeSnapshot(blockNumber);
+                if (logs.length > 0) {
+                    this.recordBlock(blockNumber, logs[0].blockHash);
+                    this.saveCheckpoint();
+                }
+            }
+        }
+
+        if (record) {
+            this.checkpoint.blockNumber = to;
+            this.recordBlock(to, last.hash);
+            this.saveCheckpoint();
+        }
+
+        return { eventsProcessed, alertsRaised };
+    }
+
+    /**
+     * Dispatch the event at a position ({ blockNumber, logIndex }, null
+     * for the "block" event). If it is the event that failed last time,
+     * only the detectors that failed see it again. On a detector failure
+     * the failed detectors are recorded and the error rethrown, so the
+     * cursor stays before the event.
+     */
+    async dispatchAt(event, position, record) {
+        const failed = record && this.checkpoint.failed;
+        const retry = failed &&
+            failed.blockNumber === position.blockNumber && failed.logIndex === position.logIndex;
+
+        try {
+            const alerts = await this.monitor.dispatch(event, retry ? { detectors: failed.detectors } : {});
+            if (retry) this.checkpoint.failed = null;
+            return alerts;
+        } catch (error) {
+            if (record && error instanceof DetectorError) {
+                this.checkpoint.failed = { ...position, detectors: error.failures.map(failure => failure.detector) };
+                this.saveCheckpoint();
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Rewind past blocks that are no longer canonical
+     */
+    async checkForReorg() {
+        const provider = this.monitor.provider;
+        const recent = this.checkpoint.recentBlocks;
+        if (recent.length === 0) return;
+
+        const newest = recent[recent.length - 1];
+        const current = await provider.getBlock(newest.number);
+        if (current && current.hash === newest.hash) return;
+
+        const genesis = await provider.getBlock(0);
+        if (genesis.hash !== this.checkpoint.genesisHash) {
+            console.warn(`[${this.monitor.label}] Chain was reset (new genesis ${genesis.hash}); restarting from block 0`);
+            this.checkpoint = await this.freshCheckpoint(0);
+            this.monitor.detectors.forEach(detector => detector.reset());
+            this.monitor.blockTimestamps.clear();
+            this.snapshots = [];
+            this.saveCheckpoint();
+            this.takeSnapshot(this.checkpoint.blockNumber);
+            this.emit("chain-reset", { genesisHash: genesis.hash });
+            return;
+        }
+
+        // Newest recorded block that is still canonical, or the block
+        // before the recorded window when the reorg is deeper than that
+        let ancestor = Math.min(recent[0].number - 1, await provider.getBlockNumber());
+        for (let i = recent.length - 2; i >= 0; i--) {
+            const block = await provider.getBlock(recent[i].number);
+            if (block && block.hash === recent[i].hash) {
+                ancestor = recent[i].number;
+                break;
+            }
+        }
+
+        const previous = this.checkpoint.blockNumber;
+        const reorg = { from: ancestor + 1, to: previous };
+        console.warn(`[${this.monitor.label}] Reorg detected: replaying blocks ${reorg.from}-${reorg.to}`);
+
+        this.restoreSnapshot(ancestor);
+        const since = ancestor >= 0 ? await this.monitor.getBlockTimestamp(ancestor) : undefined;
+        const orphaned = this.monitor.orphanAlerts(reorg, since);
+
+        this.checkpoint.blockNumber = ancestor;
+        this.checkpoint.partial = null;
+        this.checkpoint.failed = null;
+        this.checkpoint.recentBlocks = recent.filter(block => block.number <= ancestor);
+        for (const blockNumber of this.monitor.blockTimestamps.keys()) {
+            if (blockNumber > ancestor) this.monitor.blockTimestamps.delete(blockNumber);
+        }
+        this.saveCheckpoint();
+        this.emit("reorg", { ...reorg, orphanedAlerts: orphaned.length });
+    }
+
+    /**
+     * Record the detector state after a processed block. Snapshots are
+     * kept for reorgDepth blocks, plus the newest one before that so any
+     * ancestor within the window has a state to return to.
+     */
+    takeSnapshot(blockNumber) {
+        const states = new Map(this.monitor.detectors.map(detector => [detector.name, detector.snapshot()]));
+        const snapshots = this.snapshots.filter(snapshot => snapshot.blockNumber < blockNumber);
+        snapshots.push({ blockNumber, states });
+
+        const windowStart = blockNumber - this.reorgDepth;
+        const base = snapshots.filter(snapshot => snapshot.blockNumber <= windowStart).pop();
+        this.snapshots = snapshots.filter(snapshot => snapshot === base || snapshot.blockNumber > windowStart);
+    }
+
+    /**
+     * Return the detectors to their state after an ancestor block: the
+     * newest snapshot at or before it, or the oldest one kept when the
+     * ancestor predates them all (blocks before it are then replayed
+     * onto that state)
+     */
+    restoreSnapshot(ancestor) {
+        const snapshot = this.snapshots.filter(entry => entry.blockNumber <= ancestor).pop() || this.snapshots[0];
+        if (!snapshot) return;
+
+        this.monitor.detectors.forEach(detector => detector.restore(snapshot.states.get(detector.name)));
+        this.snapshots = this.snapshots.filter(entry => entry.blockNumber <= snapshot.blockNumber);
+    }
+
+    recordBlock(number, hash) {
+        const recent = this.checkpoint.recentBlocks.filter(block => block.number < number);
+        recent.push({ number, hash });
+        this.checkpoint.recentBlocks = recent.filter(block => block.number > number - this.reorgDepth);
+    }
+
+    /**
+     * Cursor for a contract seen for the first time: from startBlock,
+     * or from the confirmed head when startBlock is "latest"
+     */
+    async freshCheckpoint(startBlock = this.startBlock) {
+        const provider = this.monitor.provider;
+        const genesis = await provider.getBlock(0);
+        const blockNumber = startBlock === "latest"
+            ? Math.max(await provider.getBlockNumber() - this.confirmations, 0)
+            : startBlock - 1;
+        // The starting block is recorded so a reorg of it is noticed
+        const start = blockNumber >= 0 && await provider.getBlock(blockNumber);
+
+        return {
+            address: this.monitor.contractAddress,
+            genesisHash: genesis.hash,
+            blockNumber,
+            partial: null, // { blockNumber, blockHash, logIndex } of a block cut short
+            failed: null, // { blockNumber, logIndex, detectors } of an event to retry
+            recentBlocks: start ? [{ number: start.number, hash: start.hash }] : [] // processed blocks within reorgDepth
+        };
+    }
+
+    loadCheckpoint() {
+        if (!this.checkpointPath || !fs.existsSync(this.checkpointPath)) return null;
+
+        let checkpoint;
+        try {
+            checkpoint = JSON.parse(fs.readFileSync(this.checkpointPath, "utf8"));
+        } catch (error) {
+            console.warn(`Ignoring unreadable checkpoint ${this.checkpointPath}: ${error.message}`);
+            return null;
+        }
+        if (checkpoint.address.toLowerCase() !== this.monitor.contractAddress.toLowerCase()) {
+            console.warn(`Ignoring checkpoint ${this.checkpointPath} written for ${checkpoint.address}`);
+            return null;
+        }
+
+        console.log(`[${this.monitor.label}] Resuming after block ${checkpoint.blockNumber}`);
+        return checkpoint;
+    }
+
+    /**
+     * Write the checkpoint atomically so a crash never leaves it half written
+     */
+    saveCheckpoint() {
+        if (!this.checkpointPath) return;
+
+        fs.mkdirSync(path.dirname(this.checkpointPath), { recursive: true });
+        const temporary = `${this.checkpointPath}.tmp`;
+        fs.writeFileSync(temporary, JSON.stringify(this.checkpoint, null, 2));
+        fs.renameSync(temporary, this.checkpointPath);
+    }
+
+    /**
+     * Cursor position and health, for /health
+     */
+    status() {
+        return {
+            running: this.running,
+            lastProcessedBlock: this.checkpoint ? this.checkpoint.blockNumber : null,
+            lastPollAt: this.lastPollAt && new Date(this.lastPollAt).toISOString(),
+            consecutiveFailures: this.failures,
+            lastError: this.lastError
+        };
+    }
+}
+
+/**
+ * Checkpoint file a monitor uses unless told otherwise:
+ * checkpoints/<label>.json next to its alert logs
+ */
+function defaultCheckpointPath(alertStore, label) {
+    return path.join(alertStore.directory || path.join(__dirname, "../../logs"), "checkpoints", `${label}.json`);
+}
+
+module.exports = BlockIngestor;
+module.exports.defaultCheckpointPath = defaultCheckpointPath;
@@ -0,0 +1,203 @@
+const { ethers } = require("ethers");
+
+const CALL_OPS = new Set(["CALL", "CALLCODE", "DELEGATECALL", "STATICCALL"]);
+const CREATE_OPS = new Set(["CREATE", "CREATE2"]);
+
+/**
+ * Call tree of a mined transaction from debug_traceTransaction.
+ * Uses the callTracer where the node supports it and rebuilds the tree
+ * from the default struct logger otherwise.
+ *
+ * Every frame is { type, from, to, address, input, value, error, calls };
+ * address is the contract whose storage the frame runs against, which
+ * differs from "to" for DELEGATECALL and CALLCODE.
+ */
+async function traceTransaction(provider, tx) {
+    let trace;
+    try {
+        trace = await provider.send("debug_traceTransaction", [tx.hash, { tracer: "callTracer" }]);
+    } catch {
+        trace = null;
+    }
+
+    if (trace && trace.type) {
+        return fromCallTracer(trace, null);
+    }
+
+    const { structLogs } = await provider.send("debug_traceTransaction", [
+        tx.hash,
+        { disableStorage: true, disableMemory: false, enableMemory: true }
+    ]);
+    return fromStructLogs(tx, structLogs);
+}
+
+function fromCallTracer(node, parent) {
+    const type = node.type.toUpperCase();
+    const frame = {
+        type,
+        from: node.from,
+        to: node.to,
+        address: parent && (type === "DELEGATECALL" || type === "CALLCODE") ? parent.address : node.to,
+        input: node.input || "0x",
+        value: node.value ? BigInt(node.value) : 0n,
+        error: node.error,
+        calls: []
+    };
+    frame.calls = (node.calls || []).map(child => fromCallTracer(child, frame));
+    return frame;
+}
+
+/**
+ * Rebuild call frames from opcode steps: a CALL-family step opens a
+ * frame when the next step runs one level deeper, and frames close when
+ * the depth drops back. Only the 4-byte selector is read from memory.
+ */
+function fromStructLogs(tx, structLogs) {
+    const root = {
+        type: "CALL",
+        from: tx.from,
+        to: tx.to,
+        address: tx.to,
+        input: tx.data,
+        value: tx.value,
+        error: undefined,
+        calls: []
+    };
+    const frames = [root];
+
+    structLogs.forEach((step, i) => {
+        while (frames.length > step.depth) frames.pop();
+
+        const entersFrame = structLogs[i + 1] && structLogs[i + 1].depth === step.depth + 1;
+        const parent = frames[frames.length - 1];
+
+        if (CALL_OPS.has(step.op)) {
+            const child = callFrame(step, parent);
+            parent.calls.push(child);
+            if (entersFrame) frames.push(child);
+        } else if (CREATE_OPS.has(step.op) && entersFrame) {
+            // Keeps depths aligned; constructor frames have no address yet
+            frames.push({ type: step.op, from: parent.address, to: null, address: null, input: "0x", value: 0n, calls: [] });
+        }
+
+        if (step.op === "REVERT") {
+            frames[frames.length - 1].error = "execution reverted";
+        }
+    });
+
+    return root;
+}
+
+function callFrame(step, parent) {
+    const stack = step.stack.map(word => BigInt(word.startsWith("0x") ? word : `0x${word}`));
+    const top = n => stack[stack.length - 1 - n];
+    const hasValue = step.op === "CALL" || step.op === "CALLCODE";
+
+    const to = ethers.getAddress(ethers.toBeHex(top(1) & ((1n << 160n) - 1n), 20));
+    const argsOffset = Number(top(hasValue ? 3 : 2));
+    const argsSize = Number(top(hasValue ? 4 : 3));
+
+    const memory = (step.memory || []).map(word => word.replace(/^0x/, "")).join("");
+    const selector = argsSize >= 4
+        ? `0x${memory.slice(argsOffset * 2, argsOffset * 2 + 8)}`
+        : "0x";
+
+    return {
+        type: step.op,
+        from: parent.address,
+        to,
+        address: step.op === "DELEGATECALL" || step.op === "CALLCODE" ? parent.address : to,
+        input: selector,
+        value: hasValue ? top(2) : 0n,
+        error: undefined,
+        calls: []
+    };
+}
+
+/**
+ * Frames that run against address while an outer frame on the same
+ * address is still active.
+ * Returns [{ frame, path, reverted }] where path runs from the root call
+ * to frame and reverted means the re-entry's effects were rolled back.
+ */
+function findReentries(root, address) {
+    const target = address.toLowerCase();
+    const reentries = [];
+
+    const visit = (frame, path) => {
+        const current = [...path, frame];
+        const onTarget = frame.address && frame.address.toLowerCase() === target;
+        if (onTarget && path.some(outer => outer.address && outer.address.toLowerCase() === target)) {
+            reentries.push({ frame, path: current, reverted: current.some(f => f.error) });
+        }
+        frame.calls.forEach(child => visit(child, current));
+    };
+
+    visit(root, []);
+    return reentries;
+}
+
+/**
+ * Names contracts and functions in call frames by matching deployed
+ * bytecode against the Hardhat artifacts
+ */
+class ContractResolver {
+    constructor(provider) {
+        this.provider = provider;
+        this.byAddress = new Map();
+        this.byBytecode = null;
+    }
+
+    /**
+     * Name a known address directly, e.g. the monitored contract
+     */
+    register(address, name, abi) {
+        this.byAddress.set(address.toLowerCase(), { name, iface: new ethers.Interface(abi) });
+    }
+
+    async loadArtifacts() {
+        // Loaded on first use so commands that never trace skip Hardhat
+        const { artifacts } = require("hardhat");
+        this.byBytecode = new Map();
+        for (const fullyQualifiedName of Array.from(await artifacts.getAllFullyQualifiedNames())) {
+            const artifact = await artifacts.readArtifact(fullyQualifiedName);
+            if (artifact.deployedBytecode && artifact.deployedBytecode !== "0x") {
+                this.byBytecode.set(ethers.keccak256(artifact.deployedBytecode), {
+                    name: artifact.contractName,
+                    iface: new ethers.Interface(artifact.abi)
+                });
+            }
+        }
+    }
+
+    async resolve(address) {
+        const key = address.toLowerCase();
+        if (!this.byAddress.has(key)) {
+            if (!this.byBytecode) await this.loadArtifacts();
+            const code = await this.provider.getCode(address);
+            this.byAddress.set(key, code === "0x" ? null : this.byBytecode.get(ethers.keccak256(code)) || null);
+        }
+        return this.byAddress.get(key);
+    }
+
+    /**
+     * "Contract.function" for a frame, e.g. "ReentrancyAttacker.receive"
+     */
+    async describe(frame) {
+        if (!frame.to) return frame.type;
+
+        const contract = await this.resolve(frame.to);
+        const name = contract ? contract.name : `${frame.to.slice(0, 6)}...${frame.to.slice(-4)}`;
+        const selector = frame.input.slice(0, 10);
+
+        if (selector.length < 10) {
+            const plainTransfer = !contract || (contract.iface.receive && frame.value > 0n);
+            return `${name}.${plainTransfer ? "receive" : "fallback"}`;
+        }
+
+        const fragment = contract && contract.iface.getFunction(selector);
+        return `${name}.${fragment ? fragment.name : selector}`;
+    }
+}
+
+module.exports = { traceTransaction, findReentries, ContractResolver };
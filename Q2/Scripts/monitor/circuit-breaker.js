@@ -0,0 +1,246 @@
+const crypto = require("crypto");
+const EventEmitter = require("events");
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { toJSON } = require("./notifiers/format");
+
+const DEFAULT_CONFIG = {
+    // Alerts that pause the contract; a rule matches when every field it sets matches
+    rules: [
+        { types: ["POTENTIAL_DOUBLE_SPENDING", "INSOLVENCY"] }
+    ],
+    // Log what would be done (and check it would succeed) without sending transactions
+    dryRun: false,
+    // At most maxActions automated pauses per window (ms), so a noisy or
+    // manipulated detector cannot keep the contract paused
+    rateLimit: {
+        maxActions: 3,
+        window: 60 * 60 * 1000
+    },
+    // Alerts older than this (ms) relative to the newest processed block,
+    // e.g. from a backfill, never pause the contract
+    maxAlertAge: 10 * 60 * 1000
+};
+
+// Outcomes that count towards the rate limit
+const COUNTED_OUTCOMES = ["executed", "dry-run"];
+
+/**
+ * Whether a contract ABI has the pause()/unpause() pair the breaker drives
+ */
+function isPausable(contractABI) {
+    const iface = ethers.Interface.from(contractABI);
+    return Boolean(iface.getFunction("pause()") && iface.getFunction("unpause()"));
+}
+
+/**
+ * Action log next to an alert store's files
+ */
+function defaultLogPath(alertStore) {
+    return path.join(alertStore.directory || path.join(__dirname, "../../logs"), "circuit-breaker.ndjson");
+}
+
+/**
+ * Recorded breaker actions from an NDJSON action log, newest first.
+ * filter: { contract, since, limit }
+ */
+function readActions(logPath, { contract, since, limit } = {}) {
+    if (!fs.existsSync(logPath)) return [];
+
+    const actions = fs.readFileSync(logPath, "utf8")
+        .split("\n")
+        .filter(Boolean)
+        .map(line => JSON.parse(line))
+        .filter(action => !contract || [].concat(contract).includes(action.contract))
+        .filter(action => !since || action.at >= since)
+        .reverse();
+
+    return limit ? actions.slice(0, limit) : actions;
+}
+
+/**
+ * Automated response for a monitored contract with operator-only
+ * pause()/unpause(), such as SecureL2Bridge.
+ *
+ * Listens to the monitor's "alert" events and calls pause() with the
+ * operator signer when an alert matches one of the configured rules.
+ * Every attempt is appended to an NDJSON action log and emitted as
+ * "action" ({ id, at, action, outcome, contract, alert, txHash, ... }),
+ * where outcome is executed, dry-run, rate-limited or failed. Unpausing
+ * is always manual, via unpause().
+ *
+ * Options:
+ * - signer: operator signer sending pause() and unpause()
+ * - rules: [{ types, severities }] alerts that pause the contract
+ * - dryRun: record matching alerts without sending transactions
+ * - rateLimit: { maxActions, window } automated pauses per window (ms)
+ * - maxAlertAge: ignore alerts older than this (ms) by the chain clock
+ * - logPath: action log (defaults to circuit-breaker.ndjson next to the alert logs)
+ */
+class CircuitBreaker extends EventEmitter {
+    constructor(monitor, { signer, logPath, ...config } = {}) {
+        super();
+        if (!isPausable(monitor.contractABI)) {
+            throw new Error(`${monitor.label} has no pause()/unpause() for the circuit breaker to call`);
+        }
+        if (!signer) {
+            throw new Error(`Circuit breaker for ${monitor.label} needs an operator signer`);
+        }
+        if ((config.rules || []).some(rule => !rule.types && !rule.severities)) {
+            throw new Error(`Circuit breaker rules for ${monitor.label} must set types or severities`);
+        }
+
+        this.monitor = monitor;
+        this.signer = signer;
+        this.contract = new ethers.Contract(monitor.contractAddress, monitor.contractABI, signer);
+        this.config = {
+            ...DEFAULT_CONFIG,
+            ...config,
+            rateLimit: { ...DEFAULT_CONFIG.rateLimit, ...config.rateLimit }
+        };
+        this.logPath = logPath || defaultLogPath(monitor.alertStore);
+
+        // A pause in flight; alerts arriving meanwhile do not send another
+        this.pending = null;
+        this.onAlert = ({ alert }) => {
+            if (this.pending || !this.matches(alert)) return;
+            this.pending = this.trip(alert).finally(() => { this.pending = null; });
+        };
+    }
+
+    get label() {
+        return this.monitor.label;
+    }
+
+    /**
+     * Check the signer is the contract's operator and start listening.
+     * A wrong signer only warns in dry-run mode.
+     */
+    async start() {
+        if (this.contract.interface.getFunction("operator()")) {
+            const [operator, signerAddress] = await Promise.all([
+                this.contract.operator(),
+                this.signer.getAddress()
+            ]);
+            if (operator.toLowerCase() !== signerAddress.toLowerCase()) {
+                const message = `Circuit breaker signer ${signerAddress} is not the operator of ${this.label} (${operator})`;
+                if (!this.config.dryRun) throw new Error(message);
+                console.warn(`${message}; dry-run pauses will fail`);
+            }
+        }
+
+        this.monitor.on("alert", this.onAlert);
+        console.log(`Circuit breaker armed for ${this.label}${this.config.dryRun ? " (dry run)" : ""}`);
+        return this;
+    }
+
+    async stop() {
+        this.monitor.off("alert", this.onAlert);
+        if (this.pending) await this.pending;
+    }
+
+    /**
+     * Rule matched by an alert, if any. Alert timestamps follow the chain
+     * clock, so their age is measured against the newest processed block
+     * (the wall clock only before the first block).
+     */
+    matches(alert) {
+        const now = this.monitor.getLatestBlockTimestamp() ?? Date.now();
+        if (now - Date.parse(alert.timestamp) > this.config.maxAlertAge) {
+            return undefined;
+        }
+        return this.config.rules.find(rule =>
+            (!rule.types || rule.types.includes(alert.type)) &&
+            (!rule.severities || rule.severities.includes(alert.severity)));
+    }
+
+    /**
+     * Automated pauses counted against the rate limit at a given time
+     */
+    recentActions(now = Date.now()) {
+        const since = new Date(now - this.config.rateLimit.window).toISOString();
+        return readActions(this.logPath, { contract: this.label, since })
+            .filter(action => action.action === "pause" && action.by === "circuit-breaker")
+            .filter(action => COUNTED_OUTCOMES.includes(action.outcome));
+    }
+
+    /**
+     * Pause the contract in response to an alert, unless it is already
+     * paused or the rate limit is used up
+     */
+    async trip(alert) {
+        const reason = `${alert.type} (${alert.severity}): ${alert.details || "no details"}`;
+        const record = fields => this.record({ action: "pause", by: "circuit-breaker", reason, alert, ...fields });
+
+        try {
+            if (await this.contract.paused()) return undefined;
+
+            if (this.recentActions().length >= this.config.rateLimit.maxActions) {
+                return record({ outcome: "rate-limited" });
+            }
+
+            if (this.config.dryRun) {
+                await this.contract.pause.staticCall();
+                return record({ outcome: "dry-run" });
+            }
+
+            const tx = await this.contract.pause();
+            await tx.wait();
+            return record({ outcome: "executed", txHash: tx.hash });
+        } catch (error) {
+            return record({ outcome: "failed", error: error.shortMessage || error.message });
+        }
+    }
+
+    /**
+     * Manually unpause the contract once the incident is dealt with.
+     * Resolves with the recorded action; throws if the transaction fails.
+     */
+    async unpause({ by = null, reason = null } = {}) {
+        try {
+            const tx = await this.contract.unpause();
+            await tx.wait();
+            return this.record({ action: "unpause", outcome: "executed", by, reason, txHash: tx.hash });
+        } catch (error) {
+            this.record({ action: "unpause", outcome: "failed", by, reason, error: error.shortMessage || error.message });
+            throw error;
+        }
+    }
+
+    /**
+     * Append an action to the log and emit it. A log that cannot be
+     * written is reported but does not stop the action being emitted.
+     */
+    record({ alert, ...fields }) {
+        const action = {
+            id: crypto.randomUUID(),
+            at: new Date().toISOString(),
+            contract: this.label,
+            address: this.monitor.contractAddress,
+            ...fields,
+            alert: alert
+                ? { type: alert.type, severity: alert.severity, incidentId: alert.incidentId, blockNumber: alert.blockNumber }
+                : null
+        };
+
+        try {
+            fs.mkdirSync(path.dirname(this.logPath), { recursive: true });
+            fs.appendFileSync(this.logPath, toJSON(action) + "\n");
+        } catch (error) {
+            console.error(`[CIRCUIT BREAKER] Could not write ${this.logPath}: ${error.message}`);
+        }
+
+        const line = `[CIRCUIT BREAKER] ${action.action} ${this.label}: ${action.outcome}`;
+        if (action.outcome === "failed") {
+            console.error(`${line} (${action.error})`);
+        } else {
+            console.log(action.reason ? `${line} - ${action.reason}` : line);
+        }
+
+        this.emit("action", action);
+        return action;
+    }
+}
+
+module.exports = { CircuitBreaker, isPausable, readActions, defaultLogPath, DEFAULT_CONFIG };
@@ -0,0 +1,147 @@
+const fs = require("fs");
+const path = require("path");
+const Ajv = require("ajv");
+const YAML = require("yaml");
+const { ethers } = require("ethers");
+const schema = require("./config.schema.json");
+
+const AMOUNT_PATTERN = /^(\d+(?:\.\d+)?)\s*(wei|gwei|ether|eth)?$/i;
+
+const validate = new Ajv({ allErrors: true }).compile(schema);
+
+/**
+ * Error listing every schema violation in a monitor config file
+ */
+class MonitorConfigError extends Error {
+    constructor(filePath, errors) {
+        super(`Invalid monitor config ${filePath}:\n` +
+            errors.map(error => `  ${error.instancePath || "/"} ${error.message}`).join("\n"));
+        this.name = "MonitorConfigError";
+        this.errors = errors;
+    }
+}
+
+/**
+ * Parse a YAML (.yaml/.yml) or JSON monitor config file
+ */
+function parseConfigFile(filePath) {
+    const text = fs.readFileSync(filePath, "utf8");
+    const extension = path.extname(filePath).toLowerCase();
+    return extension === ".yaml" || extension === ".yml"
+        ? YAML.parse(text) || {}
+        : JSON.parse(text);
+}
+
+/**
+ * Validate a parsed config against config.schema.json, and check that
+ * routes name configured channels. knownDetectors, when given, also
+ * rejects settings for detectors that do not exist.
+ */
+function validateMonitorConfig(config, { filePath = "<config>", knownDetectors } = {}) {
+    const errors = validate(config) ? [] : [...validate.errors];
+
+    if (knownDetectors) {
+        const sections = [["/detectors", config.detectors]];
+        Object.entries(config.contracts || {}).forEach(([label, overrides]) => {
+            sections.push([`/contracts/${label}/detectors`, overrides.detectors]);
+        });
+
+        for (const [instancePath, detectors] of sections) {
+            Object.keys(detectors || {})
+                .filter(name => !knownDetectors.includes(name))
+                .forEach(name => errors.push({
+                    instancePath: `${instancePath}/${name}`,
+                    message: "is not a registered detector"
+                }));
+        }
+    }
+
+    const notifications = config.notifications || {};
+    const channels = (notifications.channels || []).map(channel => channel.name);
+    (notifications.routes || []).forEach((route, i) => {
+        (route.channels || [])
+            .filter(name => !channels.includes(name))
+            .forEach(name => errors.push({
+                instancePath: `/notifications/routes/${i}/channels`,
+                message: `references unknown channel "${name}"`
+            }));
+    });
+
+    if (errors.length > 0) {
+        throw new MonitorConfigError(filePath, errors);
+    }
+    return config;
+}
+
+/**
+ * Read and validate a monitor config file
+ */
+function loadMonitorConfig(filePath, options = {}) {
+    return validateMonitorConfig(parseConfigFile(filePath), { ...options, filePath });
+}
+
+/**
+ * Convert config threshold values to the types detectors compare with:
+ * amount strings ("10 ether", "50 gwei", "1000") become wei bigints, and
+ * plain numbers become bigints where the reference default is a bigint.
+ */
+function toThresholds(values = {}, reference = {}) {
+    const thresholds = {};
+
+    for (const [key, value] of Object.entries(values)) {
+        const match = typeof value === "string" && value.trim().match(AMOUNT_PATTERN);
+        if (match) {
+            const unit = (match[2] || "wei").toLowerCase();
+            thresholds[key] = ethers.parseUnits(match[1], unit === "eth" ? "ether" : unit);
+        } else if (typeof value === "number" && typeof reference[key] === "bigint") {
+            thresholds[key] = BigInt(value);
+        } else {
+            thresholds[key] = value;
+        }
+    }
+
+    return thresholds;
+}
+
+/**
+ * Watch a config file and call onReload with each valid new version.
+ * The directory is watched so editors that replace the file on save are
+ * picked up; invalid edits are logged and the previous config kept.
+ */
+function watchMonitorConfig(filePath, onReload, { debounce = 200, ...options } = {}) {
+    const absolutePath = path.resolve(filePath);
+    const fileName = path.basename(absolutePath);
+    let timer;
+
+    const reload = () => {
+        try {
+            onReload(loadMonitorConfig(absolutePath, options));
+            console.log(`Reloaded monitor config from ${absolutePath}`);
+        } catch (error) {
+            console.error(`Keeping previous monitor config: ${error.message}`);
+        }
+    };
+
+    const watcher = fs.watch(path.dirname(absolutePath), (eventType, changed) => {
+        if (changed && changed !== fileName) return;
+        clearTimeout(timer);
+        timer = setTimeout(() => {
+            if (fs.existsSync(absolutePath)) reload();
+        }, debounce);
+    });
+
+    return {
+        close() {
+            clearTimeout(timer);
+            watcher.close();
+        }
+    };
+}
+
+module.exports = {
+    MonitorConfigError,
+    loadMonitorConfig,
+    validateMonitorConfig,
+    watchMonitorConfig,
+    toThresholds
+};
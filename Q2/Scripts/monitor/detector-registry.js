@@ -0,0 +1,91 @@
+const fs = require("fs");
+const path = require("path");
+const Detector = require("./detector");
+const { DetectorError } = Detector;
+const builtinDetectors = require("./detectors");
+
+/**
+ * Registry of detector classes available to the security monitor.
+ * Extra detectors can be dropped into a directory as modules exporting
+ * a Detector subclass.
+ */
+class DetectorRegistry {
+    constructor() {
+        this.detectors = new Map();
+    }
+
+    /**
+     * Register a Detector subclass under its detector name
+     */
+    register(DetectorClass) {
+        if (!(DetectorClass.prototype instanceof Detector)) {
+            throw new Error(`${DetectorClass.name || DetectorClass} does not extend Detector`);
+        }
+
+        const { name } = new DetectorClass();
+        if (!name) {
+            throw new Error(`${DetectorClass.name} does not declare a detector name`);
+        }
+        if (this.detectors.has(name)) {
+            throw new Error(`Detector "${name}" is already registered`);
+        }
+
+        this.detectors.set(name, DetectorClass);
+        return name;
+    }
+
+    /**
+     * Register every detector module found in a directory
+     */
+    loadDirectory(directory) {
+        const dir = path.resolve(directory);
+        const loaded = [];
+
+        fs.readdirSync(dir)
+            .filter(file => file.endsWith(".js"))
+            .sort()
+            .forEach(file => {
+                const DetectorClass = require(path.join(dir, file));
+                loaded.push(this.register(DetectorClass));
+            });
+
+        return loaded;
+    }
+
+    has(name) {
+        return this.detectors.has(name);
+    }
+
+    /**
+     * Names of all registered detectors
+     */
+    list() {
+        return Array.from(this.detectors.keys());
+    }
+
+    /**
+     * Instantiate every registered detector, applying per-detector config
+     * keyed by detector name ({ enabled, thresholds })
+     */
+    createAll(config = {}) {
+        Object.keys(config)
+            .filter(name => !this.detectors.has(name))
+            .forEach(name => console.warn(`Unknown detector in config: ${name}`));
+
+        return this.list().map(name => {
+            const DetectorClass = this.detectors.get(name);
+            return new DetectorClass().configure(config[name]);
+        });
+    }
+}
+
+/**
+ * Registry pre-populated with the built-in detectors
+ */
+function createDefaultRegistry() {
+    const registry = new DetectorRegistry();
+    builtinDetectors.forEach(DetectorClass => registry.register(DetectorClass));
+    return registry;
+}
+
+module.exports = { Detector, DetectorError, DetectorRegistry, createDefaultRegistry };
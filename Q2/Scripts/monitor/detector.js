@@ -0,0 +1,131 @@
+/**
+ * Base class for security monitor detectors
+ *
+ * A detector declares the events it subscribes to, keeps its own state
+ * and turns each event into zero or more alerts via evaluate().
+ * Contract events are named after the Solidity event ("Withdrawal");
+ * "pending" is the provider's mempool feed, "block" fires once per new
+ * block and "tick" is a periodic timer event (every tickInterval ms) for
+ * time-based checks. contractKinds restricts the detector to bridge,
+ * bank or dex contracts; empty means any contract.
+ */
+class Detector {
+    constructor({ name, description = "", events = [], contractKinds = [], tickInterval = 60000, defaults = {} }) {
+        this.name = name;
+        this.description = description;
+        this.events = events;
+        this.contractKinds = contractKinds;
+        this.tickInterval = tickInterval;
+        this.defaults = defaults;
+        this.enabled = true;
+        this.overrides = {};
+        this.state = this.createState();
+    }
+
+    /**
+     * Initial detector state, recreated on reset()
+     */
+    createState() {
+        return {};
+    }
+
+    /**
+     * Clear accumulated state
+     */
+    reset() {
+        this.state = this.createState();
+    }
+
+    /**
+     * Copy of the state, restored when a chain reorg removes the blocks
+     * processed after it was taken. null for state that does not follow
+     * the chain (e.g. a mempool view), which is then kept as is.
+     */
+    snapshot() {
+        return structuredClone(this.state);
+    }
+
+    /**
+     * Return to the state of an earlier snapshot()
+     */
+    restore(snapshot) {
+        if (snapshot) {
+            this.state = structuredClone(snapshot);
+        }
+    }
+
+    /**
+     * Apply per-detector configuration ({ enabled, thresholds })
+     */
+    configure(config = {}) {
+        if (config.enabled !== undefined) {
+            this.enabled = Boolean(config.enabled);
+        }
+        if (config.thresholds) {
+            this.overrides = { ...this.overrides, ...config.thresholds };
+        }
+        return this;
+    }
+
+    /**
+     * Effective thresholds: detector defaults, then the monitor-wide
+     * thresholds, then this detector's own overrides
+     */
+    getThresholds(globalThresholds = {}) {
+        return { ...this.defaults, ...globalThresholds, ...this.overrides };
+    }
+
+    /**
+     * Whether this detector is relevant for a kind of contract
+     */
+    appliesTo(contractKind) {
+        return !contractKind ||
+            this.contractKinds.length === 0 ||
+            this.contractKinds.includes(contractKind);
+    }
+
+    /**
+     * Whether this detector wants to see the given event
+     */
+    handles(eventName) {
+        return this.enabled && this.events.includes(eventName);
+    }
+
+    /**
+     * Evaluate a single event and return the alerts it raises
+     */
+    async evaluate(event, context) {
+        return [];
+    }
+
+    /**
+     * Build an alert stamped with the event time and its origin
+     */
+    alert(event, fields) {
+        return {
+            ...fields,
+            detector: this.name,
+            contract: event.address,
+            blockNumber: fields.blockNumber ?? event.blockNumber,
+            timestamp: new Date(event.timestamp).toISOString()
+        };
+    }
+}
+
+/**
+ * Detectors that threw while evaluating an event. failures lists
+ * { detector, error }; alerts are those the other detectors raised.
+ */
+class DetectorError extends Error {
+    constructor(event, failures, alerts = []) {
+        super(`${failures.map(failure => failure.detector).join(", ")} failed on ${event.name}: ` +
+            failures.map(failure => failure.error.message).join("; "));
+        this.name = "DetectorError";
+        this.event = event;
+        this.failures = failures;
+        this.alerts = alerts;
+    }
+}
+
+module.exports = Detector;
+module.exports.DetectorError = DetectorError;
@@ -0,0 +1,204 @@
+const { ethers } = require("ethers");
+const Detector = require("../detector");
+
+const CREDIT_EVENTS = new Set(["Deposit"]);
+const DEBIT_EVENTS = new Set(["Withdrawal", "WithdrawalCompleted"]);
+
+/**
+ * Mirrors per-user balances from Deposit and Withdrawal/WithdrawalCompleted
+ * events and checks them on every tick against the contract's state:
+ * - ACCOUNTING_DRIFT when balances(user) no longer matches the mirror,
+ *   i.e. a balance moved without the events that should explain it
+ * - INSOLVENCY when the contract holds less ether than it owes its users
+ *
+ * A user's mirror is seeded from balances(user) just before the first
+ * event seen for them, so monitoring can start on a live contract.
+ * Checks run `confirmations` blocks behind the tick so events of the
+ * compared block have been delivered.
+ */
+class BalanceInvariantDetector extends Detector {
+    constructor() {
+        super({
+            name: "balance-invariant",
+            description: "Per-user balances and contract solvency against mirrored deposits and withdrawals",
+            events: ["Deposit", "Withdrawal", "WithdrawalCompleted", "tick"],
+            contractKinds: ["bank", "bridge"],
+            defaults: {
+                confirmations: 2,
+                maxReportedUsers: 10
+            }
+        });
+    }
+
+    createState() {
+        return {
+            accounts: new Map(), // user -> { balance, asOfBlock, changes, deposited, withdrawn }
+            reported: new Map() // alert type -> signature of the last reported divergence
+        };
+    }
+
+    async evaluate(event, context) {
+        if (event.name === "tick") {
+            return this.checkInvariants(event, context);
+        }
+
+        const user = event.args.user;
+        const amount = event.args.amount;
+        const account = await this.getAccount(user, event.blockNumber, context.contract);
+
+        if (CREDIT_EVENTS.has(event.name)) {
+            account.changes.push({ blockNumber: event.blockNumber, amount });
+            account.deposited += amount;
+        } else if (DEBIT_EVENTS.has(event.name)) {
+            account.changes.push({ blockNumber: event.blockNumber, amount: -amount });
+            account.withdrawn += amount;
+        }
+
+        return [];
+    }
+
+    /**
+     * Mirrored account for a user, seeded from the balance before blockNumber
+     */
+    async getAccount(user, blockNumber, contract) {
+        const key = ethers.getAddress(user);
+        if (!this.state.accounts.has(key)) {
+            const asOfBlock = Math.max(blockNumber - 1, 0);
+            const balance = await contract.balances(key, { blockTag: asOfBlock });
+            this.state.accounts.set(key, { balance, asOfBlock, changes: [], deposited: 0n, withdrawn: 0n });
+        }
+        return this.state.accounts.get(key);
+    }
+
+    /**
+     * Mirrored balance at blockNumber. Changes up to that block are folded
+     * into the account since later checks never look further back.
+     */
+    expectedBalance(account, blockNumber) {
+        account.changes
+            .filter(change => change.blockNumber <= blockNumber)
+            .forEach(change => { account.balance += change.amount; });
+        account.changes = account.changes.filter(change => change.blockNumber > blockNumber);
+        account.asOfBlock = Math.max(account.asOfBlock, blockNumber);
+        return account.balance;
+    }
+
+    /**
+     * Compare the mirror with on-chain state `confirmations` blocks
+     * behind the tick's block
+     */
+    async checkInvariants(event, { contract, provider, contractAddress, thresholds }) {
+        if (this.state.accounts.size === 0) return [];
+
+        const latest = event.blockNumber ?? await provider.getBlockNumber();
+        const blockTag = latest - thresholds.confirmations;
+        if (blockTag < 0) return [];
+        const contractBalance = contract.interface.getFunction("getContractBalance")
+            ? await contract.getContractBalance({ blockTag })
+            : await provider.getBalance(contractAddress, blockTag);
+
+        const drifted = [];
+        let mirroredTotal = 0n;
+        let onChainTotal = 0n;
+
+        for (const [user, account] of this.state.accounts) {
+            // Seeded after the compared block
+            if (account.asOfBlock > blockTag) continue;
+
+            const expected = this.expectedBalance(account, blockTag);
+            const actual = await contract.balances(user, { blockTag });
+            mirroredTotal += expected;
+            onChainTotal += actual;
+
+            if (actual !== expected) {
+                drifted.push({ user, expected, actual });
+            }
+        }
+
+        const alerts = [];
+        const maxUsers = thresholds.maxReportedUsers;
+
+        if (drifted.length > 0) {
+            const users = drifted.slice(0, maxUsers).map(entry => ({
+                user: entry.user,
+                expected: ethers.formatEther(entry.expected),
+                actual: ethers.formatEther(entry.actual)
+            }));
+
+            if (this.isNewDivergence("ACCOUNTING_DRIFT", users)) {
+                alerts.push(this.alert(event, {
+                    type: "ACCOUNTING_DRIFT",
+                    severity: "HIGH",
+                    user: drifted[0].user,
+                    details: `${drifted.length} user balance(s) differ from the deposits and withdrawals in events`,
+                    users
+                }));
+            }
+        } else {
+            this.state.reported.delete("ACCOUNTING_DRIFT");
+        }
+
+        const liabilities = onChainTotal > mirroredTotal ? onChainTotal : mirroredTotal;
+        if (contractBalance < liabilities) {
+            // Users who took out more than they put in, else those whose balances
+            // drifted, else the largest withdrawers
+            const flows = ([user, account]) => ({
+                user,
+                deposited: ethers.formatEther(account.deposited),
+                withdrawn: ethers.formatEther(account.withdrawn)
+            });
+            const accounts = Array.from(this.state.accounts);
+            const overdrawn = accounts.filter(([, account]) => account.withdrawn > account.deposited);
+            const withdrawers = accounts
+                .filter(([, account]) => account.withdrawn > 0n)
+                .sort(([, a], [, b]) => (b.withdrawn > a.withdrawn) - (b.withdrawn < a.withdrawn));
+
+            let offenders;
+            if (overdrawn.length > 0) {
+                offenders = overdrawn.map(flows);
+            } else if (drifted.length > 0) {
+                offenders = drifted.map(entry => ({
+                    user: entry.user,
+                    expected: ethers.formatEther(entry.expected),
+                    actual: ethers.formatEther(entry.actual)
+                }));
+            } else {
+                offenders = withdrawers.map(flows);
+            }
+            const users = offenders.slice(0, maxUsers);
+
+            if (this.isNewDivergence("INSOLVENCY", { users, contractBalance: contractBalance.toString() })) {
+                alerts.push(this.alert(event, {
+                    type: "INSOLVENCY",
+                    severity: "CRITICAL",
+                    user: users[0] && users[0].user,
+                    details: `Contract holds ${ethers.formatEther(contractBalance)} ETH but owes ` +
+                        `${ethers.formatEther(liabilities)} ETH ` +
+                        `(shortfall ${ethers.formatEther(liabilities - contractBalance)} ETH)`,
+                    contractBalance: ethers.formatEther(contractBalance),
+                    mirroredLiabilities: ethers.formatEther(mirroredTotal),
+                    onChainLiabilities: ethers.formatEther(onChainTotal),
+                    users
+                }));
+            }
+        } else {
+            this.state.reported.delete("INSOLVENCY");
+        }
+
+        return alerts;
+    }
+
+    /**
+     * Whether a divergence differs from the one last reported for its
+     * type, so a standing problem is reported once rather than every tick
+     */
+    isNewDivergence(type, divergence) {
+        const signature = JSON.stringify(divergence);
+        if (this.state.reported.get(type) === signature) return false;
+
+        this.state.reported.set(type, signature);
+        return true;
+    }
+}
+
+module.exports = BalanceInvariantDetector;
@@ -0,0 +1,294 @@
+const { ethers } = require("ethers");
+const Detector = require("../detector");
+
+/**
+ * Tracks SecureL2Bridge withdrawals through their challenge period.
+ *
+ * Large withdrawals are held for CHALLENGE_PERIOD after WithdrawalInitiated
+ * so operators can cancel them with a fraud proof. This detector keeps the
+ * set of pending large withdrawals and flags completions that skip or cut
+ * short that period, merkle root updates in the middle of a withdrawal
+ * burst, and pending withdrawals about to clear without anyone reviewing
+ * them. Reviews are recorded with SecurityMonitor.reviewWithdrawal() and
+ * kept outside the detector state so a reorg does not discard them.
+ */
+class BridgeLifecycleDetector extends Detector {
+    constructor() {
+        super({
+            name: "bridge-lifecycle",
+            description: "Challenge-period withdrawals and fraud-proof lifecycle on the bridge",
+            events: ["WithdrawalInitiated", "WithdrawalCompleted", "FraudProofSubmitted", "MerkleRootUpdated", "tick"],
+            contractKinds: ["bridge"],
+            defaults: {
+                challengePeriod: null, // seconds; read from CHALLENGE_PERIOD() when null
+                largeWithdrawalThreshold: null, // wei; read from LARGE_WITHDRAWAL_THRESHOLD() when null
+                reviewWarningWindow: 24 * 60 * 60, // seconds before the window closes
+                merkleBurstWindow: 10 * 60, // seconds around a merkle root update
+                merkleBurstWithdrawals: 3
+            }
+        });
+    }
+
+    createState() {
+        return {
+            pending: new Map(), // bridge txHash -> pending large withdrawal
+            // bridge txHash -> chain time (s) after which a completion is no longer watched for
+            cancelled: new Map(),
+            recentWithdrawals: [], // { timestamp, txHash } in chain seconds
+            merkleUpdates: [], // { timestamp, root, flagged }
+            bridgeConstants: null
+        };
+    }
+
+    /**
+     * Pending large withdrawals, soonest to clear first
+     */
+    getPendingWithdrawals() {
+        return Array.from(this.state.pending.values(), withdrawal => ({ ...withdrawal }))
+            .sort((a, b) => a.initiatedAt - b.initiatedAt);
+    }
+
+    async evaluate(event, context) {
+        if (event.name === "tick" && this.state.pending.size === 0 && this.state.cancelled.size === 0) return [];
+
+        const constants = await this.getBridgeConstants(context);
+
+        switch (event.name) {
+            case "WithdrawalInitiated":
+                return this.onInitiated(event, context, constants);
+            case "WithdrawalCompleted":
+                return this.onCompleted(event, context, constants);
+            case "FraudProofSubmitted":
+                return this.onFraudProof(event, context, constants);
+            case "MerkleRootUpdated":
+                return this.onMerkleRootUpdated(event, context);
+            case "tick":
+                return this.onTick(event, context, constants);
+            default:
+                return [];
+        }
+    }
+
+    /**
+     * Challenge period and large withdrawal threshold, from config or the
+     * bridge contract's constants
+     */
+    async getBridgeConstants({ contract, thresholds }) {
+        if (!this.state.bridgeConstants) {
+            const read = async (name, fallback) => {
+                try {
+                    return await contract[name]();
+                } catch (error) {
+                    return fallback;
+                }
+            };
+
+            this.state.bridgeConstants = {
+                challengePeriod: Number(await read("CHALLENGE_PERIOD", 7n * 24n * 60n * 60n)),
+                largeWithdrawalThreshold: BigInt(await read("LARGE_WITHDRAWAL_THRESHOLD", ethers.parseEther("10")))
+            };
+        }
+
+        return {
+            challengePeriod: thresholds.challengePeriod ?? this.state.bridgeConstants.challengePeriod,
+            largeWithdrawalThreshold: thresholds.largeWithdrawalThreshold !== null
+                ? BigInt(thresholds.largeWithdrawalThreshold)
+                : this.state.bridgeConstants.largeWithdrawalThreshold
+        };
+    }
+
+    /**
+     * Chain time of the block an event was mined in, in seconds
+     */
+    async chainTime(event, { monitor }) {
+        return Math.floor(await monitor.getBlockTimestamp(event.blockNumber) / 1000);
+    }
+
+    async onInitiated(event, context, { challengePeriod }) {
+        const { user, amount, txHash, timestamp } = event.args;
+        const initiatedAt = Number(timestamp);
+
+        this.state.pending.set(txHash, {
+            txHash,
+            user,
+            amount: amount.toString(),
+            initiatedAt,
+            challengeEndsAt: initiatedAt + challengePeriod,
+            blockNumber: event.blockNumber,
+            transactionHash: event.transactionHash,
+            warned: false
+        });
+
+        return this.recordWithdrawal(event, initiatedAt, txHash, context);
+    }
+
+    async onCompleted(event, context, { challengePeriod, largeWithdrawalThreshold }) {
+        const { user, amount, txHash } = event.args;
+        const completedAt = await this.chainTime(event, context);
+        const pending = this.state.pending.get(txHash);
+        const alerts = [];
+
+        if (this.state.cancelled.has(txHash)) {
+            alerts.push(this.alert(event, {
+                type: "CANCELLED_WITHDRAWAL_COMPLETED",
+                severity: "CRITICAL",
+                user,
+                details: `Withdrawal ${txHash} completed after a fraud proof cancelled it`,
+                txHash: event.transactionHash,
+                bridgeTxHash: txHash,
+                amount: ethers.formatEther(amount)
+            }));
+        } else if (!pending && amount >= largeWithdrawalThreshold) {
+            alerts.push(this.alert(event, {
+                type: "COMPLETION_WITHOUT_INITIATION",
+                severity: "CRITICAL",
+                user,
+                details: `Large withdrawal of ${ethers.formatEther(amount)} ETH completed ` +
+                    "without a matching WithdrawalInitiated (backfill to rule out a restart gap)",
+                txHash: event.transactionHash,
+                bridgeTxHash: txHash,
+                amount: ethers.formatEther(amount)
+            }));
+        } else if (pending && completedAt - pending.initiatedAt < challengePeriod) {
+            alerts.push(this.alert(event, {
+                type: "PREMATURE_WITHDRAWAL_COMPLETION",
+                severity: "CRITICAL",
+                user,
+                details: `Withdrawal completed ${formatDuration(completedAt - pending.initiatedAt)} ` +
+                    `after initiation, challenge period is ${formatDuration(challengePeriod)}`,
+                txHash: event.transactionHash,
+                bridgeTxHash: txHash,
+                amount: ethers.formatEther(amount),
+                initiatedAt: new Date(pending.initiatedAt * 1000).toISOString()
+            }));
+        }
+
+        this.state.pending.delete(txHash);
+        this.state.cancelled.delete(txHash);
+
+        return alerts.concat(await this.recordWithdrawal(event, completedAt, txHash, context));
+    }
+
+    /**
+     * Cancelled withdrawals are watched for a completion until one more
+     * challenge period has passed after their own window closed
+     */
+    async onFraudProof(event, context, { challengePeriod }) {
+        const { txHash, reporter } = event.args;
+        const pending = this.state.pending.get(txHash);
+        const startedAt = pending ? pending.initiatedAt : await this.chainTime(event, context);
+
+        this.state.pending.delete(txHash);
+        this.state.cancelled.set(txHash, startedAt + 2 * challengePeriod);
+
+        return [this.alert(event, {
+            type: "FRAUD_PROOF_SUBMITTED",
+            severity: "MEDIUM",
+            user: pending && pending.user,
+            details: `Withdrawal ${txHash} cancelled by fraud proof from ${reporter}`,
+            txHash: event.transactionHash,
+            bridgeTxHash: txHash,
+            amount: pending && ethers.formatEther(pending.amount)
+        })];
+    }
+
+    async onMerkleRootUpdated(event, context) {
+        const timestamp = await this.chainTime(event, context);
+        this.state.merkleUpdates.push({
+            timestamp,
+            root: event.args.newRoot,
+            blockNumber: event.blockNumber,
+            flagged: false
+        });
+
+        return this.checkMerkleBursts(event, timestamp, context.thresholds);
+    }
+
+    async recordWithdrawal(event, timestamp, txHash, context) {
+        this.state.recentWithdrawals.push({ timestamp, txHash });
+        return this.checkMerkleBursts(event, timestamp, context.thresholds);
+    }
+
+    /**
+     * Flag merkle root updates with a burst of withdrawals around them
+     */
+    checkMerkleBursts(event, now, { merkleBurstWindow, merkleBurstWithdrawals }) {
+        const alerts = [];
+
+        this.state.recentWithdrawals = this.state.recentWithdrawals
+            .filter(w => now - w.timestamp <= 2 * merkleBurstWindow);
+        this.state.merkleUpdates = this.state.merkleUpdates
+            .filter(update => now - update.timestamp <= merkleBurstWindow);
+
+        this.state.merkleUpdates
+            .filter(update => !update.flagged)
+            .forEach(update => {
+                const nearby = this.state.recentWithdrawals.filter(
+                    w => Math.abs(w.timestamp - update.timestamp) <= merkleBurstWindow
+                );
+                if (nearby.length < merkleBurstWithdrawals) return;
+
+                update.flagged = true;
+                alerts.push(this.alert(event, {
+                    type: "MERKLE_ROOT_UPDATE_DURING_WITHDRAWAL_BURST",
+                    severity: "HIGH",
+                    details: `Merkle root updated to ${update.root} with ${nearby.length} withdrawals ` +
+                        `within ${formatDuration(merkleBurstWindow)}`,
+                    merkleRoot: update.root,
+                    blockNumber: update.blockNumber,
+                    withdrawals: nearby.map(w => w.txHash)
+                }));
+            });
+
+        return alerts;
+    }
+
+    /**
+     * Report pending withdrawals close to the end of their challenge window
+     * that nobody has reviewed, and stop watching cancelled withdrawals
+     * whose watch has run out
+     */
+    onTick(event, { thresholds, monitor }, { challengePeriod }) {
+        const now = Math.floor(event.timestamp / 1000);
+        const { reviewWarningWindow } = thresholds;
+        const alerts = [];
+
+        this.state.cancelled.forEach((watchUntil, txHash) => {
+            if (now > watchUntil) this.state.cancelled.delete(txHash);
+        });
+
+        this.state.pending.forEach(withdrawal => {
+            const challengeEndsAt = withdrawal.initiatedAt + challengePeriod;
+            const remaining = challengeEndsAt - now;
+            if (withdrawal.warned || remaining > reviewWarningWindow) return;
+            if (monitor.withdrawalReviews.get(withdrawal.txHash)) return;
+
+            withdrawal.warned = true;
+            alerts.push(this.alert(event, {
+                type: "CHALLENGE_WINDOW_EXPIRING_UNREVIEWED",
+                severity: "HIGH",
+                user: withdrawal.user,
+                details: remaining > 0
+                    ? `Unreviewed withdrawal of ${ethers.formatEther(withdrawal.amount)} ETH ` +
+                        `leaves its challenge window in ${formatDuration(remaining)}`
+                    : `Unreviewed withdrawal of ${ethers.formatEther(withdrawal.amount)} ETH ` +
+                        "is past its challenge window and can be completed",
+                txHash: withdrawal.transactionHash,
+                bridgeTxHash: withdrawal.txHash,
+                blockNumber: withdrawal.blockNumber,
+                challengeEndsAt: new Date(challengeEndsAt * 1000).toISOString()
+            }));
+        });
+
+        return alerts;
+    }
+}
+
+function formatDuration(seconds) {
+    if (seconds >= 86400) return `${(seconds / 86400).toFixed(1)}d`;
+    if (seconds >= 3600) return `${(seconds / 3600).toFixed(1)}h`;
+    if (seconds >= 60) return `${Math.round(seconds / 60)}m`;
+    return `${seconds}s`;
+}
+
+module.exports = BridgeLifecycleDetector;
@@ -0,0 +1,72 @@
+const Detector = require("../detector");
+
+/**
+ * Detects rapid or repeated withdrawals by the same user
+ */
+class DoubleSpendingDetector extends Detector {
+    constructor() {
+        super({
+            name: "double-spending",
+            description: "Rapid withdrawals and repeated identical amounts per user",
+            events: ["Withdrawal", "WithdrawalInitiated"],
+            contractKinds: ["bridge", "bank"],
+            defaults: {
+                rapidWithdrawals: 5,
+                suspiciousPattern: 3,
+                doubleSpendingWindow: 60000 // 1 minute in milliseconds
+            }
+        });
+    }
+
+    createState() {
+        return { withdrawals: new Map() };
+    }
+
+    async evaluate(event, { thresholds }) {
+        const { user, amount } = event.args;
+        const now = event.timestamp;
+        const alerts = [];
+
+        // Remove old entries outside time window
+        const recentWithdrawals = (this.state.withdrawals.get(user) || []).filter(
+            w => now - w.timestamp < thresholds.doubleSpendingWindow
+        );
+
+        recentWithdrawals.push({
+            amount: amount.toString(),
+            txHash: event.transactionHash,
+            timestamp: now,
+            blockNumber: event.blockNumber
+        });
+
+        this.state.withdrawals.set(user, recentWithdrawals);
+
+        // Check for suspicious patterns
+        if (recentWithdrawals.length >= thresholds.rapidWithdrawals) {
+            alerts.push(this.alert(event, {
+                type: "POTENTIAL_DOUBLE_SPENDING",
+                severity: "CRITICAL",
+                user,
+                details: `${recentWithdrawals.length} withdrawals in ${thresholds.doubleSpendingWindow / 1000}s`,
+                withdrawals: recentWithdrawals
+            }));
+        }
+
+        // Check for similar amounts (possible replay attack)
+        const amounts = recentWithdrawals.map(w => w.amount);
+        const uniqueAmounts = new Set(amounts);
+        if (amounts.length - uniqueAmounts.size >= thresholds.suspiciousPattern) {
+            alerts.push(this.alert(event, {
+                type: "SUSPICIOUS_PATTERN",
+                severity: "HIGH",
+                user,
+                details: "Multiple withdrawals of identical amounts",
+                withdrawals: recentWithdrawals
+            }));
+        }
+
+        return alerts;
+    }
+}
+
+module.exports = DoubleSpendingDetector;
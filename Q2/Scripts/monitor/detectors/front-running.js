@@ -0,0 +1,91 @@
+const { ethers } = require("ethers");
+const Detector = require("../detector");
+
+/**
+ * Watches the mempool for transactions to the contract that outbid
+ * similar pending transactions by a wide gas price margin
+ */
+class FrontRunningDetector extends Detector {
+    constructor() {
+        super({
+            name: "front-running",
+            description: "High gas price transactions racing similar pending transactions",
+            events: ["pending"],
+            contractKinds: ["dex"],
+            defaults: {
+                gasSpike: 2.0, // Gas price multiplier for front-running detection
+                frontRunningWindow: 10000, // 10 seconds
+                pendingRetention: 60000
+            }
+        });
+    }
+
+    createState() {
+        return { pendingTxs: new Map() };
+    }
+
+    // The mempool view is not rolled back on a reorg
+    snapshot() {
+        return null;
+    }
+
+    async evaluate(event, { provider, contractAddress, thresholds }) {
+        const tx = await provider.getTransaction(event.txHash);
+        if (!tx || !tx.to || tx.to.toLowerCase() !== contractAddress.toLowerCase()) return [];
+
+        const now = event.timestamp;
+        const pendingTxs = this.state.pendingTxs;
+        const gasPriceGwei = ethers.formatUnits(tx.gasPrice || 0n, "gwei");
+        const alerts = [];
+
+        // Check for suspicious gas price patterns
+        const avgGasPrice = await this.getAverageGasPrice(provider);
+        const gasMultiplier = parseFloat(gasPriceGwei) / avgGasPrice;
+
+        if (gasMultiplier > thresholds.gasSpike) {
+            // Check if there are similar pending transactions with lower gas
+            const similarTxs = Array.from(pendingTxs.values()).filter(
+                t => t.to === tx.to &&
+                parseFloat(t.gasPrice) < parseFloat(gasPriceGwei) &&
+                now - t.timestamp < thresholds.frontRunningWindow
+            );
+
+            if (similarTxs.length > 0) {
+                alerts.push(this.alert(event, {
+                    type: "POTENTIAL_FRONT_RUNNING",
+                    severity: "HIGH",
+                    details: `Transaction with ${gasMultiplier.toFixed(2)}x average gas price`,
+                    txHash: event.txHash,
+                    gasPrice: gasPriceGwei,
+                    avgGasPrice: avgGasPrice.toFixed(2),
+                    similarTxs: similarTxs.length
+                }));
+            }
+        }
+
+        pendingTxs.set(event.txHash, {
+            to: tx.to,
+            gasPrice: gasPriceGwei,
+            timestamp: now
+        });
+
+        // Cleanup old entries
+        for (const [hash, data] of pendingTxs) {
+            if (now - data.timestamp > thresholds.pendingRetention) {
+                pendingTxs.delete(hash);
+            }
+        }
+
+        return alerts;
+    }
+
+    /**
+     * Get average gas price
+     */
+    async getAverageGasPrice(provider) {
+        const feeData = await provider.getFeeData();
+        return parseFloat(ethers.formatUnits(feeData.gasPrice || 0n, "gwei"));
+    }
+}
+
+module.exports = FrontRunningDetector;
@@ -0,0 +1,13 @@
+/**
+ * Built-in detectors, registered by default
+ */
+module.exports = [
+    require("./double-spending"),
+    require("./reentrancy"),
+    require("./front-running"),
+    require("./sandwich"),
+    require("./price-manipulation"),
+    require("./large-transactions"),
+    require("./balance-invariant"),
+    require("./bridge-lifecycle")
+];
@@ -0,0 +1,44 @@
+const { ethers } = require("ethers");
+const Detector = require("../detector");
+
+/**
+ * Flags deposits and withdrawals above the large transaction threshold
+ */
+class LargeTransactionDetector extends Detector {
+    constructor() {
+        super({
+            name: "large-transactions",
+            description: "Deposits and withdrawals above the large transaction threshold",
+            events: ["Deposit", "Withdrawal", "WithdrawalInitiated"],
+            contractKinds: ["bridge", "bank"],
+            defaults: {
+                largeWithdrawal: ethers.parseEther("10")
+            }
+        });
+    }
+
+    async evaluate(event, { thresholds }) {
+        const { user, amount } = event.args;
+        if (amount < BigInt(thresholds.largeWithdrawal)) return [];
+
+        if (event.name === "Deposit") {
+            return [this.alert(event, {
+                type: "LARGE_DEPOSIT",
+                severity: "MEDIUM",
+                user,
+                amount: ethers.formatEther(amount),
+                details: "Large deposit detected"
+            })];
+        }
+
+        return [this.alert(event, {
+            type: "LARGE_WITHDRAWAL",
+            severity: "HIGH",
+            user,
+            amount: ethers.formatEther(amount),
+            details: "Large withdrawal detected - may require additional verification"
+        })];
+    }
+}
+
+module.exports = LargeTransactionDetector;
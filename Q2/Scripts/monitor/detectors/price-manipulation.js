@@ -0,0 +1,64 @@
+const { ethers } = require("ethers");
+const Detector = require("../detector");
+
+/**
+ * Compares the DEX price after each swap with the previously observed price
+ */
+class PriceManipulationDetector extends Detector {
+    constructor() {
+        super({
+            name: "price-manipulation",
+            description: "Large single-swap price movements on DEX contracts",
+            events: ["Swap"],
+            contractKinds: ["dex"],
+            defaults: {
+                priceDeviation: 10, // Percentage price change
+                priceHistorySize: 100
+            }
+        });
+    }
+
+    createState() {
+        return { lastPrice: 0n, priceHistory: [] };
+    }
+
+    async evaluate(event, { contract, thresholds }) {
+        const { user, amountIn, amountOut } = event.args;
+        const currentPrice = await contract.getPrice({ blockTag: event.blockNumber });
+        const lastPrice = this.state.lastPrice;
+        const alerts = [];
+
+        if (lastPrice > 0n) {
+            const priceChange = Number(currentPrice - lastPrice) / Number(lastPrice) * 100;
+
+            if (Math.abs(priceChange) > thresholds.priceDeviation) {
+                alerts.push(this.alert(event, {
+                    type: "PRICE_MANIPULATION",
+                    severity: "HIGH",
+                    user,
+                    details: `Price changed ${priceChange.toFixed(2)}% in single swap`,
+                    lastPrice: ethers.formatEther(lastPrice),
+                    currentPrice: ethers.formatEther(currentPrice),
+                    amountIn: ethers.formatEther(amountIn),
+                    amountOut: ethers.formatEther(amountOut)
+                }));
+            }
+        }
+
+        this.state.priceHistory.push({
+            price: currentPrice,
+            timestamp: event.timestamp,
+            user
+        });
+
+        if (this.state.priceHistory.length > thresholds.priceHistorySize) {
+            this.state.priceHistory.shift();
+        }
+
+        this.state.lastPrice = currentPrice;
+
+        return alerts;
+    }
+}
+
+module.exports = PriceManipulationDetector;
@@ -0,0 +1,217 @@
+const Detector = require("../detector");
+const { traceTransaction, findReentries, ContractResolver } = require("../call-trace");
+
+// Functions that send funds out, the ones a re-entry goes through
+const WITHDRAWAL_FUNCTION = /withdraw|claim|redeem|refund/i;
+const TRACE_CACHE_SIZE = 500;
+
+/**
+ * Traces the transactions of a block that touch the contract and flags
+ * the contract being called again while an outer frame on it is still
+ * executing, into any function, as POTENTIAL_REENTRANCY. Re-entries that
+ * were rolled back are reported as attempts (outcome "rolled-back").
+ *
+ * Reverted transactions leave no logs, so they are traced when they call
+ * one of the contract's withdrawal-style functions directly or call
+ * another contract, up to maxFailedTraces per block. Traces are cached
+ * per transaction.
+ * Falls back to counting Withdrawal events per transaction on nodes
+ * without debug_traceTransaction.
+ */
+class ReentrancyDetector extends Detector {
+    constructor() {
+        super({
+            name: "reentrancy",
+            description: "Contract re-entered while an outer call to it is still active",
+            events: ["block"],
+            contractKinds: ["bridge", "bank"],
+            defaults: {
+                maxFailedTraces: 10 // reverted transactions traced per block
+            }
+        });
+    }
+
+    createState() {
+        return { resolver: null, tracingUnsupported: false, traces: new Map() };
+    }
+
+    // Caches only; kept across a reorg
+    snapshot() {
+        return null;
+    }
+
+    async evaluate(event, { provider, contractAddress, monitor, thresholds }) {
+        const block = await provider.getBlock(event.blockNumber, true);
+        if (!block) return [];
+
+        if (!this.state.resolver) {
+            this.state.resolver = new ContractResolver(provider);
+            if (monitor.contractName) {
+                this.state.resolver.register(contractAddress, monitor.contractName, monitor.contractABI);
+            }
+        }
+        // The monitor replaces its provider when it reconnects
+        this.state.resolver.provider = provider;
+
+        const target = contractAddress.toLowerCase();
+        const withdrawals = withdrawalSelectors(monitor.contract.interface);
+        let failedTraces = 0;
+        let skipped = 0;
+        const alerts = [];
+
+        for (const tx of block.prefetchedTransactions) {
+            const receipt = await provider.getTransactionReceipt(tx.hash);
+            if (!receipt) continue;
+
+            const failed = receipt.status !== 1;
+            const toContract = Boolean(tx.to) && tx.to.toLowerCase() === target;
+            if (failed) {
+                const mayReenter = toContract
+                    ? withdrawals.has(tx.data.slice(0, 10))
+                    : Boolean(tx.to) && tx.data.length >= 10;
+                if (!mayReenter) continue;
+                if (failedTraces >= thresholds.maxFailedTraces) {
+                    skipped++;
+                    continue;
+                }
+                failedTraces++;
+            } else if (!toContract && !receipt.logs.some(log => log.address.toLowerCase() === target)) {
+                continue;
+            }
+
+            const root = await this.trace(provider, tx);
+
+            let alert = null;
+            if (root) {
+                alert = await this.reentryAlert(event, tx, root, contractAddress);
+            } else if (!failed) {
+                alert = this.withdrawalCountAlert(event, tx, receipt, monitor.contract);
+            }
+            if (alert) alerts.push(alert);
+        }
+
+        if (skipped > 0) {
+            console.warn(`Reentrancy: ${skipped} reverted transaction(s) in block ${event.blockNumber} ` +
+                `not traced (maxFailedTraces ${thresholds.maxFailedTraces})`);
+        }
+        return alerts;
+    }
+
+    /**
+     * Call tree of a transaction, cached per block and transaction hash;
+     * null once the node turned out not to support tracing. Other trace
+     * errors are thrown.
+     */
+    async trace(provider, tx) {
+        if (this.state.tracingUnsupported) return null;
+
+        const key = `${tx.blockHash}:${tx.hash}`;
+        if (!this.state.traces.has(key)) {
+            let root;
+            try {
+                root = await traceTransaction(provider, tx);
+            } catch (error) {
+                // Timeouts and dropped connections are retried with the block
+                if (!isMethodNotFound(error)) throw error;
+                this.state.tracingUnsupported = true;
+                console.warn(`debug_traceTransaction unavailable (${error.message}); ` +
+                    "falling back to Withdrawal event counting");
+                return null;
+            }
+
+            this.state.traces.set(key, root);
+            if (this.state.traces.size > TRACE_CACHE_SIZE) {
+                this.state.traces.delete(this.state.traces.keys().next().value);
+            }
+        }
+        return this.state.traces.get(key);
+    }
+
+    /**
+     * Alert describing the first re-entry in a call tree, with the call
+     * path from the outermost frame on the contract to the re-entered one.
+     * Re-entries that took effect are preferred over rolled-back ones.
+     */
+    async reentryAlert(event, tx, root, contractAddress) {
+        const all = findReentries(root, contractAddress);
+        if (all.length === 0) return null;
+
+        const effective = all.filter(reentry => !reentry.reverted);
+        const reentries = effective.length > 0 ? effective : all;
+        const attempt = effective.length === 0;
+
+        const resolver = this.state.resolver;
+        const { path } = reentries[0];
+        const target = contractAddress.toLowerCase();
+        const outer = path.findIndex(frame => frame.address && frame.address.toLowerCase() === target);
+
+        const names = [];
+        for (const frame of path) {
+            names.push(await resolver.describe(frame));
+        }
+        const reentryPath = names.slice(outer + 1).join(" -> ");
+
+        const functions = new Set();
+        for (const { frame } of reentries) {
+            functions.add(await resolver.describe(frame));
+        }
+
+        return this.alert(event, {
+            type: "POTENTIAL_REENTRANCY",
+            severity: attempt ? "HIGH" : "CRITICAL",
+            user: tx.from,
+            details: `${names[outer]} re-entered ${reentries.length} time(s) via ${reentryPath}` +
+                (attempt ? " (rolled back)" : ""),
+            outcome: attempt ? "rolled-back" : "effective",
+            txHash: tx.hash,
+            callPath: names.join(" -> "),
+            reentryPath,
+            reenteredFunctions: Array.from(functions),
+            reentries: reentries.length
+        });
+    }
+
+    /**
+     * Several Withdrawal events from the contract in one transaction
+     */
+    withdrawalCountAlert(event, tx, receipt, contract) {
+        const withdrawal = contract.interface.getEvent("Withdrawal");
+        if (!withdrawal) return null;
+
+        const withdrawalEvents = receipt.logs.filter(log =>
+            log.address.toLowerCase() === contract.target.toLowerCase() &&
+            log.topics[0] === withdrawal.topicHash
+        );
+        if (withdrawalEvents.length <= 1) return null;
+
+        return this.alert(event, {
+            type: "MULTIPLE_WITHDRAWALS_IN_TX",
+            severity: "CRITICAL",
+            user: tx.from,
+            details: `${withdrawalEvents.length} withdrawal events in single transaction`,
+            txHash: tx.hash
+        });
+    }
+}
+
+/**
+ * Selectors of a contract's withdrawal-style functions
+ */
+function withdrawalSelectors(iface) {
+    const selectors = new Set();
+    iface.forEachFunction(fragment => {
+        if (WITHDRAWAL_FUNCTION.test(fragment.name)) selectors.add(fragment.selector);
+    });
+    return selectors;
+}
+
+/**
+ * Whether an RPC error says the node has no such method (JSON-RPC -32601),
+ * as opposed to a failure worth retrying
+ */
+function isMethodNotFound(error) {
+    const codes = [error.code, error.error && error.error.code, error.info && error.info.error && error.info.error.code];
+    return codes.includes(-32601) || /does not exist|method not found/i.test(error.message || "");
+}
+
+module.exports = ReentrancyDetector;
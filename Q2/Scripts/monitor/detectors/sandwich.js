@@ -0,0 +1,344 @@
+const { ethers } = require("ethers");
+const Detector = require("../detector");
+
+/**
+ * Swap entry points whose calldata is decoded, on the DEX itself and on
+ * FrontRunnerBot contracts pointed at it
+ */
+const SWAP_INTERFACE = new ethers.Interface([
+    "function swapAForB(uint256 amountIn)",
+    "function swapBForA(uint256 amountIn)",
+    "function swapAForBSecure(uint256 amountIn, uint256 minAmountOut, uint256 deadline)",
+    "function swapBForASecure(uint256 amountIn, uint256 minAmountOut, uint256 deadline)",
+    "function frontRunSwap(uint256 frontRunAmount, uint256 expectedProfit)"
+]);
+
+const BOT_INTERFACE = new ethers.Interface(["function dex() view returns (address)"]);
+
+const DIRECTIONS = {
+    swapAForB: "AtoB",
+    swapAForBSecure: "AtoB",
+    swapBForA: "BtoA",
+    swapBForASecure: "BtoA"
+};
+
+/**
+ * Decodes swaps from pending and mined transactions and pairs them by
+ * ordering: an attacker swap, one or more victim swaps in the same
+ * direction, then the attacker swapping back. Profit is estimated by
+ * replaying the ordering through the DEX's getAmountOut formula.
+ */
+class SandwichDetector extends Detector {
+    constructor() {
+        super({
+            name: "sandwich",
+            description: "Attacker-victim-attacker swap orderings in the mempool and in mined blocks",
+            events: ["pending", "block"],
+            contractKinds: ["dex"],
+            defaults: {
+                feePercent: 3n, // Used when the DEX does not expose FEE_PERCENT
+                pendingRetention: 60000
+            }
+        });
+    }
+
+    createState() {
+        return { pending: new Map(), bots: new Map(), feePercent: null };
+    }
+
+    // Mempool view and caches only; kept across a reorg
+    snapshot() {
+        return null;
+    }
+
+    async evaluate(event, context) {
+        await this.loadFeePercent(context.contract, context.thresholds);
+        return event.name === "pending"
+            ? this.evaluatePending(event, context)
+            : this.evaluateBlock(event, context);
+    }
+
+    /**
+     * Add a pending swap to the mempool view and look for sandwiches in
+     * the order a miner would include the pending swaps
+     */
+    async evaluatePending(event, context) {
+        const { provider, contract, thresholds } = context;
+        const now = event.timestamp;
+
+        for (const [hash, swap] of this.state.pending) {
+            if (now - swap.seenAt > thresholds.pendingRetention) {
+                this.state.pending.delete(hash);
+            }
+        }
+
+        const tx = await provider.getTransaction(event.txHash);
+        if (!tx || tx.blockNumber != null) return [];
+
+        const swap = await this.decodeSwap(tx, context);
+        if (!swap) return [];
+
+        swap.seenAt = now;
+        this.state.pending.set(swap.hash, swap);
+
+        const ordering = predictOrdering(Array.from(this.state.pending.values()));
+        const [reserveA, reserveB] = await contract.getReserves();
+
+        return this.findSandwiches(ordering)
+            .filter(sandwich => sandwich.legs.some(leg => leg.hash === swap.hash))
+            .map(sandwich => this.sandwichAlert(event, sandwich, ordering, { reserveA, reserveB }, {
+                type: "PENDING_SANDWICH",
+                severity: "HIGH",
+                where: "in the mempool"
+            }));
+    }
+
+    /**
+     * Rebuild the swap ordering of a mined block and replay it from the
+     * reserves at the end of the previous block
+     */
+    async evaluateBlock(event, context) {
+        const { provider, contract } = context;
+        const block = await provider.getBlock(event.blockNumber, true);
+        if (!block) return [];
+
+        const ordering = [];
+        for (const tx of block.prefetchedTransactions) {
+            this.state.pending.delete(tx.hash);
+
+            const swap = await this.decodeSwap(tx, context);
+            if (!swap) continue;
+
+            const receipt = await provider.getTransactionReceipt(tx.hash);
+            if (receipt && receipt.status === 1) {
+                ordering.push(swap);
+            }
+        }
+
+        if (ordering.length < 3) return [];
+
+        const [reserveA, reserveB] = await contract.getReserves({ blockTag: event.blockNumber - 1 });
+
+        return this.findSandwiches(ordering)
+            .map(sandwich => this.sandwichAlert(event, sandwich, ordering, { reserveA, reserveB }, {
+                type: "SANDWICH_ATTACK",
+                severity: "CRITICAL",
+                where: `in block ${event.blockNumber}`
+            }));
+    }
+
+    /**
+     * Decode a transaction into a swap on this DEX, or null.
+     * FrontRunnerBot.frontRunSwap is decoded as its two inner legs.
+     */
+    async decodeSwap(tx, { provider, contractAddress }) {
+        if (!tx.to || !tx.data) return null;
+
+        let call;
+        try {
+            call = SWAP_INTERFACE.parseTransaction({ data: tx.data });
+        } catch {
+            return null;
+        }
+        if (!call) return null;
+
+        const swap = {
+            hash: tx.hash,
+            from: tx.from.toLowerCase(),
+            nonce: tx.nonce,
+            gasPrice: tx.gasPrice ?? tx.maxFeePerGas ?? 0n,
+            method: call.name
+        };
+
+        if (call.name === "frontRunSwap") {
+            if (!await this.isBotForDex(tx.to, contractAddress, provider)) return null;
+            swap.direction = "AtoB";
+            swap.amountIn = call.args.frontRunAmount;
+            swap.roundTrip = true;
+            return swap;
+        }
+
+        if (tx.to.toLowerCase() !== contractAddress.toLowerCase()) return null;
+        swap.direction = DIRECTIONS[call.name];
+        swap.amountIn = call.args.amountIn;
+        return swap;
+    }
+
+    /**
+     * Whether a FrontRunnerBot contract trades against this DEX (cached)
+     */
+    async isBotForDex(botAddress, contractAddress, provider) {
+        const key = botAddress.toLowerCase();
+        if (!this.state.bots.has(key)) {
+            const bot = new ethers.Contract(botAddress, BOT_INTERFACE, provider);
+            const dex = await bot.dex().catch(() => ethers.ZeroAddress);
+            this.state.bots.set(key, dex.toLowerCase() === contractAddress.toLowerCase());
+        }
+        return this.state.bots.get(key);
+    }
+
+    /**
+     * Attacker-victim-attacker patterns in an ordering: a front leg, the
+     * next swap by the same sender in the opposite direction as back leg,
+     * and every other sender's same-direction swap between them as victims.
+     * A FrontRunnerBot round trip buys then sells in one transaction, so
+     * it serves as a front leg (its buy) or as a back leg (its sale).
+     */
+    findSandwiches(ordering) {
+        const sandwiches = [];
+
+        ordering.forEach((front, i) => {
+            const k = ordering.findIndex((swap, index) => index > i && swap.from === front.from);
+            if (k === -1) return;
+
+            const back = ordering[k];
+            const backDirection = back.roundTrip ? opposite(back.direction) : back.direction;
+            if (backDirection === front.direction) return;
+
+            const victims = ordering
+                .slice(i + 1, k)
+                .filter(swap => swap.from !== front.from && swap.direction === front.direction);
+            if (victims.length > 0) {
+                sandwiches.push({ front, victims, back, legs: [front, ...victims, back] });
+            }
+        });
+
+        return sandwiches;
+    }
+
+    /**
+     * Alert for one sandwich with the attacker's estimated profit and the
+     * victims' loss against the same ordering without the front leg
+     */
+    sandwichAlert(event, sandwich, ordering, reserves, { type, severity, where }) {
+        const { front, victims, back } = sandwich;
+        const fee = this.state.feePercent;
+        const outputs = simulate(ordering, reserves, fee);
+        const withoutFront = simulate(ordering.filter(swap => swap !== front), reserves, fee);
+
+        let profit;
+        if (front.roundTrip || back.roundTrip) {
+            // Round trips sell back what they buy: net change in the starting token
+            const spent = front.amountIn + (back.roundTrip ? back.amountIn : 0n);
+            const received = outputs.get(back.hash) + (front.roundTrip ? outputs.get(front.hash) : 0n);
+            profit = received - spent;
+        } else {
+            // Cost basis of the tokens sold back, in the token the attacker started with
+            const frontOut = outputs.get(front.hash);
+            const cost = frontOut > 0n ? (front.amountIn * back.amountIn) / frontOut : front.amountIn;
+            profit = outputs.get(back.hash) - cost;
+        }
+        const victimLoss = victims.reduce(
+            (total, victim) => total + (withoutFront.get(victim.hash) - outputs.get(victim.hash)),
+            0n
+        );
+
+        const [tokenIn, tokenOut] = front.direction === "AtoB" ? ["A", "B"] : ["B", "A"];
+
+        return this.alert(event, {
+            type,
+            severity,
+            details: `${front.from} sandwiched ${victims.length} ${tokenIn}->${tokenOut} swap(s) ${where}; ` +
+                `estimated profit ${ethers.formatEther(profit)} token ${tokenIn}`,
+            user: front.from,
+            txHash: front.hash,
+            frontTx: front.hash,
+            victimTxs: victims.map(victim => victim.hash),
+            victims: victims.map(victim => victim.from),
+            backTx: back.hash,
+            estimatedProfit: ethers.formatEther(profit),
+            victimLoss: ethers.formatEther(victimLoss),
+            profitToken: tokenIn
+        });
+    }
+
+    /**
+     * Read the DEX fee once so the estimate uses the deployed formula
+     */
+    async loadFeePercent(contract, thresholds) {
+        if (this.state.feePercent === null) {
+            this.state.feePercent = contract.interface.getFunction("FEE_PERCENT")
+                ? await contract.FEE_PERCENT()
+                : thresholds.feePercent;
+        }
+        return this.state.feePercent;
+    }
+}
+
+/**
+ * Constant product output with fee, as computed by VulnerableDEX and SecureDEX
+ */
+function getAmountOut(amountIn, reserveIn, reserveOut, feePercent) {
+    if (amountIn <= 0n || reserveIn <= 0n || reserveOut <= 0n) return 0n;
+    const amountInWithFee = amountIn * (1000n - feePercent);
+    return (amountInWithFee * reserveOut) / (reserveIn * 1000n + amountInWithFee);
+}
+
+function opposite(direction) {
+    return direction === "AtoB" ? "BtoA" : "AtoB";
+}
+
+/**
+ * Replay swaps in order against the reserves, returning each swap's
+ * output amount by transaction hash. Round trips net to their final leg.
+ */
+function simulate(ordering, { reserveA, reserveB }, feePercent) {
+    const outputs = new Map();
+    let a = reserveA;
+    let b = reserveB;
+
+    const swap = (direction, amountIn) => {
+        if (direction === "AtoB") {
+            const out = getAmountOut(amountIn, a, b, feePercent);
+            a += amountIn;
+            b -= out;
+            return out;
+        }
+        const out = getAmountOut(amountIn, b, a, feePercent);
+        b += amountIn;
+        a -= out;
+        return out;
+    };
+
+    for (const entry of ordering) {
+        let out = swap(entry.direction, entry.amountIn);
+        if (entry.roundTrip) {
+            out = swap(opposite(entry.direction), out);
+        }
+        outputs.set(entry.hash, out);
+    }
+
+    return outputs;
+}
+
+/**
+ * Order pending swaps the way a fee-priority miner would: highest gas
+ * price first, but never ahead of a lower nonce from the same sender
+ */
+function predictOrdering(swaps) {
+    const bySender = new Map();
+    swaps
+        .slice()
+        .sort((a, b) => a.nonce - b.nonce)
+        .forEach(swap => {
+            if (!bySender.has(swap.from)) bySender.set(swap.from, []);
+            bySender.get(swap.from).push(swap);
+        });
+
+    const ordering = [];
+    while (bySender.size > 0) {
+        let next = null;
+        for (const queue of bySender.values()) {
+            if (!next || queue[0].gasPrice > next.gasPrice) next = queue[0];
+        }
+        ordering.push(next);
+
+        const queue = bySender.get(next.from);
+        queue.shift();
+        if (queue.length === 0) bySender.delete(next.from);
+    }
+
+    return ordering;
+}
+
+module.exports = SandwichDetector;
@@ -0,0 +1,247 @@
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+const { ethers } = require("ethers");
+const { toJSON } = require("./notifiers/format");
+const MonitorMetrics = require("./metrics");
+
+const DASHBOARD_PATH = path.join(__dirname, "dashboard/index.html");
+const HEARTBEAT_INTERVAL = 15000;
+const MAX_BODY_BYTES = 64 * 1024;
+
+/**
+ * Embedded HTTP API and dashboard for a SecurityMonitor or MonitorFleet.
+ *
+ * GET /          dashboard page
+ * GET /health    monitor status
+ * GET /alerts    stored alerts (type, severity, user, contract, since, until, limit)
+ * GET /report    generateReport() output
+ * GET /prices    DEX price history per monitored contract
+ * GET /withdrawals
+ *                pending large bridge withdrawals and their reviews per contract
+ * POST /withdrawals/review
+ *                review a pending withdrawal: JSON { contract, txHash, by, note }
+ * GET /events    Server-Sent Events stream of new alerts
+ * GET /metrics   Prometheus metrics
+ */
+class MonitorHttpServer {
+    constructor(source, { port = 8787, host = "127.0.0.1", metrics } = {}) {
+        this.source = source;
+        this.metrics = metrics || new MonitorMetrics(source);
+        this.port = port;
+        this.host = host;
+        this.clients = new Set();
+        this.startedAt = Date.now();
+        this.lastAlertAt = null;
+
+        this.onAlert = payload => this.broadcast(payload);
+        this.server = http.createServer((req, res) => {
+            this.handle(req, res).catch(error => {
+                console.error("Monitor API error:", error);
+                this.sendJSON(res, 500, { error: error.message });
+            });
+        });
+    }
+
+    get monitors() {
+        return this.source.monitors || [this.source];
+    }
+
+    start() {
+        this.source.on("alert", this.onAlert);
+        this.metrics.attach();
+        this.heartbeat = setInterval(() => {
+            this.clients.forEach(res => res.write(": heartbeat\n\n"));
+        }, HEARTBEAT_INTERVAL);
+
+        return new Promise((resolve, reject) => {
+            this.server.once("error", reject);
+            this.server.listen(this.port, this.host, () => {
+                this.port = this.server.address().port;
+                console.log(`Monitor dashboard available at http://${this.host}:${this.port}/`);
+                resolve(this);
+            });
+        });
+    }
+
+    stop() {
+        this.source.off("alert", this.onAlert);
+        this.metrics.detach();
+        clearInterval(this.heartbeat);
+        this.clients.forEach(res => res.end());
+        this.clients.clear();
+
+        return new Promise(resolve => this.server.close(() => resolve()));
+    }
+
+    async handle(req, res) {
+        const url = new URL(req.url, `http://${req.headers.host || "localhost"}`);
+
+        if (url.pathname === "/withdrawals/review") {
+            if (req.method !== "POST") {
+                return this.sendJSON(res, 405, { error: "Method not allowed" });
+            }
+            return this.reviewWithdrawal(req, res);
+        }
+        if (req.method !== "GET") {
+            return this.sendJSON(res, 405, { error: "Method not allowed" });
+        }
+
+        switch (url.pathname) {
+            case "/":
+            case "/index.html":
+                res.writeHead(200, { "Content-Type": "text/html; charset=utf-8" });
+                return res.end(fs.readFileSync(DASHBOARD_PATH));
+            case "/health":
+                return this.sendJSON(res, 200, this.health());
+            case "/alerts":
+                return this.sendJSON(res, 200, this.queryAlerts(url.searchParams));
+            case "/report":
+                return this.sendJSON(res, 200, this.source.generateReport());
+            case "/prices":
+                return this.sendJSON(res, 200, this.priceHistory());
+            case "/withdrawals":
+                return this.sendJSON(res, 200, this.pendingWithdrawals());
+            case "/events":
+                return this.openEventStream(req, res);
+            case "/metrics":
+                res.writeHead(200, { "Content-Type": this.metrics.contentType });
+                return res.end(await this.metrics.render());
+            default:
+                return this.sendJSON(res, 404, { error: `Not found: ${url.pathname}` });
+        }
+    }
+
+    health() {
+        const degraded = this.monitors.some(monitor => monitor.ingestor.failures > 0);
+        return {
+            status: degraded ? "degraded" : "ok",
+            uptimeSeconds: Math.round((Date.now() - this.startedAt) / 1000),
+            lastAlertAt: this.lastAlertAt,
+            streamClients: this.clients.size,
+            monitors: this.monitors.map(monitor => ({
+                label: monitor.label,
+                address: monitor.contractAddress,
+                listening: monitor.subscribedEvents.size > 0,
+                ingestion: monitor.ingestor.status(),
+                detectors: monitor.detectors
+                    .filter(detector => detector.enabled)
+                    .map(detector => detector.name)
+            }))
+        };
+    }
+
+    queryAlerts(params) {
+        const filter = {};
+        ["type", "severity", "user", "contract"].forEach(field => {
+            const values = params.getAll(field).flatMap(value => value.split(","));
+            if (values.length > 0) filter[field] = values;
+        });
+        if (params.has("since")) filter.since = params.get("since");
+        if (params.has("until")) filter.until = params.get("until");
+        filter.limit = Number(params.get("limit")) || 100;
+
+        return this.monitors[0].alertStore.query(filter);
+    }
+
+    priceHistory() {
+        const prices = {};
+        this.monitors
+            .filter(monitor => monitor.getDetector("price-manipulation"))
+            .forEach(monitor => {
+                prices[monitor.label] = monitor.getPriceHistory().map(entry => ({
+                    price: ethers.formatEther(entry.price),
+                    timestamp: new Date(entry.timestamp).toISOString(),
+                    user: entry.user
+                }));
+            });
+        return prices;
+    }
+
+    pendingWithdrawals() {
+        const withdrawals = {};
+        this.monitors
+            .filter(monitor => monitor.getDetector("bridge-lifecycle"))
+            .forEach(monitor => {
+                withdrawals[monitor.label] = monitor.getPendingWithdrawals();
+            });
+        return withdrawals;
+    }
+
+    async reviewWithdrawal(req, res) {
+        let body;
+        try {
+            body = JSON.parse(await readBody(req));
+        } catch (error) {
+            return this.sendJSON(res, 400, { error: `Invalid JSON body: ${error.message}` });
+        }
+
+        const { contract, txHash, by = null, note = null } = body || {};
+        if (typeof txHash !== "string" || !txHash) {
+            return this.sendJSON(res, 400, { error: "txHash is required" });
+        }
+        const monitors = this.monitors.filter(monitor => monitor.getDetector("bridge-lifecycle") &&
+            (contract === undefined || monitor.label === contract));
+        if (contract !== undefined && monitors.length === 0) {
+            return this.sendJSON(res, 404, { error: `No bridge monitored as ${contract}` });
+        }
+
+        for (const monitor of monitors) {
+            const review = monitor.reviewWithdrawal(txHash, { by, note });
+            if (review) {
+                return this.sendJSON(res, 200, { contract: monitor.label, ...review });
+            }
+        }
+        return this.sendJSON(res, 404, { error: `No pending withdrawal ${txHash}` });
+    }
+
+    openEventStream(req, res) {
+        res.writeHead(200, {
+            "Content-Type": "text/event-stream",
+            "Cache-Control": "no-cache",
+            Connection: "keep-alive"
+        });
+        res.write(": connected\n\n");
+
+        this.clients.add(res);
+        req.on("close", () => this.clients.delete(res));
+    }
+
+    /**
+     * Push a newly recorded alert to every SSE client
+     */
+    broadcast({ alert, action, incident }) {
+        this.lastAlertAt = alert.timestamp;
+        const data = toJSON({ alert, action, incidentId: incident.id, incidentSeverity: incident.severity });
+        this.clients.forEach(res => res.write(`event: alert\ndata: ${data}\n\n`));
+    }
+
+    sendJSON(res, status, body) {
+        if (res.headersSent) return res.end();
+        res.writeHead(status, { "Content-Type": "application/json" });
+        res.end(toJSON(body));
+    }
+}
+
+/**
+ * Request body as text, rejecting bodies over MAX_BODY_BYTES
+ */
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        req.on("data", chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(new Error("body too large"));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+        req.on("error", reject);
+    });
+}
+
+module.exports = MonitorHttpServer;
@@ -0,0 +1,172 @@
+/**
+ * Incident workflow shared by the monitor, the alert stores and the CLI.
+ *
+ * Incidents are opened by the AlertCorrelator and then worked by people:
+ *
+ *   open -> acknowledged -> investigating -> resolved
+ *     \________________\_________________\-> false-positive
+ *
+ * Closed incidents (resolved, false-positive) can be reopened. Every
+ * change is recorded in incident.history as
+ * { at, by, action, from, to, note }.
+ */
+
+const INCIDENT_STATUSES = ["open", "acknowledged", "investigating", "resolved", "false-positive"];
+
+const TRANSITIONS = {
+    "open": ["acknowledged", "investigating", "resolved", "false-positive"],
+    "acknowledged": ["investigating", "resolved", "false-positive"],
+    "investigating": ["resolved", "false-positive"],
+    "resolved": ["open"],
+    "false-positive": ["open"]
+};
+
+const CLOSED_STATUSES = ["resolved", "false-positive"];
+
+// Fields changed by people rather than by incoming alerts
+const WORKFLOW_FIELDS = ["status", "assignee", "notes", "history", "acknowledgedAt", "resolvedAt", "updatedAt"];
+
+/**
+ * Rejected incident update, e.g. an invalid state transition
+ */
+class IncidentError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = "IncidentError";
+    }
+}
+
+/**
+ * Workflow fields of a newly opened incident
+ */
+function initialWorkflow(openedAt) {
+    return {
+        status: "open",
+        assignee: null,
+        notes: [],
+        history: [{ at: openedAt, by: "monitor", action: "opened", from: null, to: "open" }],
+        acknowledgedAt: null,
+        resolvedAt: null,
+        updatedAt: openedAt
+    };
+}
+
+function isClosed(incident) {
+    return CLOSED_STATUSES.includes(incident.status);
+}
+
+/**
+ * Apply a change to an incident in place and record it in the history.
+ * changes: { status, assignee, note, by, at }
+ */
+function updateIncident(incident, { status, assignee, note, by = null, at = new Date().toISOString() } = {}) {
+    if (status === undefined && assignee === undefined && !note) {
+        throw new IncidentError("Nothing to update: give a status, assignee or note");
+    }
+
+    const statusChanged = status !== undefined && status !== incident.status;
+    if (statusChanged) {
+        if (!INCIDENT_STATUSES.includes(status)) {
+            throw new IncidentError(`Unknown incident status "${status}" (expected ${INCIDENT_STATUSES.join(", ")})`);
+        }
+        if (!TRANSITIONS[incident.status].includes(status)) {
+            throw new IncidentError(`Incident ${incident.id} cannot go from ${incident.status} to ${status}`);
+        }
+
+        incident.history.push({ at, by, action: "status", from: incident.status, to: status, note: note || null });
+        // The first move out of "open" is when someone picked the incident up
+        if (incident.status === "open" && !incident.acknowledgedAt) {
+            incident.acknowledgedAt = at;
+        }
+        incident.resolvedAt = CLOSED_STATUSES.includes(status) ? at : null;
+        incident.status = status;
+    }
+
+    if (assignee !== undefined && assignee !== incident.assignee) {
+        incident.history.push({ at, by, action: "assigned", from: incident.assignee, to: assignee || null });
+        incident.assignee = assignee || null;
+    }
+
+    if (note) {
+        incident.notes.push({ at, by, text: note });
+        // A note given with a status change is already part of that entry
+        if (!statusChanged) {
+            incident.history.push({ at, by, action: "note", note });
+        }
+    }
+
+    incident.updatedAt = at;
+    return incident;
+}
+
+/**
+ * Copy the workflow fields of a stored incident onto the in-memory copy,
+ * so updates made elsewhere (e.g. from the CLI) are not overwritten
+ */
+function mergeWorkflow(incident, stored) {
+    if (!stored || stored.updatedAt <= incident.updatedAt) return incident;
+    WORKFLOW_FIELDS.forEach(field => { incident[field] = stored[field]; });
+    return incident;
+}
+
+function mean(values) {
+    return values.length > 0
+        ? Math.round(values.reduce((sum, value) => sum + value, 0) / values.length)
+        : null;
+}
+
+/**
+ * Response metrics over a set of incidents: mean time to acknowledge and
+ * to resolve (ms from first alert), counts per status, and the share of
+ * closed incidents marked false-positive per alert type. An incident
+ * counts towards every alert type among its signals.
+ */
+function incidentMetrics(incidents) {
+    const byStatus = Object.fromEntries(INCIDENT_STATUSES.map(status => [status, 0]));
+    const acknowledgeTimes = [];
+    const resolveTimes = [];
+    const byType = {};
+
+    for (const incident of incidents) {
+        const status = incident.status || "open";
+        const firstSeen = Date.parse(incident.firstSeen);
+        byStatus[status]++;
+
+        if (incident.acknowledgedAt) {
+            acknowledgeTimes.push(Date.parse(incident.acknowledgedAt) - firstSeen);
+        }
+        if (status === "resolved") {
+            resolveTimes.push(Date.parse(incident.resolvedAt) - firstSeen);
+        }
+
+        if (!CLOSED_STATUSES.includes(status)) continue;
+        new Set(incident.signals.map(signal => signal.type)).forEach(type => {
+            byType[type] = byType[type] || { closed: 0, falsePositives: 0, falsePositiveRate: 0 };
+            byType[type].closed++;
+            if (status === "false-positive") byType[type].falsePositives++;
+        });
+    }
+
+    Object.values(byType).forEach(stats => {
+        stats.falsePositiveRate = Number((stats.falsePositives / stats.closed).toFixed(3));
+    });
+
+    return {
+        total: incidents.length,
+        byStatus,
+        meanTimeToAcknowledgeMs: mean(acknowledgeTimes),
+        meanTimeToResolveMs: mean(resolveTimes),
+        falsePositiveRateByType: byType
+    };
+}
+
+module.exports = {
+    INCIDENT_STATUSES,
+    TRANSITIONS,
+    IncidentError,
+    initialWorkflow,
+    isClosed,
+    updateIncident,
+    mergeWorkflow,
+    incidentMetrics
+};
@@ -0,0 +1,161 @@
+const client = require("prom-client");
+const { ethers } = require("ethers");
+
+/**
+ * Prometheus metrics for a SecurityMonitor or MonitorFleet.
+ * Alert, event and detector metrics are updated from monitor events;
+ * contract gauges (DEX reserves and price, contract balances) are read
+ * from the chain on every scrape.
+ */
+class MonitorMetrics {
+    constructor(source, { registry = new client.Registry(), prefix = "security_monitor_" } = {}) {
+        this.source = source;
+        this.registry = registry;
+        this.attached = false;
+
+        client.collectDefaultMetrics({ register: registry, prefix });
+
+        this.alertsTotal = new client.Counter({
+            name: `${prefix}alerts_total`,
+            help: "Security alerts recorded, by type and severity",
+            labelNames: ["type", "severity", "contract"],
+            registers: [registry]
+        });
+        this.incidentsTotal = new client.Counter({
+            name: `${prefix}incident_actions_total`,
+            help: "Alert correlation outcomes (new, correlated, escalated)",
+            labelNames: ["action", "contract"],
+            registers: [registry]
+        });
+        this.eventsProcessed = new client.Counter({
+            name: `${prefix}events_processed_total`,
+            help: "Events dispatched to detectors, by contract and event name",
+            labelNames: ["contract", "event"],
+            registers: [registry]
+        });
+        this.listenerErrors = new client.Counter({
+            name: `${prefix}listener_errors_total`,
+            help: "Detector evaluations that threw",
+            labelNames: ["contract", "detector"],
+            registers: [registry]
+        });
+        this.detectorLatency = new client.Histogram({
+            name: `${prefix}detector_latency_seconds`,
+            help: "Time spent in a detector's evaluate()",
+            labelNames: ["contract", "detector"],
+            buckets: [0.001, 0.005, 0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5],
+            registers: [registry]
+        });
+
+        const monitors = () => this.monitors;
+        const readContract = this.readContract.bind(this);
+
+        this.dexReserve = new client.Gauge({
+            name: `${prefix}dex_reserve`,
+            help: "DEX token reserves from getReserves(), in whole tokens",
+            labelNames: ["contract", "token"],
+            registers: [registry],
+            async collect() {
+                this.reset();
+                await Promise.all(monitors().map(async monitor => {
+                    const reserves = await readContract(monitor, "getReserves");
+                    if (!reserves) return;
+                    this.set({ contract: monitor.label, token: "A" }, Number(ethers.formatEther(reserves[0])));
+                    this.set({ contract: monitor.label, token: "B" }, Number(ethers.formatEther(reserves[1])));
+                }));
+            }
+        });
+        this.dexPrice = new client.Gauge({
+            name: `${prefix}dex_price`,
+            help: "DEX price of token A in token B from getPrice()",
+            labelNames: ["contract"],
+            registers: [registry],
+            async collect() {
+                this.reset();
+                await Promise.all(monitors().map(async monitor => {
+                    const price = await readContract(monitor, "getPrice");
+                    if (price !== undefined) {
+                        this.set({ contract: monitor.label }, Number(ethers.formatEther(price)));
+                    }
+                }));
+            }
+        });
+        this.contractBalance = new client.Gauge({
+            name: `${prefix}contract_balance_eth`,
+            help: "Bridge and bank ETH balance from getContractBalance()",
+            labelNames: ["contract"],
+            registers: [registry],
+            async collect() {
+                this.reset();
+                await Promise.all(monitors().map(async monitor => {
+                    const balance = await readContract(monitor, "getContractBalance");
+                    if (balance !== undefined) {
+                        this.set({ contract: monitor.label }, Number(ethers.formatEther(balance)));
+                    }
+                }));
+            }
+        });
+
+        this.onAlert = ({ alert, action }) => {
+            this.alertsTotal.inc({ type: alert.type, severity: alert.severity, contract: alert.contractLabel || "" });
+            this.incidentsTotal.inc({ action, contract: alert.contractLabel || "" });
+        };
+        this.onEvent = (event, monitor = this.source) => {
+            this.eventsProcessed.inc({ contract: monitor.label, event: event.name });
+        };
+        this.onDetector = ({ detector, durationMs, error }, monitor = this.source) => {
+            const labels = { contract: monitor.label, detector };
+            this.detectorLatency.observe(labels, durationMs / 1000);
+            if (error) this.listenerErrors.inc(labels);
+        };
+    }
+
+    get monitors() {
+        return this.source.monitors || [this.source];
+    }
+
+    attach() {
+        if (this.attached) return this;
+        this.source.on("alert", this.onAlert);
+        this.source.on("event", this.onEvent);
+        this.source.on("detector", this.onDetector);
+        this.attached = true;
+        return this;
+    }
+
+    detach() {
+        this.source.off("alert", this.onAlert);
+        this.source.off("event", this.onEvent);
+        this.source.off("detector", this.onDetector);
+        this.attached = false;
+    }
+
+    /**
+     * Call a view function if the monitored contract has it.
+     * Scrapes should not fail because one node call does.
+     */
+    async readContract(monitor, functionName) {
+        if (!monitor.contract || !monitor.contract.interface.getFunction(functionName)) {
+            return undefined;
+        }
+        try {
+            return await monitor.contract[functionName]();
+        } catch (error) {
+            console.error(`Metrics: ${monitor.label}.${functionName}() failed: ${error.message}`);
+            return undefined;
+        }
+    }
+
+    get contentType() {
+        return this.registry.contentType;
+    }
+
+    /**
+     * Prometheus text exposition of all metrics
+     */
+    render() {
+        return this.registry.metrics();
+    }
+}
+
+module.exports = MonitorMetrics;
@@ -0,0 +1,201 @@
+const EventEmitter = require("events");
+const fs = require("fs");
+const path = require("path");
+const SecurityMonitor = require("../security-monitor");
+const { NotificationManager } = require("./notifiers/notification-manager");
+const { AlertCorrelator } = require("./alert-correlator");
+const { createAlertStore, isAlertStore } = require("./stores");
+const { incidentMetrics } = require("./incidents");
+
+const DEFAULT_DEPLOYMENT_PATH = path.join(__dirname, "../../deployment-addresses.json");
+
+/**
+ * Contracts written by Scripts/deploy.js, keyed by their position in
+ * deployment-addresses.json ("<group>.<kind>")
+ */
+const DEPLOYED_CONTRACTS = {
+    "vulnerable.bridge": "VulnerableL2Bridge",
+    "vulnerable.bank": "VulnerableBank",
+    "vulnerable.dex": "VulnerableDEX",
+    "secure.bridge": "SecureL2Bridge",
+    "secure.bank": "SecureBank",
+    "secure.dex": "SecureDEX"
+};
+
+/**
+ * Runs one SecurityMonitor per deployed contract, with the ABI taken
+ * from the Hardhat artifacts and detectors routed by contract kind.
+ * Re-emits every monitor's "alert", "incident", "event" and "detector"
+ * events with the originating monitor as an extra argument.
+ */
+class MonitorFleet extends EventEmitter {
+    constructor(monitors = []) {
+        super();
+        this.monitors = monitors;
+        this.monitors.forEach(monitor => {
+            ["alert", "incident", "event", "detector"].forEach(name => {
+                monitor.on(name, payload => this.emit(name, payload, monitor));
+            });
+        });
+    }
+
+    /**
+     * Build a fleet from deployment-addresses.json.
+     * options.include limits the fleet to labels or groups ("secure",
+     * "vulnerable.dex"); options.config is a parsed monitor config file
+     * whose notifications, correlation and alertStore sections are used
+     * unless given directly; options.artifacts reads the contract ABIs
+     * (Hardhat's artifacts by default); remaining options are passed to
+     * each monitor.
+     */
+    static async fromDeployment(deploymentPath = DEFAULT_DEPLOYMENT_PATH, options = {}) {
+        if (!fs.existsSync(deploymentPath)) {
+            throw new Error(
+                `Deployment file not found: ${deploymentPath}. Run "npm run deploy" first.`
+            );
+        }
+
+        // Hardhat is only loaded when no artifacts are given
+        const { include, config, artifacts = require("hardhat").artifacts, ...monitorOptions } = options;
+        if (config) {
+            monitorOptions.notifications = monitorOptions.notifications || config.notifications;
+            monitorOptions.correlation = monitorOptions.correlation || config.correlation;
+            monitorOptions.alertStore = monitorOptions.alertStore || config.alertStore;
+            // Shared sections are built once below rather than per monitor
+            monitorOptions.config = { ...config, notifications: undefined, correlation: undefined };
+        }
+
+        // One notification manager, correlator and alert store shared by every monitor in the fleet
+        if (monitorOptions.notifications && !(monitorOptions.notifications instanceof NotificationManager)) {
+            monitorOptions.notifications = new NotificationManager(monitorOptions.notifications);
+        }
+        if (!(monitorOptions.correlation instanceof AlertCorrelator)) {
+            monitorOptions.correlation = new AlertCorrelator(monitorOptions.correlation);
+        }
+        if (!isAlertStore(monitorOptions.alertStore)) {
+            monitorOptions.alertStore = createAlertStore(monitorOptions.alertStore);
+        }
+
+        const deployment = JSON.parse(fs.readFileSync(deploymentPath, "utf8"));
+        const monitors = [];
+
+        for (const [label, contractName] of Object.entries(DEPLOYED_CONTRACTS)) {
+            const [group, kind] = label.split(".");
+            const address = deployment[group] && deployment[group][kind];
+
+            if (!address) continue;
+            if (include && !include.includes(label) && !include.includes(group)) continue;
+
+            const { abi } = await artifacts.readArtifact(contractName);
+            monitors.push(new SecurityMonitor(address, abi, {
+                ...monitorOptions,
+                label,
+                contractName,
+                contractKind: kind
+            }));
+        }
+
+        if (monitors.length === 0) {
+            throw new Error(`No monitorable contracts found in ${deploymentPath}`);
+        }
+
+        console.log(`Loaded ${monitors.length} contracts from ${deploymentPath}`);
+        return new MonitorFleet(monitors);
+    }
+
+    /**
+     * Re-apply an edited monitor config to every monitor without
+     * restarting; notification routing and correlation stay shared
+     */
+    applyConfig(config) {
+        const notifier = config.notifications && new NotificationManager(config.notifications);
+        if (config.correlation) {
+            this.monitors[0].correlator.configure(config.correlation);
+        }
+        this.monitors.forEach(monitor => monitor.applyConfig({
+            ...config,
+            notifications: notifier,
+            correlation: undefined
+        }));
+    }
+
+    /**
+     * Update an incident through the monitor of the contract it concerns
+     */
+    updateIncident(id, changes) {
+        const incident = this.monitors[0].findIncident(id);
+        const monitor = (incident && this.getMonitor(incident.contract)) || this.monitors[0];
+        return monitor.updateIncident(id, changes);
+    }
+
+    getMonitor(label) {
+        return this.monitors.find(monitor => monitor.label === label);
+    }
+
+    /**
+     * Shared alert store of the fleet
+     */
+    get alertStore() {
+        return this.monitors[0].alertStore;
+    }
+
+    /**
+     * Query alerts raised by any monitor in the fleet
+     */
+    queryAlerts(filter) {
+        return this.alertStore.query(filter);
+    }
+
+    async startMonitoring() {
+        for (const monitor of this.monitors) {
+            await monitor.startMonitoring();
+        }
+    }
+
+    async stopMonitoring() {
+        await Promise.all(this.monitors.map(monitor => monitor.stopMonitoring()));
+    }
+
+    async backfill(fromBlock, toBlock) {
+        const results = {};
+        for (const monitor of this.monitors) {
+            results[monitor.label] = await monitor.backfill(fromBlock, toBlock);
+        }
+        return results;
+    }
+
+    /**
+     * Combined report with per-contract breakdown
+     */
+    generateReport() {
+        const contracts = {};
+        this.monitors.forEach(monitor => {
+            contracts[monitor.label] = {
+                address: monitor.contractAddress,
+                detectors: monitor.detectors
+                    .filter(detector => detector.enabled)
+                    .map(detector => detector.name),
+                ...monitor.generateReport()
+            };
+        });
+
+        const reports = Object.values(contracts);
+        const alertsBySeverity = { CRITICAL: 0, HIGH: 0, MEDIUM: 0, LOW: 0 };
+        reports.forEach(report => {
+            Object.entries(report.alertsBySeverity).forEach(([severity, count]) => {
+                alertsBySeverity[severity] += count;
+            });
+        });
+
+        return {
+            generatedAt: new Date().toISOString(),
+            totalAlerts: reports.reduce((sum, report) => sum + report.totalAlerts, 0),
+            totalIncidents: reports.reduce((sum, report) => sum + report.incidents.length, 0),
+            alertsBySeverity,
+            incidentMetrics: incidentMetrics(reports.flatMap(report => report.incidents)),
+            contracts
+        };
+    }
+}
+
+module.exports = { MonitorFleet, DEPLOYED_CONTRACTS, DEFAULT_DEPLOYMENT_PATH };
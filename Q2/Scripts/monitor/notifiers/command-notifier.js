@@ -0,0 +1,47 @@
+const { spawn } = require("child_process");
+const { toJSON } = require("./format");
+
+/**
+ * Runs a local command per alert. The alert JSON is written to stdin and
+ * ALERT_TYPE / ALERT_SEVERITY are set in the environment.
+ */
+class CommandNotifier {
+    constructor({ name = "command", command, args = [], timeout = 10000 }) {
+        if (!command) {
+            throw new Error(`Command notifier "${name}" requires a command`);
+        }
+
+        this.name = name;
+        this.command = command;
+        this.args = args;
+        this.timeout = timeout;
+    }
+
+    send(alert) {
+        return new Promise((resolve, reject) => {
+            const child = spawn(this.command, this.args, {
+                env: { ...process.env, ALERT_TYPE: alert.type, ALERT_SEVERITY: alert.severity },
+                stdio: ["pipe", "ignore", "pipe"],
+                timeout: this.timeout
+            });
+            let stderr = "";
+
+            child.stderr.on("data", chunk => { stderr += chunk; });
+            child.on("error", reject);
+            child.on("close", (code, signal) => {
+                if (code === 0) {
+                    resolve();
+                } else {
+                    reject(new Error(
+                        `Command ${this.name} exited with ${signal || code}${stderr ? `: ${stderr.trim()}` : ""}`
+                    ));
+                }
+            });
+
+            child.stdin.on("error", () => {});
+            child.stdin.end(toJSON(alert));
+        });
+    }
+}
+
+module.exports = CommandNotifier;
@@ -0,0 +1,31 @@
+const nodemailer = require("nodemailer");
+const { toJSON, summarize, alertFields } = require("./format");
+
+/**
+ * Sends alerts by email over SMTP
+ */
+class EmailNotifier {
+    constructor({ name = "email", smtp, from, to }) {
+        if (!smtp || !from || !to) {
+            throw new Error(`Email notifier "${name}" requires smtp, from and to`);
+        }
+
+        this.name = name;
+        this.from = from;
+        this.to = Array.isArray(to) ? to.join(", ") : to;
+        this.transport = nodemailer.createTransport(smtp);
+    }
+
+    async send(alert) {
+        const lines = alertFields(alert).map(([label, value]) => `${label}: ${value}`);
+
+        await this.transport.sendMail({
+            from: this.from,
+            to: this.to,
+            subject: `Security alert: ${summarize(alert)}`,
+            text: [...lines, "", "Full alert:", toJSON(alert, 2)].join("\n")
+        });
+    }
+}
+
+module.exports = EmailNotifier;
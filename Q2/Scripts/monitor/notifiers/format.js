@@ -0,0 +1,45 @@
+/**
+ * Shared helpers for rendering alerts in notification payloads
+ */
+
+const SEVERITY_COLORS = {
+    CRITICAL: "#dc3545",
+    HIGH: "#fd7e14",
+    MEDIUM: "#ffc107",
+    LOW: "#28a745"
+};
+
+/**
+ * JSON.stringify that tolerates the BigInt values found in alerts
+ */
+function toJSON(value, space) {
+    return JSON.stringify(
+        value,
+        (key, v) => (typeof v === "bigint" ? v.toString() : v),
+        space
+    );
+}
+
+/**
+ * One-line summary used as a subject or message title
+ */
+function summarize(alert) {
+    const contract = alert.contractLabel ? ` on ${alert.contractLabel}` : "";
+    return `[${alert.severity}] ${alert.type}${contract}`;
+}
+
+/**
+ * Key alert fields as label/value pairs
+ */
+function alertFields(alert) {
+    return [
+        ["Details", alert.details],
+        ["Contract", alert.contractLabel || alert.contract],
+        ["User", alert.user],
+        ["Transaction", alert.txHash],
+        ["Block", alert.blockNumber],
+        ["Time", alert.timestamp]
+    ].filter(([, value]) => value !== undefined && value !== null && value !== "");
+}
+
+module.exports = { SEVERITY_COLORS, toJSON, summarize, alertFields };
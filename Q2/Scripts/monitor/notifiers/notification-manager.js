@@ -0,0 +1,150 @@
+const fs = require("fs");
+const path = require("path");
+const WebhookNotifier = require("./webhook-notifier");
+const EmailNotifier = require("./email-notifier");
+const CommandNotifier = require("./command-notifier");
+const { toJSON } = require("./format");
+
+const CHANNEL_TYPES = {
+    webhook: WebhookNotifier,
+    email: EmailNotifier,
+    command: CommandNotifier
+};
+
+const DEFAULT_RETRY = {
+    attempts: 3,
+    initialDelay: 1000, // ms before the first retry
+    factor: 2,
+    maxDelay: 30000
+};
+
+/**
+ * Routes alerts to notification channels by severity (and optionally type),
+ * retrying failed deliveries with exponential backoff. Alerts that still
+ * cannot be delivered are appended to a dead-letter NDJSON file.
+ *
+ * Config:
+ * {
+ *   channels: [{ name: "oncall", type: "webhook", url, format: "slack" }, ...],
+ *   routes: [{ severities: ["CRITICAL"], types: [...optional], channels: ["oncall"] }],
+ *   retry: { attempts, initialDelay, factor, maxDelay },
+ *   deadLetterPath: "logs/notifications-dead-letter.ndjson"
+ * }
+ */
+class NotificationManager {
+    constructor(config = {}) {
+        this.channels = new Map();
+        (config.channels || []).forEach(channel => this.addChannel(channel));
+
+        this.routes = config.routes || [];
+        this.retry = { ...DEFAULT_RETRY, ...config.retry };
+        this.deadLetterPath = config.deadLetterPath ||
+            path.join(__dirname, "../../../logs/notifications-dead-letter.ndjson");
+
+        for (const route of this.routes) {
+            const unknown = (route.channels || []).filter(name => !this.channels.has(name));
+            if (unknown.length > 0) {
+                throw new Error(`Notification route references unknown channel: ${unknown.join(", ")}`);
+            }
+        }
+    }
+
+    /**
+     * Add a channel from config ({ type, name, ... }) or a ready notifier
+     * instance exposing name and send(alert)
+     */
+    addChannel(channel) {
+        let notifier = channel;
+        if (typeof channel.send !== "function") {
+            const NotifierClass = CHANNEL_TYPES[channel.type];
+            if (!NotifierClass) {
+                throw new Error(`Unknown notification channel type: ${channel.type}`);
+            }
+            notifier = new NotifierClass(channel);
+        }
+
+        if (this.channels.has(notifier.name)) {
+            throw new Error(`Duplicate notification channel: ${notifier.name}`);
+        }
+        this.channels.set(notifier.name, notifier);
+        return notifier;
+    }
+
+    /**
+     * Channel names an alert should be delivered to
+     */
+    resolveChannels(alert) {
+        const names = new Set();
+
+        this.routes
+            .filter(route => !route.severities || route.severities.includes(alert.severity))
+            .filter(route => !route.types || route.types.includes(alert.type))
+            .forEach(route => route.channels.forEach(name => names.add(name)));
+
+        return Array.from(names);
+    }
+
+    /**
+     * Deliver an alert to every routed channel.
+     * Resolves with a per-channel result; never rejects.
+     */
+    async notify(alert) {
+        const channelNames = this.resolveChannels(alert);
+
+        const results = await Promise.all(channelNames.map(async name => {
+            const notifier = this.channels.get(name);
+            try {
+                const attempts = await this.deliverWithRetry(notifier, alert);
+                return { channel: name, delivered: true, attempts };
+            } catch (error) {
+                console.error(`[NOTIFICATION] Delivery to ${name} failed: ${error.message}`);
+                try {
+                    this.writeDeadLetter(name, alert, error);
+                } catch (writeError) {
+                    console.error(`[NOTIFICATION] Could not write ${name} alert to the dead-letter file: ${writeError.message}`);
+                }
+                return { channel: name, delivered: false, attempts: this.retry.attempts, error: error.message };
+            }
+        }));
+
+        return results;
+    }
+
+    /**
+     * Try a channel up to retry.attempts times, backing off between tries
+     */
+    async deliverWithRetry(notifier, alert) {
+        let delay = this.retry.initialDelay;
+        let lastError;
+
+        for (let attempt = 1; attempt <= this.retry.attempts; attempt++) {
+            try {
+                await notifier.send(alert);
+                return attempt;
+            } catch (error) {
+                lastError = error;
+                if (attempt < this.retry.attempts) {
+                    await new Promise(resolve => setTimeout(resolve, delay));
+                    delay = Math.min(delay * this.retry.factor, this.retry.maxDelay);
+                }
+            }
+        }
+
+        throw lastError;
+    }
+
+    /**
+     * Record an undeliverable alert for later replay
+     */
+    writeDeadLetter(channel, alert, error) {
+        fs.mkdirSync(path.dirname(this.deadLetterPath), { recursive: true });
+        fs.appendFileSync(this.deadLetterPath, toJSON({
+            failedAt: new Date().toISOString(),
+            channel,
+            error: error.message,
+            alert
+        }) + "\n");
+    }
+}
+
+module.exports = { NotificationManager, WebhookNotifier, EmailNotifier, CommandNotifier };
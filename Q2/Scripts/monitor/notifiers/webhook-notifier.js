@@ -0,0 +1,72 @@
+const { SEVERITY_COLORS, toJSON, summarize, alertFields } = require("./format");
+
+/**
+ * Posts alerts to an HTTP webhook.
+ * format: "json" (generic), "slack" (incoming webhook) or "discord"
+ */
+class WebhookNotifier {
+    constructor({ name = "webhook", url, format = "json", headers = {}, timeout = 5000 }) {
+        if (!url) {
+            throw new Error(`Webhook notifier "${name}" requires a url`);
+        }
+        if (!["json", "slack", "discord"].includes(format)) {
+            throw new Error(`Unsupported webhook format: ${format}`);
+        }
+
+        this.name = name;
+        this.url = url;
+        this.format = format;
+        this.headers = headers;
+        this.timeout = timeout;
+    }
+
+    /**
+     * Build the request body for the configured format
+     */
+    buildPayload(alert) {
+        switch (this.format) {
+            case "slack":
+                return {
+                    text: summarize(alert),
+                    attachments: [{
+                        color: SEVERITY_COLORS[alert.severity],
+                        fields: alertFields(alert).map(([title, value]) => ({
+                            title,
+                            value: String(value),
+                            short: title !== "Details"
+                        }))
+                    }]
+                };
+            case "discord":
+                return {
+                    content: summarize(alert),
+                    embeds: [{
+                        title: alert.type,
+                        description: alert.details,
+                        color: parseInt((SEVERITY_COLORS[alert.severity] || "#6c757d").slice(1), 16),
+                        fields: alertFields(alert)
+                            .filter(([label]) => label !== "Details")
+                            .map(([label, value]) => ({ name: label, value: String(value), inline: true })),
+                        timestamp: alert.timestamp
+                    }]
+                };
+            default:
+                return { source: "layer2-security-monitor", alert };
+        }
+    }
+
+    async send(alert) {
+        const response = await fetch(this.url, {
+            method: "POST",
+            headers: { "Content-Type": "application/json", ...this.headers },
+            body: toJSON(this.buildPayload(alert)),
+            signal: AbortSignal.timeout(this.timeout)
+        });
+
+        if (!response.ok) {
+            throw new Error(`Webhook ${this.name} responded with HTTP ${response.status}`);
+        }
+    }
+}
+
+module.exports = WebhookNotifier;
@@ -0,0 +1,73 @@
+/**
+ * Helpers shared by the alert store backends.
+ *
+ * Query filter fields (all optional):
+ * - type, severity, user, contract: exact match (string or array of strings)
+ * - since, until: Date, ISO string or epoch ms, compared with alert.timestamp
+ * - acknowledged: true or false to only return (un)acknowledged alerts
+ * - orphaned: true or false to only return alerts (not) raised from
+ *   blocks a chain reorg removed
+ * - limit: maximum number of alerts returned (newest first)
+ *
+ * Incident filters take status and contract (string or array), and
+ * since/until compared with incident.firstSeen.
+ */
+
+function toISO(value) {
+    if (value === undefined || value === null) return undefined;
+    return new Date(value).toISOString();
+}
+
+function normalizeFilter(filter = {}) {
+    const asList = value => (value === undefined ? undefined : [].concat(value));
+    return {
+        type: asList(filter.type),
+        severity: asList(filter.severity),
+        user: asList(filter.user)?.map(user => user.toLowerCase()),
+        contract: asList(filter.contract),
+        since: toISO(filter.since),
+        until: toISO(filter.until),
+        acknowledged: filter.acknowledged,
+        orphaned: filter.orphaned,
+        limit: filter.limit
+    };
+}
+
+/**
+ * Whether an alert satisfies a normalized filter
+ */
+function matches(alert, filter) {
+    if (filter.type && !filter.type.includes(alert.type)) return false;
+    if (filter.severity && !filter.severity.includes(alert.severity)) return false;
+    if (filter.user && !(alert.user && filter.user.includes(alert.user.toLowerCase()))) return false;
+    if (filter.contract && !filter.contract.includes(alert.contractLabel)) return false;
+    if (filter.since && alert.timestamp < filter.since) return false;
+    if (filter.until && alert.timestamp > filter.until) return false;
+    if (filter.acknowledged !== undefined && Boolean(alert.acknowledged) !== filter.acknowledged) return false;
+    if (filter.orphaned !== undefined && Boolean(alert.orphaned) !== filter.orphaned) return false;
+    return true;
+}
+
+function normalizeIncidentFilter(filter = {}) {
+    const asList = value => (value === undefined ? undefined : [].concat(value));
+    return {
+        status: asList(filter.status),
+        contract: asList(filter.contract),
+        since: toISO(filter.since),
+        until: toISO(filter.until),
+        limit: filter.limit
+    };
+}
+
+/**
+ * Whether an incident satisfies a normalized incident filter
+ */
+function matchesIncident(incident, filter) {
+    if (filter.status && !filter.status.includes(incident.status)) return false;
+    if (filter.contract && !filter.contract.includes(incident.contract)) return false;
+    if (filter.since && incident.firstSeen < filter.since) return false;
+    if (filter.until && incident.firstSeen > filter.until) return false;
+    return true;
+}
+
+module.exports = { normalizeFilter, matches, normalizeIncidentFilter, matchesIncident };
@@ -0,0 +1,28 @@
+const NdjsonAlertStore = require("./ndjson-alert-store");
+const SqliteAlertStore = require("./sqlite-alert-store");
+
+const BACKENDS = {
+    ndjson: NdjsonAlertStore,
+    sqlite: SqliteAlertStore
+};
+
+/**
+ * Create an alert store from config: { backend: "ndjson" | "sqlite", ...backend options }
+ */
+function createAlertStore(config = {}) {
+    const { backend = "ndjson", ...options } = config;
+    const Store = BACKENDS[backend];
+    if (!Store) {
+        throw new Error(`Unknown alert store backend: ${backend}`);
+    }
+    return new Store(options);
+}
+
+/**
+ * Whether a value already implements the alert store interface
+ */
+function isAlertStore(value) {
+    return Boolean(value) && typeof value.append === "function" && typeof value.query === "function";
+}
+
+module.exports = { createAlertStore, isAlertStore, NdjsonAlertStore, SqliteAlertStore };
@@ -0,0 +1,307 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { toJSON } = require("../notifiers/format");
+const { normalizeFilter, matches, normalizeIncidentFilter, matchesIncident } = require("./alert-query");
+
+/**
+ * Append-only alert store writing one JSON alert per line.
+ * The active file is rotated once it exceeds maxBytes or is older than
+ * maxAge; at most maxFiles rotated files are kept. Acknowledgements are
+ * appended to a separate <baseName>.acks.ndjson file, alerts orphaned by
+ * a chain reorg to <baseName>.orphans.ndjson, and every saved version of
+ * an incident to <baseName>.incidents.ndjson, which is compacted to the
+ * latest version of each incident whenever the alert file rotates.
+ */
+class NdjsonAlertStore {
+    constructor({
+        directory = path.join(__dirname, "../../../logs"),
+        baseName = "security-alerts",
+        maxBytes = 10 * 1024 * 1024,
+        maxAge = 24 * 60 * 60 * 1000,
+        maxFiles = 30
+    } = {}) {
+        this.directory = directory;
+        this.baseName = baseName;
+        this.maxBytes = maxBytes;
+        this.maxAge = maxAge;
+        this.maxFiles = maxFiles;
+        this.activePath = path.join(directory, `${baseName}.ndjson`);
+        this.acksPath = path.join(directory, `${baseName}.acks.ndjson`);
+        this.orphansPath = path.join(directory, `${baseName}.orphans.ndjson`);
+        this.incidentsPath = path.join(directory, `${baseName}.incidents.ndjson`);
+        // Latest line per incident id, read up to incidentsOffset; see syncIncidents()
+        this.incidentLines = new Map();
+        this.incidentsOffset = 0;
+        this.incidentsInode = null;
+
+        fs.mkdirSync(directory, { recursive: true });
+        this.openedAt = fs.existsSync(this.activePath)
+            ? fs.statSync(this.activePath).birthtimeMs || Date.now()
+            : Date.now();
+    }
+
+    /**
+     * Persist an alert and return it with its assigned id
+     */
+    append(alert) {
+        const record = { id: alert.id || crypto.randomUUID(), ...alert };
+        const line = toJSON(record) + "\n";
+
+        this.rotateIfNeeded(Buffer.byteLength(line));
+        fs.appendFileSync(this.activePath, line);
+
+        alert.id = record.id;
+        return record;
+    }
+
+    rotateIfNeeded(incomingBytes) {
+        if (!fs.existsSync(this.activePath)) {
+            this.openedAt = Date.now();
+            return;
+        }
+
+        const { size } = fs.statSync(this.activePath);
+        const tooBig = size > 0 && size + incomingBytes > this.maxBytes;
+        const tooOld = size > 0 && Date.now() - this.openedAt > this.maxAge;
+        if (!tooBig && !tooOld) return;
+
+        const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+        let rotatedPath = path.join(this.directory, `${this.baseName}-${stamp}.ndjson`);
+        for (let n = 1; fs.existsSync(rotatedPath); n++) {
+            rotatedPath = path.join(this.directory, `${this.baseName}-${stamp}-${n}.ndjson`);
+        }
+
+        fs.renameSync(this.activePath, rotatedPath);
+        this.openedAt = Date.now();
+        this.pruneRotated();
+        this.compactIncidents();
+    }
+
+    /**
+     * Rotated files, oldest first
+     */
+    rotatedFiles() {
+        const prefix = `${this.baseName}-`;
+        return fs.readdirSync(this.directory)
+            .filter(file => file.startsWith(prefix) && file.endsWith(".ndjson"))
+            .sort()
+            .map(file => path.join(this.directory, file));
+    }
+
+    pruneRotated() {
+        const rotated = this.rotatedFiles();
+        rotated.slice(0, Math.max(0, rotated.length - this.maxFiles))
+            .forEach(file => fs.unlinkSync(file));
+    }
+
+    /**
+     * Read every stored alert, oldest first. A torn last line left by a
+     * crash mid-write is skipped.
+     */
+    *readAll() {
+        const acknowledgements = this.readAcknowledgements();
+        const orphans = this.readOrphans();
+
+        for (const file of [...this.rotatedFiles(), this.activePath]) {
+            for (const alert of this.readLines(file)) {
+                const acknowledged = acknowledgements.get(alert.id);
+                const orphaned = orphans.get(alert.id);
+                yield acknowledged || orphaned
+                    ? { ...alert, ...(acknowledged && { acknowledged }), ...(orphaned && { orphaned }) }
+                    : alert;
+            }
+        }
+    }
+
+    *readLines(file) {
+        if (!fs.existsSync(file)) return;
+
+        for (const line of fs.readFileSync(file, "utf8").split("\n")) {
+            if (!line.trim()) continue;
+            try {
+                yield JSON.parse(line);
+            } catch (error) {
+                console.warn(`Skipping unreadable alert line in ${path.basename(file)}`);
+            }
+        }
+    }
+
+    /**
+     * Latest acknowledgement per alert id
+     */
+    readAcknowledgements() {
+        const acknowledgements = new Map();
+        for (const { id, ...acknowledged } of this.readLines(this.acksPath)) {
+            acknowledgements.set(id, acknowledged);
+        }
+        return acknowledgements;
+    }
+
+    /**
+     * Orphan mark per alert id
+     */
+    readOrphans() {
+        const orphans = new Map();
+        for (const { id, ...orphaned } of this.readLines(this.orphansPath)) {
+            orphans.set(id, orphaned);
+        }
+        return orphans;
+    }
+
+    /**
+     * Flag an alert as raised from blocks a chain reorg ({ from, to })
+     * removed
+     */
+    markOrphaned(id, { from, to }) {
+        const orphaned = { at: new Date().toISOString(), reorg: { from, to } };
+        fs.appendFileSync(this.orphansPath, toJSON({ id, ...orphaned }) + "\n");
+    }
+
+    /**
+     * Acknowledge an alert; returns the updated alert, or undefined if
+     * no alert has that id
+     */
+    acknowledge(id, { by = null, note = null } = {}) {
+        const alert = this.get(id);
+        if (!alert) return undefined;
+
+        const acknowledged = { by, note, at: new Date().toISOString() };
+        fs.appendFileSync(this.acksPath, toJSON({ id, ...acknowledged }) + "\n");
+        return { ...alert, acknowledged };
+    }
+
+    /**
+     * Alerts matching the filter, newest first
+     */
+    query(filter = {}) {
+        const normalized = normalizeFilter(filter);
+        const results = [];
+
+        for (const alert of this.readAll()) {
+            if (matches(alert, normalized)) results.push(alert);
+        }
+
+        // Alerts sharing a timestamp come out last stored first, as in SQLite
+        results.reverse().sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+        return normalized.limit ? results.slice(0, normalized.limit) : results;
+    }
+
+    get(id) {
+        for (const alert of this.readAll()) {
+            if (alert.id === id) return alert;
+        }
+        return undefined;
+    }
+
+    count(filter = {}) {
+        return this.query({ ...filter, limit: undefined }).length;
+    }
+
+    /**
+     * Alert counts grouped by a field ("type", "severity", ...)
+     */
+    countBy(field, filter = {}) {
+        const counts = {};
+        this.query({ ...filter, limit: undefined }).forEach(alert => {
+            counts[alert[field]] = (counts[alert[field]] || 0) + 1;
+        });
+        return counts;
+    }
+
+    /**
+     * Persist the current version of an incident
+     */
+    saveIncident(incident) {
+        fs.appendFileSync(this.incidentsPath, toJSON(incident) + "\n");
+    }
+
+    /**
+     * Rewrite the incidents file with only the latest version of each
+     * incident, replacing it atomically so readers never see it partial
+     */
+    compactIncidents() {
+        this.syncIncidents();
+        if (this.incidentLines.size === 0) return;
+
+        const lines = Array.from(this.incidentLines.values());
+        const tempPath = `${this.incidentsPath}.tmp`;
+        fs.writeFileSync(tempPath, lines.join("\n") + "\n");
+        fs.renameSync(tempPath, this.incidentsPath);
+
+        const { size, ino } = fs.statSync(this.incidentsPath);
+        this.incidentsOffset = size;
+        this.incidentsInode = ino;
+    }
+
+    /**
+     * Index the incident versions appended since the last call, including
+     * those written by other processes (e.g. the CLI), so every lookup
+     * reads only the new tail of the incidents file
+     */
+    syncIncidents() {
+        const stats = fs.existsSync(this.incidentsPath) ? fs.statSync(this.incidentsPath) : null;
+        const size = stats ? stats.size : 0;
+        const inode = stats ? stats.ino : null;
+        if (size < this.incidentsOffset || inode !== this.incidentsInode) {
+            // Truncated, or replaced by another process's compaction: index it again from the start
+            this.incidentLines.clear();
+            this.incidentsOffset = 0;
+            this.incidentsInode = inode;
+        }
+        if (size === this.incidentsOffset) return;
+
+        const buffer = Buffer.alloc(size - this.incidentsOffset);
+        const fd = fs.openSync(this.incidentsPath, "r");
+        try {
+            fs.readSync(fd, buffer, 0, buffer.length, this.incidentsOffset);
+        } finally {
+            fs.closeSync(fd);
+        }
+
+        // A line still being written is picked up by the next call
+        const end = buffer.lastIndexOf(0x0a) + 1;
+        this.incidentsOffset += end;
+        buffer.subarray(0, end).toString("utf8").split("\n").forEach(line => {
+            if (!line.trim()) return;
+            try {
+                this.incidentLines.set(JSON.parse(line).id, line);
+            } catch (error) {
+                console.warn(`Skipping unreadable incident line in ${path.basename(this.incidentsPath)}`);
+            }
+        });
+    }
+
+    /**
+     * Latest saved version of every incident
+     */
+    readIncidents() {
+        this.syncIncidents();
+        const incidents = new Map();
+        this.incidentLines.forEach((line, id) => incidents.set(id, JSON.parse(line)));
+        return incidents;
+    }
+
+    getIncident(id) {
+        this.syncIncidents();
+        const line = this.incidentLines.get(id);
+        return line === undefined ? undefined : JSON.parse(line);
+    }
+
+    /**
+     * Incidents matching the filter, most recently active first
+     */
+    queryIncidents(filter = {}) {
+        const normalized = normalizeIncidentFilter(filter);
+        const results = Array.from(this.readIncidents().values())
+            .filter(incident => matchesIncident(incident, normalized))
+            .reverse()
+            .sort((a, b) => b.lastSeen.localeCompare(a.lastSeen));
+
+        return normalized.limit ? results.slice(0, normalized.limit) : results;
+    }
+
+    close() {}
+}
+
+module.exports = NdjsonAlertStore;
@@ -0,0 +1,271 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { toJSON } = require("../notifiers/format");
+const { normalizeFilter, normalizeIncidentFilter } = require("./alert-query");
+
+const COLUMNS = {
+    type: "type",
+    severity: "severity",
+    user: "user",
+    contract: "contract"
+};
+
+const FROM_ALERTS = "FROM alerts LEFT JOIN acknowledgements acks ON acks.alert_id = alerts.id " +
+    "LEFT JOIN orphans ON orphans.alert_id = alerts.id";
+const SELECT_ALERT = "alerts.data, acks.acknowledged_by, acks.note, acks.acknowledged_at, " +
+    `orphans.reorg_from, orphans.reorg_to, orphans.orphaned_at ${FROM_ALERTS}`;
+
+/**
+ * Stored alert with its acknowledgement and orphan mark, if any
+ */
+function toAlert(row) {
+    const alert = JSON.parse(row.data);
+    if (row.acknowledged_at) {
+        alert.acknowledged = { by: row.acknowledged_by, note: row.note, at: row.acknowledged_at };
+    }
+    if (row.orphaned_at) {
+        alert.orphaned = { at: row.orphaned_at, reorg: { from: row.reorg_from, to: row.reorg_to } };
+    }
+    return alert;
+}
+
+/**
+ * Alert store backed by an embedded SQLite database (node:sqlite)
+ */
+class SqliteAlertStore {
+    constructor({ filename = path.join(__dirname, "../../../logs/security-alerts.db") } = {}) {
+        // Loaded lazily: node:sqlite needs Node.js 22.5+
+        const { DatabaseSync } = require("node:sqlite");
+
+        if (filename !== ":memory:") {
+            fs.mkdirSync(path.dirname(filename), { recursive: true });
+        }
+
+        this.db = new DatabaseSync(filename);
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS alerts (
+                id TEXT PRIMARY KEY,
+                type TEXT NOT NULL,
+                severity TEXT NOT NULL,
+                user TEXT,
+                contract TEXT,
+                timestamp TEXT NOT NULL,
+                data TEXT NOT NULL
+            );
+            CREATE INDEX IF NOT EXISTS idx_alerts_timestamp ON alerts (timestamp);
+            CREATE INDEX IF NOT EXISTS idx_alerts_type ON alerts (type, timestamp);
+            CREATE INDEX IF NOT EXISTS idx_alerts_user ON alerts (user, timestamp);
+            CREATE TABLE IF NOT EXISTS acknowledgements (
+                alert_id TEXT PRIMARY KEY REFERENCES alerts (id),
+                acknowledged_by TEXT,
+                note TEXT,
+                acknowledged_at TEXT NOT NULL
+            );
+            CREATE TABLE IF NOT EXISTS orphans (
+                alert_id TEXT PRIMARY KEY REFERENCES alerts (id),
+                reorg_from INTEGER NOT NULL,
+                reorg_to INTEGER NOT NULL,
+                orphaned_at TEXT NOT NULL
+            );
+            CREATE TABLE IF NOT EXISTS incidents (
+                id TEXT PRIMARY KEY,
+                status TEXT NOT NULL,
+                contract TEXT,
+                first_seen TEXT NOT NULL,
+                last_seen TEXT NOT NULL,
+                data TEXT NOT NULL
+            );
+            CREATE INDEX IF NOT EXISTS idx_incidents_last_seen ON incidents (last_seen);
+        `);
+        this.insert = this.db.prepare(`
+            INSERT INTO alerts (id, type, severity, user, contract, timestamp, data)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+        `);
+    }
+
+    /**
+     * Persist an alert and return it with its assigned id
+     */
+    append(alert) {
+        const record = { id: alert.id || crypto.randomUUID(), ...alert };
+
+        this.insert.run(
+            record.id,
+            record.type,
+            record.severity,
+            record.user ? record.user.toLowerCase() : null,
+            record.contractLabel || null,
+            record.timestamp,
+            toJSON(record)
+        );
+
+        alert.id = record.id;
+        return record;
+    }
+
+    /**
+     * Build a WHERE clause and parameters from a query filter
+     */
+    where(filter) {
+        const normalized = normalizeFilter(filter);
+        const clauses = [];
+        const params = [];
+
+        Object.entries(COLUMNS).forEach(([field, column]) => {
+            const values = normalized[field];
+            if (!values) return;
+            clauses.push(`${column} IN (${values.map(() => "?").join(", ")})`);
+            params.push(...values);
+        });
+        if (normalized.since) {
+            clauses.push("timestamp >= ?");
+            params.push(normalized.since);
+        }
+        if (normalized.until) {
+            clauses.push("timestamp <= ?");
+            params.push(normalized.until);
+        }
+        if (normalized.acknowledged !== undefined) {
+            clauses.push(normalized.acknowledged ? "acks.alert_id IS NOT NULL" : "acks.alert_id IS NULL");
+        }
+        if (normalized.orphaned !== undefined) {
+            clauses.push(normalized.orphaned ? "orphans.alert_id IS NOT NULL" : "orphans.alert_id IS NULL");
+        }
+
+        return {
+            sql: clauses.length > 0 ? `WHERE ${clauses.join(" AND ")}` : "",
+            params,
+            limit: normalized.limit
+        };
+    }
+
+    /**
+     * Alerts matching the filter, newest first
+     */
+    query(filter = {}) {
+        const { sql, params, limit } = this.where(filter);
+        const limitSql = limit ? `LIMIT ${Number(limit)}` : "";
+
+        return this.db
+            .prepare(`SELECT ${SELECT_ALERT} ${sql} ORDER BY timestamp DESC, alerts.rowid DESC ${limitSql}`)
+            .all(...params)
+            .map(toAlert);
+    }
+
+    get(id) {
+        const row = this.db.prepare(`SELECT ${SELECT_ALERT} WHERE alerts.id = ?`).get(id);
+        return row ? toAlert(row) : undefined;
+    }
+
+    /**
+     * Acknowledge an alert; returns the updated alert, or undefined if
+     * no alert has that id
+     */
+    acknowledge(id, { by = null, note = null } = {}) {
+        if (!this.db.prepare("SELECT 1 FROM alerts WHERE id = ?").get(id)) return undefined;
+
+        this.db.prepare(`
+            INSERT OR REPLACE INTO acknowledgements (alert_id, acknowledged_by, note, acknowledged_at)
+            VALUES (?, ?, ?, ?)
+        `).run(id, by, note, new Date().toISOString());
+        return this.get(id);
+    }
+
+    /**
+     * Flag an alert as raised from blocks a chain reorg ({ from, to })
+     * removed
+     */
+    markOrphaned(id, { from, to }) {
+        this.db.prepare(`
+            INSERT OR REPLACE INTO orphans (alert_id, reorg_from, reorg_to, orphaned_at)
+            VALUES (?, ?, ?, ?)
+        `).run(id, from, to, new Date().toISOString());
+    }
+
+    count(filter = {}) {
+        const { sql, params } = this.where(filter);
+        return this.db.prepare(`SELECT COUNT(*) AS n ${FROM_ALERTS} ${sql}`).get(...params).n;
+    }
+
+    /**
+     * Alert counts grouped by a field ("type", "severity", ...)
+     */
+    countBy(field, filter = {}) {
+        const column = COLUMNS[field];
+        if (!column) {
+            throw new Error(`Cannot group alerts by ${field}`);
+        }
+
+        const { sql, params } = this.where(filter);
+        const counts = {};
+        this.db
+            .prepare(`SELECT ${column} AS value, COUNT(*) AS n ${FROM_ALERTS} ${sql} GROUP BY ${column}`)
+            .all(...params)
+            .forEach(row => { counts[row.value] = row.n; });
+        return counts;
+    }
+
+    /**
+     * Persist the current version of an incident
+     */
+    saveIncident(incident) {
+        this.db.prepare(`
+            INSERT INTO incidents (id, status, contract, first_seen, last_seen, data)
+            VALUES (?, ?, ?, ?, ?, ?)
+            ON CONFLICT (id) DO UPDATE SET
+                status = excluded.status,
+                last_seen = excluded.last_seen,
+                data = excluded.data
+        `).run(
+            incident.id,
+            incident.status,
+            incident.contract || null,
+            incident.firstSeen,
+            incident.lastSeen,
+            toJSON(incident)
+        );
+    }
+
+    getIncident(id) {
+        const row = this.db.prepare("SELECT data FROM incidents WHERE id = ?").get(id);
+        return row ? JSON.parse(row.data) : undefined;
+    }
+
+    /**
+     * Incidents matching the filter, most recently active first
+     */
+    queryIncidents(filter = {}) {
+        const normalized = normalizeIncidentFilter(filter);
+        const clauses = [];
+        const params = [];
+
+        ["status", "contract"].forEach(column => {
+            const values = normalized[column];
+            if (!values) return;
+            clauses.push(`${column} IN (${values.map(() => "?").join(", ")})`);
+            params.push(...values);
+        });
+        if (normalized.since) {
+            clauses.push("first_seen >= ?");
+            params.push(normalized.since);
+        }
+        if (normalized.until) {
+            clauses.push("first_seen <= ?");
+            params.push(normalized.until);
+        }
+
+        const where = clauses.length > 0 ? `WHERE ${clauses.join(" AND ")}` : "";
+        const limit = normalized.limit ? `LIMIT ${Number(normalized.limit)}` : "";
+        return this.db
+            .prepare(`SELECT data FROM incidents ${where} ORDER BY last_seen DESC, rowid DESC ${limit}`)
+            .all(...params)
+            .map(row => JSON.parse(row.data));
+    }
+
+    close() {
+        this.db.close();
+    }
+}
+
+module.exports = SqliteAlertStore;
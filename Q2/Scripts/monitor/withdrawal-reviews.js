@@ -0,0 +1,116 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Operator reviews of pending bridge withdrawals, keyed by bridge txHash.
+ *
+ * Reviews live outside the bridge-lifecycle detector's state, which a
+ * reorg rolls back, and are saved as JSON next to the monitor's
+ * checkpoint. The file is read again whenever it changes, so reviews
+ * recorded with monitor-cli reach a monitor that is already running.
+ */
+class WithdrawalReviews {
+    /**
+     * filePath: JSON file to persist reviews in; null keeps them in memory
+     */
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.reviews = new Map();
+        this.loadedVersion = null;
+    }
+
+    /**
+     * Review of a withdrawal, or null when nobody reviewed it
+     */
+    get(txHash) {
+        this.refresh();
+        return this.reviews.get(txHash.toLowerCase()) || null;
+    }
+
+    /**
+     * Every recorded review, oldest first
+     */
+    list() {
+        this.refresh();
+        return Array.from(this.reviews.values()).sort((a, b) => a.at.localeCompare(b.at));
+    }
+
+    /**
+     * Record a review and save the file; returns the review
+     */
+    add(txHash, { by = null, note = null } = {}) {
+        this.refresh();
+        const review = { txHash, by, note, at: new Date().toISOString() };
+        this.reviews.set(txHash.toLowerCase(), review);
+        this.save();
+        return review;
+    }
+
+    /**
+     * Forget reviews of withdrawals not in keep (txHashes still pending)
+     */
+    prune(keep) {
+        this.refresh();
+        const pending = new Set(keep.map(txHash => txHash.toLowerCase()));
+        const before = this.reviews.size;
+        this.reviews.forEach((review, key) => {
+            if (!pending.has(key)) this.reviews.delete(key);
+        });
+        if (this.reviews.size !== before) this.save();
+    }
+
+    /**
+     * Reload the file if another process changed it since it was read
+     */
+    refresh() {
+        if (!this.filePath) return;
+
+        const version = fileVersion(this.filePath);
+        if (version === this.loadedVersion) return;
+
+        this.loadedVersion = version;
+        if (version === null) {
+            this.reviews = new Map();
+            return;
+        }
+        try {
+            const reviews = JSON.parse(fs.readFileSync(this.filePath, "utf8"));
+            this.reviews = new Map(reviews.map(review => [review.txHash.toLowerCase(), review]));
+        } catch (error) {
+            console.warn(`Ignoring unreadable withdrawal reviews ${this.filePath}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Write the file atomically, like the checkpoint next to it
+     */
+    save() {
+        if (!this.filePath) return;
+
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        const temporary = `${this.filePath}.tmp`;
+        fs.writeFileSync(temporary, JSON.stringify(Array.from(this.reviews.values()), null, 2));
+        fs.renameSync(temporary, this.filePath);
+        this.loadedVersion = fileVersion(this.filePath);
+    }
+}
+
+function fileVersion(filePath) {
+    try {
+        const stat = fs.statSync(filePath);
+        return `${stat.mtimeMs}:${stat.size}`;
+    } catch (error) {
+        if (error.code === "ENOENT") return null;
+        throw error;
+    }
+}
+
+/**
+ * Reviews file of a monitor checkpoint: checkpoints/<label>.reviews.json
+ */
+function reviewsPath(checkpointPath) {
+    return checkpointPath && checkpointPath.replace(/(\.json)?$/, ".reviews.json");
+}
+
+module.exports = WithdrawalReviews;
+module.exports.reviewsPath = reviewsPath;
@@ -1,377 +1,626 @@
-const { ethers } = require("hardhat");
-const fs = require('fs');
-const path = require('path');
+const { ethers } = require("ethers");
+const EventEmitter = require('events');
+const { createDefaultRegistry, DetectorError } = require('./monitor/detector-registry');
+const { NotificationManager } = require('./monitor/notifiers/notification-manager');
+const { AlertCorrelator } = require('./monitor/alert-correlator');
+const { IncidentError, updateIncident, mergeWorkflow, incidentMetrics } = require('./monitor/incidents');
+const { createAlertStore, isAlertStore } = require('./monitor/stores');
+const { toThresholds } = require('./monitor/config');
+const BlockIngestor = require('./monitor/block-ingestor');
+const WithdrawalReviews = require('./monitor/withdrawal-reviews');
 
 /**
  * Security Monitoring System for Layer 2 Blockchain
  * Detects suspicious patterns and potential attacks
+ *
+ * Emits "alert" ({ alert, action, incident }) for every recorded alert,
+ * "incident" ({ incident }) after each incident workflow update, "event"
+ * for every event dispatched to the detectors (not again when it is
+ * retried) and "detector"
+ * ({ detector, event, durationMs, error }) after each detector evaluation.
+ *
+ * Options:
+ * - label: name used in alerts and reports, e.g. "secure.bridge"
+ * - contractKind: "bridge", "bank" or "dex"; only matching detectors are loaded
+ * - contractName: artifact name of the contract, used to name it in call traces
+ * - alertStore: alert store, or its config ({ backend: "ndjson" | "sqlite", ... });
+ *   defaults to rotating NDJSON files in logs/
+ * - notifications: NotificationManager, or its config (channels, routes, retry)
+ * - correlation: AlertCorrelator, or its config (suppression, correlationWindow, escalation)
+ * - registry: DetectorRegistry to take detectors from (defaults to built-ins)
+ * - detectorDirs: extra directories of detector modules to register
+ * - detectors: per-detector config keyed by name, e.g.
+ *   { "reentrancy": { enabled: false }, "price-manipulation": { thresholds: { priceDeviation: 5 } } }
+ * - config: parsed monitor config file (see monitor/config.js), applied
+ *   on top of the options above; re-apply edits with applyConfig()
+ * - provider: provider, or a function returning a new one; a function lets
+ *   the monitor reconnect after provider errors (defaults to Hardhat's)
+ * - checkpointPath: file recording the last processed block (defaults to
+ *   checkpoints/<label>.json next to the alert logs; null to not persist);
+ *   withdrawal reviews go to <label>.reviews.json beside it
+ * - ingestion: BlockIngestor options (startBlock, pollInterval,
+ *   confirmations, reorgDepth, batchSize, retry)
  */
-class SecurityMonitor {
-    constructor(contractAddress, contractABI) {
+class SecurityMonitor extends EventEmitter {
+    constructor(contractAddress, contractABI, options = {}) {
+        super();
         this.contractAddress = contractAddress;
         this.contractABI = contractABI;
-        this.alerts = [];
+        this.label = options.label || contractAddress;
+        this.contractKind = options.contractKind;
+        this.contractName = options.contractName;
+        this.alertStore = isAlertStore(options.alertStore)
+            ? options.alertStore
+            : createAlertStore(options.alertStore);
         this.transactionHistory = [];
+        this.blockTimestamps = new Map();
         
-        // Thresholds for anomaly detection
-        this.thresholds = {
+        // Thresholds for anomaly detection, shared by all detectors
+        this.defaultThresholds = {
             rapidWithdrawals: 5, // Max withdrawals per minute
             largeWithdrawal: ethers.parseEther("10"), // Large withdrawal amount
             suspiciousPattern: 3, // Number of similar transactions
             priceDeviation: 10, // Percentage price change
             gasSpike: 2.0 // Gas price multiplier for front-running detection
         };
+        this.thresholds = { ...this.defaultThresholds };
+
+        this.registry = options.registry || createDefaultRegistry();
+        (options.detectorDirs || []).forEach(dir => this.registry.loadDirectory(dir));
+        this.detectorOptions = options.detectors || {};
+        this.detectors = this.registry.createAll(this.detectorOptions)
+            .filter(detector => detector.appliesTo(this.contractKind));
+        this.subscribedEvents = new Set();
+
+        this.notifier = options.notifications instanceof NotificationManager
+            ? options.notifications
+            : options.notifications && new NotificationManager(options.notifications);
+
+        this.correlator = options.correlation instanceof AlertCorrelator
+            ? options.correlation
+            : new AlertCorrelator(options.correlation);
+        // Incidents stored by earlier runs keep their ids and workflow
+        this.correlator.restore(this.alertStore.queryIncidents({ contract: this.label }));
+
+        this.providerFactory = typeof options.provider === "function"
+            ? options.provider
+            // Hardhat is only loaded when no provider is given
+            : () => options.provider || require("hardhat").ethers.provider;
+        // Mempool transactions are not replayed, so failures on them are dropped
+        this.onPending = txHash => this.dispatch({
+            name: "pending",
+            txHash,
+            address: this.contractAddress,
+            timestamp: Date.now()
+        }).catch(() => []);
+
+        const checkpointPath = options.checkpointPath !== undefined
+            ? options.checkpointPath
+            : BlockIngestor.defaultCheckpointPath(this.alertStore, this.label);
+        this.ingestor = new BlockIngestor(this, { ...options.ingestion, checkpointPath });
+        // Operator reviews of bridge withdrawals, kept next to the checkpoint
+        this.withdrawalReviews = new WithdrawalReviews(WithdrawalReviews.reviewsPath(checkpointPath));
+
+        if (options.config) {
+            this.applyConfig(options.config);
+        }
+    }
+
+    /**
+     * Apply a monitor config: global thresholds and detector settings with
+     * this contract's overrides on top, plus notification routing and
+     * correlation windows when present. Listeners stay attached; events of
+     * newly enabled detectors are subscribed if monitoring is running.
+     */
+    applyConfig(config = {}) {
+        const notifier = config.notifications instanceof NotificationManager
+            ? config.notifications
+            : config.notifications && new NotificationManager(config.notifications);
+        const overrides = (config.contracts || {})[this.label] || {};
+
+        this.thresholds = {
+            ...this.defaultThresholds,
+            ...toThresholds(config.thresholds, this.defaultThresholds),
+            ...toThresholds(overrides.thresholds, this.defaultThresholds)
+        };
+
+        this.detectors.forEach(detector => {
+            const reference = { ...detector.defaults, ...this.defaultThresholds };
+            const layers = [
+                this.detectorOptions[detector.name],
+                (config.detectors || {})[detector.name],
+                (overrides.detectors || {})[detector.name]
+            ];
+
+            detector.enabled = true;
+            detector.overrides = {};
+            layers.filter(Boolean).forEach(layer => detector.configure({
+                enabled: layer.enabled,
+                thresholds: layer.thresholds && toThresholds(layer.thresholds, reference)
+            }));
+        });
+
+        if (notifier) {
+            this.notifier = notifier;
+        }
+        if (config.correlation) {
+            this.correlator.configure(config.correlation);
+        }
+        if (this.subscribedEvents.size > 0) {
+            this.subscribeDetectorEvents();
+        }
     }
 
     /**
      * Initialize monitoring with contract instance
      */
     async initialize() {
-        this.provider = ethers.provider;
+        this.provider = this.providerFactory();
         this.contract = new ethers.Contract(
             this.contractAddress,
             this.contractABI,
             this.provider
         );
         
-        console.log(`Monitoring initialized for contract: ${this.contractAddress}`);
+        console.log(`Monitoring initialized for contract: ${this.label} (${this.contractAddress})`);
     }
 
     /**
-     * Monitor for double-spending attempts
+     * Replace the provider after a connection failure. Only has an effect
+     * when the provider option is a factory; listeners move to the new one.
      */
-    async monitorDoubleSpending() {
-        const withdrawalMap = new Map();
-        const timeWindow = 60000; // 1 minute in milliseconds
+    async reconnect() {
+        const previous = this.provider;
+        let provider;
+        try {
+            provider = this.providerFactory();
+        } catch (error) {
+            console.error(`[${this.label}] Reconnect failed:`, error.message);
+            return;
+        }
+        if (provider === previous) return;
 
-        this.contract.on("Withdrawal", (user, amount, txHash, event) => {
-            const now = Date.now();
-            const key = user;
+        previous.removeAllListeners("pending");
+        if (typeof previous.destroy === "function") {
+            previous.destroy();
+        }
 
-            if (!withdrawalMap.has(key)) {
-                withdrawalMap.set(key, []);
-            }
+        this.provider = provider;
+        this.contract = new ethers.Contract(this.contractAddress, this.contractABI, provider);
+        if (this.subscribedEvents.has("pending")) {
+            provider.on("pending", this.onPending);
+        }
+        console.log(`[${this.label}] Reconnected to provider`);
+    }
 
-            const userWithdrawals = withdrawalMap.get(key);
-            
-            // Remove old entries outside time window
-            const recentWithdrawals = userWithdrawals.filter(
-                w => now - w.timestamp < timeWindow
-            );
+    /**
+     * Look up a detector instance by name
+     */
+    getDetector(name) {
+        return this.detectors.find(detector => detector.name === name);
+    }
 
-            recentWithdrawals.push({
-                amount: amount.toString(),
-                txHash,
-                timestamp: now,
-                blockNumber: event.blockNumber
-            });
+    /**
+     * Enable a detector; its events are subscribed if monitoring is running
+     */
+    enableDetector(name) {
+        this.requireDetector(name).enabled = true;
+        if (this.subscribedEvents.size > 0) {
+            this.subscribeDetectorEvents();
+        }
+    }
 
-            withdrawalMap.set(key, recentWithdrawals);
-
-            // Check for suspicious patterns
-            if (recentWithdrawals.length >= this.thresholds.rapidWithdrawals) {
-                this.createAlert({
-                    type: "POTENTIAL_DOUBLE_SPENDING",
-                    severity: "CRITICAL",
-                    user,
-                    details: `${recentWithdrawals.length} withdrawals in 1 minute`,
-                    withdrawals: recentWithdrawals,
-                    timestamp: new Date().toISOString()
-                });
-            }
+    /**
+     * Disable a detector; its state is kept so it can be re-enabled
+     */
+    disableDetector(name) {
+        this.requireDetector(name).enabled = false;
+    }
 
-            // Check for similar amounts (possible replay attack)
-            const amounts = recentWithdrawals.map(w => w.amount);
-            const uniqueAmounts = new Set(amounts);
-            if (amounts.length - uniqueAmounts.size >= this.thresholds.suspiciousPattern) {
-                this.createAlert({
-                    type: "SUSPICIOUS_PATTERN",
-                    severity: "HIGH",
-                    user,
-                    details: "Multiple withdrawals of identical amounts",
-                    withdrawals: recentWithdrawals,
-                    timestamp: new Date().toISOString()
-                });
-            }
-        });
+    requireDetector(name) {
+        const detector = this.getDetector(name);
+        if (!detector) {
+            throw new Error(`Unknown detector: ${name}`);
+        }
+        return detector;
+    }
 
-        console.log("Double-spending monitoring active");
+    /**
+     * Contract event names that at least one enabled detector subscribes to
+     */
+    getContractEventNames() {
+        const names = new Set();
+        this.detectors
+            .filter(detector => detector.enabled)
+            .forEach(detector => detector.events.forEach(name => names.add(name)));
+
+        return Array.from(names).filter(name => this.contract.interface.getEvent(name));
     }
 
     /**
-     * Monitor for reentrancy attacks
+     * Subscribe to the events used by the enabled detectors. Contract
+     * logs and "block" events come from the block ingestor, which reads
+     * the detectors' event names on every poll; mempool and timer events
+     * get one listener each. Listeners dispatch to whichever detectors
+     * are enabled at the time.
      */
-    async monitorReentrancy() {
-        const gasUsageMap = new Map();
-        
-        this.contract.on("Withdrawal", async (user, amount, event) => {
-            const tx = await event.getTransaction();
-            const receipt = await event.getTransactionReceipt();
-            
-            const gasUsed = receipt.gasUsed;
-            const expectedGas = 50000n; // Normal withdrawal gas
-            const gasDeviation = gasUsed / expectedGas;
-
-            if (gasDeviation > 2n) {
-                this.createAlert({
-                    type: "POTENTIAL_REENTRANCY",
-                    severity: "CRITICAL",
-                    user,
-                    details: `Abnormal gas usage: ${gasUsed.toString()} (${gasDeviation}x expected)`,
-                    txHash: tx.hash,
-                    gasUsed: gasUsed.toString(),
-                    timestamp: new Date().toISOString()
-                });
-            }
+    subscribeDetectorEvents() {
+        const wantsPending = this.detectors.some(detector => detector.handles("pending"));
+        if (wantsPending && !this.subscribedEvents.has("pending")) {
+            this.provider.on("pending", this.onPending);
+            this.subscribedEvents.add("pending");
+        }
 
-            // Monitor for recursive calls
-            const logs = receipt.logs;
-            const withdrawalEvents = logs.filter(log => 
-                log.topics[0] === this.contract.interface.getEvent("Withdrawal").topicHash
-            );
+        const tickDetectors = this.detectors.filter(detector => detector.handles("tick"));
+        if (tickDetectors.length > 0 && !this.subscribedEvents.has("tick")) {
+            const interval = Math.min(...tickDetectors.map(detector => detector.tickInterval));
+            this.tickTimer = setInterval(() => {
+                this.tick().catch(error => console.error("Error running periodic checks:", error));
+            }, interval);
+            this.subscribedEvents.add("tick");
+        }
 
-            if (withdrawalEvents.length > 1) {
-                this.createAlert({
-                    type: "MULTIPLE_WITHDRAWALS_IN_TX",
-                    severity: "CRITICAL",
-                    user,
-                    details: `${withdrawalEvents.length} withdrawal events in single transaction`,
-                    txHash: tx.hash,
-                    timestamp: new Date().toISOString()
-                });
-            }
-        });
+        if (this.detectors.some(detector => detector.handles("block"))) {
+            this.subscribedEvents.add("block");
+        }
+        this.getContractEventNames().forEach(name => this.subscribedEvents.add(name));
 
-        console.log("Reentrancy monitoring active");
+        this.ingestor.start();
     }
 
     /**
-     * Monitor for front-running attacks
+     * Run the periodic checks of detectors subscribed to "tick".
+     * Defaults to the latest block and its time so time-based checks
+     * follow the chain clock (which tests may fast-forward).
      */
-    async monitorFrontRunning() {
-        const pendingTxMap = new Map();
-        
-        // Monitor pending transactions (mempool)
-        this.provider.on("pending", async (txHash) => {
-            try {
-                const tx = await this.provider.getTransaction(txHash);
-                
-                if (!tx || tx.to !== this.contractAddress) return;
-
-                const now = Date.now();
-                const gasPriceGwei = ethers.formatUnits(tx.gasPrice || 0n, "gwei");
-
-                // Check for suspicious gas price patterns
-                const avgGasPrice = await this.getAverageGasPrice();
-                const gasMultiplier = parseFloat(gasPriceGwei) / avgGasPrice;
-
-                if (gasMultiplier > this.thresholds.gasSpike) {
-                    // Check if there are similar pending transactions with lower gas
-                    const similarTxs = Array.from(pendingTxMap.values()).filter(
-                        t => t.to === tx.to && 
-                        parseFloat(t.gasPrice) < parseFloat(gasPriceGwei) &&
-                        now - t.timestamp < 10000 // Within 10 seconds
-                    );
-
-                    if (similarTxs.length > 0) {
-                        this.createAlert({
-                            type: "POTENTIAL_FRONT_RUNNING",
-                            severity: "HIGH",
-                            details: `Transaction with ${gasMultiplier.toFixed(2)}x average gas price`,
-                            txHash,
-                            gasPrice: gasPriceGwei,
-                            avgGasPrice: avgGasPrice.toFixed(2),
-                            similarTxs: similarTxs.length,
-                            timestamp: new Date().toISOString()
-                        });
-                    }
-                }
-
-                pendingTxMap.set(txHash, {
-                    to: tx.to,
-                    gasPrice: gasPriceGwei,
-                    timestamp: now
-                });
+    async tick(timestamp, blockNumber) {
+        if (blockNumber === undefined) {
+            blockNumber = await this.provider.getBlockNumber();
+        }
+        if (timestamp === undefined) {
+            timestamp = await this.getBlockTimestamp(blockNumber);
+        }
 
-                // Cleanup old entries
-                for (const [hash, data] of pendingTxMap) {
-                    if (now - data.timestamp > 60000) {
-                        pendingTxMap.delete(hash);
-                    }
-                }
-            } catch (error) {
-                // Transaction might have been mined already
-            }
+        return this.dispatch({
+            name: "tick",
+            address: this.contractAddress,
+            blockNumber,
+            timestamp
         });
+    }
 
-        console.log("Front-running monitoring active");
+    /**
+     * Normalize a decoded contract log into the event shape detectors receive
+     */
+    toMonitorEvent(log, timestamp) {
+        return {
+            name: log.eventName,
+            args: log.args,
+            log,
+            address: log.address,
+            blockNumber: log.blockNumber,
+            transactionHash: log.transactionHash,
+            timestamp
+        };
     }
 
     /**
-     * Monitor for price manipulation
+     * Run an event through every enabled detector subscribed to it, or
+     * only through the named ones ({ detectors }) when an event is retried.
+     * Every detector runs even if another one fails; failures are then
+     * thrown as a DetectorError carrying the alerts that were raised.
      */
-    async monitorPriceManipulation() {
-        let lastPrice = 0n;
-        let priceHistory = [];
+    async dispatch(event, { detectors: only } = {}) {
+        const alerts = [];
+        const failures = [];
+        if (!only) {
+            this.emit("event", event);
+        }
+
+        for (const detector of this.detectors) {
+            if (!detector.handles(event.name)) continue;
+            if (only && !only.includes(detector.name)) continue;
 
-        this.contract.on("Swap", async (user, amountIn, amountOut, isAToB, event) => {
+            const startedAt = process.hrtime.bigint();
+            let failure;
             try {
-                const currentPrice = await this.contract.getPrice();
-                
-                if (lastPrice > 0n) {
-                    const priceChange = Number(currentPrice - lastPrice) / Number(lastPrice) * 100;
-                    
-                    if (Math.abs(priceChange) > this.thresholds.priceDeviation) {
-                        this.createAlert({
-                            type: "PRICE_MANIPULATION",
-                            severity: "HIGH",
-                            user,
-                            details: `Price changed ${priceChange.toFixed(2)}% in single swap`,
-                            lastPrice: ethers.formatEther(lastPrice),
-                            currentPrice: ethers.formatEther(currentPrice),
-                            amountIn: ethers.formatEther(amountIn),
-                            amountOut: ethers.formatEther(amountOut),
-                            timestamp: new Date().toISOString()
-                        });
+                const raised = await detector.evaluate(event, this.getDetectorContext(detector));
+                (raised || []).forEach(alert => {
+                    alert.contractLabel = this.label;
+                    if (this.createAlert(alert) !== "suppressed") {
+                        alerts.push(alert);
                     }
-                }
-
-                priceHistory.push({
-                    price: currentPrice,
-                    timestamp: Date.now(),
-                    user
                 });
-
-                // Keep last 100 prices
-                if (priceHistory.length > 100) {
-                    priceHistory.shift();
-                }
-
-                lastPrice = currentPrice;
             } catch (error) {
-                console.error("Error monitoring price:", error);
+                failure = error;
+                failures.push({ detector: detector.name, error });
+                // Transactions may already be mined or dropped for mempool events
+                if (event.name !== "pending") {
+                    console.error(`Detector ${detector.name} failed on ${event.name}:`, error);
+                }
             }
-        });
 
-        console.log("Price manipulation monitoring active");
+            this.emit("detector", {
+                detector: detector.name,
+                event,
+                durationMs: Number(process.hrtime.bigint() - startedAt) / 1e6,
+                error: failure
+            });
+        }
+
+        if (failures.length > 0) {
+            throw new DetectorError(event, failures, alerts);
+        }
+        return alerts;
     }
 
     /**
-     * Monitor for large or unusual transactions
+     * Context handed to a detector's evaluate()
      */
-    async monitorLargeTransactions() {
-        this.contract.on("Deposit", (user, amount, event) => {
-            if (amount >= this.thresholds.largeWithdrawal) {
-                this.createAlert({
-                    type: "LARGE_DEPOSIT",
-                    severity: "MEDIUM",
-                    user,
-                    amount: ethers.formatEther(amount),
-                    details: "Large deposit detected",
-                    blockNumber: event.blockNumber,
-                    timestamp: new Date().toISOString()
-                });
-            }
-        });
+    getDetectorContext(detector) {
+        return {
+            monitor: this,
+            contract: this.contract,
+            contractAddress: this.contractAddress,
+            provider: this.provider,
+            thresholds: detector.getThresholds(this.thresholds)
+        };
+    }
 
-        this.contract.on("Withdrawal", (user, amount, event) => {
-            if (amount >= this.thresholds.largeWithdrawal) {
-                this.createAlert({
-                    type: "LARGE_WITHDRAWAL",
-                    severity: "HIGH",
-                    user,
-                    amount: ethers.formatEther(amount),
-                    details: "Large withdrawal detected - may require additional verification",
-                    blockNumber: event.blockNumber,
-                    timestamp: new Date().toISOString()
-                });
-            }
-        });
+    /**
+     * Replay historical logs over a block range through the detectors.
+     * Time windows use block timestamps so the results match what the
+     * live monitor would have raised at the time. Block detectors are run
+     * for every block that emitted a monitored event. A detector failure
+     * stops the backfill with its DetectorError.
+     */
+    async backfill(fromBlock = 0, toBlock = "latest", chunkSize = 2000) {
+        if (!this.contract) {
+            await this.initialize();
+        }
+
+        const lastBlock = toBlock === "latest"
+            ? await this.provider.getBlockNumber()
+            : toBlock;
+        let processed = 0;
+        let raised = 0;
+
+        console.log(`Backfilling blocks ${fromBlock}-${lastBlock} for ${this.contractAddress}...`);
+
+        for (let start = fromBlock; start <= lastBlock; start += chunkSize) {
+            const end = Math.min(start + chunkSize - 1, lastBlock);
 
-        console.log("Large transaction monitoring active");
+            // Replays leave the live ingestion checkpoint untouched
+            const result = await this.ingestor.processRange(start, end, { record: false, everyBlock: false });
+            processed += result.eventsProcessed;
+            raised += result.alertsRaised;
+        }
+
+        if (this.detectors.some(detector => detector.handles("tick"))) {
+            const alerts = await this.tick(await this.getBlockTimestamp(lastBlock), lastBlock);
+            raised += alerts.length;
+        }
+
+        console.log(`Backfill complete: ${processed} events replayed, ${raised} alerts raised`);
+
+        return { fromBlock, toBlock: lastBlock, eventsProcessed: processed, alertsRaised: raised };
     }
 
     /**
-     * Get average gas price
+     * Get a block timestamp in milliseconds, cached per block
      */
-    async getAverageGasPrice() {
-        const feeData = await this.provider.getFeeData();
-        return parseFloat(ethers.formatUnits(feeData.gasPrice || 0n, "gwei"));
+    async getBlockTimestamp(blockNumber) {
+        if (!this.blockTimestamps.has(blockNumber)) {
+            const block = await this.provider.getBlock(blockNumber);
+            this.blockTimestamps.set(blockNumber, block.timestamp * 1000);
+        }
+        return this.blockTimestamps.get(blockNumber);
     }
 
     /**
-     * Create security alert
+     * Time in milliseconds of the newest block processed so far, or
+     * undefined before the first one
+     */
+    getLatestBlockTimestamp() {
+        let latest;
+        for (const blockNumber of this.blockTimestamps.keys()) {
+            if (latest === undefined || blockNumber > latest) latest = blockNumber;
+        }
+        return latest === undefined ? undefined : this.blockTimestamps.get(latest);
+    }
+
+    /**
+     * Create security alert.
+     * Duplicates inside their suppression window are dropped; alerts that
+     * join an existing incident are recorded without a new notification
+     * unless the incident escalates.
      */
     createAlert(alert) {
-        this.alerts.push(alert);
+        const { action, fingerprint, incident } = this.correlator.process(alert);
+        alert.fingerprint = fingerprint;
+        alert.incidentId = incident.id;
+
+        if (action === "suppressed") {
+            return action;
+        }
+
+        this.alertStore.append(alert);
+        this.saveIncident(incident);
+        this.emit("alert", { alert, action, incident });
         
-        console.log("\n" + "=".repeat(80));
-        console.log(`SECURITY ALERT: ${alert.type}`);
-        console.log(`Severity: ${alert.severity}`);
-        console.log(`Details: ${alert.details}`);
-        if (alert.user) console.log(`User: ${alert.user}`);
-        console.log(`Time: ${alert.timestamp}`);
-        console.log("=".repeat(80) + "\n");
-
-        // Save to file
-        this.saveAlerts();
-
-        // In production, trigger notifications (email, SMS, webhook, etc.)
-        this.triggerNotification(alert);
+        if (action === "correlated") {
+            console.log(
+                `[INCIDENT ${incident.id}] ${alert.type} correlated with ${incident.title} ` +
+                `(${incident.alertCount} signals)`
+            );
+        } else {
+            console.log("\n" + "=".repeat(80));
+            console.log(action === "escalated"
+                ? `SECURITY INCIDENT ESCALATED: ${incident.title} -> ${incident.severity}`
+                : `SECURITY ALERT: ${alert.type}`);
+            console.log(`Severity: ${action === "escalated" ? incident.severity : alert.severity}`);
+            console.log(`Details: ${alert.details}`);
+            if (alert.contractLabel) console.log(`Contract: ${alert.contractLabel}`);
+            if (alert.user) console.log(`User: ${alert.user}`);
+            console.log(`Incident: ${incident.id} (${incident.signals.map(s => s.type).join(", ")})`);
+            console.log(`Time: ${alert.timestamp}`);
+            console.log("=".repeat(80) + "\n");
+        }
+
+        if (action === "new") {
+            this.triggerNotification(alert);
+        } else if (action === "escalated") {
+            this.triggerNotification({
+                ...alert,
+                type: `ESCALATED_${incident.title}`,
+                severity: incident.severity,
+                details: `Incident ${incident.id} escalated to level ${incident.escalationLevel} ` +
+                    `after ${incident.alertCount} signals: ` +
+                    incident.signals.map(s => `${s.type} x${s.count}`).join(", "),
+                signals: incident.signals
+            });
+        }
+
+        return action;
     }
 
     /**
-     * Save alerts to file
+     * Flag the alerts raised from blocks a reorg removed ({ from, to }) as
+     * orphaned and take them back from their incidents, so the replacement
+     * blocks can raise them again. since (block time in ms) narrows the
+     * search. Returns the orphaned alerts.
      */
-    saveAlerts() {
-        const alertsPath = path.join(__dirname, '../logs/security-alerts.json');
-        const logsDir = path.dirname(alertsPath);
-        
-        if (!fs.existsSync(logsDir)) {
-            fs.mkdirSync(logsDir, { recursive: true });
+    orphanAlerts(reorg, since) {
+        const alerts = this.alertStore.query({ contract: this.label, since, orphaned: false })
+            .filter(alert => alert.blockNumber >= reorg.from);
+
+        alerts.forEach(alert => {
+            this.alertStore.markOrphaned(alert.id, reorg);
+            const incident = this.correlator.retract(alert, this.findIncident(alert.incidentId));
+            if (incident) this.saveIncident(incident);
+        });
+        if (alerts.length > 0) {
+            console.warn(`[${this.label}] ${alerts.length} alert(s) raised from blocks ${reorg.from}-${reorg.to} orphaned by a reorg`);
         }
+        return alerts;
+    }
 
-        fs.writeFileSync(
-            alertsPath,
-            JSON.stringify(this.alerts, null, 2)
-        );
+    /**
+     * Persist an incident without losing workflow changes made elsewhere
+     * (e.g. from the CLI) since it was last saved
+     */
+    saveIncident(incident) {
+        mergeWorkflow(incident, this.alertStore.getIncident(incident.id));
+        this.alertStore.saveIncident(incident);
     }
 
     /**
-     * Trigger notification (placeholder for production integration)
+     * Incident by id: the correlator's live copy, or the stored one once
+     * the correlator has evicted it
+     */
+    findIncident(id) {
+        return this.correlator.getIncident(id) || this.alertStore.getIncident(id);
+    }
+
+    /**
+     * Move an incident through its workflow: { status, assignee, note, by }.
+     * Throws IncidentError for unknown incidents and invalid transitions.
+     */
+    updateIncident(id, changes) {
+        const incident = this.findIncident(id);
+        if (!incident) {
+            throw new IncidentError(`Unknown incident: ${id}`);
+        }
+
+        mergeWorkflow(incident, this.alertStore.getIncident(id));
+        updateIncident(incident, changes);
+        this.alertStore.saveIncident(incident);
+        this.emit("incident", { incident });
+        return incident;
+    }
+
+    /**
+     * Deliver an alert through the configured notification channels
      */
     triggerNotification(alert) {
-        // In production, integrate with:
-        // - Email service (SendGrid, AWS SES)
-        // - SMS service (Twilio)
-        // - Webhooks (Slack, Discord, PagerDuty)
-        // - Monitoring platforms (DataDog, New Relic)
-        
-        console.log(`[NOTIFICATION] Alert ${alert.type} would be sent to security team`);
+        if (!this.notifier) {
+            console.log(`[NOTIFICATION] No channels configured, alert ${alert.type} not sent`);
+            return Promise.resolve([]);
+        }
+
+        return this.notifier.notify(alert).then(results => {
+            results
+                .filter(result => result.delivered)
+                .forEach(result => console.log(`[NOTIFICATION] Alert ${alert.type} sent via ${result.channel}`));
+            return results;
+        });
+    }
+
+    /**
+     * Recent DEX prices observed by the price manipulation detector
+     */
+    getPriceHistory() {
+        const detector = this.getDetector("price-manipulation");
+        return detector ? detector.state.priceHistory : [];
+    }
+
+    /**
+     * Pending large bridge withdrawals with their reviews (review is null
+     * when nobody reviewed one), soonest to clear first
+     */
+    getPendingWithdrawals() {
+        const detector = this.getDetector("bridge-lifecycle");
+        return detector
+            ? detector.getPendingWithdrawals().map(withdrawal => ({
+                ...withdrawal,
+                review: this.withdrawalReviews.get(withdrawal.txHash)
+            }))
+            : [];
+    }
+
+    /**
+     * Record an operator's review of a pending withdrawal so it is not
+     * reported as leaving its challenge window unreviewed. Returns the
+     * review, or null when no such withdrawal is pending.
+     */
+    reviewWithdrawal(txHash, { by = null, note = null } = {}) {
+        const pending = this.getPendingWithdrawals();
+        const withdrawal = pending.find(entry => entry.txHash.toLowerCase() === txHash.toLowerCase());
+        if (!withdrawal) return null;
+
+        // Reviews of withdrawals that completed or were cancelled are dropped
+        this.withdrawalReviews.prune(pending.map(entry => entry.txHash));
+        return this.withdrawalReviews.add(withdrawal.txHash, { by, note });
     }
 
     /**
      * Generate monitoring report
      */
     generateReport() {
+        const filter = { contract: this.label };
+        // Stored incidents, with live copies for those the correlator still holds
+        const live = new Map(this.correlator.getIncidents().map(incident => [incident.id, incident]));
+        const incidents = this.alertStore.queryIncidents({ contract: this.label })
+            .map(incident => live.get(incident.id) || incident)
+            .sort((a, b) => b.lastSeen.localeCompare(a.lastSeen));
+        const bySeverity = this.alertStore.countBy("severity", filter);
+
         const report = {
             generatedAt: new Date().toISOString(),
-            totalAlerts: this.alerts.length,
+            totalAlerts: this.alertStore.count(filter),
             alertsBySeverity: {
-                CRITICAL: this.alerts.filter(a => a.severity === "CRITICAL").length,
-                HIGH: this.alerts.filter(a => a.severity === "HIGH").length,
-                MEDIUM: this.alerts.filter(a => a.severity === "MEDIUM").length,
-                LOW: this.alerts.filter(a => a.severity === "LOW").length
+                CRITICAL: bySeverity.CRITICAL || 0,
+                HIGH: bySeverity.HIGH || 0,
+                MEDIUM: bySeverity.MEDIUM || 0,
+                LOW: bySeverity.LOW || 0
             },
-            alertsByType: {},
-            recentAlerts: this.alerts.slice(-10)
+            alertsByType: this.alertStore.countBy("type", filter),
+            recentAlerts: this.alertStore.query({ ...filter, limit: 10 }).reverse(),
+            incidents,
+            // Response times and per-type false-positive rates for detector tuning
+            incidentMetrics: incidentMetrics(incidents)
         };
 
-        this.alerts.forEach(alert => {
-            report.alertsByType[alert.type] = 
-                (report.alertsByType[alert.type] || 0) + 1;
-        });
-
         return report;
     }
 
@@ -383,11 +632,10 @@ class SecurityMonitor {
         
         console.log("\nStarting comprehensive security monitoring...\n");
         
-        await this.monitorDoubleSpending();
-        await this.monitorReentrancy();
-        await this.monitorFrontRunning();
-        await this.monitorPriceManipulation();
-        await this.monitorLargeTransactions();
+        this.subscribeDetectorEvents();
+        this.detectors
+            .filter(detector => detector.enabled)
+            .forEach(detector => console.log(`Detector active: ${detector.name}`));
         
         console.log("\nAll monitoring systems active\n");
     }
@@ -395,33 +643,18 @@ class SecurityMonitor {
     /**
      * Stop monitoring
      */
-    stopMonitoring() {
-        this.contract.removeAllListeners();
+    async stopMonitoring() {
         this.provider.removeAllListeners("pending");
+        clearInterval(this.tickTimer);
+        this.subscribedEvents.clear();
+        await this.ingestor.stop();
         console.log("Monitoring stopped");
     }
 }
 
 module.exports = SecurityMonitor;
 
-// Example usage
+// Running this file directly is the same as `monitor-cli.js watch`
 if (require.main === module) {
-    async function main() {
-        // Example: Monitor SecureL2Bridge
-        const contractAddress = "0x..."; // Replace with actual deployed address
-        const contractABI = []; // Replace with actual ABI
-
-        const monitor = new SecurityMonitor(contractAddress, contractABI);
-        await monitor.startMonitoring();
-
-        // Run for 24 hours then generate report
-        setTimeout(() => {
-            const report = monitor.generateReport();
-            console.log("\n24-Hour Monitoring Report:");
-            console.log(JSON.stringify(report, null, 2));
-            monitor.stopMonitoring();
-        }, 24 * 60 * 60 * 1000);
-    }
-
-    main().catch(console.error);
+    require('./monitor-cli').run(["watch", ...process.argv.slice(2)]).then(code => process.exit(code));
 }
@@ -0,0 +1,94 @@
+const { expect } = require("chai");
+const { AlertCorrelator } = require("../Scripts/monitor/alert-correlator");
+const { updateIncident } = require("../Scripts/monitor/incidents");
+
+describe("Alert Correlation", function () {
+    const start = Date.parse("2026-01-05T12:00:00.000Z");
+    const at = seconds => new Date(start + seconds * 1000).toISOString();
+    let correlator;
+
+    beforeEach(function () {
+        correlator = new AlertCorrelator({
+            suppression: { default: 60000, PRICE_MANIPULATION: 30000 },
+            correlationWindow: 300000,
+            escalation: { signalThreshold: 4 }
+        });
+    });
+
+    const alert = (type, seconds, fields = {}) => ({
+        type,
+        severity: "MEDIUM",
+        user: "0x01",
+        contractLabel: "vulnerable.bank",
+        timestamp: at(seconds),
+        ...fields
+    });
+    const raise = (...args) => correlator.process(alert(...args));
+
+    it("Should suppress repeats of a fingerprint within its window", function () {
+        const first = raise("LARGE_WITHDRAWAL", 0, { txHash: "0xaa" });
+        expect(first.action).to.equal("new");
+
+        const repeat = raise("LARGE_WITHDRAWAL", 30, { txHash: "0xaa" });
+        expect(repeat).to.include({ action: "suppressed", fingerprint: first.fingerprint, incident: first.incident });
+        expect(first.incident).to.include({ alertCount: 1, suppressedCount: 1, lastSeen: at(30) });
+
+        // Another transaction is another fingerprint, correlated on the user
+        expect(raise("LARGE_WITHDRAWAL", 31, { txHash: "0xbb" }).action).to.equal("correlated");
+        // Past its window the fingerprint is recorded again
+        expect(raise("LARGE_WITHDRAWAL", 61, { txHash: "0xaa" }).action).to.equal("correlated");
+        expect(first.incident.alertCount).to.equal(3);
+    });
+
+    it("Should use per-type suppression windows", function () {
+        raise("PRICE_MANIPULATION", 0, { user: undefined });
+        expect(raise("PRICE_MANIPULATION", 29, { user: undefined }).action).to.equal("suppressed");
+        expect(raise("PRICE_MANIPULATION", 31, { user: undefined }).action).to.equal("correlated");
+    });
+
+    it("Should group alerts by user or transaction within the correlation window", function () {
+        const { incident } = raise("LARGE_WITHDRAWAL", 0, { txHash: "0xaa" });
+        raise("RAPID_WITHDRAWALS", 10);
+        // Same transaction, different user
+        raise("POTENTIAL_REENTRANCY", 20, { user: "0x02", txHash: "0xaa", severity: "HIGH" });
+
+        expect(incident.signals.map(signal => [signal.type, signal.count]))
+            .to.deep.equal([["LARGE_WITHDRAWAL", 1], ["RAPID_WITHDRAWALS", 1], ["POTENTIAL_REENTRANCY", 1]]);
+        expect(incident.severity).to.equal("HIGH");
+
+        expect(raise("LARGE_WITHDRAWAL", 20, { contractLabel: "vulnerable.dex" }).incident).to.not.equal(incident);
+        expect(raise("RAPID_WITHDRAWALS", 20 + 301).action).to.equal("new");
+    });
+
+    it("Should escalate every signalThreshold correlated signals", function () {
+        const { incident } = raise("LARGE_WITHDRAWAL", 0);
+        expect(raise("RAPID_WITHDRAWALS", 1).action).to.equal("correlated");
+        expect(raise("POTENTIAL_DOUBLE_SPENDING", 2).action).to.equal("correlated");
+        expect(raise("SUSPICIOUS_PATTERN", 3).action).to.equal("escalated");
+        expect(incident).to.include({ severity: "HIGH", escalationLevel: 1 });
+
+        ["PRICE_MANIPULATION", "ACCOUNTING_DRIFT", "INSOLVENCY"].forEach((type, i) => raise(type, 4 + i));
+        expect(raise("FRONT_RUNNING", 7).action).to.equal("escalated");
+        expect(incident).to.include({ severity: "CRITICAL", escalationLevel: 2, alertCount: 8 });
+    });
+
+    it("Should evict quiet and closed incidents from memory", function () {
+        const quiet = raise("LARGE_WITHDRAWAL", 0).incident;
+        const closed = raise("LARGE_WITHDRAWAL", 0, { user: "0x02" }).incident;
+        updateIncident(closed, { status: "resolved", at: at(10) });
+
+        // Closed incidents go once their suppression window has passed
+        raise("RAPID_WITHDRAWALS", 61, { user: "0x03" });
+        expect(correlator.getIncident(closed.id)).to.equal(undefined);
+        expect(correlator.getIncident(quiet.id)).to.equal(quiet);
+
+        // Others once no key or fingerprint can match them any more
+        raise("RAPID_WITHDRAWALS", 301, { user: "0x03" });
+        expect(correlator.getIncident(quiet.id)).to.equal(undefined);
+        expect(correlator.getIncidents()).to.have.lengthOf(1);
+        expect(correlator.fingerprints.size).to.equal(1);
+        expect(correlator.incidentKeys.size).to.equal(1);
+
+        expect(raise("LARGE_WITHDRAWAL", 302).action).to.equal("new");
+    });
+});
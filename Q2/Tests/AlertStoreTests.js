@@ -0,0 +1,163 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createAlertStore } = require("../Scripts/monitor/stores");
+
+// node:sqlite needs Node.js 22.5+
+let hasSqlite = true;
+try {
+    require("node:sqlite");
+} catch (error) {
+    hasSqlite = false;
+}
+
+const BACKENDS = {
+    ndjson: directory => ({ backend: "ndjson", directory }),
+    sqlite: directory => ({ backend: "sqlite", filename: path.join(directory, "alerts.db") })
+};
+
+Object.entries(BACKENDS).forEach(([backend, configFor]) => {
+    describe(`Alert Store (${backend})`, function () {
+        const start = Date.parse("2026-01-05T12:00:00.000Z");
+        const at = minutes => new Date(start + minutes * 60000).toISOString();
+        let directory, store;
+
+        before(function () {
+            if (backend === "sqlite" && !hasSqlite) this.skip();
+        });
+
+        beforeEach(function () {
+            directory = fs.mkdtempSync(path.join(os.tmpdir(), `alert-store-${backend}-`));
+            store = createAlertStore(configFor(directory));
+
+            [
+                { type: "LARGE_WITHDRAWAL", severity: "MEDIUM", user: "0xAbC1", contractLabel: "secure.bank", timestamp: at(0) },
+                { type: "POTENTIAL_REENTRANCY", severity: "CRITICAL", user: "0xabc1", contractLabel: "vulnerable.bank", timestamp: at(1) },
+                { type: "PRICE_MANIPULATION", severity: "HIGH", user: "0xdef2", contractLabel: "vulnerable.dex", timestamp: at(2) },
+                { type: "LARGE_WITHDRAWAL", severity: "HIGH", user: "0xdef2", contractLabel: "vulnerable.bank", timestamp: at(3) },
+                { type: "SANDWICH_ATTACK", severity: "HIGH", contractLabel: "vulnerable.dex", timestamp: at(3) }
+            ].forEach(alert => store.append(alert));
+        });
+
+        afterEach(function () {
+            store.close();
+            fs.rmSync(directory, { recursive: true, force: true });
+        });
+
+        const types = alerts => alerts.map(alert => alert.type);
+
+        it("Should return alerts newest first, last stored first within a timestamp", function () {
+            expect(types(store.query())).to.deep.equal([
+                "SANDWICH_ATTACK", "LARGE_WITHDRAWAL", "PRICE_MANIPULATION", "POTENTIAL_REENTRANCY", "LARGE_WITHDRAWAL"
+            ]);
+            expect(types(store.query({ limit: 2 }))).to.deep.equal(["SANDWICH_ATTACK", "LARGE_WITHDRAWAL"]);
+        });
+
+        it("Should filter by type, severity, user, contract and time", function () {
+            expect(types(store.query({ type: "LARGE_WITHDRAWAL" }))).to.deep.equal(["LARGE_WITHDRAWAL", "LARGE_WITHDRAWAL"]);
+            expect(types(store.query({ severity: ["CRITICAL", "MEDIUM"] })))
+                .to.deep.equal(["POTENTIAL_REENTRANCY", "LARGE_WITHDRAWAL"]);
+            expect(types(store.query({ user: "0xABC1" }))).to.deep.equal(["POTENTIAL_REENTRANCY", "LARGE_WITHDRAWAL"]);
+            expect(types(store.query({ contract: "vulnerable.dex", severity: "HIGH" })))
+                .to.deep.equal(["SANDWICH_ATTACK", "PRICE_MANIPULATION"]);
+            expect(types(store.query({ since: at(1), until: new Date(start + 2 * 60000) })))
+                .to.deep.equal(["PRICE_MANIPULATION", "POTENTIAL_REENTRANCY"]);
+            expect(store.query({ type: "UNKNOWN" })).to.deep.equal([]);
+        });
+
+        it("Should count alerts with the same filters", function () {
+            expect(store.count()).to.equal(5);
+            expect(store.count({ contract: "vulnerable.bank", limit: 1 })).to.equal(2);
+            expect(store.countBy("severity")).to.deep.equal({ MEDIUM: 1, CRITICAL: 1, HIGH: 3 });
+            expect(store.countBy("type", { since: at(3) })).to.deep.equal({ LARGE_WITHDRAWAL: 1, SANDWICH_ATTACK: 1 });
+        });
+
+        it("Should look up, acknowledge and orphan alerts by id", function () {
+            const [newest, next] = store.query({ limit: 2 });
+            expect(store.get(newest.id)).to.deep.equal(newest);
+            expect(store.get("missing")).to.equal(undefined);
+
+            expect(store.acknowledge("missing", { by: "oncall" })).to.equal(undefined);
+            const acknowledged = store.acknowledge(newest.id, { by: "oncall", note: "known bot" });
+            expect(acknowledged.acknowledged).to.include({ by: "oncall", note: "known bot" });
+            expect(store.get(newest.id).acknowledged).to.deep.equal(acknowledged.acknowledged);
+            expect(store.count({ acknowledged: true })).to.equal(1);
+            expect(types(store.query({ acknowledged: false, limit: 1 }))).to.deep.equal(["LARGE_WITHDRAWAL"]);
+
+            store.markOrphaned(next.id, { from: 10, to: 12 });
+            expect(store.get(next.id).orphaned.reorg).to.deep.equal({ from: 10, to: 12 });
+            expect(store.count({ orphaned: true })).to.equal(1);
+            expect(store.query({ orphaned: false }).map(alert => alert.id)).to.not.include(next.id);
+        });
+
+        it("Should keep the latest version of each incident and filter them", function () {
+            const incident = (id, status, contract, firstSeen, lastSeen) =>
+                ({ id, status, contract, firstSeen, lastSeen, alertCount: 1 });
+
+            store.saveIncident(incident("a", "open", "vulnerable.bank", at(0), at(1)));
+            store.saveIncident(incident("b", "open", "vulnerable.dex", at(2), at(2)));
+            store.saveIncident(incident("c", "open", "secure.bank", at(2), at(4)));
+            store.saveIncident({ ...incident("a", "resolved", "vulnerable.bank", at(0), at(4)), alertCount: 3 });
+
+            expect(store.getIncident("a")).to.include({ status: "resolved", alertCount: 3 });
+            expect(store.getIncident("missing")).to.equal(undefined);
+
+            const ids = filter => store.queryIncidents(filter).map(entry => entry.id);
+            expect(ids()).to.deep.equal(["c", "a", "b"]);
+            expect(ids({ limit: 1 })).to.deep.equal(["c"]);
+            expect(ids({ status: "open" })).to.deep.equal(["c", "b"]);
+            expect(ids({ contract: ["vulnerable.bank", "vulnerable.dex"] })).to.deep.equal(["a", "b"]);
+            expect(ids({ since: at(1), until: at(2) })).to.deep.equal(["c", "b"]);
+        });
+
+        it("Should read back what an earlier instance stored", function () {
+            const [newest] = store.query({ limit: 1 });
+            store.acknowledge(newest.id, { by: "oncall" });
+            store.saveIncident({ id: "a", status: "open", firstSeen: at(0), lastSeen: at(0) });
+            store.close();
+
+            store = createAlertStore(configFor(directory));
+            expect(store.count()).to.equal(5);
+            expect(store.get(newest.id).acknowledged).to.include({ by: "oncall" });
+            expect(store.getIncident("a")).to.include({ status: "open" });
+        });
+    });
+});
+
+describe("Alert Store (ndjson) rotation", function () {
+    let directory;
+
+    beforeEach(function () {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), "alert-store-rotation-"));
+    });
+
+    afterEach(function () {
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    it("Should compact the incidents log to the latest versions when the alert file rotates", function () {
+        const store = createAlertStore({ backend: "ndjson", directory, maxBytes: 200 });
+        const reader = createAlertStore({ backend: "ndjson", directory });
+        const incidentsPath = path.join(directory, "security-alerts.incidents.ndjson");
+        const incident = (id, alertCount) => ({ id, status: "open", alertCount, lastSeen: new Date().toISOString() });
+
+        ["a", "b", "a", "a", "b"].forEach((id, n) => store.saveIncident(incident(id, n + 1)));
+        expect(reader.getIncident("a")).to.include({ alertCount: 4 });
+        expect(fs.readFileSync(incidentsPath, "utf8").trim().split("\n")).to.have.lengthOf(5);
+
+        const alert = { type: "LARGE_WITHDRAWAL", severity: "HIGH", details: "x".repeat(100), timestamp: new Date().toISOString() };
+        store.append({ ...alert });
+        store.append({ ...alert });
+
+        const lines = fs.readFileSync(incidentsPath, "utf8").trim().split("\n").map(line => JSON.parse(line));
+        expect(lines.map(line => [line.id, line.alertCount])).to.deep.equal([["a", 4], ["b", 5]]);
+        expect(store.count()).to.equal(2);
+
+        // Later versions append to the compacted file and other readers re-index it
+        store.saveIncident(incident("b", 6));
+        expect(store.getIncident("b")).to.include({ alertCount: 6 });
+        expect(reader.getIncident("b")).to.include({ alertCount: 6 });
+        expect(reader.readIncidents().size).to.equal(2);
+    });
+});
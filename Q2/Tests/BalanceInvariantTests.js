@@ -0,0 +1,101 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const SecurityMonitor = require("../Scripts/security-monitor");
+
+describe("Balance Invariant Monitoring", function () {
+    let user1, user2;
+    let bank, monitor, logDir, startBlock;
+
+    beforeEach(async function () {
+        [, user1, user2] = await ethers.getSigners();
+
+        const VulnerableBank = await ethers.getContractFactory("VulnerableBank");
+        bank = await VulnerableBank.deploy();
+        startBlock = await ethers.provider.getBlockNumber();
+
+        logDir = fs.mkdtempSync(path.join(os.tmpdir(), "invariant-"));
+        monitor = new SecurityMonitor(await bank.getAddress(), bank.interface.formatJson(), {
+            label: "vulnerable.bank",
+            contractKind: "bank",
+            alertStore: { directory: logDir },
+            detectors: {
+                "balance-invariant": { thresholds: { confirmations: 0 } },
+                "double-spending": { enabled: false },
+                "reentrancy": { enabled: false },
+                "large-transactions": { enabled: false }
+            }
+        });
+        await monitor.initialize();
+
+        await bank.connect(user1).deposit({ value: ethers.parseEther("5.0") });
+        await bank.connect(user2).deposit({ value: ethers.parseEther("5.0") });
+    });
+
+    afterEach(function () {
+        fs.rmSync(logDir, { recursive: true, force: true });
+    });
+
+    /**
+     * Mine the pending state changes, replay the bank's events since
+     * deployment and run the periodic check
+     */
+    async function check() {
+        await network.provider.send("evm_mine");
+
+        const alerts = [];
+        const collect = ({ alert }) => alerts.push(alert);
+        monitor.on("alert", collect);
+        await monitor.backfill(startBlock);
+        monitor.off("alert", collect);
+
+        return alerts.filter(alert => alert.detector === "balance-invariant");
+    }
+
+    it("Should stay quiet while balances follow deposits and withdrawals", async function () {
+        await bank.connect(user1).withdraw(ethers.parseEther("2.0"));
+
+        expect(await check()).to.be.empty;
+    });
+
+    it("Should raise ACCOUNTING_DRIFT when a balance changes without events", async function () {
+        // balances is the first storage slot of VulnerableBank
+        const slot = ethers.keccak256(
+            ethers.AbiCoder.defaultAbiCoder().encode(["address", "uint256"], [user2.address, 0])
+        );
+        await network.provider.send("hardhat_setStorageAt", [
+            await bank.getAddress(),
+            slot,
+            ethers.toBeHex(ethers.parseEther("50.0"), 32)
+        ]);
+
+        const alerts = await check();
+        const drift = alerts.find(alert => alert.type === "ACCOUNTING_DRIFT");
+        expect(drift).to.exist;
+        expect(drift.users).to.deep.equal([
+            { user: user2.address, expected: "5.0", actual: "50.0" }
+        ]);
+
+        // The inflated balance is now more than the bank holds
+        const insolvency = alerts.find(alert => alert.type === "INSOLVENCY");
+        expect(insolvency).to.exist;
+        expect(insolvency.users[0].user).to.equal(user2.address);
+    });
+
+    it("Should raise INSOLVENCY when the contract holds less ether than it owes", async function () {
+        await bank.connect(user1).withdraw(ethers.parseEther("1.0"));
+        await network.provider.send("hardhat_setBalance", [
+            await bank.getAddress(),
+            ethers.toQuantity(ethers.parseEther("3.0"))
+        ]);
+
+        const alerts = await check();
+        expect(alerts.map(alert => alert.type)).to.deep.equal(["INSOLVENCY"]);
+        expect(alerts[0].severity).to.equal("CRITICAL");
+        expect(alerts[0].contractBalance).to.equal("3.0");
+        expect(alerts[0].onChainLiabilities).to.equal("9.0");
+        expect(alerts[0].users[0].user).to.equal(user1.address);
+    });
+});
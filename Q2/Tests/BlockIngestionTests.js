@@ -0,0 +1,226 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const SecurityMonitor = require("../Scripts/security-monitor");
+const { Detector, DetectorError, createDefaultRegistry } = require("../Scripts/monitor/detector-registry");
+
+describe("Block Ingestion", function () {
+    let user1, bank, logDir, checkpointPath;
+    let monitor, processed;
+
+    beforeEach(async function () {
+        [, user1] = await ethers.getSigners();
+
+        const VulnerableBank = await ethers.getContractFactory("VulnerableBank");
+        bank = await VulnerableBank.deploy();
+
+        logDir = fs.mkdtempSync(path.join(os.tmpdir(), "ingestion-"));
+        checkpointPath = path.join(logDir, "checkpoints", "vulnerable.bank.json");
+        processed = [];
+    });
+
+    afterEach(async function () {
+        if (monitor) await monitor.stopMonitoring();
+        monitor = undefined;
+        fs.rmSync(logDir, { recursive: true, force: true });
+    });
+
+    function createMonitor(options = {}) {
+        monitor = new SecurityMonitor(bank.target, bank.interface.formatJson(), {
+            label: "vulnerable.bank",
+            contractKind: "bank",
+            alertStore: { directory: logDir },
+            ingestion: { pollInterval: 50, retry: { initialDelay: 50 } },
+            ...options
+        });
+        monitor.on("event", event => {
+            if (event.name === "Deposit") {
+                processed.push(`${event.transactionHash}:${event.log.index}`);
+            }
+        });
+        return monitor;
+    }
+
+    async function startMonitor(options) {
+        await createMonitor(options).startMonitoring();
+    }
+
+    async function deposit(amount) {
+        const tx = await bank.connect(user1).deposit({ value: ethers.parseEther(amount) });
+        return `${tx.hash}:0`;
+    }
+
+    async function waitFor(condition, timeout = 5000) {
+        const deadline = Date.now() + timeout;
+        while (!condition()) {
+            if (Date.now() > deadline) throw new Error("Timed out waiting for ingestion");
+            await new Promise(resolve => setTimeout(resolve, 25));
+        }
+    }
+
+    it("Should resume from the checkpoint and replay the gap exactly once", async function () {
+        await startMonitor();
+        const first = await deposit("1.0");
+        await waitFor(() => processed.length === 1);
+        await monitor.stopMonitoring();
+
+        // Deposits made while the monitor is down
+        const missed = [await deposit("2.0"), await deposit("3.0")];
+        expect(JSON.parse(fs.readFileSync(checkpointPath, "utf8")).blockNumber)
+            .to.be.lessThan(await ethers.provider.getBlockNumber());
+
+        await startMonitor();
+        await waitFor(() => processed.length === 3);
+        const latest = await deposit("4.0");
+        await waitFor(() => processed.length === 4);
+
+        expect(processed).to.deep.equal([first, ...missed, latest]);
+    });
+
+    it("Should replay replacement blocks after a reorg", async function () {
+        await startMonitor();
+        const snapshot = await network.provider.send("evm_snapshot");
+
+        // Large enough to raise LARGE_DEPOSIT from the orphaned block
+        const orphaned = await deposit("20.0");
+        await waitFor(() => processed.length === 1);
+
+        const reorg = new Promise(resolve => monitor.ingestor.once("reorg", resolve));
+        await network.provider.send("evm_revert", [snapshot]);
+        await network.provider.send("evm_mine");
+        const replacement = await deposit("2.0");
+
+        const { from, orphanedAlerts } = await reorg;
+        await waitFor(() => processed.length === 2);
+
+        expect(processed).to.deep.equal([orphaned, replacement]);
+        expect(from).to.equal((await ethers.provider.getBlockNumber()) - 1);
+
+        // The alert from the removed block is flagged and left out of incidents
+        expect(orphanedAlerts).to.equal(1);
+        const [largeDeposit] = monitor.alertStore.query({ type: "LARGE_DEPOSIT" });
+        expect(largeDeposit.orphaned.reorg).to.deep.equal({ from, to: from });
+        const incident = monitor.correlator.getIncident(largeDeposit.incidentId);
+        expect(incident.alertCount).to.equal(0);
+
+        // The balance mirror rolled back instead of counting both deposits
+        const account = monitor.getDetector("balance-invariant").state.accounts.get(user1.address);
+        expect(account.deposited).to.equal(ethers.parseEther("2.0"));
+
+        await network.provider.send("hardhat_mine", ["0x3"]);
+        const alerts = await monitor.tick();
+        expect(alerts.map(alert => alert.type)).to.not.include("ACCOUNTING_DRIFT");
+    });
+
+    it("Should replay a log to a detector that failed on it", async function () {
+        const seen = [];
+        let failures = 1;
+        class FlakyDetector extends Detector {
+            constructor() {
+                super({ name: "flaky", events: ["Deposit"] });
+            }
+
+            async evaluate(event) {
+                seen.push(`${event.transactionHash}:${event.log.index}`);
+                if (failures-- > 0) throw new Error("missing trie node");
+                return [];
+            }
+        }
+        const registry = createDefaultRegistry();
+        registry.register(FlakyDetector);
+
+        createMonitor({ registry });
+        const failure = new Promise(resolve => monitor.ingestor.once("ingestion-error", resolve));
+        await monitor.startMonitoring();
+        const first = await deposit("1.0");
+
+        const { error } = await failure;
+        expect(error).to.be.instanceOf(DetectorError);
+        expect(JSON.parse(fs.readFileSync(checkpointPath, "utf8")).failed)
+            .to.include({ logIndex: 0 }).and.to.have.deep.property("detectors", ["flaky"]);
+
+        await waitFor(() => seen.length === 2);
+        const second = await deposit("2.0");
+        await waitFor(() => seen.length === 3);
+
+        expect(seen).to.deep.equal([first, first, second]);
+        // The other detectors saw the first deposit once
+        expect(processed).to.deep.equal([first, second]);
+    });
+
+    it("Should backfill exactly the requested blocks without moving the checkpoint", async function () {
+        const depositIn = async amount => {
+            const tx = await bank.connect(user1).deposit({ value: ethers.parseEther(amount) });
+            return { id: `${tx.hash}:0`, blockNumber: (await tx.wait()).blockNumber };
+        };
+        await depositIn("1.0");
+        const large = await depositIn("20.0");
+        const small = await depositIn("2.0");
+        const last = await depositIn("30.0");
+
+        // Starts mid-history, so the balance mirror would report drift
+        createMonitor({ detectors: { "balance-invariant": { enabled: false } } });
+        const emitted = [];
+        monitor.on("alert", ({ alert }) => emitted.push(alert));
+
+        // Both bounds are inclusive, across chunks of one block
+        const result = await monitor.backfill(large.blockNumber, small.blockNumber, 1);
+        expect(result).to.deep.equal({
+            fromBlock: large.blockNumber,
+            toBlock: small.blockNumber,
+            eventsProcessed: 2,
+            alertsRaised: 1
+        });
+        expect(processed).to.deep.equal([large.id, small.id]);
+
+        // Alerts go through the same pipeline as live ones, stamped with their block
+        expect(emitted.map(alert => [alert.type, alert.blockNumber])).to.deep.equal([["LARGE_DEPOSIT", large.blockNumber]]);
+        expect(monitor.alertStore.query({ type: "LARGE_DEPOSIT" })).to.have.lengthOf(1);
+
+        // Replays are not recorded: no checkpoint is written or advanced
+        expect(fs.existsSync(checkpointPath)).to.equal(false);
+
+        // Up to the latest block; a repeat within the suppression window (by block time) is not counted
+        const rest = await monitor.backfill(last.blockNumber);
+        expect(rest).to.deep.equal({
+            fromBlock: last.blockNumber,
+            toBlock: await ethers.provider.getBlockNumber(),
+            eventsProcessed: 1,
+            alertsRaised: 0
+        });
+        expect(processed).to.deep.equal([large.id, small.id, last.id]);
+        expect(monitor.alertStore.query({ type: "LARGE_DEPOSIT" })).to.have.lengthOf(1);
+        expect(monitor.correlator.getIncident(emitted[0].incidentId).suppressedCount).to.equal(1);
+        expect(fs.existsSync(checkpointPath)).to.equal(false);
+    });
+
+    it("Should reconnect and catch up after provider errors", async function () {
+        const unreachable = {
+            getBlock: async () => { throw new Error("connect ECONNREFUSED 127.0.0.1:8545"); },
+            getBlockNumber: async () => { throw new Error("connect ECONNREFUSED 127.0.0.1:8545"); },
+            on() {},
+            removeAllListeners() {}
+        };
+        let connections = 0;
+        createMonitor({
+            provider: () => (connections++ === 0 ? unreachable : ethers.provider),
+            ingestion: {
+                pollInterval: 50,
+                startBlock: (await ethers.provider.getBlockNumber()) + 1,
+                retry: { initialDelay: 50 }
+            }
+        });
+        const failure = new Promise(resolve => monitor.ingestor.once("ingestion-error", resolve));
+        await monitor.startMonitoring();
+        const first = await deposit("1.0");
+
+        const { failures } = await failure;
+        await waitFor(() => processed.length === 1);
+
+        expect(failures).to.equal(1);
+        expect(processed).to.deep.equal([first]);
+        expect(monitor.ingestor.status().consecutiveFailures).to.equal(0);
+    });
+});
@@ -0,0 +1,213 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const SecurityMonitor = require("../Scripts/security-monitor");
+const MonitorHttpServer = require("../Scripts/monitor/http-server");
+const { run, EXIT_OK } = require("../Scripts/monitor-cli");
+
+describe("Bridge Lifecycle Monitoring", function () {
+    const DAY = 24 * 60 * 60;
+    const AMOUNT = ethers.parseEther("15");
+
+    let operator, user;
+    let bridge, monitor, logDir, nextBlock;
+
+    beforeEach(async function () {
+        [operator, user] = await ethers.getSigners();
+
+        const SecureL2Bridge = await ethers.getContractFactory("SecureL2Bridge");
+        bridge = await SecureL2Bridge.deploy();
+        nextBlock = await ethers.provider.getBlockNumber();
+        await bridge.connect(user).deposit({ value: ethers.parseEther("20") });
+
+        logDir = fs.mkdtempSync(path.join(os.tmpdir(), "bridge-"));
+        monitor = await createMonitor();
+    });
+
+    afterEach(function () {
+        fs.rmSync(logDir, { recursive: true, force: true });
+    });
+
+    async function createMonitor() {
+        const created = new SecurityMonitor(await bridge.getAddress(), bridge.interface.formatJson(), {
+            label: "secure.bridge",
+            contractKind: "bridge",
+            alertStore: { directory: logDir }
+        });
+        await created.initialize();
+        return created;
+    }
+
+    /**
+     * Initiate a large withdrawal against a single-leaf merkle root and
+     * return its bridge txHash and nonce
+     */
+    async function initiate() {
+        const nonce = await bridge.nonces(user.address);
+        const leaf = ethers.solidityPackedKeccak256(["address", "uint256", "uint256"], [user.address, AMOUNT, nonce]);
+        await bridge.connect(operator).updateMerkleRoot(leaf);
+        await bridge.connect(user).initiateWithdrawal(AMOUNT, nonce, []);
+
+        const { chainId } = await ethers.provider.getNetwork();
+        const txHash = ethers.solidityPackedKeccak256(
+            ["address", "uint256", "uint256", "uint256"],
+            [user.address, AMOUNT, nonce, chainId]
+        );
+        return { txHash, nonce };
+    }
+
+    /**
+     * Replay the bridge's new events, then run the periodic checks at the
+     * current chain time; returns the bridge-lifecycle alerts raised
+     */
+    async function sync(target = monitor) {
+        const alerts = [];
+        const collect = ({ alert }) => alerts.push(alert);
+        target.on("alert", collect);
+
+        const latest = await ethers.provider.getBlockNumber();
+        if (latest >= nextBlock) {
+            await target.backfill(nextBlock, latest);
+            nextBlock = latest + 1;
+        }
+        await target.tick();
+        target.off("alert", collect);
+
+        return alerts.filter(alert => alert.detector === "bridge-lifecycle");
+    }
+
+    async function advance(seconds) {
+        await network.provider.send("evm_increaseTime", [seconds]);
+        await network.provider.send("evm_mine");
+    }
+
+    it("Should track a large withdrawal until it completes after the challenge period", async function () {
+        const { txHash, nonce } = await initiate();
+
+        expect(await sync()).to.be.empty;
+        const [pending] = monitor.getPendingWithdrawals();
+        expect(pending.txHash).to.equal(txHash);
+        expect(pending.user).to.equal(user.address);
+        expect(pending.amount).to.equal(AMOUNT.toString());
+        expect(pending.review).to.equal(null);
+
+        await advance(7 * DAY);
+        await bridge.connect(user).completeWithdrawal(AMOUNT, nonce);
+
+        const alerts = await sync();
+        expect(alerts.map(alert => alert.type)).to.not.include("PREMATURE_WITHDRAWAL_COMPLETION");
+        expect(monitor.getPendingWithdrawals()).to.be.empty;
+    });
+
+    it("Should warn once about an unreviewed withdrawal near the end of its challenge window", async function () {
+        const { txHash } = await initiate();
+        expect(await sync()).to.be.empty;
+
+        await advance(6.5 * DAY);
+        const alerts = await sync();
+        expect(alerts.map(alert => alert.type)).to.deep.equal(["CHALLENGE_WINDOW_EXPIRING_UNREVIEWED"]);
+        expect(alerts[0].severity).to.equal("HIGH");
+        expect(alerts[0].bridgeTxHash).to.equal(txHash);
+
+        expect(await sync()).to.be.empty;
+    });
+
+    it("Should keep reviews next to the checkpoint and honor them after a restart", async function () {
+        const { txHash } = await initiate();
+        await sync();
+
+        expect(monitor.reviewWithdrawal(ethers.ZeroHash, { by: "oncall" })).to.equal(null);
+        const review = monitor.reviewWithdrawal(txHash.toUpperCase().replace("0X", "0x"), {
+            by: "oncall",
+            note: "matches the L1 burn"
+        });
+        expect(review).to.include({ txHash, by: "oncall", note: "matches the L1 burn" });
+
+        const reviewsFile = path.join(logDir, "checkpoints", "secure.bridge.reviews.json");
+        expect(JSON.parse(fs.readFileSync(reviewsFile, "utf8")).map(entry => entry.txHash)).to.deep.equal([txHash]);
+
+        // A restarted monitor rebuilds its pending set from the chain and reads the reviews back
+        const restarted = await createMonitor();
+        nextBlock = 0;
+        await advance(6.5 * DAY);
+        expect(await sync(restarted)).to.be.empty;
+        expect(restarted.getPendingWithdrawals()[0].review).to.include({ by: "oncall" });
+    });
+
+    it("Should honor reviews recorded with monitor-cli while running", async function () {
+        const { txHash } = await initiate();
+        await sync();
+
+        const configPath = path.join(logDir, "monitor.json");
+        fs.writeFileSync(configPath, JSON.stringify({ alertStore: { directory: logDir } }));
+        const output = { text: "", write(chunk) { this.text += chunk; } };
+        const code = await run([
+            "withdrawals", "review", txHash,
+            "--contract", "secure.bridge",
+            "--by", "oncall",
+            "--config", configPath
+        ], { output });
+        expect(code).to.equal(EXIT_OK);
+        expect(output.text).to.include(`Reviewed withdrawal ${txHash} on secure.bridge as oncall`);
+
+        await advance(6.5 * DAY);
+        expect(await sync()).to.be.empty;
+        expect(monitor.getPendingWithdrawals()[0].review).to.include({ by: "oncall" });
+    });
+
+    it("Should drop a withdrawal cancelled by a fraud proof", async function () {
+        const { txHash } = await initiate();
+        await sync();
+
+        await bridge.connect(operator).submitFraudProof(txHash, "0x");
+        const alerts = await sync();
+        expect(alerts.map(alert => alert.type)).to.deep.equal(["FRAUD_PROOF_SUBMITTED"]);
+        expect(alerts[0].bridgeTxHash).to.equal(txHash);
+        expect(monitor.getPendingWithdrawals()).to.be.empty;
+        expect(monitor.reviewWithdrawal(txHash, { by: "oncall" })).to.equal(null);
+
+        // A completion is watched for until a challenge period after the window closes
+        const { cancelled } = monitor.getDetector("bridge-lifecycle").state;
+        expect(Array.from(cancelled.keys())).to.deep.equal([txHash]);
+        await advance(7 * DAY);
+        await sync();
+        expect(cancelled.size).to.equal(1);
+        await advance(7 * DAY + 60);
+        await sync();
+        expect(cancelled.size).to.equal(0);
+    });
+
+    it("Should list and review pending withdrawals over the HTTP API", async function () {
+        const { txHash } = await initiate();
+        await sync();
+
+        const server = await new MonitorHttpServer(monitor, { port: 0 }).start();
+        const url = `http://127.0.0.1:${server.port}`;
+        const review = body => fetch(`${url}/withdrawals/review`, {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify(body)
+        });
+
+        try {
+            let pending = await (await fetch(`${url}/withdrawals`)).json();
+            expect(pending["secure.bridge"].map(withdrawal => withdrawal.txHash)).to.deep.equal([txHash]);
+            expect(pending["secure.bridge"][0].review).to.equal(null);
+
+            expect((await review({ contract: "secure.bridge", txHash: ethers.ZeroHash })).status).to.equal(404);
+            expect((await review({ contract: "secure.dex", txHash })).status).to.equal(404);
+            expect((await fetch(`${url}/withdrawals/review`)).status).to.equal(405);
+
+            const response = await review({ contract: "secure.bridge", txHash, by: "oncall" });
+            expect(response.status).to.equal(200);
+            expect(await response.json()).to.include({ contract: "secure.bridge", txHash, by: "oncall" });
+
+            pending = await (await fetch(`${url}/withdrawals`)).json();
+            expect(pending["secure.bridge"][0].review).to.include({ by: "oncall" });
+        } finally {
+            await server.stop();
+        }
+    });
+});
@@ -0,0 +1,229 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const SecurityMonitor = require("../Scripts/security-monitor");
+const { CircuitBreaker, readActions } = require("../Scripts/monitor/circuit-breaker");
+const { run, EXIT_OK } = require("../Scripts/monitor-cli");
+
+/**
+ * Merkle tree with OpenZeppelin's sorted-pair hashing, as checked by
+ * MerkleProof.verify()
+ */
+function merkleTree(leaves) {
+    const hashPair = (a, b) => ethers.keccak256(ethers.concat(a < b ? [a, b] : [b, a]));
+    const layers = [leaves];
+    while (layers[layers.length - 1].length > 1) {
+        const layer = layers[layers.length - 1];
+        const next = [];
+        for (let i = 0; i < layer.length; i += 2) {
+            next.push(i + 1 < layer.length ? hashPair(layer[i], layer[i + 1]) : layer[i]);
+        }
+        layers.push(next);
+    }
+
+    return {
+        root: layers[layers.length - 1][0],
+        proof(index) {
+            const proof = [];
+            for (const layer of layers.slice(0, -1)) {
+                if ((index ^ 1) < layer.length) proof.push(layer[index ^ 1]);
+                index >>= 1;
+            }
+            return proof;
+        }
+    };
+}
+
+describe("Circuit Breaker", function () {
+    const amount = ethers.parseEther("10");
+    const nonces = [1, 2, 3, 4, 5];
+    let operator, attacker, bridge, tree, logDir, monitor, breaker;
+
+    beforeEach(async function () {
+        [operator, attacker] = await ethers.getSigners();
+
+        const SecureL2Bridge = await ethers.getContractFactory("SecureL2Bridge");
+        bridge = await SecureL2Bridge.deploy();
+
+        // The attacker deposits once (nonce 0) and holds proofs for five
+        // withdrawals of that deposit, e.g. from a faulty root posted by the operator
+        await bridge.connect(attacker).deposit({ value: amount });
+        tree = merkleTree(nonces.map(nonce => ethers.solidityPackedKeccak256(
+            ["address", "uint256", "uint256"],
+            [attacker.address, amount, nonce]
+        )));
+        await bridge.updateMerkleRoot(tree.root);
+
+        logDir = fs.mkdtempSync(path.join(os.tmpdir(), "circuit-breaker-"));
+        monitor = new SecurityMonitor(bridge.target, bridge.interface.formatJson(), {
+            label: "secure.bridge",
+            contractKind: "bridge",
+            alertStore: { directory: logDir },
+            config: { thresholds: { rapidWithdrawals: 3 } },
+            // Record every repeat so each one reaches the breaker
+            correlation: { suppression: { POTENTIAL_DOUBLE_SPENDING: 0 } },
+            ingestion: { pollInterval: 50 }
+        });
+    });
+
+    afterEach(async function () {
+        if (breaker) await breaker.stop();
+        await monitor.stopMonitoring();
+        breaker = undefined;
+        fs.rmSync(logDir, { recursive: true, force: true });
+    });
+
+    async function startBreaker(options = {}) {
+        breaker = new CircuitBreaker(monitor, {
+            signer: operator,
+            rules: [{ types: ["POTENTIAL_DOUBLE_SPENDING"] }],
+            ...options
+        });
+        await monitor.startMonitoring();
+        await breaker.start();
+    }
+
+    /**
+     * Wait until the monitor has seen the latest block and any pause it
+     * triggered has been mined
+     */
+    async function settle(timeout = 5000) {
+        const latest = await ethers.provider.getBlockNumber();
+        const deadline = Date.now() + timeout;
+        while (monitor.ingestor.status().lastProcessedBlock < latest) {
+            if (Date.now() > deadline) throw new Error("Timed out waiting for the monitor");
+            await new Promise(resolve => setTimeout(resolve, 25));
+        }
+        if (breaker.pending) await breaker.pending;
+    }
+
+    /**
+     * Run the withdrawal sequence, giving the monitor a block's time
+     * between transactions; returns the outcome of each withdrawal
+     */
+    async function attack() {
+        const outcomes = [];
+        for (const nonce of nonces) {
+            try {
+                await bridge.connect(attacker).initiateWithdrawal(amount, nonce, tree.proof(nonce - 1));
+                outcomes.push("initiated");
+            } catch (error) {
+                outcomes.push(error.message.includes("Contract is paused") ? "paused" : error.message);
+            }
+            await settle();
+        }
+        return outcomes;
+    }
+
+    it("Should pause the bridge mid-attack when double spending is detected", async function () {
+        await startBreaker();
+
+        expect(await attack()).to.deep.equal(["initiated", "initiated", "initiated", "paused", "paused"]);
+        expect(await bridge.paused()).to.equal(true);
+
+        const actions = readActions(breaker.logPath);
+        expect(actions).to.have.length(1);
+        expect(actions[0]).to.include({ action: "pause", outcome: "executed", contract: "secure.bridge", by: "circuit-breaker" });
+        expect(actions[0].alert.type).to.equal("POTENTIAL_DOUBLE_SPENDING");
+        expect(actions[0].txHash).to.match(/^0x[0-9a-f]{64}$/);
+    });
+
+    it("Should only record the pause in dry-run mode", async function () {
+        await startBreaker({ dryRun: true, rateLimit: { maxActions: 1 } });
+
+        expect(await attack()).to.deep.equal(nonces.map(() => "initiated"));
+        expect(await bridge.paused()).to.equal(false);
+        expect(readActions(breaker.logPath).map(action => action.outcome).reverse())
+            .to.deep.equal(["dry-run", "rate-limited", "rate-limited"]);
+    });
+
+    it("Should rate limit automated pauses and leave unpausing to the operator", async function () {
+        await startBreaker({ rateLimit: { maxActions: 1, window: 60000 } });
+        expect(await attack()).to.include("paused");
+
+        // Unpaused from the CLI once the root is fixed
+        const deploymentPath = path.join(logDir, "deployment-addresses.json");
+        const configPath = path.join(logDir, "monitor.json");
+        fs.writeFileSync(deploymentPath, JSON.stringify({ secure: { bridge: bridge.target } }));
+        fs.writeFileSync(configPath, JSON.stringify({ alertStore: { directory: logDir } }));
+        const output = { write() {} };
+        expect(await run([
+            "breaker", "unpause", "secure.bridge",
+            "--deployment", deploymentPath, "--config", configPath,
+            "--by", "oncall", "--note", "root replaced"
+        ], { output })).to.equal(EXIT_OK);
+        expect(await bridge.paused()).to.equal(false);
+
+        // A second burst inside the window is recorded but not acted on
+        await bridge.connect(attacker).initiateWithdrawal(amount, 4, tree.proof(3));
+        await settle();
+        await bridge.connect(attacker).initiateWithdrawal(amount, 5, tree.proof(4));
+        await settle();
+
+        expect(await bridge.paused()).to.equal(false);
+        const actions = readActions(breaker.logPath).reverse();
+        expect(actions.map(action => `${action.action}:${action.outcome}`))
+            .to.deep.equal(["pause:executed", "unpause:executed", "pause:rate-limited", "pause:rate-limited"]);
+        expect(actions[1]).to.include({ by: "oncall", reason: "root replaced" });
+    });
+});
+
+describe("Circuit Breaker Rules", function () {
+    const address = "0x000000000000000000000000000000000000dEaD";
+    const abi = ["function pause()", "function unpause()"];
+    const signer = ethers.Wallet.createRandom();
+    const MINUTE = 60 * 1000;
+    let logDir, monitor;
+
+    beforeEach(function () {
+        logDir = fs.mkdtempSync(path.join(os.tmpdir(), "circuit-breaker-rules-"));
+        monitor = new SecurityMonitor(address, abi, { label: "secure.bridge", alertStore: { directory: logDir } });
+    });
+
+    afterEach(function () {
+        fs.rmSync(logDir, { recursive: true, force: true });
+    });
+
+    const alert = (type, severity, time) => ({ type, severity, timestamp: new Date(time).toISOString() });
+
+    it("Should measure alert age against the newest processed block", function () {
+        const breaker = new CircuitBreaker(monitor, { signer, rules: [{ types: ["INSOLVENCY"] }], maxAlertAge: 10 * MINUTE });
+        // A chain whose clock runs a year behind the wall clock
+        const chainNow = Date.now() - 365 * 24 * 60 * MINUTE;
+        monitor.blockTimestamps.set(41, chainNow - MINUTE);
+        monitor.blockTimestamps.set(42, chainNow);
+
+        expect(breaker.matches(alert("INSOLVENCY", "CRITICAL", chainNow - 5 * MINUTE))).to.deep.equal({ types: ["INSOLVENCY"] });
+        expect(breaker.matches(alert("INSOLVENCY", "CRITICAL", chainNow - 11 * MINUTE))).to.equal(undefined);
+        expect(breaker.matches(alert("LARGE_WITHDRAWAL", "CRITICAL", chainNow))).to.equal(undefined);
+
+        // Before the first block only the wall clock is known
+        monitor.blockTimestamps.clear();
+        expect(breaker.matches(alert("INSOLVENCY", "CRITICAL", chainNow))).to.equal(undefined);
+        expect(breaker.matches(alert("INSOLVENCY", "CRITICAL", Date.now()))).to.deep.equal({ types: ["INSOLVENCY"] });
+    });
+
+    it("Should still emit an action when its log cannot be written", async function () {
+        // A directory in place of the log file makes every append fail
+        const logPath = path.join(logDir, "actions");
+        fs.mkdirSync(logPath);
+        const breaker = new CircuitBreaker(monitor, { signer, logPath, rules: [{ types: ["INSOLVENCY"] }] });
+        breaker.contract = { paused: async () => { throw new Error("connection refused"); } };
+
+        const actions = [];
+        breaker.on("action", action => actions.push(action));
+        breaker.onAlert({ alert: alert("INSOLVENCY", "CRITICAL", Date.now()) });
+        await breaker.pending;
+
+        expect(actions).to.have.lengthOf(1);
+        expect(actions[0]).to.include({ action: "pause", outcome: "failed", error: "connection refused" });
+        expect(breaker.pending).to.equal(null);
+    });
+
+    it("Should reject rules that would match every alert", function () {
+        expect(() => new CircuitBreaker(monitor, { signer, rules: [{ severities: ["CRITICAL"] }, {}] }))
+            .to.throw(/must set types or severities/);
+    });
+});
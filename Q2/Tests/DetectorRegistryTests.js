@@ -0,0 +1,162 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers } = require("ethers");
+const SecurityMonitor = require("../Scripts/security-monitor");
+const { Detector, DetectorRegistry, createDefaultRegistry } = require("../Scripts/monitor/detector-registry");
+
+const DETECTOR_PATH = path.join(__dirname, "../Scripts/monitor/detector");
+
+/**
+ * Source of a detector module raising one alert per Withdrawal
+ */
+function detectorModule(name) {
+    return `const Detector = require(${JSON.stringify(DETECTOR_PATH)});
+
+class CustomDetector extends Detector {
+    constructor() {
+        super({ name: ${JSON.stringify(name)}, events: ["Withdrawal"] });
+    }
+
+    async evaluate(event) {
+        return [this.alert(event, { type: "CUSTOM", severity: "LOW", details: ${JSON.stringify(name)} })];
+    }
+}
+
+module.exports = CustomDetector;
+`;
+}
+
+describe("Detector Registry", function () {
+    let directory;
+
+    beforeEach(function () {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), "detector-registry-"));
+    });
+
+    afterEach(function () {
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    function writeModule(file, source) {
+        fs.writeFileSync(path.join(directory, file), source);
+    }
+
+    it("Should register every detector module in a directory", function () {
+        writeModule("b-custom.js", detectorModule("custom-b"));
+        writeModule("a-custom.js", detectorModule("custom-a"));
+        writeModule("notes.txt", "not a module");
+
+        const registry = new DetectorRegistry();
+        expect(registry.loadDirectory(directory)).to.deep.equal(["custom-a", "custom-b"]);
+        expect(registry.has("custom-a")).to.equal(true);
+        expect(registry.list()).to.deep.equal(["custom-a", "custom-b"]);
+
+        const detectors = registry.createAll({ "custom-b": { enabled: false } });
+        expect(detectors.map(detector => detector.name)).to.deep.equal(["custom-a", "custom-b"]);
+        expect(detectors.every(detector => detector instanceof Detector)).to.equal(true);
+        expect(detectors[1].enabled).to.equal(false);
+    });
+
+    it("Should load detector directories next to the built-in detectors", function () {
+        writeModule("custom.js", detectorModule("custom"));
+
+        const monitor = new SecurityMonitor("0x000000000000000000000000000000000000dEaD", [], {
+            alertStore: { directory },
+            detectorDirs: [directory]
+        });
+
+        expect(monitor.getDetector("custom")).to.be.an.instanceOf(Detector);
+        expect(monitor.getDetector("reentrancy")).to.be.an.instanceOf(Detector);
+    });
+
+    it("Should reject duplicate detector names", function () {
+        const registry = createDefaultRegistry();
+        const [BuiltIn] = Array.from(registry.detectors.values());
+        expect(() => registry.register(BuiltIn)).to.throw(/is already registered/);
+
+        writeModule("large.js", detectorModule("large-transactions"));
+        expect(() => registry.loadDirectory(directory)).to.throw('Detector "large-transactions" is already registered');
+    });
+
+    it("Should reject modules that do not export a named Detector subclass", function () {
+        const registry = new DetectorRegistry();
+
+        writeModule("plain.js", "module.exports = { name: \"plain\", evaluate: async () => [] };\n");
+        expect(() => registry.loadDirectory(directory)).to.throw(/does not extend Detector/);
+
+        class Unnamed extends Detector {
+            constructor() {
+                super({ events: ["Withdrawal"] });
+            }
+        }
+        expect(() => registry.register(Unnamed)).to.throw("Unnamed does not declare a detector name");
+        expect(registry.list()).to.be.empty;
+    });
+});
+
+describe("Detector Configuration", function () {
+    const address = "0x000000000000000000000000000000000000dEaD";
+    let logDir;
+
+    beforeEach(function () {
+        logDir = fs.mkdtempSync(path.join(os.tmpdir(), "detector-config-"));
+    });
+
+    afterEach(function () {
+        fs.rmSync(logDir, { recursive: true, force: true });
+    });
+
+    function bankMonitor(detectors = {}) {
+        return new SecurityMonitor(address, [], {
+            label: "vulnerable.bank",
+            contractKind: "bank",
+            alertStore: { directory: logDir },
+            // Reads balances from the chain; no contract is deployed here
+            detectors: { "balance-invariant": { enabled: false }, ...detectors }
+        });
+    }
+
+    // A distinct user per block keeps repeated alerts from being correlated away
+    const withdraw = (monitor, amount, blockNumber) => monitor.dispatch({
+        name: "Withdrawal",
+        args: { user: ethers.zeroPadValue(ethers.toBeHex(blockNumber), 20), amount: ethers.parseEther(amount) },
+        address,
+        blockNumber,
+        timestamp: Date.now()
+    });
+    const types = alerts => alerts.map(alert => alert.type);
+
+    it("Should stop and resume a detector with disableDetector and enableDetector", async function () {
+        const monitor = bankMonitor();
+        expect(types(await withdraw(monitor, "15", 1))).to.include("LARGE_WITHDRAWAL");
+
+        monitor.disableDetector("large-transactions");
+        expect(monitor.getDetector("large-transactions").enabled).to.equal(false);
+        expect(types(await withdraw(monitor, "15", 2))).to.not.include("LARGE_WITHDRAWAL");
+
+        monitor.enableDetector("large-transactions");
+        expect(types(await withdraw(monitor, "15", 3))).to.include("LARGE_WITHDRAWAL");
+
+        expect(() => monitor.disableDetector("missing")).to.throw("Unknown detector: missing");
+        expect(() => monitor.enableDetector("missing")).to.throw("Unknown detector: missing");
+    });
+
+    it("Should apply per-detector enabled flags and threshold overrides", async function () {
+        const monitor = bankMonitor({
+            "large-transactions": { thresholds: { largeWithdrawal: ethers.parseEther("50") } },
+            "double-spending": { enabled: false }
+        });
+
+        expect(monitor.getDetector("double-spending").enabled).to.equal(false);
+        expect(monitor.getDetector("large-transactions").getThresholds(monitor.thresholds).largeWithdrawal)
+            .to.equal(ethers.parseEther("50"));
+        // Other detectors keep the monitor-wide value
+        expect(monitor.getDetector("reentrancy").getThresholds(monitor.thresholds).largeWithdrawal)
+            .to.equal(monitor.thresholds.largeWithdrawal);
+
+        expect(types(await withdraw(monitor, "15", 1))).to.not.include("LARGE_WITHDRAWAL");
+        expect(types(await withdraw(monitor, "60", 2))).to.include("LARGE_WITHDRAWAL");
+    });
+});
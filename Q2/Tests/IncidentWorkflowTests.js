@@ -0,0 +1,159 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const SecurityMonitor = require("../Scripts/security-monitor");
+const { IncidentError } = require("../Scripts/monitor/incidents");
+const { createAlertStore } = require("../Scripts/monitor/stores");
+
+describe("Incident Workflow", function () {
+    const address = "0x000000000000000000000000000000000000dEaD";
+    const start = Date.parse("2026-01-05T12:00:00.000Z");
+    const at = minutes => new Date(start + minutes * 60000).toISOString();
+    let logDir;
+
+    beforeEach(function () {
+        logDir = fs.mkdtempSync(path.join(os.tmpdir(), "incidents-"));
+    });
+
+    afterEach(function () {
+        fs.rmSync(logDir, { recursive: true, force: true });
+    });
+
+    function createMonitor() {
+        return new SecurityMonitor(address, [], {
+            label: "vulnerable.bank",
+            contractKind: "bank",
+            alertStore: { directory: logDir }
+        });
+    }
+
+    function raise(monitor, type, user, minutes) {
+        const alert = {
+            type,
+            severity: "HIGH",
+            details: `${type} by ${user}`,
+            user,
+            contractLabel: monitor.label,
+            timestamp: at(minutes)
+        };
+        monitor.createAlert(alert);
+        return alert.incidentId;
+    }
+
+    it("Should track state changes, assignee and notes in the audit trail", function () {
+        const monitor = createMonitor();
+        const id = raise(monitor, "LARGE_WITHDRAWAL", "0x01", 0);
+
+        monitor.updateIncident(id, { status: "acknowledged", assignee: "alice", by: "alice", at: at(5) });
+        monitor.updateIncident(id, { note: "Matches a scheduled treasury move", by: "alice", at: at(20) });
+        const incident = monitor.updateIncident(id, { status: "false-positive", by: "alice", at: at(30) });
+
+        expect(incident.status).to.equal("false-positive");
+        expect(incident.assignee).to.equal("alice");
+        expect(incident.history.map(entry => entry.action)).to.deep.equal(["opened", "status", "assigned", "note", "status"]);
+        expect(incident.history[4]).to.include({ from: "acknowledged", to: "false-positive", by: "alice" });
+        expect(incident.notes[0].text).to.equal("Matches a scheduled treasury move");
+
+        expect(() => monitor.updateIncident(id, { status: "investigating" })).to.throw(IncidentError, /cannot go from false-positive/);
+        expect(() => monitor.updateIncident("missing", { status: "resolved" })).to.throw(IncidentError, /Unknown incident/);
+    });
+
+    it("Should open a new incident instead of correlating into a closed one", function () {
+        const monitor = createMonitor();
+        const first = raise(monitor, "LARGE_WITHDRAWAL", "0x01", 0);
+        monitor.updateIncident(first, { status: "resolved", at: at(2) });
+
+        const second = raise(monitor, "RAPID_WITHDRAWALS", "0x01", 3);
+        expect(second).to.not.equal(first);
+    });
+
+    it("Should report response times and false-positive rates per alert type", function () {
+        const monitor = createMonitor();
+        const noisy = [
+            raise(monitor, "LARGE_WITHDRAWAL", "0x01", 0),
+            raise(monitor, "LARGE_WITHDRAWAL", "0x02", 0),
+            raise(monitor, "LARGE_WITHDRAWAL", "0x03", 0)
+        ];
+        const real = raise(monitor, "POTENTIAL_REENTRANCY", "0x04", 0);
+        raise(monitor, "POTENTIAL_REENTRANCY", "0x05", 0);
+
+        noisy.slice(0, 2).forEach(id => monitor.updateIncident(id, { status: "false-positive", at: at(10) }));
+        monitor.updateIncident(noisy[2], { status: "acknowledged", at: at(20) });
+        monitor.updateIncident(noisy[2], { status: "resolved", at: at(60) });
+        monitor.updateIncident(real, { status: "investigating", at: at(30) });
+        monitor.updateIncident(real, { status: "resolved", at: at(120) });
+
+        const metrics = monitor.generateReport().incidentMetrics;
+        expect(metrics.byStatus).to.deep.equal({
+            "open": 1, "acknowledged": 0, "investigating": 0, "resolved": 2, "false-positive": 2
+        });
+        // Acknowledged after 10, 10, 20 and 30 minutes; resolved after 60 and 120
+        expect(metrics.meanTimeToAcknowledgeMs).to.equal(17.5 * 60000);
+        expect(metrics.meanTimeToResolveMs).to.equal(90 * 60000);
+        expect(metrics.falsePositiveRateByType).to.deep.equal({
+            LARGE_WITHDRAWAL: { closed: 3, falsePositives: 2, falsePositiveRate: 0.667 },
+            POTENTIAL_REENTRANCY: { closed: 1, falsePositives: 0, falsePositiveRate: 0 }
+        });
+    });
+
+    it("Should report and update incidents the correlator no longer holds", function () {
+        const monitor = createMonitor();
+        const first = raise(monitor, "LARGE_WITHDRAWAL", "0x01", 0);
+        // Past the correlation window the quiet incident is evicted from memory
+        const second = raise(monitor, "LARGE_WITHDRAWAL", "0x02", 10);
+        expect(monitor.correlator.getIncident(first)).to.equal(undefined);
+
+        expect(monitor.generateReport().incidents.map(incident => incident.id)).to.deep.equal([second, first]);
+        expect(monitor.updateIncident(first, { status: "resolved", at: at(12) }).status).to.equal("resolved");
+        expect(monitor.alertStore.getIncident(first).status).to.equal("resolved");
+    });
+
+    it("Should keep incident ids and workflow across restarts and external updates", function () {
+        const monitor = createMonitor();
+        const id = raise(monitor, "LARGE_WITHDRAWAL", "0x01", 0);
+
+        // Triaged from another process, e.g. `monitor-cli.js incidents update`
+        const store = createAlertStore({ directory: logDir });
+        const stored = store.getIncident(id);
+        stored.status = "investigating";
+        stored.updatedAt = at(2);
+        stored.history.push({ at: at(2), by: "bob", action: "status", from: "open", to: "investigating" });
+        store.saveIncident(stored);
+
+        // A correlated alert must not overwrite the triage
+        raise(monitor, "RAPID_WITHDRAWALS", "0x01", 3);
+        expect(store.getIncident(id)).to.include({ status: "investigating", alertCount: 2 });
+
+        const restarted = createMonitor();
+        expect(restarted.updateIncident(id, { status: "resolved", at: at(4) }).history).to.have.length(3);
+    });
+
+    it("Should read only the incident versions appended since the last lookup", function () {
+        const monitor = createMonitor();
+        const id = raise(monitor, "LARGE_WITHDRAWAL", "0x01", 0);
+        const { incidentsPath } = monitor.alertStore;
+
+        const readFileSync = fs.readFileSync;
+        const wholeReads = [];
+        fs.readFileSync = (file, ...args) => {
+            if (file === incidentsPath) wholeReads.push(file);
+            return readFileSync(file, ...args);
+        };
+        try {
+            raise(monitor, "RAPID_WITHDRAWALS", "0x01", 1);
+            raise(monitor, "RAPID_WITHDRAWALS", "0x01", 2);
+        } finally {
+            fs.readFileSync = readFileSync;
+        }
+        expect(wholeReads).to.be.empty;
+        expect(monitor.alertStore.getIncident(id).alertCount).to.equal(3);
+
+        // A version still being written by another process is not read until complete
+        const line = JSON.stringify({ ...monitor.alertStore.getIncident(id), status: "investigating" });
+        fs.appendFileSync(incidentsPath, line.slice(0, 20));
+        expect(monitor.alertStore.getIncident(id).status).to.equal("open");
+        fs.appendFileSync(incidentsPath, line.slice(20) + "\n");
+        expect(monitor.alertStore.getIncident(id).status).to.equal("investigating");
+    });
+});
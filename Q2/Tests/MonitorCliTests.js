@@ -0,0 +1,138 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { run, EXIT_OK, EXIT_ERROR, EXIT_CRITICAL } = require("../Scripts/monitor-cli");
+const { createAlertStore } = require("../Scripts/monitor/stores");
+const SecurityMonitor = require("../Scripts/security-monitor");
+
+describe("Monitor CLI", function () {
+    let workDir, configPath, output;
+
+    beforeEach(function () {
+        workDir = fs.mkdtempSync(path.join(os.tmpdir(), "monitor-cli-"));
+        configPath = path.join(workDir, "monitor.yaml");
+        fs.writeFileSync(configPath, [
+            "alertStore:",
+            `  directory: ${JSON.stringify(workDir)}`,
+            "detectors:",
+            "  balance-invariant:",
+            "    thresholds:",
+            "      confirmations: 0"
+        ].join("\n"));
+        output = { text: "", write(chunk) { this.text += chunk; } };
+    });
+
+    afterEach(function () {
+        fs.rmSync(workDir, { recursive: true, force: true });
+    });
+
+    function cli(...args) {
+        output.text = "";
+        return run([...args, "--config", configPath], { output });
+    }
+
+    function storeAlert(alert) {
+        const store = createAlertStore({ directory: workDir });
+        const { id } = store.append({ contractLabel: "vulnerable.bank", timestamp: new Date().toISOString(), ...alert });
+        store.close();
+        return id;
+    }
+
+    it("Should exit non-zero until CRITICAL alerts are acknowledged", async function () {
+        storeAlert({ type: "LARGE_WITHDRAWAL", severity: "MEDIUM" });
+        const id = storeAlert({ type: "POTENTIAL_REENTRANCY", severity: "CRITICAL" });
+
+        expect(await cli("report", "--since", "1h")).to.equal(EXIT_CRITICAL);
+        expect(output.text).to.include("Open CRITICAL alerts");
+
+        expect(await cli("alerts", "ack", id, "--by", "oncall", "--note", "test fixture")).to.equal(EXIT_OK);
+
+        expect(await cli("report", "--since", "1h", "--format", "json")).to.equal(EXIT_OK);
+        const report = JSON.parse(output.text);
+        expect(report.totalAlerts).to.equal(2);
+        expect(report.acknowledged).to.equal(1);
+
+        expect(await cli("alerts", "list", "--unacknowledged", "--format", "json")).to.equal(EXIT_OK);
+        expect(JSON.parse(output.text).map(alert => alert.type)).to.deep.equal(["LARGE_WITHDRAWAL"]);
+
+        expect(await cli("alerts", "show", id, "--format", "json")).to.equal(EXIT_OK);
+        expect(JSON.parse(output.text).acknowledged).to.include({ by: "oncall", note: "test fixture" });
+    });
+
+    it("Should filter report windows by age", async function () {
+        storeAlert({ type: "INSOLVENCY", severity: "CRITICAL", timestamp: new Date(Date.now() - 2 * 86400000).toISOString() });
+
+        expect(await cli("report", "--since", "24h", "--format", "json")).to.equal(EXIT_OK);
+        expect(JSON.parse(output.text).totalAlerts).to.equal(0);
+        expect(await cli("report", "--since", "7d")).to.equal(EXIT_CRITICAL);
+    });
+
+    it("Should stop gating once the incident is closed as a false positive", async function () {
+        const monitor = new SecurityMonitor(ethers.ZeroAddress, [], {
+            label: "vulnerable.bank",
+            alertStore: { directory: workDir }
+        });
+        const alert = { type: "INSOLVENCY", severity: "CRITICAL", contractLabel: "vulnerable.bank", timestamp: new Date().toISOString() };
+        monitor.createAlert(alert);
+
+        expect(await cli("incidents", "list", "--status", "open", "--format", "json")).to.equal(EXIT_OK);
+        expect(JSON.parse(output.text).map(incident => incident.id)).to.deep.equal([alert.incidentId]);
+
+        expect(await cli("incidents", "update", alert.incidentId, "--status", "resolved", "--status", "open")).to.equal(EXIT_ERROR);
+        expect(await cli("incidents", "update", alert.incidentId, "--status", "false-positive", "--by", "oncall")).to.equal(EXIT_OK);
+        expect(await cli("alerts", "list")).to.equal(EXIT_OK);
+
+        expect(await cli("report", "--format", "json")).to.equal(EXIT_OK);
+        expect(JSON.parse(output.text).incidentMetrics.falsePositiveRateByType.INSOLVENCY.falsePositiveRate).to.equal(1);
+    });
+
+    it("Should gate backfills on CRITICAL alerts", async function () {
+        const [, user] = await ethers.getSigners();
+        const VulnerableBank = await ethers.getContractFactory("VulnerableBank");
+        const bank = await VulnerableBank.deploy();
+        const fromBlock = await ethers.provider.getBlockNumber();
+        await bank.connect(user).deposit({ value: ethers.parseEther("5.0") });
+
+        const deploymentPath = path.join(workDir, "deployment-addresses.json");
+        fs.writeFileSync(deploymentPath, JSON.stringify({ vulnerable: { bank: bank.target } }));
+        const backfill = () => cli("backfill", "--deployment", deploymentPath, "--from", String(fromBlock), "--format", "json");
+
+        expect(await backfill()).to.equal(EXIT_OK);
+        expect(JSON.parse(output.text).results["vulnerable.bank"].eventsProcessed).to.equal(1);
+
+        // The bank now holds less than it owes its depositor
+        await network.provider.send("hardhat_setBalance", [bank.target, ethers.toQuantity(ethers.parseEther("1.0"))]);
+        await network.provider.send("evm_mine");
+
+        expect(await backfill()).to.equal(EXIT_CRITICAL);
+        expect(JSON.parse(output.text).alerts.map(alert => alert.type)).to.include("INSOLVENCY");
+    });
+
+    it("Should list detectors for a contract kind", async function () {
+        expect(await cli("detectors", "list", "--kind", "dex", "--format", "json")).to.equal(EXIT_OK);
+        const names = JSON.parse(output.text).map(detector => detector.name);
+        expect(names).to.include("sandwich");
+        expect(names).to.not.include("bridge-lifecycle");
+    });
+
+    it("Should record withdrawal reviews next to the bridge checkpoint", async function () {
+        const txHash = ethers.id("withdrawal");
+
+        expect(await cli("withdrawals", "review", txHash, "--contract", "secure.dex")).to.equal(EXIT_ERROR);
+        expect(await cli("withdrawals", "review", "0x1234", "--contract", "secure.bridge")).to.equal(EXIT_ERROR);
+
+        expect(await cli("withdrawals", "review", txHash, "--contract", "secure.bridge",
+            "--by", "oncall", "--note", "matches the L1 burn")).to.equal(EXIT_OK);
+        const stored = JSON.parse(fs.readFileSync(path.join(workDir, "checkpoints", "secure.bridge.reviews.json"), "utf8"));
+        expect(stored).to.have.lengthOf(1);
+        expect(stored[0]).to.include({ txHash, by: "oncall", note: "matches the L1 burn" });
+
+        expect(await cli("withdrawals", "list", "--format", "json")).to.equal(EXIT_OK);
+        expect(JSON.parse(output.text)).to.deep.equal([{ contract: "secure.bridge", ...stored[0] }]);
+
+        expect(await cli("withdrawals", "list", "--contract", "vulnerable.bridge")).to.equal(EXIT_OK);
+        expect(output.text).to.include("No withdrawal reviews recorded");
+    });
+});
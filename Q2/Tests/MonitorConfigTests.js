@@ -0,0 +1,137 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const SecurityMonitor = require("../Scripts/security-monitor");
+const { createDefaultRegistry } = require("../Scripts/monitor/detector-registry");
+const {
+    MonitorConfigError,
+    loadMonitorConfig,
+    watchMonitorConfig
+} = require("../Scripts/monitor/config");
+
+describe("Monitor Configuration", function () {
+    const knownDetectors = createDefaultRegistry().list();
+    let configDir;
+
+    beforeEach(function () {
+        configDir = fs.mkdtempSync(path.join(os.tmpdir(), "monitor-config-"));
+    });
+
+    afterEach(function () {
+        fs.rmSync(configDir, { recursive: true, force: true });
+    });
+
+    function writeConfig(name, text) {
+        const filePath = path.join(configDir, name);
+        fs.writeFileSync(filePath, text);
+        return filePath;
+    }
+
+    it("Should load the bundled local and testnet configs", function () {
+        for (const name of ["local.yaml", "testnet.yaml"]) {
+            const config = loadMonitorConfig(path.join(__dirname, "../monitor-config", name), { knownDetectors });
+            expect(config.thresholds).to.have.property("largeWithdrawal");
+        }
+    });
+
+    it("Should report every schema and reference violation", function () {
+        const filePath = writeConfig("bad.json", JSON.stringify({
+            thresholds: { gasSpike: "fast", largeWithdrawal: "ten ether" },
+            detectors: { "no-such-detector": { enabled: false } },
+            notifications: { channels: [], routes: [{ channels: ["pager"] }] },
+            circuitBreaker: { rules: [{ types: ["INSOLVENCY"] }, {}] }
+        }));
+
+        let error;
+        try {
+            loadMonitorConfig(filePath, { knownDetectors });
+        } catch (caught) {
+            error = caught;
+        }
+
+        expect(error).to.be.instanceOf(MonitorConfigError);
+        expect(error.message).to.include("/thresholds/gasSpike");
+        expect(error.message).to.include("/thresholds/largeWithdrawal");
+        expect(error.message).to.include("/detectors/no-such-detector is not a registered detector");
+        expect(error.message).to.include('references unknown channel "pager"');
+        expect(error.message).to.include("/circuitBreaker/rules/1 must NOT have fewer than 1 properties");
+        expect(error.message).to.not.include("/circuitBreaker/rules/0");
+    });
+
+    it("Should apply global thresholds, detector settings and per-contract overrides", async function () {
+        const config = loadMonitorConfig(writeConfig("monitor.yaml", [
+            "thresholds:",
+            "  largeWithdrawal: \"2.5 ether\"",
+            "  priceDeviation: 10",
+            "detectors:",
+            "  front-running:",
+            "    enabled: false",
+            "  sandwich:",
+            "    thresholds:",
+            "      feePercent: 5",
+            "contracts:",
+            "  vulnerable.dex:",
+            "    thresholds:",
+            "      priceDeviation: 3"
+        ].join("\n")), { knownDetectors });
+
+        const VulnerableDEX = await ethers.getContractFactory("VulnerableDEX");
+        const dex = await VulnerableDEX.deploy();
+        const options = { contractKind: "dex", alertStore: { directory: configDir }, config };
+
+        const dexMonitor = new SecurityMonitor(await dex.getAddress(), dex.interface.formatJson(), {
+            ...options,
+            label: "vulnerable.dex"
+        });
+        const otherMonitor = new SecurityMonitor(await dex.getAddress(), dex.interface.formatJson(), {
+            ...options,
+            label: "secure.dex"
+        });
+
+        expect(dexMonitor.thresholds.largeWithdrawal).to.equal(ethers.parseEther("2.5"));
+        expect(dexMonitor.thresholds.priceDeviation).to.equal(3);
+        expect(otherMonitor.thresholds.priceDeviation).to.equal(10);
+        expect(dexMonitor.getDetector("front-running").enabled).to.equal(false);
+        // Numbers are converted to bigints where the detector compares bigints
+        expect(dexMonitor.getDetector("sandwich").getThresholds(dexMonitor.thresholds).feePercent).to.equal(5n);
+    });
+
+    it("Should hot reload edits without interrupting ingestion", async function () {
+        const configPath = writeConfig("monitor.yaml", "detectors:\n  price-manipulation:\n    enabled: true\n");
+
+        const VulnerableDEX = await ethers.getContractFactory("VulnerableDEX");
+        const dex = await VulnerableDEX.deploy();
+        const monitor = new SecurityMonitor(await dex.getAddress(), dex.interface.formatJson(), {
+            label: "vulnerable.dex",
+            contractKind: "dex",
+            alertStore: { directory: configDir },
+            config: loadMonitorConfig(configPath)
+        });
+
+        await monitor.startMonitoring();
+
+        const reloaded = new Promise(resolve => {
+            const watcher = watchMonitorConfig(configPath, config => {
+                monitor.applyConfig(config);
+                watcher.close();
+                resolve();
+            }, { debounce: 50 });
+        });
+        fs.writeFileSync(configPath, [
+            "detectors:",
+            "  price-manipulation:",
+            "    thresholds:",
+            "      priceDeviation: 1"
+        ].join("\n"));
+        await reloaded;
+
+        const detector = monitor.getDetector("price-manipulation");
+        expect(detector.getThresholds(monitor.thresholds).priceDeviation).to.equal(1);
+        expect(monitor.ingestor.running).to.equal(true);
+        expect(monitor.subscribedEvents.has("Swap")).to.equal(true);
+
+        await monitor.stopMonitoring();
+    });
+});
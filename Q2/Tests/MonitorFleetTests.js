@@ -0,0 +1,110 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers } = require("ethers");
+const { MonitorFleet, DEPLOYED_CONTRACTS } = require("../Scripts/monitor/monitor-fleet");
+
+describe("Monitor Fleet", function () {
+    const addressOf = n => ethers.zeroPadValue(ethers.toBeHex(n), 20);
+    const fullDeployment = {
+        vulnerable: { bridge: addressOf(1), bank: addressOf(2), dex: addressOf(3) },
+        secure: { bridge: addressOf(4), bank: addressOf(5), dex: addressOf(6) }
+    };
+    let directory, deploymentPath, readArtifacts;
+
+    // Stands in for Hardhat's artifacts; no contracts are compiled here
+    const artifacts = {
+        readArtifact: async contractName => {
+            readArtifacts.push(contractName);
+            return { abi: [] };
+        }
+    };
+
+    beforeEach(function () {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), "monitor-fleet-"));
+        deploymentPath = path.join(directory, "deployment-addresses.json");
+        readArtifacts = [];
+    });
+
+    afterEach(function () {
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    function fleetFor(deployment, options = {}) {
+        fs.writeFileSync(deploymentPath, JSON.stringify(deployment));
+        return MonitorFleet.fromDeployment(deploymentPath, {
+            artifacts,
+            alertStore: { directory },
+            // Reads balances from the chain; no contract is deployed here
+            detectors: { "balance-invariant": { enabled: false } },
+            ...options
+        });
+    }
+
+    const labels = fleet => fleet.monitors.map(monitor => monitor.label);
+    const detectorNames = monitor => monitor.detectors.map(detector => detector.name).sort();
+
+    it("Should run one monitor per deployed contract with detectors routed by contract kind", async function () {
+        const fleet = await fleetFor(fullDeployment);
+
+        expect(labels(fleet)).to.deep.equal(Object.keys(DEPLOYED_CONTRACTS));
+        expect(readArtifacts).to.deep.equal(Object.values(DEPLOYED_CONTRACTS));
+        fleet.monitors.forEach(monitor => {
+            const [group, kind] = monitor.label.split(".");
+            expect(monitor.contractKind).to.equal(kind);
+            expect(monitor.contractName).to.equal(DEPLOYED_CONTRACTS[monitor.label]);
+            expect(monitor.contractAddress).to.equal(fullDeployment[group][kind]);
+        });
+
+        expect(detectorNames(fleet.getMonitor("vulnerable.bank"))).to.deep.equal([
+            "balance-invariant", "double-spending", "large-transactions", "reentrancy"
+        ]);
+        expect(detectorNames(fleet.getMonitor("secure.bridge"))).to.deep.equal([
+            "balance-invariant", "bridge-lifecycle", "double-spending", "large-transactions", "reentrancy"
+        ]);
+        expect(detectorNames(fleet.getMonitor("vulnerable.dex"))).to.deep.equal([
+            "front-running", "price-manipulation", "sandwich"
+        ]);
+
+        // Every monitor shares one alert store and re-emits through the fleet
+        expect(new Set(fleet.monitors.map(monitor => monitor.alertStore)).size).to.equal(1);
+        const emitted = [];
+        fleet.on("alert", ({ alert }, monitor) => emitted.push([alert.type, monitor.label]));
+        await fleet.getMonitor("secure.bank").dispatch({
+            name: "Withdrawal",
+            args: { user: addressOf(7), amount: ethers.parseEther("15") },
+            address: fullDeployment.secure.bank,
+            blockNumber: 1,
+            timestamp: Date.now()
+        });
+        expect(emitted).to.deep.equal([["LARGE_WITHDRAWAL", "secure.bank"]]);
+        expect(fleet.queryAlerts({ contract: "secure.bank" })).to.have.lengthOf(1);
+    });
+
+    it("Should limit the fleet to the included labels and groups", async function () {
+        const fleet = await fleetFor(fullDeployment, { include: ["secure", "vulnerable.dex"] });
+
+        expect(labels(fleet)).to.deep.equal(["vulnerable.dex", "secure.bridge", "secure.bank", "secure.dex"]);
+        expect(readArtifacts).to.deep.equal(["VulnerableDEX", "SecureL2Bridge", "SecureBank", "SecureDEX"]);
+    });
+
+    it("Should skip contracts missing from a partial deployment file", async function () {
+        const fleet = await fleetFor({ vulnerable: { bank: addressOf(2), dex: addressOf(3) } });
+
+        expect(labels(fleet)).to.deep.equal(["vulnerable.bank", "vulnerable.dex"]);
+    });
+
+    it("Should fail when the deployment file is missing or has nothing to monitor", async function () {
+        const missing = path.join(directory, "missing.json");
+        let error = await MonitorFleet.fromDeployment(missing, { artifacts }).catch(caught => caught);
+        expect(error.message).to.equal(`Deployment file not found: ${missing}. Run "npm run deploy" first.`);
+
+        error = await fleetFor({ vulnerable: {} }).catch(caught => caught);
+        expect(error.message).to.equal(`No monitorable contracts found in ${deploymentPath}`);
+
+        error = await fleetFor(fullDeployment, { include: ["staging"] }).catch(caught => caught);
+        expect(error.message).to.equal(`No monitorable contracts found in ${deploymentPath}`);
+        expect(readArtifacts).to.be.empty;
+    });
+});
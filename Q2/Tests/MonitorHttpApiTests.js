@@ -0,0 +1,171 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const { ethers } = require("ethers");
+const SecurityMonitor = require("../Scripts/security-monitor");
+const MonitorHttpServer = require("../Scripts/monitor/http-server");
+
+/**
+ * Open GET /events and resolve with the first "alert" event once
+ * trigger() (called after the stream is connected) records an alert
+ */
+function readAlertEvent(url, trigger) {
+    return new Promise((resolve, reject) => {
+        let triggered = false;
+        const req = http.get(`${url}/events`, res => {
+            let buffer = "";
+            res.setEncoding("utf8");
+            res.on("data", chunk => {
+                buffer += chunk;
+                if (!triggered && buffer.startsWith(": connected\n\n")) {
+                    triggered = true;
+                    trigger();
+                }
+
+                const frames = buffer.split("\n\n");
+                const frame = frames.find(entry => entry.startsWith("event: alert\n"));
+                if (frame) {
+                    req.destroy();
+                    resolve({ headers: res.headers, data: JSON.parse(frame.split("\ndata: ")[1]) });
+                }
+            });
+        });
+        req.on("error", reject);
+    });
+}
+
+describe("Monitor HTTP API", function () {
+    const address = "0x000000000000000000000000000000000000dEaD";
+    const start = Date.parse("2026-01-05T12:00:00.000Z");
+    const at = minutes => new Date(start + minutes * 60000).toISOString();
+    let logDir, monitor, server, url;
+
+    beforeEach(async function () {
+        logDir = fs.mkdtempSync(path.join(os.tmpdir(), "http-api-"));
+        monitor = new SecurityMonitor(address, [], {
+            label: "vulnerable.bank",
+            contractKind: "bank",
+            alertStore: { directory: logDir },
+            // Reads balances from the chain; no contract is deployed here
+            detectors: { "balance-invariant": { enabled: false } }
+        });
+        server = await new MonitorHttpServer(monitor, { port: 0 }).start();
+        url = `http://127.0.0.1:${server.port}`;
+    });
+
+    afterEach(async function () {
+        await server.stop();
+        fs.rmSync(logDir, { recursive: true, force: true });
+    });
+
+    function raise(type, severity, user, minutes) {
+        const alert = {
+            type,
+            severity,
+            details: `${type} by ${user}`,
+            user,
+            contractLabel: monitor.label,
+            timestamp: at(minutes)
+        };
+        monitor.createAlert(alert);
+        return alert;
+    }
+
+    const getJSON = async pathname => {
+        const response = await fetch(`${url}${pathname}`);
+        expect(response.status).to.equal(200);
+        return response.json();
+    };
+    const types = alerts => alerts.map(alert => alert.type);
+
+    it("Should listen on an ephemeral port and report health", async function () {
+        expect(server.port).to.be.above(0);
+
+        const health = await getJSON("/health");
+        expect(health.status).to.equal("ok");
+        expect(health.monitors[0]).to.include({ label: "vulnerable.bank", address, listening: false });
+        expect((await fetch(`${url}/missing`)).status).to.equal(404);
+        expect((await fetch(`${url}/alerts`, { method: "DELETE" })).status).to.equal(405);
+    });
+
+    it("Should query stored alerts with filters", async function () {
+        raise("LARGE_WITHDRAWAL", "MEDIUM", "0x01", 0);
+        raise("POTENTIAL_REENTRANCY", "CRITICAL", "0x02", 10);
+        raise("LARGE_WITHDRAWAL", "HIGH", "0x03", 20);
+        raise("RAPID_WITHDRAWALS", "HIGH", "0x03", 21);
+
+        expect(types(await getJSON("/alerts"))).to.deep.equal([
+            "RAPID_WITHDRAWALS", "LARGE_WITHDRAWAL", "POTENTIAL_REENTRANCY", "LARGE_WITHDRAWAL"
+        ]);
+        expect(types(await getJSON("/alerts?limit=2"))).to.deep.equal(["RAPID_WITHDRAWALS", "LARGE_WITHDRAWAL"]);
+        expect((await getJSON("/alerts?type=LARGE_WITHDRAWAL")).map(alert => alert.user))
+            .to.deep.equal(["0x03", "0x01"]);
+        expect(types(await getJSON("/alerts?severity=CRITICAL,MEDIUM")))
+            .to.deep.equal(["POTENTIAL_REENTRANCY", "LARGE_WITHDRAWAL"]);
+        expect(types(await getJSON("/alerts?user=0x03&severity=HIGH")))
+            .to.deep.equal(["RAPID_WITHDRAWALS", "LARGE_WITHDRAWAL"]);
+        expect(types(await getJSON(`/alerts?since=${at(5)}&until=${at(20)}`)))
+            .to.deep.equal(["LARGE_WITHDRAWAL", "POTENTIAL_REENTRANCY"]);
+        expect(await getJSON("/alerts?contract=vulnerable.dex")).to.deep.equal([]);
+    });
+
+    /**
+     * Value of a Prometheus sample line, 0 when it is not exposed yet
+     */
+    async function scrape(sample) {
+        const response = await fetch(`${url}/metrics`);
+        expect(response.status).to.equal(200);
+        const line = (await response.text()).split("\n").find(entry => entry.startsWith(`${sample} `));
+        return line ? Number(line.slice(sample.length + 1)) : 0;
+    }
+
+    it("Should move alert, event and detector metrics after a dispatch", async function () {
+        const labels = 'contract="vulnerable.bank",detector="large-transactions"';
+        const alerts = 'security_monitor_alerts_total{type="LARGE_WITHDRAWAL",severity="HIGH",contract="vulnerable.bank"}';
+        const events = 'security_monitor_events_processed_total{contract="vulnerable.bank",event="Withdrawal"}';
+        const latency = `security_monitor_detector_latency_seconds_count{${labels}}`;
+        const errors = `security_monitor_listener_errors_total{${labels}}`;
+
+        expect(await scrape(alerts)).to.equal(0);
+        expect(await scrape(events)).to.equal(0);
+        expect(await scrape(latency)).to.equal(0);
+
+        const withdrawal = amount => monitor.dispatch({
+            name: "Withdrawal",
+            args: { user: address, amount: ethers.parseEther(amount) },
+            address,
+            blockNumber: 1,
+            timestamp: start
+        });
+        await withdrawal("15");
+        await withdrawal("1");
+
+        expect(await scrape(alerts)).to.equal(1);
+        expect(await scrape('security_monitor_incident_actions_total{action="new",contract="vulnerable.bank"}')).to.equal(1);
+        expect(await scrape(events)).to.equal(2);
+        expect(await scrape(latency)).to.equal(2);
+        expect(await scrape(`security_monitor_detector_latency_seconds_bucket{le="+Inf",${labels}}`)).to.equal(2);
+        expect(await scrape(`security_monitor_detector_latency_seconds_sum{${labels}}`)).to.be.above(0);
+        expect(await scrape(errors)).to.equal(0);
+
+        // A detector that throws is counted as a listener error
+        await monitor.dispatch({ name: "Withdrawal", args: {}, address, blockNumber: 2, timestamp: start })
+            .catch(() => {});
+        expect(await scrape(errors)).to.equal(1);
+        expect(await scrape(latency)).to.equal(3);
+    });
+
+    it("Should stream new alerts as Server-Sent Events", async function () {
+        let raised;
+        const { headers, data } = await readAlertEvent(url, () => {
+            raised = raise("POTENTIAL_REENTRANCY", "CRITICAL", "0x02", 0);
+        });
+
+        expect(headers["content-type"]).to.equal("text/event-stream");
+        expect(data).to.include({ action: "new", incidentId: raised.incidentId, incidentSeverity: "CRITICAL" });
+        expect(data.alert).to.include({ id: raised.id, type: "POTENTIAL_REENTRANCY", user: "0x02" });
+        expect((await getJSON("/health")).lastAlertAt).to.equal(raised.timestamp);
+    });
+});
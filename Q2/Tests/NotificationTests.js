@@ -0,0 +1,240 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const http = require("http");
+const net = require("net");
+const os = require("os");
+const path = require("path");
+const { NotificationManager } = require("../Scripts/monitor/notifiers/notification-manager");
+
+/**
+ * Local HTTP stand-in for Slack/Discord/generic webhooks.
+ * failFirst makes the first N requests return HTTP 500.
+ */
+function startWebhookServer({ failFirst = 0 } = {}) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let body = "";
+        req.on("data", chunk => { body += chunk; });
+        req.on("end", () => {
+            requests.push({ path: req.url, body: JSON.parse(body) });
+            res.statusCode = requests.length <= failFirst ? 500 : 200;
+            res.end();
+        });
+    });
+
+    return new Promise(resolve => server.listen(0, "127.0.0.1", () => {
+        resolve({ server, requests, url: `http://127.0.0.1:${server.address().port}` });
+    }));
+}
+
+/**
+ * Minimal SMTP capture server that accepts every message
+ */
+function startSmtpCapture() {
+    const messages = [];
+    const server = net.createServer(socket => {
+        let buffer = "";
+        let inData = false;
+
+        socket.write("220 localhost ESMTP capture\r\n");
+        socket.on("data", chunk => {
+            buffer += chunk.toString();
+
+            if (inData) {
+                const end = buffer.indexOf("\r\n.\r\n");
+                if (end === -1) return;
+                messages.push(buffer.slice(0, end));
+                buffer = buffer.slice(end + 5);
+                inData = false;
+                socket.write("250 OK queued\r\n");
+            }
+
+            let lineEnd;
+            while (!inData && (lineEnd = buffer.indexOf("\r\n")) !== -1) {
+                const line = buffer.slice(0, lineEnd);
+                buffer = buffer.slice(lineEnd + 2);
+                const command = line.slice(0, 4).toUpperCase();
+
+                if (command === "EHLO" || command === "HELO") {
+                    socket.write("250 localhost\r\n");
+                } else if (command === "DATA") {
+                    inData = true;
+                    socket.write("354 End data with <CR><LF>.<CR><LF>\r\n");
+                } else if (command === "QUIT") {
+                    socket.end("221 Bye\r\n");
+                } else {
+                    socket.write("250 OK\r\n");
+                }
+            }
+        });
+    });
+
+    return new Promise(resolve => server.listen(0, "127.0.0.1", () => {
+        resolve({ server, messages, port: server.address().port });
+    }));
+}
+
+describe("Security Monitor Notifications", function () {
+    const reentrancyAlert = {
+        type: "POTENTIAL_REENTRANCY",
+        severity: "CRITICAL",
+        user: "0x70997970C51812dc3A010C7d01b50e0d17dc79C8",
+        details: "Abnormal gas usage: 180000 (3x expected)",
+        contractLabel: "vulnerable.bank",
+        txHash: "0x" + "ab".repeat(32),
+        timestamp: new Date().toISOString()
+    };
+    const largeDepositAlert = {
+        type: "LARGE_DEPOSIT",
+        severity: "MEDIUM",
+        user: "0x70997970C51812dc3A010C7d01b50e0d17dc79C8",
+        details: "Large deposit detected",
+        timestamp: new Date().toISOString()
+    };
+    let tmpDir, servers;
+
+    beforeEach(function () {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "notifications-"));
+        servers = [];
+    });
+
+    afterEach(function () {
+        servers.forEach(server => server.close());
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it("Should route CRITICAL alerts to Slack and Discord webhooks only", async function () {
+        const webhook = await startWebhookServer();
+        servers.push(webhook.server);
+
+        const manager = new NotificationManager({
+            channels: [
+                { name: "slack", type: "webhook", url: `${webhook.url}/slack`, format: "slack" },
+                { name: "discord", type: "webhook", url: `${webhook.url}/discord`, format: "discord" },
+                { name: "audit", type: "webhook", url: `${webhook.url}/audit` }
+            ],
+            routes: [
+                { severities: ["CRITICAL"], channels: ["slack", "discord"] },
+                { severities: ["MEDIUM", "LOW"], channels: ["audit"] }
+            ]
+        });
+
+        const results = await manager.notify(reentrancyAlert);
+        expect(results.every(result => result.delivered)).to.equal(true);
+
+        const slack = webhook.requests.find(r => r.path === "/slack").body;
+        expect(slack.text).to.equal("[CRITICAL] POTENTIAL_REENTRANCY on vulnerable.bank");
+        expect(slack.attachments[0].color).to.equal("#dc3545");
+
+        const discord = webhook.requests.find(r => r.path === "/discord").body;
+        expect(discord.embeds[0].title).to.equal("POTENTIAL_REENTRANCY");
+        expect(discord.embeds[0].description).to.equal(reentrancyAlert.details);
+
+        await manager.notify(largeDepositAlert);
+        const audit = webhook.requests.filter(r => r.path === "/audit");
+        expect(audit).to.have.length(1);
+        expect(audit[0].body.alert.type).to.equal("LARGE_DEPOSIT");
+    });
+
+    it("Should retry failed deliveries with backoff", async function () {
+        const webhook = await startWebhookServer({ failFirst: 2 });
+        servers.push(webhook.server);
+
+        const manager = new NotificationManager({
+            channels: [{ name: "oncall", type: "webhook", url: webhook.url }],
+            routes: [{ channels: ["oncall"] }],
+            retry: { attempts: 3, initialDelay: 10 },
+            deadLetterPath: path.join(tmpDir, "dead-letter.ndjson")
+        });
+
+        const [result] = await manager.notify(reentrancyAlert);
+        expect(result.delivered).to.equal(true);
+        expect(result.attempts).to.equal(3);
+        expect(fs.existsSync(path.join(tmpDir, "dead-letter.ndjson"))).to.equal(false);
+    });
+
+    it("Should write undeliverable alerts to the dead-letter file", async function () {
+        const webhook = await startWebhookServer({ failFirst: 10 });
+        servers.push(webhook.server);
+        const deadLetterPath = path.join(tmpDir, "dead-letter.ndjson");
+
+        const manager = new NotificationManager({
+            channels: [{ name: "oncall", type: "webhook", url: webhook.url }],
+            routes: [{ severities: ["CRITICAL"], channels: ["oncall"] }],
+            retry: { attempts: 2, initialDelay: 10 },
+            deadLetterPath
+        });
+
+        const [result] = await manager.notify(reentrancyAlert);
+        expect(result.delivered).to.equal(false);
+        expect(webhook.requests).to.have.length(2);
+
+        const [entry] = fs.readFileSync(deadLetterPath, "utf8").trim().split("\n").map(JSON.parse);
+        expect(entry.channel).to.equal("oncall");
+        expect(entry.alert.type).to.equal("POTENTIAL_REENTRANCY");
+    });
+
+    it("Should resolve even when the dead-letter file cannot be written", async function () {
+        const webhook = await startWebhookServer({ failFirst: 10 });
+        servers.push(webhook.server);
+        // A file where the dead-letter directory should be
+        const blocker = path.join(tmpDir, "blocker");
+        fs.writeFileSync(blocker, "");
+
+        const manager = new NotificationManager({
+            channels: [{ name: "oncall", type: "webhook", url: webhook.url }],
+            routes: [{ severities: ["CRITICAL"], channels: ["oncall"] }],
+            retry: { attempts: 1 },
+            deadLetterPath: path.join(blocker, "dead-letter.ndjson")
+        });
+
+        const [result] = await manager.notify(reentrancyAlert);
+        expect(result).to.include({ channel: "oncall", delivered: false, attempts: 1 });
+    });
+
+    it("Should send email alerts over SMTP", async function () {
+        const smtp = await startSmtpCapture();
+        servers.push(smtp.server);
+
+        const manager = new NotificationManager({
+            channels: [{
+                name: "security-email",
+                type: "email",
+                smtp: { host: "127.0.0.1", port: smtp.port, secure: false, ignoreTLS: true },
+                from: "monitor@example.com",
+                to: ["oncall@example.com"]
+            }],
+            routes: [{ severities: ["CRITICAL", "HIGH"], channels: ["security-email"] }]
+        });
+
+        const [result] = await manager.notify(reentrancyAlert);
+        expect(result.delivered).to.equal(true);
+        expect(smtp.messages).to.have.length(1);
+        expect(smtp.messages[0]).to.include("Subject: Security alert: [CRITICAL] POTENTIAL_REENTRANCY");
+        expect(smtp.messages[0]).to.include("vulnerable.bank");
+    });
+
+    it("Should pass alerts to a local command on stdin", async function () {
+        const outputPath = path.join(tmpDir, "command-output.json");
+        const manager = new NotificationManager({
+            channels: [{
+                name: "pager",
+                type: "command",
+                command: process.execPath,
+                args: [
+                    "-e",
+                    `require("fs").writeFileSync(${JSON.stringify(outputPath)}, ` +
+                    "JSON.stringify({ severity: process.env.ALERT_SEVERITY, stdin: require(\"fs\").readFileSync(0, \"utf8\") }))"
+                ]
+            }],
+            routes: [{ severities: ["CRITICAL"], types: ["POTENTIAL_REENTRANCY"], channels: ["pager"] }]
+        });
+
+        const [result] = await manager.notify(reentrancyAlert);
+        expect(result.delivered).to.equal(true);
+
+        const output = JSON.parse(fs.readFileSync(outputPath, "utf8"));
+        expect(output.severity).to.equal("CRITICAL");
+        expect(JSON.parse(output.stdin).type).to.equal("POTENTIAL_REENTRANCY");
+    });
+});
@@ -0,0 +1,180 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const SecurityMonitor = require("../Scripts/security-monitor");
+const ReentrancyDetector = require("../Scripts/monitor/detectors/reentrancy");
+
+describe("Trace-Based Reentrancy Detection", function () {
+    let attacker, user1, user2;
+    let logDir;
+
+    beforeEach(async function () {
+        [, attacker, user1, user2] = await ethers.getSigners();
+        logDir = fs.mkdtempSync(path.join(os.tmpdir(), "reentrancy-"));
+    });
+
+    afterEach(function () {
+        fs.rmSync(logDir, { recursive: true, force: true });
+    });
+
+    async function monitorFor(bank, contractName, reentrancy = {}) {
+        const monitor = new SecurityMonitor(await bank.getAddress(), bank.interface.formatJson(), {
+            label: contractName,
+            contractName,
+            contractKind: "bank",
+            alertStore: { directory: logDir },
+            detectors: {
+                "double-spending": { enabled: false },
+                "large-transactions": { enabled: false },
+                "reentrancy": reentrancy
+            }
+        });
+        await monitor.initialize();
+        return monitor;
+    }
+
+    async function dispatchLatestBlock(monitor) {
+        return monitor.dispatch({
+            name: "block",
+            blockNumber: await ethers.provider.getBlockNumber(),
+            address: monitor.contractAddress,
+            timestamp: Date.now()
+        });
+    }
+
+    /**
+     * Run ReentrancyAttacker against a bank; the attack transaction may
+     * revert once the bank's balance checks catch up with it
+     */
+    async function attack(bank) {
+        await bank.connect(user1).deposit({ value: ethers.parseEther("5.0") });
+        await bank.connect(user2).deposit({ value: ethers.parseEther("5.0") });
+
+        const ReentrancyAttacker = await ethers.getContractFactory("ReentrancyAttacker");
+        const attackerContract = await ReentrancyAttacker.deploy(await bank.getAddress());
+
+        try {
+            await attackerContract.connect(attacker).attack({
+                value: ethers.parseEther("1.0"),
+                gasLimit: 500000
+            });
+        } catch (error) {
+            // Reverted attacks are still mined and traced
+        }
+    }
+
+    it("Should report the re-entry call path into VulnerableBank.withdraw", async function () {
+        const VulnerableBank = await ethers.getContractFactory("VulnerableBank");
+        const bank = await VulnerableBank.deploy();
+        const monitor = await monitorFor(bank, "VulnerableBank");
+
+        await attack(bank);
+        const alerts = await dispatchLatestBlock(monitor);
+
+        expect(alerts).to.have.lengthOf(1);
+        const [alert] = alerts;
+        expect(alert.type).to.equal("POTENTIAL_REENTRANCY");
+        expect(alert.severity).to.equal("CRITICAL");
+        expect(alert.outcome).to.equal("effective");
+        expect(alert.user).to.equal(attacker.address);
+        expect(alert.reentryPath).to.equal("ReentrancyAttacker.receive -> VulnerableBank.withdraw");
+        expect(alert.callPath).to.equal(
+            "ReentrancyAttacker.attack -> VulnerableBank.withdraw -> " +
+            "ReentrancyAttacker.receive -> VulnerableBank.withdraw"
+        );
+        expect(alert.reenteredFunctions).to.deep.equal(["VulnerableBank.withdraw"]);
+    });
+
+    it("Should report a re-entry blocked by SecureBank's guard as a rolled-back attempt", async function () {
+        const SecureBank = await ethers.getContractFactory("SecureBank");
+        const bank = await SecureBank.deploy();
+        const monitor = await monitorFor(bank, "SecureBank");
+
+        await attack(bank);
+        const alerts = await dispatchLatestBlock(monitor);
+
+        expect(alerts).to.have.lengthOf(1);
+        expect(alerts[0].type).to.equal("POTENTIAL_REENTRANCY");
+        expect(alerts[0].severity).to.equal("HIGH");
+        expect(alerts[0].outcome).to.equal("rolled-back");
+        expect(alerts[0].details).to.include("rolled back");
+    });
+
+    it("Should not trace reverted transactions beyond maxFailedTraces", async function () {
+        const SecureBank = await ethers.getContractFactory("SecureBank");
+        const bank = await SecureBank.deploy();
+        const monitor = await monitorFor(bank, "SecureBank", { thresholds: { maxFailedTraces: 0 } });
+        const traced = [];
+        const send = ethers.provider.send.bind(ethers.provider);
+        monitor.provider = Object.assign(Object.create(ethers.provider), {
+            send: (method, params) => {
+                if (method === "debug_traceTransaction") traced.push(params[0]);
+                return send(method, params);
+            }
+        });
+
+        await attack(bank);
+        expect(await dispatchLatestBlock(monitor)).to.be.empty;
+        expect(traced).to.be.empty;
+    });
+
+    it("Should not flag ordinary deposits and withdrawals", async function () {
+        const VulnerableBank = await ethers.getContractFactory("VulnerableBank");
+        const bank = await VulnerableBank.deploy();
+        const monitor = await monitorFor(bank, "VulnerableBank");
+
+        await bank.connect(user1).deposit({ value: ethers.parseEther("20.0") });
+        expect(await dispatchLatestBlock(monitor)).to.be.empty;
+
+        await bank.connect(user1).withdraw(ethers.parseEther("20.0"));
+        expect(await dispatchLatestBlock(monitor)).to.be.empty;
+    });
+});
+
+describe("Reentrancy Trace Errors", function () {
+    const tx = { hash: "0x01", blockHash: "0xaa", from: "0x02", to: "0x03", data: "0x", value: 0n };
+
+    /**
+     * Provider whose debug_traceTransaction fails with each error in turn
+     */
+    function failingProvider(...errors) {
+        const provider = {
+            calls: 0,
+            async send(method) {
+                if (method !== "debug_traceTransaction") throw new Error(`Unexpected ${method}`);
+                provider.calls++;
+                throw errors.shift();
+            }
+        };
+        return provider;
+    }
+
+    it("Should keep tracing after a timeout or dropped connection", async function () {
+        const detector = new ReentrancyDetector();
+        const provider = failingProvider(new Error("timeout"), new Error("timeout"));
+
+        let error;
+        try {
+            await detector.trace(provider, tx);
+        } catch (caught) {
+            error = caught;
+        }
+        expect(error.message).to.equal("timeout");
+        expect(detector.state.tracingUnsupported).to.equal(false);
+    });
+
+    it("Should fall back to event counting once the node lacks the method", async function () {
+        const detector = new ReentrancyDetector();
+        const missing = Object.assign(new Error("the method debug_traceTransaction does not exist/is not available"), {
+            code: -32601
+        });
+        const provider = failingProvider(missing, missing);
+
+        expect(await detector.trace(provider, tx)).to.equal(null);
+        expect(detector.state.tracingUnsupported).to.equal(true);
+        expect(await detector.trace(provider, { ...tx, hash: "0x04" })).to.equal(null);
+        expect(provider.calls).to.equal(2);
+    });
+});
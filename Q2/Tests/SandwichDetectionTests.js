@@ -0,0 +1,164 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const SecurityMonitor = require("../Scripts/security-monitor");
+
+describe("Sandwich Attack Detection", function () {
+    let owner, attacker, victim;
+    let dex, monitor, logDir;
+
+    beforeEach(async function () {
+        [owner, attacker, victim] = await ethers.getSigners();
+
+        const VulnerableDEX = await ethers.getContractFactory("VulnerableDEX");
+        dex = await VulnerableDEX.deploy();
+
+        await dex.connect(owner).addLiquidity(ethers.parseEther("1000"), ethers.parseEther("1000"));
+        await dex.connect(victim).depositTokenA(ethers.parseEther("100"));
+        await dex.connect(attacker).depositTokenA(ethers.parseEther("50"));
+
+        logDir = fs.mkdtempSync(path.join(os.tmpdir(), "sandwich-"));
+        monitor = new SecurityMonitor(await dex.getAddress(), dex.interface.formatJson(), {
+            label: "vulnerable.dex",
+            contractKind: "dex",
+            alertStore: { directory: logDir }
+        });
+        await monitor.initialize();
+    });
+
+    afterEach(async function () {
+        await network.provider.send("evm_setAutomine", [true]);
+        fs.rmSync(logDir, { recursive: true, force: true });
+    });
+
+    /**
+     * Queue attacker front leg, victim swap and attacker back leg with
+     * descending gas prices so the miner orders them as a sandwich
+     */
+    async function queueSandwich() {
+        const frontIn = ethers.parseEther("50");
+        const [reserveA, reserveB] = await dex.getReserves();
+        const frontOut = await dex.getAmountOut(frontIn, reserveA, reserveB);
+
+        await network.provider.send("evm_setAutomine", [false]);
+
+        const front = await dex.connect(attacker).swapAForB(frontIn, {
+            gasPrice: ethers.parseUnits("50", "gwei")
+        });
+        const victimSwap = await dex.connect(victim).swapAForB(ethers.parseEther("100"), {
+            gasPrice: ethers.parseUnits("20", "gwei")
+        });
+        const back = await dex.connect(attacker).swapBForA(frontOut, {
+            gasPrice: ethers.parseUnits("10", "gwei")
+        });
+
+        return { front, victimSwap, back, frontIn };
+    }
+
+    it("Should flag a pending sandwich from decoded mempool swaps", async function () {
+        const { front, victimSwap, back } = await queueSandwich();
+
+        const alerts = [];
+        for (const tx of [victimSwap, front, back]) {
+            alerts.push(...await monitor.dispatch({
+                name: "pending",
+                txHash: tx.hash,
+                address: await dex.getAddress(),
+                timestamp: Date.now()
+            }));
+        }
+
+        const pending = alerts.filter(alert => alert.type === "PENDING_SANDWICH");
+        expect(pending).to.have.lengthOf(1);
+        expect(pending[0].frontTx).to.equal(front.hash);
+        expect(pending[0].victimTxs).to.deep.equal([victimSwap.hash]);
+        expect(pending[0].backTx).to.equal(back.hash);
+        expect(pending[0].user).to.equal(attacker.address.toLowerCase());
+    });
+
+    it("Should flag FrontRunnerBot round trips on either side of a pending swap", async function () {
+        const FrontRunnerBot = await ethers.getContractFactory("FrontRunnerBot");
+        const bot = await FrontRunnerBot.deploy(await dex.getAddress());
+
+        await network.provider.send("evm_setAutomine", [false]);
+
+        // Explicit gas limits: estimating would revert, as a lone round trip never profits
+        const frontRun = gwei => bot.connect(attacker).frontRunSwap(ethers.parseEther("50"), 0, {
+            gasPrice: ethers.parseUnits(gwei, "gwei"),
+            gasLimit: 500000
+        });
+        const front = await frontRun("50");
+        const victimSwap = await dex.connect(victim).swapAForB(ethers.parseEther("100"), {
+            gasPrice: ethers.parseUnits("20", "gwei")
+        });
+        const back = await frontRun("10");
+
+        const alerts = [];
+        for (const tx of [front, victimSwap, back]) {
+            alerts.push(...await monitor.dispatch({
+                name: "pending",
+                txHash: tx.hash,
+                address: await dex.getAddress(),
+                timestamp: Date.now()
+            }));
+        }
+
+        const pending = alerts.filter(alert => alert.type === "PENDING_SANDWICH");
+        expect(pending).to.have.lengthOf(1);
+        expect(pending[0].frontTx).to.equal(front.hash);
+        expect(pending[0].victimTxs).to.deep.equal([victimSwap.hash]);
+        expect(pending[0].backTx).to.equal(back.hash);
+        expect(pending[0].user).to.equal(attacker.address.toLowerCase());
+    });
+
+    it("Should reconstruct the mined ordering and estimate attacker profit", async function () {
+        const { front, victimSwap, back, frontIn } = await queueSandwich();
+        await network.provider.send("evm_mine");
+
+        const receipt = await back.wait();
+        const block = await ethers.provider.getBlock(receipt.blockNumber);
+        expect(block.transactions).to.deep.equal([front.hash, victimSwap.hash, back.hash]);
+
+        const alerts = await monitor.dispatch({
+            name: "block",
+            blockNumber: receipt.blockNumber,
+            address: await dex.getAddress(),
+            timestamp: Date.now()
+        });
+
+        expect(alerts).to.have.lengthOf(1);
+        const [alert] = alerts;
+        expect(alert.type).to.equal("SANDWICH_ATTACK");
+        expect(alert.severity).to.equal("CRITICAL");
+        expect(alert.victims).to.deep.equal([victim.address.toLowerCase()]);
+
+        // The estimate must match what the attacker actually earned on-chain
+        const attackerBalance = await dex.tokenABalance(attacker.address);
+        const actualProfit = attackerBalance - frontIn;
+        expect(alert.estimatedProfit).to.equal(ethers.formatEther(actualProfit));
+        expect(actualProfit).to.be.greaterThan(0n);
+        expect(parseFloat(alert.victimLoss)).to.be.greaterThan(0);
+
+        expect(monitor.alertStore.query({ type: "SANDWICH_ATTACK" })).to.have.lengthOf(1);
+    });
+
+    it("Should not flag unrelated swaps in the same block", async function () {
+        await network.provider.send("evm_setAutomine", [false]);
+
+        await dex.connect(attacker).swapAForB(ethers.parseEther("10"));
+        await dex.connect(victim).swapAForB(ethers.parseEther("10"));
+        const last = await dex.connect(attacker).swapAForB(ethers.parseEther("10"));
+        await network.provider.send("evm_mine");
+
+        const alerts = await monitor.dispatch({
+            name: "block",
+            blockNumber: (await last.wait()).blockNumber,
+            address: await dex.getAddress(),
+            timestamp: Date.now()
+        });
+
+        expect(alerts).to.be.empty;
+    });
+});
@@ -0,0 +1,528 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const ThreatAnalyzer = require("../threat-modeling/analyze");
+const { findErrors, ThreatModelError } = require("../threat-modeling/validate");
+const { CodeReferenceVerifier } = require("../threat-modeling/code-references");
+const { parseTags, mapTestResults } = require("../threat-modeling/test-mapping");
+const { runTests } = require("../threat-modeling/run-tests");
+const { scoreThreat } = require("../threat-modeling/risk-model");
+const { scoreCvss, scoreOwasp } = require("../threat-modeling/scoring");
+const { analyzeTree, enumeratePaths } = require("../threat-modeling/attack-tree");
+const { diffAnalyses, hasChanges, renderText, renderMarkdown } = require("../threat-modeling/diff");
+const { strideCandidates, coverCandidates } = require("../threat-modeling/data-flow");
+
+const MODEL_PATH = path.join(__dirname, "../threat-modeling/threat-model.json");
+
+describe("Threat Model Validation", function () {
+    let document;
+
+    beforeEach(function () {
+        document = JSON.parse(fs.readFileSync(MODEL_PATH, "utf8"));
+    });
+
+    const messages = () => findErrors(document).map(error => `${error.instancePath} ${error.message}`);
+
+    it("Should accept the bundled threat model", function () {
+        expect(findErrors(document)).to.deep.equal([]);
+    });
+
+    it("Should report schema violations with their JSON paths", function () {
+        const [first, second] = document.threatModel.threats;
+        first.likelihood = "SOMETIMES";
+        first.stride.denialOfSerivce = true;
+        delete second.mitigations;
+
+        const errors = messages();
+        expect(errors).to.include("/threatModel/threats/0/likelihood must be equal to one of the allowed values");
+        expect(errors).to.include("/threatModel/threats/0/stride must NOT have additional properties");
+        expect(errors).to.include("/threatModel/threats/1 must have required property 'mitigations'");
+    });
+
+    it("Should check risk matrix ids, mitigation ids and code references", function () {
+        const { threats, riskMatrix } = document.threatModel;
+        riskMatrix.high.push("T099");
+        threats[1].mitigations[0].id = threats[0].mitigations[0].id;
+        threats[0].mitigations[1].code_reference = "Contracts/Secure/SecureBridge.sol:initiateWithdrawal";
+
+        expect(messages()).to.deep.equal([
+            "/threatModel/threats/0/mitigations/1/code_reference references missing file Contracts/Secure/SecureBridge.sol",
+            "/threatModel/threats/1/mitigations/0/id duplicates mitigation id M001 at /threatModel/threats/0/mitigations/0",
+            "/threatModel/riskMatrix/high/3 references unknown threat T099"
+        ]);
+    });
+
+    it("Should refuse to analyze an invalid model", function () {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), "threat-model-"));
+        const modelPath = path.join(dir, "threat-model.json");
+        document.threatModel.threats[0].severity = "SEVERE";
+        fs.writeFileSync(modelPath, JSON.stringify(document));
+
+        try {
+            expect(() => new ThreatAnalyzer(modelPath)).to.throw(ThreatModelError, /threats\/0\/severity/);
+            expect(new ThreatAnalyzer(MODEL_PATH).generateStatistics().totalThreats).to.equal(6);
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+});
+
+describe("Threat Model Code References", function () {
+    const source = "contract Bridge is ReentrancyGuard { mapping(address => uint256) public nonces; }\n";
+    let projectRoot, verifier;
+
+    beforeEach(function () {
+        // Hardhat 3 layout: build info input with a separate .output.json
+        projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), "code-references-"));
+        const buildInfoDir = path.join(projectRoot, "artifacts/build-info");
+        fs.mkdirSync(path.join(projectRoot, "Contracts/Secure"), { recursive: true });
+        fs.mkdirSync(buildInfoDir, { recursive: true });
+        fs.writeFileSync(path.join(projectRoot, "Contracts/Secure/Bridge.sol"), source);
+
+        const sourceName = "project/Contracts/Secure/Bridge.sol";
+        const ast = {
+            nodeType: "SourceUnit",
+            nodes: [{
+                nodeType: "ContractDefinition",
+                name: "Bridge",
+                contractKind: "contract",
+                baseContracts: [{ baseName: { name: "ReentrancyGuard" } }],
+                nodes: [
+                    { nodeType: "VariableDeclaration", name: "nonces" },
+                    { nodeType: "FunctionDefinition", name: "", kind: "constructor" },
+                    { nodeType: "ModifierDefinition", name: "onlyOperator" }
+                ]
+            }]
+        };
+        fs.writeFileSync(path.join(buildInfoDir, "solc-0_8_20-1.json"),
+            JSON.stringify({ input: { sources: { [sourceName]: { content: source } } } }));
+        fs.writeFileSync(path.join(buildInfoDir, "solc-0_8_20-1.output.json"),
+            JSON.stringify({ output: { sources: { [sourceName]: { ast } } } }));
+
+        verifier = new CodeReferenceVerifier({ projectRoot });
+    });
+
+    afterEach(function () {
+        fs.rmSync(projectRoot, { recursive: true, force: true });
+    });
+
+    const status = reference => verifier.verify(reference).status;
+
+    it("Should resolve state variables, base contracts, modifiers and constructors", function () {
+        expect(verifier.verify("Contracts/Secure/Bridge.sol:nonces")).to.include({ status: "VERIFIED", kind: "state variable", contract: "Bridge" });
+        expect(verifier.verify("Contracts/Secure/Bridge.sol:ReentrancyGuard")).to.include({ status: "VERIFIED", kind: "base contract" });
+        expect(verifier.verify("Contracts/Secure/Bridge.sol:constructor")).to.include({ status: "VERIFIED", kind: "constructor" });
+        expect(status("Contracts/Secure/Bridge.sol:onlyOperator")).to.equal("VERIFIED");
+        expect(status("All contracts use pragma solidity ^0.8.20")).to.equal("UNVERIFIABLE");
+    });
+
+    it("Should flag missing symbols and files and sources changed since compiling", function () {
+        expect(status("Contracts/Secure/Bridge.sol:batchWithdraw")).to.equal("MISSING");
+        expect(status("Contracts/Secure/Vault.sol:withdraw")).to.equal("MISSING");
+
+        fs.appendFileSync(path.join(projectRoot, "Contracts/Secure/Bridge.sol"), "// refactored\n");
+        expect(status("Contracts/Secure/Bridge.sol:nonces")).to.equal("STALE");
+    });
+
+    it("Should refuse to assess readiness before the contracts are compiled", function () {
+        fs.rmSync(path.join(projectRoot, "artifacts"), { recursive: true });
+        expect(verifier.verify("Contracts/Secure/Bridge.sol:nonces"))
+            .to.include({ status: "UNCOMPILED" })
+            .and.to.have.property("detail").that.matches(/npx hardhat compile/);
+
+        const analyzer = new ThreatAnalyzer(MODEL_PATH, { artifactsDir: path.join(projectRoot, "artifacts") });
+        const report = analyzer.generateMitigationReport();
+        expect(report.drift).to.deep.equal([]);
+        expect(analyzer.generateStatistics().verification.UNCOMPILED).to.be.above(0);
+        expect(analyzer.assessReadiness(95, { CRITICAL: [], HIGH: [] }, report))
+            .to.match(/^NOT READY - Compile the contracts \("npx hardhat compile"\) to verify mitigations: M0/);
+    });
+
+    it("Should trust verification over the implemented flag", function () {
+        const analyzer = new ThreatAnalyzer(MODEL_PATH, {
+            verifier: {
+                verify: reference => (reference.endsWith(":withdrawSafe")
+                    ? { status: "MISSING", detail: "withdrawSafe is not declared" }
+                    : { status: "UNVERIFIABLE" })
+            }
+        });
+
+        const report = analyzer.generateMitigationReport();
+        expect(report.drift.map(entry => entry.mitigationId)).to.deep.equal(["M007"]);
+        expect(report.pending.map(entry => entry.mitigationId)).to.include("M007");
+        expect(analyzer.generateStatistics().verification.MISSING).to.equal(1);
+        expect(analyzer.assessReadiness(95, { CRITICAL: [], HIGH: [] }, report))
+            .to.equal("NOT READY - Mitigations missing from the code: M007");
+    });
+});
+
+describe("Threat Model Test Results", function () {
+    const result = (fullTitle, state) => ({ title: fullTitle, fullTitle, file: "Tests/SecurityTests.js", state, duration: 1, error: null });
+    const results = {
+        generatedAt: "2026-01-01T00:00:00.000Z",
+        tests: [
+            result("Bridge @T001 VULNERABLE: Should allow double-spending", "passed"),
+            result("Bridge @T001 SECURE: Should prevent double-spending @M001 @M002", "passed"),
+            result("Bridge @T001 SECURE: Should enforce nonce ordering @M001", "failed"),
+            result("Bank @T002 SECURE: Should prevent reentrancy @M005", "passed"),
+            result("Bank @T002 SECURE: Should follow CEI @M006", "pending"),
+            result("Monitor Should raise alerts", "passed")
+        ]
+    };
+
+    it("Should parse threat and mitigation tags from test titles", function () {
+        expect(parseTags("Access @T005 Should restrict operators @M018 @M020 @M018")).to.deep.equal(["T005", "M018", "M020"]);
+        expect(parseTags("Should email @T0 on failure")).to.deep.equal([]);
+    });
+
+    it("Should count results per threat, once per test", function () {
+        const model = JSON.parse(fs.readFileSync(MODEL_PATH, "utf8")).threatModel;
+        const mapped = mapTestResults(model, results);
+
+        expect(mapped.totals).to.deep.equal({ tests: 6, passed: 4, failed: 1, pending: 1, untagged: 1 });
+        expect(mapped.byThreat.T001).to.include({ passed: 2, failed: 1, pending: 0 });
+        expect(mapped.byThreat.T002).to.include({ passed: 1, failed: 0, pending: 1 });
+        expect(mapped.byMitigation.M001).to.include({ passed: 1, failed: 1 });
+    });
+
+    it("Should mark mitigations test-verified, failing or untested", function () {
+        const analyzer = new ThreatAnalyzer(MODEL_PATH, {
+            testResults: results,
+            verifier: { verify: () => ({ status: "UNVERIFIABLE" }) }
+        });
+        const coverage = analyzer.generateTestCoverage();
+        const status = id => coverage.byMitigation[id].status;
+
+        expect([status("M001"), status("M002"), status("M005"), status("M006"), status("M013")])
+            .to.deep.equal(["FAILING", "TEST_VERIFIED", "TEST_VERIFIED", "UNTESTED", "UNTESTED"]);
+        expect(coverage.byThreat.T001.status).to.equal("FAILING");
+        expect(coverage.byThreat.T004.status).to.equal("UNTESTED");
+        expect(analyzer.generateStatistics().testing).to.deep.equal({ TEST_VERIFIED: 2, FAILING: 1, UNTESTED: 20 });
+
+        const report = analyzer.generateMitigationReport();
+        expect(analyzer.assessReadiness(95, { CRITICAL: [], HIGH: [] }, report))
+            .to.equal("NOT READY - Security tests failing for: M001");
+    });
+
+    it("Should report no results before the tests have run", function () {
+        const coverage = new ThreatAnalyzer(MODEL_PATH, { testResults: path.join(os.tmpdir(), "missing-results.json") })
+            .generateTestCoverage();
+
+        expect(coverage.ran).to.equal(false);
+        expect(Object.values(coverage.byThreat).map(threat => threat.status)).to.deep.equal(Array(6).fill("UNTESTED"));
+    });
+
+    it("Should run the suite in Tests/ and record its results", function () {
+        // Spawns Hardhat, which compiles first when the artifacts are stale
+        this.timeout(300000);
+        const output = path.join(os.tmpdir(), `threat-results-${process.pid}.json`);
+
+        try {
+            // Without file arguments Hardhat runs paths.tests; the grep keeps this test out of the nested run
+            const { exitCode, results } = runTests({ args: ["--grep", "Threat Model Validation"], output });
+            expect(exitCode).to.equal(0);
+            expect(results.tests).to.not.be.empty;
+            expect(results.tests.every(test => test.file === path.join("Tests", "ThreatModelTests.js"))).to.equal(true);
+            expect(results.tests.every(test => test.state === "passed")).to.equal(true);
+        } finally {
+            fs.rmSync(output, { force: true });
+        }
+    });
+});
+
+describe("Threat Model Residual Risk", function () {
+    const threat = {
+        likelihood: "HIGH",
+        impact: "CRITICAL",
+        mitigations: [
+            { id: "M001", effectiveness: "HIGH" },
+            { id: "M002", effectiveness: "MEDIUM" },
+            { id: "M003", effectiveness: "LOW" }
+        ]
+    };
+    const inPlace = (...ids) => mitigation => ids.includes(mitigation.id);
+
+    it("Should reduce inherent risk by the mitigations in place", function () {
+        expect(scoreThreat(threat, inPlace())).to.deep.equal({
+            inherentScore: 20, inherentRisk: "CRITICAL", residualScore: 20, residualRisk: "CRITICAL", reduction: 0
+        });
+        expect(scoreThreat(threat, inPlace("M001"))).to.include({ residualScore: 10, residualRisk: "HIGH" });
+        expect(scoreThreat(threat, inPlace("M001", "M002"))).to.include({ residualScore: 7, residualRisk: "MEDIUM" });
+        // 20 * 0.5 * 0.7 * 0.9 = 6.3
+        expect(scoreThreat(threat, inPlace("M001", "M002", "M003"))).to.include({ residualScore: 6.3, reduction: 0.69 });
+    });
+
+    it("Should assess risk on residual risk", function () {
+        const analyzer = new ThreatAnalyzer(MODEL_PATH, { testResults: { tests: [] } });
+        const risks = analyzer.generateRiskAssessment();
+
+        expect(risks.CRITICAL).to.deep.equal([]);
+        expect(risks.HIGH.map(risk => risk.id)).to.deep.equal(["T004"]);
+        expect(risks.LOW.find(risk => risk.id === "T002")).to.include({ inherentRisk: "CRITICAL", inherentScore: 20, residualScore: 2 });
+        expect(analyzer.assessReadiness(95, risks)).to.equal("READY for testnet deployment with monitoring");
+    });
+
+    it("Should apply model overrides and ignore mitigations failing their tests", function () {
+        const failing = {
+            tests: [{ fullTitle: "Bank @T002 Should prevent reentrancy @M005", state: "failed" }]
+        };
+        const analyzer = new ThreatAnalyzer(MODEL_PATH, {
+            testResults: failing,
+            riskModel: { effectiveness: { HIGH: 0.2 }, floor: 0 }
+        });
+        const [, reentrancy] = analyzer.threatModel.threats;
+
+        // M006 and M008 (HIGH) and M007 (MEDIUM) remain: 20 * 0.8 * 0.7 * 0.8
+        expect(analyzer.calculateResidualRisk(reentrancy)).to.include({ residualScore: 8.96, residualRisk: "MEDIUM" });
+        expect(analyzer.riskModel.effectiveness).to.deep.equal({ HIGH: 0.2, MEDIUM: 0.3, LOW: 0.1 });
+    });
+});
+
+describe("Threat Model Scoring", function () {
+    it("Should compute CVSS v3.1 base and temporal scores", function () {
+        // Reference values from the FIRST CVSS v3.1 calculator
+        expect(scoreCvss("CVSS:3.1/AV:N/AC:L/PR:N/UI:N/S:C/C:H/I:H/A:H")).to.include({ baseScore: 10, severity: "CRITICAL" });
+        expect(scoreCvss("CVSS:3.1/AV:N/AC:L/PR:L/UI:R/S:C/C:L/I:L/A:N")).to.include({ baseScore: 5.4, severity: "MEDIUM" });
+        expect(scoreCvss("CVSS:3.1/AV:L/AC:L/PR:L/UI:N/S:U/C:H/I:H/A:H/E:P/RL:O/RC:C"))
+            .to.include({ baseScore: 7.8, temporalScore: 7, temporalSeverity: "HIGH" });
+        expect(scoreCvss("CVSS:3.1/AV:N/AC:L/PR:N/UI:N/S:U/C:N/I:N/A:N")).to.include({ baseScore: 0, severity: "NONE" });
+        expect(() => scoreCvss("CVSS:3.1/AV:X/AC:L")).to.throw("Invalid CVSS metric AV:X");
+    });
+
+    it("Should rate OWASP factors, preferring business impact", function () {
+        const likelihood = { skillLevel: 6, motive: 9, opportunity: 7, size: 6 };
+        expect(scoreOwasp({ likelihood, impact: { lossOfIntegrity: 7, lossOfAvailability: 5 } }))
+            .to.deep.equal({ likelihoodScore: 7, likelihood: "HIGH", impactScore: 6, impact: "HIGH", severity: "CRITICAL" });
+        expect(scoreOwasp({ likelihood, impact: { lossOfIntegrity: 9, financialDamage: 1, reputationDamage: 4 } }))
+            .to.include({ impact: "LOW", severity: "MEDIUM" });
+    });
+
+    it("Should report scores and severity mismatches", function () {
+        const document = JSON.parse(fs.readFileSync(MODEL_PATH, "utf8"));
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), "threat-model-"));
+        const modelPath = path.join(dir, "threat-model.json");
+        document.threatModel.threats[5].cvss = "CVSS:3.1/AV:N/AC:L/PR:N/UI:N/S:U/C:H/I:H/A:H";
+        fs.writeFileSync(modelPath, JSON.stringify(document));
+
+        try {
+            const analyzer = new ThreatAnalyzer(modelPath, { testResults: { tests: [] } });
+            const { scoring } = analyzer.generateStatistics();
+            expect(scoring).to.include({ cvss: 5, owasp: 1, unscored: 0 });
+            expect(scoring.byThreat.T001.cvss).to.include({ baseScore: 9.1, temporalScore: 8.4 });
+            expect(scoring.mismatches).to.deep.equal([{ threatId: "T006", method: "CVSS", computed: "CRITICAL", declared: "MEDIUM" }]);
+
+            const risk = Object.values(analyzer.generateRiskAssessment()).flat().find(entry => entry.id === "T004");
+            expect(risk.owasp).to.include({ severity: "HIGH" });
+            expect(risk.severityMismatches).to.deep.equal([]);
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+    it("Should reject malformed CVSS vectors and OWASP factors", function () {
+        const document = JSON.parse(fs.readFileSync(MODEL_PATH, "utf8"));
+        document.threatModel.threats[0].cvss = "CVSS:3.0/AV:N/AC:L/PR:N/UI:N/S:U/C:N/I:H/A:H";
+        document.threatModel.threats[3].owasp.likelihood.motive = 10;
+
+        expect(findErrors(document).map(error => error.instancePath)).to.deep.equal([
+            "/threatModel/threats/0/cvss",
+            "/threatModel/threats/3/owasp/likelihood/motive"
+        ]);
+    });
+});
+
+describe("Threat Model Attack Trees", function () {
+    const leaf = (id, cost, probability, blockedBy = []) => ({ id, label: id, cost, probability, skill: "MEDIUM", blockedBy });
+    const tree = {
+        id: "goal",
+        label: "Drain the bridge",
+        type: "OR",
+        children: [
+            { id: "replay", label: "Replay", type: "AND", children: [leaf("deposit", 100, 1), leaf("reuse", 50, 0.5, ["M001"])] },
+            { id: "forge", label: "Forge", type: "AND", children: [leaf("variant", 500, 0.4, ["M001", "M002"]), leaf("race", 200, 0.5)] },
+            leaf("collude", 10000, 0.1, ["M021"])
+        ]
+    };
+
+    it("Should find the cheapest open path and the success probability", function () {
+        expect(enumeratePaths(tree).map(path => path.map(node => node.id)))
+            .to.deep.equal([["deposit", "reuse"], ["variant", "race"], ["collude"]]);
+
+        const open = analyzeTree(tree, () => false);
+        expect(open.bestMitigation).to.deep.equal({ mitigationId: "M001", inPlace: false, pathsCut: 2, openPathsCut: 2 });
+        expect(open.cheapestPath).to.deep.equal({ leaves: ["deposit", "reuse"], cost: 150, probability: 0.5, skill: "MEDIUM" });
+        // 1 - (1 - 0.5)(1 - 0.2)(1 - 0.1)
+        expect(open.successProbability).to.equal(0.64);
+
+        const mitigated = analyzeTree(tree, id => id === "M001");
+        expect(mitigated).to.include({ paths: 3, openPaths: 1, successProbability: 0.1 });
+        expect(mitigated.cheapestPath.leaves).to.deep.equal(["collude"]);
+        // M001 is in place already; only M021 still closes an open path
+        expect(mitigated.bestMitigation).to.deep.equal({ mitigationId: "M021", inPlace: false, pathsCut: 1, openPathsCut: 1 });
+        expect(mitigated.mitigationImpact.map(impact => [impact.mitigationId, impact.openPathsCut]))
+            .to.deep.equal([["M021", 1], ["M001", 0], ["M002", 0]]);
+        expect(analyzeTree(tree, () => true))
+            .to.include({ openPaths: 0, cheapestPath: null, successProbability: 0, bestMitigation: null });
+    });
+
+    it("Should open the paths of mitigations failing their tests", function () {
+        const analyzer = new ThreatAnalyzer(MODEL_PATH, {
+            testResults: { tests: [{ fullTitle: "Bridge @T001 Should prevent double-spending @M001", state: "failed" }] }
+        });
+        const trees = analyzer.generateAttackTreeReport();
+
+        expect(Object.keys(trees)).to.deep.equal(["T001", "T003"]);
+        expect(trees.T001).to.include({ openPaths: 1 });
+        expect(trees.T001.cheapestPath).to.include({ cost: 150, probability: 0.9 });
+        expect(trees.T003).to.include({ openPaths: 0, successProbability: 0 });
+        expect(trees.T001.bestMitigation).to.include({ mitigationId: "M001", inPlace: false, openPathsCut: 1 });
+        expect(trees.T003.bestMitigation).to.equal(null);
+    });
+
+    it("Should export trees as Graphviz DOT and Mermaid", function () {
+        const analyzer = new ThreatAnalyzer(MODEL_PATH, { testResults: { tests: [] } });
+        const dot = analyzer.exportAttackTree("T003", "dot");
+        const mermaid = analyzer.exportAttackTree("T003", "mermaid");
+
+        expect(dot).to.match(/^digraph "T003" \{/);
+        expect(dot).to.include('"M009" -> "move-price" [arrowhead=tee, style=dotted];');
+        expect(dot).to.include('"M013" [shape=note, color=grey, style=dashed];');
+        expect(mermaid).to.match(/^flowchart TD\n/);
+        expect(mermaid).to.include("T003_sandwich --> T003_move_price");
+        expect(mermaid).to.include('T003_M013{{"M013 (not in place)"}}');
+        expect(() => analyzer.exportAttackTree("T002")).to.throw("Threat T002 has no attack tree");
+    });
+
+    it("Should validate tree nodes and mitigation links", function () {
+        const document = JSON.parse(fs.readFileSync(MODEL_PATH, "utf8"));
+        const [replay, forge] = document.threatModel.threats[0].attackTree.children;
+        replay.children[1].blockedBy = ["M099"];
+        forge.children[0].id = "deposit";
+
+        expect(findErrors(document).map(error => `${error.instancePath} ${error.message}`)).to.deep.equal([
+            "/threatModel/threats/0/attackTree/children/0/children/1/blockedBy/0 references unknown mitigation M099",
+            "/threatModel/threats/0/attackTree/children/1/children/0/id duplicates attack tree node id deposit"
+        ]);
+
+        delete forge.children[1].probability;
+        expect(findErrors(document).map(error => `${error.instancePath} ${error.message}`))
+            .to.include("/threatModel/threats/0/attackTree/children/1/children/1 must have required property 'probability'");
+    });
+});
+
+describe("Threat Model Diff", function () {
+    const asWritten = { verifier: { verify: () => ({ status: "UNVERIFIABLE" }) }, testResults: { tests: [] } };
+    let before, after;
+
+    beforeEach(function () {
+        before = JSON.parse(fs.readFileSync(MODEL_PATH, "utf8"));
+        after = JSON.parse(fs.readFileSync(MODEL_PATH, "utf8"));
+    });
+
+    const diff = () => diffAnalyses(new ThreatAnalyzer(before, asWritten), new ThreatAnalyzer(after, asWritten));
+
+    it("Should find no changes between identical revisions", function () {
+        expect(hasChanges(diff())).to.equal(false);
+        expect(renderText(diff())).to.equal("Threat model 1.0 (version not bumped)\n\nNo changes\n");
+    });
+
+    it("Should report threat, mitigation, risk and readiness changes", function () {
+        const model = after.threatModel;
+        model.metadata.version = "1.1";
+        const [sybil] = model.threats.splice(3, 1);
+        model.riskMatrix.high = model.riskMatrix.high.filter(id => id !== sybil.id);
+        model.threats[1].likelihood = "MEDIUM";
+        model.threats[0].mitigations[0].implemented = false;
+        model.threats[3].mitigations.push({ id: "M024", strategy: "Timelock operator actions", effectiveness: "MEDIUM", implemented: true });
+
+        const result = diff();
+        expect(result.threats.removed).to.deep.equal([{ id: "T004", threat: sybil.threat, severity: "HIGH" }]);
+        expect(result.threats.changed).to.deep.equal([{
+            id: "T002", threat: model.threats[1].threat, changes: [{ field: "likelihood", before: "HIGH", after: "MEDIUM" }]
+        }]);
+        expect(result.mitigations.implemented).to.deep.equal([
+            { threatId: "T001", id: "M001", strategy: "Implement strict nonce tracking per user", before: true, after: false }
+        ]);
+        expect(result.mitigations.added.map(m => m.id)).to.deep.equal(["M024"]);
+        expect(result.risk.map(r => r.id)).to.deep.equal(["T001", "T002", "T005"]);
+        expect(result.risk[0]).to.include({ residualBefore: 1.6, residualAfter: 2.8 });
+        expect(result.after.residualRisk).to.be.below(result.before.residualRisk);
+        expect(result.readinessChanged).to.equal(true);
+
+        const text = renderText(result);
+        expect(text).to.include("Threat model 1.0 -> 1.1");
+        expect(text).to.include("  M001 (T001) Implement strict nonce tracking per user: implemented -> not implemented");
+        expect(text).to.include("  T002 Reentrancy Attack on Smart Contracts: likelihood HIGH -> MEDIUM");
+
+        const markdown = renderMarkdown(result);
+        expect(markdown).to.include("### Threats removed\n\n- T004 Sybil Attack on Consensus Layer (HIGH)");
+        expect(markdown).to.include(`- Readiness ${result.before.readiness} -> ${result.after.readiness}`);
+    });
+});
+
+describe("Threat Model Data Flow", function () {
+    const dataFlow = {
+        elements: [
+            { id: "user", name: "User", type: "externalEntity" },
+            { id: "bridge", name: "Bridge", type: "process" },
+            { id: "state", name: "State", type: "dataStore" }
+        ],
+        flows: [
+            { id: "deposit", from: "user", to: "bridge", data: "Deposits" },
+            { id: "update", from: "bridge", to: "state", data: "Nonces" }
+        ],
+        trustBoundaries: [{ id: "contracts", name: "Contracts", elements: ["bridge", "state"] }]
+    };
+    const stride = (...categories) => Object.fromEntries([
+        "spoofing", "tampering", "repudiation", "informationDisclosure", "denialOfService", "elevationOfPrivilege"
+    ].map(category => [category, categories.includes(category)]));
+
+    it("Should propose STRIDE-per-element candidates for elements and boundary crossings", function () {
+        const candidates = strideCandidates(dataFlow);
+        const targets = candidates.reduce((counts, c) => ({ ...counts, [c.target]: (counts[c.target] || 0) + 1 }), {});
+
+        // Only the deposit flow crosses a boundary; it reaches a process
+        expect(targets).to.deep.equal({ user: 2, bridge: 6, state: 4, deposit: 5 });
+        expect(candidates.find(c => c.id === "deposit:elevationOfPrivilege"))
+            .to.include({ title: "Elevation of Privilege of Deposits (User -> Bridge)" })
+            .and.to.have.deep.property("boundaries", ["contracts"]);
+    });
+
+    it("Should cover candidates by the elements and STRIDE flags of threats", function () {
+        const threats = [
+            { id: "T001", elements: ["bridge"], stride: stride("tampering") },
+            { id: "T002", elements: ["contracts"], stride: stride("spoofing", "tampering") }
+        ];
+        const covered = coverCandidates(strideCandidates(dataFlow), threats);
+        const coveredBy = id => covered.find(c => c.id === id).coveredBy;
+
+        expect(coveredBy("bridge:tampering")).to.deep.equal(["T001"]);
+        expect(coveredBy("bridge:spoofing")).to.deep.equal([]);
+        expect(coveredBy("deposit:spoofing")).to.deep.equal(["T002"]);
+        expect(coveredBy("deposit:tampering")).to.deep.equal(["T002"]);
+    });
+
+    it("Should flag the operator boundary as uncovered", function () {
+        const analysis = new ThreatAnalyzer(MODEL_PATH, { testResults: { tests: [] } }).generateDataFlowAnalysis();
+        const gaps = analysis.gaps.filter(gap => gap.target === "operator-bridge").map(gap => gap.category);
+
+        expect(analysis.crossings).to.deep.include({ flowId: "operator-bridge", boundaries: ["contract-boundary", "operator-boundary"] });
+        expect(gaps).to.have.members(["tampering", "informationDisclosure", "denialOfService", "spoofing", "elevationOfPrivilege"]);
+        expect(analysis.gaps.map(gap => gap.id)).to.not.include("bridge-state:tampering");
+    });
+
+    it("Should validate data flow references", function () {
+        const document = JSON.parse(fs.readFileSync(MODEL_PATH, "utf8"));
+        const { flows, trustBoundaries } = document.threatModel.systemDescription.dataFlow;
+        flows[0].to = "vault";
+        trustBoundaries[0].id = "user";
+        document.threatModel.threats[0].elements.push("l1-bridge");
+
+        expect(findErrors(document).map(error => `${error.instancePath} ${error.message}`)).to.deep.equal([
+            "/threatModel/systemDescription/dataFlow/trustBoundaries/0/id duplicates data flow id user at /threatModel/systemDescription/dataFlow/elements/0",
+            "/threatModel/systemDescription/dataFlow/flows/0/to references unknown data flow element vault",
+            "/threatModel/threats/0/elements/4 references unknown data flow element, flow or boundary l1-bridge"
+        ]);
+    });
+});
@@ -23,11 +23,19 @@ const config = {
   },
 
   paths: {
-    sources: "contracts",
-    tests: "test",
+    sources: "Contracts",
+    tests: "Tests",
     cache: "cache",
     artifacts: "artifacts",
   },
+
+  // threat-modeling/run-tests.js swaps in its JSON reporter
+  mocha: {
+    reporter: process.env.MOCHA_REPORTER || "spec",
+    reporterOptions: {
+      output: process.env.MOCHA_REPORTER_OUTPUT,
+    },
+  },
 };
 
 module.exports = config;
@@ -1,15 +1,115 @@
 const fs = require('fs');
 const path = require('path');
+const { ThreatModelError, loadThreatModel, validateThreatModel, findErrors } = require('./validate');
+const { CodeReferenceVerifier, VERIFICATION_STATUSES } = require('./code-references');
+const { TEST_STATUSES, loadTestResults, mapTestResults, testStatus } = require('./test-mapping');
+const { runTests } = require('./run-tests');
+const { resolveRiskModel, scoreThreat } = require('./risk-model');
+const { scoreCvss, scoreOwasp, severityMismatch } = require('./scoring');
+const { analyzeTree, toDot, toMermaid } = require('./attack-tree');
+const { loadRevision, diffAnalyses, renderText, renderMarkdown } = require('./diff');
+const { STRIDE_NAMES, crossedBoundaries, strideCandidates, coverCandidates } = require('./data-flow');
+
+const ATTACK_TREE_FORMATS = {
+    dot: { extension: 'dot', render: toDot },
+    mermaid: { extension: 'mmd', render: toMermaid }
+};
 
 /**
  * Threat Model Analyzer
- * Processes and analyzes the threat model data
+ * Processes and analyzes the threat model data, read from a file path or
+ * given as a parsed threat-model.json document.
+ * Throws ThreatModelError for models that fail validation (see validate.js);
+ * options.projectRoot is passed on to it.
+ *
+ * Mitigations count as implemented when their code_reference is found in
+ * the compiled contracts; the hand-edited implemented flag is only used
+ * for free-text references and, until the contracts are compiled, for
+ * UNCOMPILED ones, which keep the model from being assessed as ready
+ * (see code-references.js). options.artifactsDir overrides the Hardhat
+ * artifacts directory.
+ *
+ * Test results come from tests tagged with threat and mitigation ids
+ * (see test-mapping.js). options.testResults is a results object or file
+ * path; by default the last run of run-tests.js is used, if any.
+ *
+ * Risk is assessed on residual risk: inherent risk reduced by the
+ * mitigations in place (see risk-model.js). options.riskModel overrides
+ * the model's riskModel section, which overrides the defaults.
+ *
+ * Threats may carry a CVSS v3.1 vector and OWASP Risk Rating factors,
+ * scored alongside their declared severity (see scoring.js), and an
+ * attack tree whose leaves are blocked by mitigations (see attack-tree.js).
+ * Threats listing data-flow elements cover the STRIDE-per-element
+ * candidates of those elements (see data-flow.js).
  */
 class ThreatAnalyzer {
-    constructor(threatModelPath) {
-        this.threatModel = JSON.parse(
-            fs.readFileSync(threatModelPath, 'utf8')
-        ).threatModel;
+    constructor(threatModelPath, options = {}) {
+        const validation = { projectRoot: options.projectRoot };
+        this.threatModel = (typeof threatModelPath === 'object'
+            ? validateThreatModel(threatModelPath, validation)
+            : loadThreatModel(threatModelPath, validation)).threatModel;
+        this.verifier = options.verifier || new CodeReferenceVerifier({ artifactsDir: options.artifactsDir });
+        this.verifications = new Map();
+
+        const testResults = typeof options.testResults === 'object'
+            ? options.testResults
+            : loadTestResults(options.testResults);
+        this.testResults = testResults ? mapTestResults(this.threatModel, testResults) : null;
+        this.riskModel = resolveRiskModel(this.threatModel.riskModel, options.riskModel);
+        this.mitigations = new Map(this.threatModel.threats
+            .flatMap(threat => threat.mitigations.map(mitigation => [mitigation.id, mitigation])));
+    }
+
+    /**
+     * Verification result of a mitigation's code_reference, see
+     * CodeReferenceVerifier.verify()
+     */
+    verifyMitigation(mitigation) {
+        if (!this.verifications.has(mitigation.id)) {
+            this.verifications.set(mitigation.id, this.verifier.verify(mitigation.code_reference));
+        }
+        return this.verifications.get(mitigation.id);
+    }
+
+    /**
+     * Whether a mitigation is in place: VERIFIED in the code, or flagged
+     * implemented when its reference is free text or not compiled yet
+     */
+    isImplemented(mitigation) {
+        const { status } = this.verifyMitigation(mitigation);
+        return status === 'VERIFIED' ||
+            ((status === 'UNVERIFIABLE' || status === 'UNCOMPILED') && mitigation.implemented);
+    }
+
+    /**
+     * TEST_STATUSES entry of a mitigation from its tagged tests
+     */
+    testStatusOf(mitigation) {
+        return testStatus(this.testResults && this.testResults.byMitigation[mitigation.id]);
+    }
+
+    /**
+     * Whether a mitigation reduces residual risk: implemented, and not
+     * failing its tests
+     */
+    mitigatesRisk(mitigation) {
+        return this.isImplemented(mitigation) && this.testStatusOf(mitigation) !== 'FAILING';
+    }
+
+    /**
+     * CVSS and OWASP scores of a threat, null without a vector or factors,
+     * and the methods whose severity disagrees with the declared one:
+     * { cvss, owasp, mismatches: [{ method, computed, declared }] }
+     */
+    calculateScores(threat) {
+        const cvss = threat.cvss ? scoreCvss(threat.cvss) : null;
+        const owasp = threat.owasp ? scoreOwasp(threat.owasp) : null;
+        const mismatches = [['CVSS', cvss], ['OWASP', owasp]]
+            .filter(([, score]) => score && severityMismatch(score.severity, threat.severity))
+            .map(([method, score]) => ({ method, computed: score.severity, declared: threat.severity }));
+
+        return { cvss, owasp, mismatches };
     }
 
     /**
@@ -32,10 +132,19 @@ class ThreatAnalyzer {
             },
             totalMitigations: 0,
             implementedMitigations: 0,
+            verification: Object.fromEntries(VERIFICATION_STATUSES.map(status => [status, 0])),
+            testing: Object.fromEntries(TEST_STATUSES.map(status => [status, 0])),
             mitigationEffectiveness: {
                 HIGH: 0,
                 MEDIUM: 0,
                 LOW: 0
+            },
+            scoring: {
+                cvss: 0,
+                owasp: 0,
+                unscored: 0,
+                byThreat: {},
+                mismatches: []
             }
         };
 
@@ -55,12 +164,27 @@ class ThreatAnalyzer {
                 }
             });
 
+            // CVSS and OWASP scores
+            const { cvss, owasp, mismatches } = this.calculateScores(threat);
+            if (cvss) stats.scoring.cvss++;
+            if (owasp) stats.scoring.owasp++;
+            if (!cvss && !owasp) {
+                stats.scoring.unscored++;
+            } else {
+                stats.scoring.byThreat[threat.id] = { cvss, owasp };
+            }
+            mismatches.forEach(mismatch => {
+                stats.scoring.mismatches.push({ threatId: threat.id, ...mismatch });
+            });
+
             // Count mitigations
             threat.mitigations.forEach(mitigation => {
                 stats.totalMitigations++;
-                if (mitigation.implemented) {
+                if (this.isImplemented(mitigation)) {
                     stats.implementedMitigations++;
                 }
+                stats.verification[this.verifyMitigation(mitigation).status]++;
+                stats.testing[this.testStatusOf(mitigation)]++;
                 stats.mitigationEffectiveness[mitigation.effectiveness]++;
             });
         });
@@ -69,7 +193,7 @@ class ThreatAnalyzer {
     }
 
     /**
-     * Generate risk assessment report
+     * Generate risk assessment report, bucketing threats by residual risk
      */
     generateRiskAssessment() {
         const threats = this.threatModel.threats;
@@ -81,63 +205,49 @@ class ThreatAnalyzer {
         };
 
         threats.forEach(threat => {
-            const riskScore = this.calculateRiskScore(threat);
-            const riskData = {
+            const risk = this.calculateResidualRisk(threat);
+            const { cvss, owasp, mismatches } = this.calculateScores(threat);
+            riskLevels[risk.residualRisk].push({
                 id: threat.id,
                 threat: threat.threat,
                 layer: threat.layer,
                 severity: threat.severity,
-                residualRisk: threat.residualRisk,
-                riskScore: riskScore
-            };
-
-            if (threat.severity === 'CRITICAL' || riskScore >= 9) {
-                riskLevels.CRITICAL.push(riskData);
-            } else if (threat.severity === 'HIGH' || riskScore >= 6) {
-                riskLevels.HIGH.push(riskData);
-            } else if (threat.severity === 'MEDIUM' || riskScore >= 3) {
-                riskLevels.MEDIUM.push(riskData);
-            } else {
-                riskLevels.LOW.push(riskData);
-            }
+                ...risk,
+                declaredResidualRisk: threat.residualRisk,
+                cvss,
+                owasp,
+                severityMismatches: mismatches
+            });
         });
 
         return riskLevels;
     }
 
     /**
-     * Calculate risk score (likelihood * impact)
+     * Calculate inherent risk score (likelihood * impact)
      */
     calculateRiskScore(threat) {
-        const likelihoodMap = {
-            'VERY HIGH': 5,
-            'HIGH': 4,
-            'MEDIUM': 3,
-            'LOW': 2,
-            'VERY LOW': 1
-        };
-
-        const impactMap = {
-            'CRITICAL': 5,
-            'HIGH': 4,
-            'MEDIUM': 3,
-            'LOW': 2,
-            'VERY LOW': 1
-        };
-
-        const likelihood = likelihoodMap[threat.likelihood] || 3;
-        const impact = impactMap[threat.impact] || 3;
+        return this.calculateResidualRisk(threat).inherentScore;
+    }
 
-        return likelihood * impact;
+    /**
+     * Inherent and residual risk of a threat given the mitigations in
+     * place, see scoreThreat() in risk-model.js
+     */
+    calculateResidualRisk(threat) {
+        return scoreThreat(threat, mitigation => this.mitigatesRisk(mitigation), this.riskModel);
     }
 
     /**
-     * Generate mitigation status report
+     * Generate mitigation status report.
+     * drift lists mitigations whose implemented flag disagrees with the
+     * code: flagged but MISSING or STALE, or VERIFIED but not flagged.
      */
     generateMitigationReport() {
         const report = {
             implemented: [],
             pending: [],
+            drift: [],
             byThreat: {}
         };
 
@@ -151,12 +261,28 @@ class ThreatAnalyzer {
             };
 
             threat.mitigations.forEach(mitigation => {
-                if (mitigation.implemented) {
+                const verification = this.verifyMitigation(mitigation);
+                const implemented = this.isImplemented(mitigation);
+
+                if (implemented !== mitigation.implemented) {
+                    report.drift.push({
+                        threatId: threat.id,
+                        mitigationId: mitigation.id,
+                        codeReference: mitigation.code_reference,
+                        flaggedImplemented: mitigation.implemented,
+                        verification: verification.status,
+                        detail: verification.detail || `${verification.symbol} is a ${verification.kind} in ${verification.file}`
+                    });
+                }
+
+                if (implemented) {
                     report.implemented.push({
                         threatId: threat.id,
                         mitigationId: mitigation.id,
                         strategy: mitigation.strategy,
-                        effectiveness: mitigation.effectiveness
+                        effectiveness: mitigation.effectiveness,
+                        verification: verification.status,
+                        testStatus: this.testStatusOf(mitigation)
                     });
                     report.byThreat[threat.id].implemented++;
                 } else {
@@ -164,7 +290,9 @@ class ThreatAnalyzer {
                         threatId: threat.id,
                         mitigationId: mitigation.id,
                         strategy: mitigation.strategy,
-                        cost: mitigation.cost
+                        cost: mitigation.cost,
+                        verification: verification.status,
+                        testStatus: this.testStatusOf(mitigation)
                     });
                     report.byThreat[threat.id].pending++;
                 }
@@ -177,6 +305,97 @@ class ThreatAnalyzer {
         return report;
     }
 
+    /**
+     * Tagged test results per threat and mitigation. ran is false until
+     * run-tests.js has produced results; every status is UNTESTED then.
+     */
+    generateTestCoverage() {
+        const coverage = {
+            ran: this.testResults !== null,
+            generatedAt: this.testResults ? this.testResults.generatedAt : null,
+            totals: this.testResults ? this.testResults.totals : { tests: 0, passed: 0, failed: 0, pending: 0, untagged: 0 },
+            byThreat: {},
+            byMitigation: {}
+        };
+
+        this.threatModel.threats.forEach(threat => {
+            const counts = this.testResults && this.testResults.byThreat[threat.id];
+            coverage.byThreat[threat.id] = {
+                threat: threat.threat,
+                passed: counts ? counts.passed : 0,
+                failed: counts ? counts.failed : 0,
+                pending: counts ? counts.pending : 0,
+                status: testStatus(counts)
+            };
+
+            threat.mitigations.forEach(mitigation => {
+                const mitigationCounts = this.testResults && this.testResults.byMitigation[mitigation.id];
+                coverage.byMitigation[mitigation.id] = {
+                    threatId: threat.id,
+                    status: this.testStatusOf(mitigation),
+                    tests: mitigationCounts ? mitigationCounts.tests : []
+                };
+            });
+        });
+
+        return coverage;
+    }
+
+    /**
+     * Attack tree analysis of a threat, null without an attackTree; see
+     * analyzeTree() in attack-tree.js. Mitigations block their leaves
+     * when they reduce residual risk.
+     */
+    analyzeAttackTree(threat) {
+        if (!threat.attackTree) return null;
+        return analyzeTree(threat.attackTree, id => this.mitigatesRisk(this.mitigations.get(id)));
+    }
+
+    /**
+     * Attack tree analyses of the threats that have one, by threat id
+     */
+    generateAttackTreeReport() {
+        return Object.fromEntries(this.threatModel.threats
+            .filter(threat => threat.attackTree)
+            .map(threat => [threat.id, { threat: threat.threat, ...this.analyzeAttackTree(threat) }]));
+    }
+
+    /**
+     * A threat's attack tree as Graphviz DOT or Mermaid source
+     */
+    exportAttackTree(threatId, format = 'dot') {
+        const threat = this.threatModel.threats.find(candidate => candidate.id === threatId);
+        if (!threat || !threat.attackTree) {
+            throw new Error(`Threat ${threatId} has no attack tree`);
+        }
+        if (!ATTACK_TREE_FORMATS[format]) {
+            throw new Error(`Unknown attack tree format "${format}" (expected ${Object.keys(ATTACK_TREE_FORMATS).join(' or ')})`);
+        }
+        return ATTACK_TREE_FORMATS[format].render(threat.id, threat.attackTree,
+            id => this.mitigatesRisk(this.mitigations.get(id)));
+    }
+
+    /**
+     * STRIDE-per-element candidates of the data-flow diagram and the ones
+     * no threat covers (gaps); null without a dataFlow section
+     */
+    generateDataFlowAnalysis() {
+        const dataFlow = (this.threatModel.systemDescription || {}).dataFlow;
+        if (!dataFlow) return null;
+
+        const candidates = coverCandidates(strideCandidates(dataFlow), this.threatModel.threats);
+        return {
+            elements: dataFlow.elements.length,
+            flows: dataFlow.flows.length,
+            crossings: dataFlow.flows
+                .map(flow => ({ flowId: flow.id, boundaries: crossedBoundaries(flow, dataFlow.trustBoundaries) }))
+                .filter(crossing => crossing.boundaries.length > 0),
+            candidates,
+            covered: candidates.filter(candidate => candidate.coveredBy.length > 0).length,
+            gaps: candidates.filter(candidate => candidate.coveredBy.length === 0)
+        };
+    }
+
     /**
      * Generate compliance checklist
      */
@@ -248,6 +467,9 @@ class ThreatAnalyzer {
             statistics: this.generateStatistics(),
             riskAssessment: this.generateRiskAssessment(),
             mitigationStatus: this.generateMitigationReport(),
+            testCoverage: this.generateTestCoverage(),
+            attackTrees: this.generateAttackTreeReport(),
+            dataFlow: this.generateDataFlowAnalysis(),
             complianceChecklist: this.generateComplianceChecklist(),
             summary: this.generateExecutiveSummary()
         };
@@ -277,7 +499,7 @@ class ThreatAnalyzer {
             criticalFindings: risks.CRITICAL.length,
             highRiskFindings: risks.HIGH.length,
             mitigationProgress: `${implementationRate}% of mitigations implemented`,
-            readinessAssessment: this.assessReadiness(implementationRate, risks),
+            readinessAssessment: this.assessReadiness(implementationRate, risks, mitigations),
             keyRecommendations: this.threatModel.recommendations
                 .filter(r => r.priority === 'CRITICAL' || r.priority === 'HIGH')
                 .map(r => r.recommendation)
@@ -287,10 +509,24 @@ class ThreatAnalyzer {
     /**
      * Assess deployment readiness
      */
-    assessReadiness(implementationRate, risks) {
+    assessReadiness(implementationRate, risks, mitigations = { drift: [] }) {
         if (risks.CRITICAL.length > 0) {
             return 'NOT READY - Critical vulnerabilities must be addressed';
         }
+        const missing = mitigations.drift.filter(entry => entry.verification === 'MISSING');
+        if (missing.length > 0) {
+            return `NOT READY - Mitigations missing from the code: ${missing.map(entry => entry.mitigationId).join(', ')}`;
+        }
+        const entries = [...(mitigations.implemented || []), ...(mitigations.pending || [])];
+        const uncompiled = entries.filter(entry => entry.verification === 'UNCOMPILED');
+        if (uncompiled.length > 0) {
+            return 'NOT READY - Compile the contracts ("npx hardhat compile") to verify mitigations: ' +
+                uncompiled.map(entry => entry.mitigationId).join(', ');
+        }
+        const failing = entries.filter(entry => entry.testStatus === 'FAILING');
+        if (failing.length > 0) {
+            return `NOT READY - Security tests failing for: ${failing.map(entry => entry.mitigationId).join(', ')}`;
+        }
         if (implementationRate < 80) {
             return 'NOT READY - Insufficient mitigation coverage';
         }
@@ -338,20 +574,238 @@ class ThreatAnalyzer {
             console.log(`  ${category}: ${count}`);
         });
 
+        console.log('\nRESIDUAL RISK');
+        console.log('-'.repeat(80));
+        this.threatModel.threats.forEach(threat => {
+            const risk = this.calculateResidualRisk(threat);
+            console.log(`  ${threat.id} ${risk.inherentRisk} (${risk.inherentScore}) -> ` +
+                `${risk.residualRisk} (${risk.residualScore}), ${Math.round(risk.reduction * 100)}% reduced`);
+        });
+
+        console.log('\nSCORES');
+        console.log('-'.repeat(80));
+        this.threatModel.threats.forEach(threat => {
+            const { cvss, owasp } = this.calculateScores(threat);
+            const scores = [
+                cvss && `CVSS ${cvss.baseScore} ${cvss.severity} (temporal ${cvss.temporalScore})`,
+                owasp && `OWASP ${owasp.severity} (likelihood ${owasp.likelihoodScore}, impact ${owasp.impactScore})`
+            ].filter(Boolean);
+            console.log(`  ${threat.id} ${threat.severity}: ${scores.join(', ') || 'not scored'}`);
+        });
+        if (stats.scoring.mismatches.length > 0) {
+            console.log('\nScores disagreeing with the declared severity:');
+            stats.scoring.mismatches.forEach(mismatch => {
+                console.log(`  ${mismatch.threatId} declared ${mismatch.declared}, ${mismatch.method} gives ${mismatch.computed}`);
+            });
+        }
+
+        console.log('\nATTACK TREES');
+        console.log('-'.repeat(80));
+        Object.entries(this.generateAttackTreeReport()).forEach(([id, tree]) => {
+            const cheapest = tree.cheapestPath
+                ? `cheapest open path costs ${tree.cheapestPath.cost} (${tree.cheapestPath.leaves.join(' + ')})`
+                : 'every path is blocked';
+            console.log(`  ${id}: ${tree.openPaths} of ${tree.paths} paths open, ${cheapest}`);
+            console.log(`    Success probability: ${tree.successProbability}`);
+            if (tree.bestMitigation) {
+                console.log(`    Most effective missing mitigation: ${tree.bestMitigation.mitigationId} ` +
+                    `would close ${tree.bestMitigation.openPathsCut} open path(s)`);
+            }
+        });
+
+        const dataFlow = this.generateDataFlowAnalysis();
+        if (dataFlow) {
+            console.log('\nDATA FLOW (STRIDE PER ELEMENT)');
+            console.log('-'.repeat(80));
+            console.log(`${dataFlow.candidates.length} candidate threats from ${dataFlow.elements} elements ` +
+                `and ${dataFlow.crossings.length} boundary crossings, ${dataFlow.covered} covered`);
+            const gaps = new Map();
+            dataFlow.gaps.forEach(gap => {
+                gaps.set(gap.target, [...(gaps.get(gap.target) || []), STRIDE_NAMES[gap.category]]);
+            });
+            if (gaps.size > 0) {
+                console.log('\nNot covered by any threat:');
+                gaps.forEach((categories, target) => console.log(`  ${target}: ${categories.join(', ')}`));
+            }
+        }
+
+        console.log('\nCODE REFERENCES');
+        console.log('-'.repeat(80));
+        Object.entries(stats.verification).forEach(([status, count]) => {
+            console.log(`  ${status}: ${count}`);
+        });
+        const drift = this.generateMitigationReport().drift;
+        if (drift.length > 0) {
+            console.log('\nThreat model out of date with the code:');
+            drift.forEach(entry => {
+                console.log(`  ${entry.mitigationId} (${entry.threatId}) ${entry.verification}: ${entry.detail}`);
+            });
+        }
+
+        console.log('\nTEST RESULTS');
+        console.log('-'.repeat(80));
+        const coverage = this.generateTestCoverage();
+        if (!coverage.ran) {
+            console.log('No test results; run "npm run test:threats"');
+        } else {
+            console.log(`Last run: ${coverage.generatedAt}`);
+            Object.entries(coverage.byThreat).forEach(([id, threat]) => {
+                console.log(`  ${id} ${threat.status}: ${threat.passed} passed, ${threat.failed} failed, ${threat.pending} pending`);
+            });
+            console.log('\nMitigations:');
+            Object.entries(stats.testing).forEach(([status, count]) => {
+                console.log(`  ${status}: ${count}`);
+            });
+            Object.entries(coverage.byMitigation)
+                .filter(([, mitigation]) => mitigation.status === 'FAILING')
+                .forEach(([id, mitigation]) => console.log(`  ${id} (${mitigation.threatId}) is failing its tests`));
+        }
+
         console.log('\n' + '='.repeat(80) + '\n');
     }
 }
 
+/**
+ * Run the tagged test suite, then print the report with its results;
+ * returns the exit code of the test run
+ */
+function testCommand(threatModelPath, outputPath) {
+    const { exitCode, results } = runTests();
+    if (!results) {
+        console.error('The test run produced no results');
+        return exitCode || 1;
+    }
+
+    const analyzer = new ThreatAnalyzer(threatModelPath, { testResults: results });
+    analyzer.printReport();
+    analyzer.exportAnalysis(outputPath);
+    console.log(`\nDetailed analysis exported to: ${outputPath}`);
+    return exitCode;
+}
+
+/**
+ * Write every attack tree as <threat id>.<dot|mmd> into outputDir
+ */
+function attackTreesCommand(threatModelPath, format, outputDir) {
+    if (!ATTACK_TREE_FORMATS[format]) {
+        console.error(`Unknown attack tree format "${format}" (expected dot or mermaid)`);
+        return 1;
+    }
+    const analyzer = new ThreatAnalyzer(threatModelPath);
+    fs.mkdirSync(outputDir, { recursive: true });
+
+    Object.keys(analyzer.generateAttackTreeReport()).forEach(threatId => {
+        const file = path.join(outputDir, `${threatId}.${ATTACK_TREE_FORMATS[format].extension}`);
+        fs.writeFileSync(file, analyzer.exportAttackTree(threatId, format));
+        console.log(`Attack tree of ${threatId} exported to: ${file}`);
+    });
+    return 0;
+}
+
+/**
+ * Compare two threat model revisions (files or git revisions, see
+ * loadRevision() in diff.js) and print the differences as text, json
+ * or markdown. Revisions are compared as written: by their implemented
+ * flags, not against the current build or test results.
+ */
+function diffCommand(beforeSpec, afterSpec, format, defaultPath) {
+    const renderers = {
+        text: renderText,
+        markdown: renderMarkdown,
+        json: diff => JSON.stringify(diff, null, 2) + '\n'
+    };
+    if (!beforeSpec || !renderers[format]) {
+        console.error('Usage: analyze.js diff <before> [after] [--format text|json|markdown]');
+        return 1;
+    }
+
+    const asWritten = {
+        verifier: { verify: () => ({ status: 'UNVERIFIABLE' }) },
+        testResults: { tests: [] },
+        // Older revisions may name files that have since moved
+        projectRoot: null
+    };
+    const before = loadRevision(beforeSpec, defaultPath);
+    const after = afterSpec
+        ? loadRevision(afterSpec, defaultPath)
+        : { label: path.relative(process.cwd(), defaultPath), document: JSON.parse(fs.readFileSync(defaultPath, 'utf8')) };
+
+    const diff = diffAnalyses(
+        new ThreatAnalyzer(before.document, asWritten),
+        new ThreatAnalyzer(after.document, asWritten),
+        { before: before.label, after: after.label }
+    );
+    process.stdout.write(renderers[format](diff));
+    return 0;
+}
+
+/**
+ * Print every problem in a threat model file; resolves to the exit code
+ */
+function validateCommand(threatModelPath) {
+    let errors;
+    try {
+        errors = findErrors(JSON.parse(fs.readFileSync(threatModelPath, 'utf8')));
+    } catch (error) {
+        errors = [{ instancePath: '', message: error.message }];
+    }
+
+    if (errors.length === 0) {
+        console.log(`${threatModelPath} is valid`);
+        return 0;
+    }
+    console.error(`${threatModelPath}: ${errors.length} problem(s)`);
+    errors.forEach(error => console.error(`  ${error.instancePath || '/'} ${error.message}`));
+    return 1;
+}
+
 // Main execution
+// Usage: node threat-modeling/analyze.js [report|validate|test] [threat-model.json]
+//        node threat-modeling/analyze.js attack-trees [dot|mermaid] [threat-model.json]
+//        node threat-modeling/analyze.js diff <before> [after] [--format text|json|markdown]
 if (require.main === module) {
-    const threatModelPath = path.join(__dirname, 'threat-model.json');
+    const [command = 'report', ...args] = process.argv.slice(2);
+    const formatIndex = args.indexOf('--format');
+    const diffFormat = formatIndex === -1 ? 'text' : args.splice(formatIndex, 2)[1];
+    const format = command === 'attack-trees' ? (args.shift() || 'dot') : null;
+    const modelArg = args[0];
+    const threatModelPath = modelArg
+        ? path.resolve(modelArg)
+        : path.join(__dirname, 'threat-model.json');
     const outputPath = path.join(__dirname, 'threat-analysis-report.json');
 
-    const analyzer = new ThreatAnalyzer(threatModelPath);
-    analyzer.printReport();
-    
-    const analysis = analyzer.exportAnalysis(outputPath);
-    console.log(`\nDetailed analysis exported to: ${outputPath}`);
+    if (command === 'diff') {
+        try {
+            process.exitCode = diffCommand(args[0], args[1], diffFormat, path.join(__dirname, 'threat-model.json'));
+        } catch (error) {
+            console.error(error.message);
+            process.exitCode = 1;
+        }
+    } else if (command === 'validate') {
+        process.exitCode = validateCommand(threatModelPath);
+    } else if (['attack-trees', 'test', 'report'].includes(command)) {
+        // An invalid model is reported like validate does, without a stack trace
+        try {
+            if (command === 'attack-trees') {
+                process.exitCode = attackTreesCommand(threatModelPath, format, path.join(__dirname, 'attack-trees'));
+            } else if (command === 'test') {
+                process.exitCode = testCommand(threatModelPath, outputPath);
+            } else {
+                const analyzer = new ThreatAnalyzer(threatModelPath);
+                analyzer.printReport();
+
+                const analysis = analyzer.exportAnalysis(outputPath);
+                console.log(`\nDetailed analysis exported to: ${outputPath}`);
+            }
+        } catch (error) {
+            if (!(error instanceof ThreatModelError)) throw error;
+            console.error(error.message);
+            process.exitCode = 1;
+        }
+    } else {
+        console.error(`Unknown command "${command}" (expected report, validate, test, attack-trees or diff)`);
+        process.exitCode = 1;
+    }
 }
 
 module.exports = ThreatAnalyzer;
@@ -0,0 +1,165 @@
+/**
+ * Attack trees of threats (attackTree in threat-model.json). Inner nodes
+ * are AND (every child needed) or OR (any child) nodes; leaves carry the
+ * attacker's cost, success probability and skill, and the mitigations
+ * that block them (blockedBy).
+ */
+
+const SKILLS = ['LOW', 'MEDIUM', 'HIGH'];
+
+function isLeaf(node) {
+    return !node.children;
+}
+
+/**
+ * Every node of a tree, depth first
+ */
+function nodesOf(node) {
+    return [node, ...(node.children || []).flatMap(nodesOf)];
+}
+
+/**
+ * Ids of the mitigations blocking any leaf of a tree
+ */
+function blockingMitigations(tree) {
+    return [...new Set(nodesOf(tree).flatMap(node => node.blockedBy || []))];
+}
+
+/**
+ * Attack paths: the sets of leaves that each achieve the root goal.
+ * OR nodes add the paths of each child, AND nodes combine one path of
+ * every child.
+ */
+function enumeratePaths(node) {
+    if (isLeaf(node)) return [[node]];
+
+    const childPaths = node.children.map(enumeratePaths);
+    if (node.type === 'OR') return childPaths.flat();
+    return childPaths.reduce(
+        (combined, paths) => combined.flatMap(prefix => paths.map(path => [...prefix, ...path])),
+        [[]]
+    );
+}
+
+/**
+ * Probability the attacker reaches a node when mitigations in place
+ * (inPlace(id) is true) stop the leaves they block
+ */
+function successProbability(node, inPlace) {
+    if (isLeaf(node)) {
+        return (node.blockedBy || []).some(inPlace) ? 0 : node.probability;
+    }
+    const probabilities = node.children.map(child => successProbability(child, inPlace));
+    return node.type === 'AND'
+        ? probabilities.reduce((product, p) => product * p, 1)
+        : 1 - probabilities.reduce((product, p) => product * (1 - p), 1);
+}
+
+function describePath(path) {
+    return {
+        leaves: path.map(leaf => leaf.id),
+        cost: path.reduce((sum, leaf) => sum + leaf.cost, 0),
+        probability: Number(path.reduce((product, leaf) => product * leaf.probability, 1).toFixed(4)),
+        skill: path.reduce((max, leaf) => (SKILLS.indexOf(leaf.skill) > SKILLS.indexOf(max) ? leaf.skill : max), 'LOW')
+    };
+}
+
+/**
+ * Attack tree analysis, inPlace(mitigationId) saying which mitigations
+ * are in place:
+ * - cheapestPath: lowest-cost path no mitigation in place blocks, or null
+ * - successProbability: chance the attacker reaches the root
+ * - mitigationImpact: per blocking mitigation, the paths it cuts and the
+ *   open paths it would close, ranked by the open paths closed
+ * - bestMitigation: the mitigation not yet in place closing most open
+ *   paths, or null when none would close any
+ */
+function analyzeTree(tree, inPlace) {
+    const paths = enumeratePaths(tree);
+    const blocks = (path, id) => path.some(leaf => (leaf.blockedBy || []).includes(id));
+    const open = paths.filter(path => !path.some(leaf => (leaf.blockedBy || []).some(inPlace)));
+
+    const mitigationImpact = blockingMitigations(tree)
+        .map(id => ({
+            mitigationId: id,
+            inPlace: inPlace(id),
+            pathsCut: paths.filter(path => blocks(path, id)).length,
+            openPathsCut: open.filter(path => blocks(path, id)).length
+        }))
+        .sort((a, b) => b.openPathsCut - a.openPathsCut || b.pathsCut - a.pathsCut);
+    const best = mitigationImpact.find(impact => !impact.inPlace && impact.openPathsCut > 0);
+
+    const cheapest = open.map(describePath).sort((a, b) => a.cost - b.cost)[0];
+    return {
+        paths: paths.length,
+        openPaths: open.length,
+        cheapestPath: cheapest || null,
+        successProbability: Number(successProbability(tree, inPlace).toFixed(4)),
+        mitigationImpact,
+        bestMitigation: best || null
+    };
+}
+
+function leafDetails(leaf) {
+    return `cost ${leaf.cost}, p ${leaf.probability}${leaf.skill ? `, skill ${leaf.skill}` : ''}`;
+}
+
+/**
+ * Graphviz DOT of a tree; mitigations appear as notes linked to the
+ * leaves they block, grey and dashed when not in place
+ */
+function toDot(threatId, tree, inPlace = () => false) {
+    const quote = text => `"${String(text).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`;
+    const lines = [`digraph ${quote(threatId)} {`, '    rankdir=TB;', '    node [shape=box, fontname="Helvetica"];'];
+
+    nodesOf(tree).forEach(node => {
+        if (isLeaf(node)) {
+            lines.push(`    ${quote(node.id)} [label=${quote(`${node.label}\n${leafDetails(node)}`)}, shape=ellipse];`);
+        } else {
+            lines.push(`    ${quote(node.id)} [label=${quote(`${node.label}\n(${node.type})`)}];`);
+            node.children.forEach(child => lines.push(`    ${quote(node.id)} -> ${quote(child.id)};`));
+        }
+    });
+
+    blockingMitigations(tree).forEach(id => {
+        const style = inPlace(id) ? 'color=darkgreen' : 'color=grey, style=dashed';
+        lines.push(`    ${quote(id)} [shape=note, ${style}];`);
+    });
+    nodesOf(tree).filter(isLeaf).forEach(leaf => {
+        (leaf.blockedBy || []).forEach(id => {
+            lines.push(`    ${quote(id)} -> ${quote(leaf.id)} [arrowhead=tee, style=dotted];`);
+        });
+    });
+
+    lines.push('}');
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Mermaid flowchart of a tree, laid out like toDot()
+ */
+function toMermaid(threatId, tree, inPlace = () => false) {
+    const key = id => `${threatId}_${id}`.replace(/[^\w]/g, '_');
+    const text = label => String(label).replace(/"/g, '#quot;');
+    const lines = ['flowchart TD'];
+
+    nodesOf(tree).forEach(node => {
+        if (isLeaf(node)) {
+            lines.push(`    ${key(node.id)}(["${text(node.label)}<br/>${leafDetails(node)}"])`);
+        } else {
+            lines.push(`    ${key(node.id)}["${text(node.label)}<br/>(${node.type})"]`);
+            node.children.forEach(child => lines.push(`    ${key(node.id)} --> ${key(child.id)}`));
+        }
+    });
+
+    blockingMitigations(tree).forEach(id => {
+        lines.push(`    ${key(id)}{{"${id}${inPlace(id) ? '' : ' (not in place)'}"}}`);
+    });
+    nodesOf(tree).filter(isLeaf).forEach(leaf => {
+        (leaf.blockedBy || []).forEach(id => lines.push(`    ${key(id)} -.-x ${key(leaf.id)}`));
+    });
+
+    return lines.join('\n') + '\n';
+}
+
+module.exports = { nodesOf, blockingMitigations, enumeratePaths, successProbability, analyzeTree, toDot, toMermaid };
@@ -0,0 +1,140 @@
+const fs = require('fs');
+const path = require('path');
+const { parseCodeReference } = require('./validate');
+
+const PROJECT_ROOT = path.join(__dirname, '..');
+
+/**
+ * Verification statuses of a mitigation's code_reference:
+ * - VERIFIED: the symbol is declared in the compiled source, which is current
+ * - MISSING: the file or the symbol no longer exists
+ * - STALE: the source changed since it was last compiled; recompile to check
+ * - UNCOMPILED: no compiled artifacts for the file; compile first
+ * - UNVERIFIABLE: free-text reference
+ */
+const VERIFICATION_STATUSES = ['VERIFIED', 'MISSING', 'STALE', 'UNCOMPILED', 'UNVERIFIABLE'];
+
+const DECLARATION_KINDS = {
+    VariableDeclaration: 'state variable',
+    FunctionDefinition: 'function',
+    ModifierDefinition: 'modifier',
+    EventDefinition: 'event',
+    ErrorDefinition: 'error',
+    StructDefinition: 'struct',
+    EnumDefinition: 'enum'
+};
+
+/**
+ * Hardhat source name relative to the project root: Hardhat 3 prefixes
+ * project files with "project/"
+ */
+function normalizeSourceName(sourceName) {
+    return sourceName.replace(/^project\//, '');
+}
+
+/**
+ * Resolves mitigation code_reference entries ("<file>:<symbol>") against
+ * the solc ASTs in Hardhat's build info (artifacts/build-info), reading
+ * both the Hardhat 2 format and Hardhat 3's separate .output.json files.
+ */
+class CodeReferenceVerifier {
+    constructor({ projectRoot = PROJECT_ROOT, artifactsDir = path.join(projectRoot, 'artifacts') } = {}) {
+        this.projectRoot = projectRoot;
+        this.buildInfoDir = path.join(artifactsDir, 'build-info');
+        this.sources = null;
+    }
+
+    /**
+     * Compiled sources keyed by normalized source name: { content, ast }.
+     * Later build infos replace earlier ones for the same source.
+     */
+    loadSources() {
+        if (this.sources) return this.sources;
+        this.sources = new Map();
+        if (!fs.existsSync(this.buildInfoDir)) return this.sources;
+
+        const files = fs.readdirSync(this.buildInfoDir)
+            .filter(file => file.endsWith('.json') && !file.endsWith('.output.json'))
+            .map(file => path.join(this.buildInfoDir, file))
+            .sort((a, b) => fs.statSync(a).mtimeMs - fs.statSync(b).mtimeMs);
+
+        for (const file of files) {
+            const buildInfo = JSON.parse(fs.readFileSync(file, 'utf8'));
+            const outputFile = file.replace(/\.json$/, '.output.json');
+            const output = buildInfo.output ||
+                (fs.existsSync(outputFile) && JSON.parse(fs.readFileSync(outputFile, 'utf8')).output);
+            if (!buildInfo.input || !output) continue;
+
+            Object.entries(output.sources || {}).forEach(([sourceName, source]) => {
+                const input = buildInfo.input.sources[sourceName] || {};
+                this.sources.set(normalizeSourceName(sourceName), { content: input.content, ast: source.ast });
+            });
+        }
+        return this.sources;
+    }
+
+    /**
+     * Verify one code_reference: { status, file, symbol, kind, contract, detail }
+     */
+    verify(reference) {
+        const parsed = parseCodeReference(reference);
+        if (!parsed) {
+            return { status: 'UNVERIFIABLE', detail: 'Free-text reference' };
+        }
+
+        const { file, symbol } = parsed;
+        const filePath = path.join(this.projectRoot, file);
+        if (!fs.existsSync(filePath)) {
+            return { status: 'MISSING', file, symbol, detail: `File ${file} does not exist` };
+        }
+
+        const compiled = this.loadSources().get(file);
+        if (!compiled || !compiled.ast) {
+            return { status: 'UNCOMPILED', file, symbol, detail: `No compiled artifacts for ${file}; run "npx hardhat compile" first` };
+        }
+        if (compiled.content !== undefined && compiled.content !== fs.readFileSync(filePath, 'utf8')) {
+            return { status: 'STALE', file, symbol, detail: `${file} changed since it was compiled; run "npx hardhat compile"` };
+        }
+        if (!symbol) {
+            return { status: 'VERIFIED', file, symbol, kind: 'file' };
+        }
+
+        const declaration = findDeclaration(compiled.ast, symbol);
+        return declaration
+            ? { status: 'VERIFIED', file, symbol, ...declaration }
+            : { status: 'MISSING', file, symbol, detail: `${symbol} is not declared in ${file}` };
+    }
+}
+
+/**
+ * Contract member or base contract named symbol in a solc source unit AST:
+ * { kind, contract }, or null. "constructor", "receive" and "fallback"
+ * match the special functions.
+ */
+function findDeclaration(ast, symbol) {
+    const contracts = (ast.nodes || []).filter(node => node.nodeType === 'ContractDefinition');
+
+    for (const contract of contracts) {
+        if (contract.name === symbol) {
+            return { kind: contract.contractKind || 'contract', contract: contract.name };
+        }
+
+        const base = (contract.baseContracts || [])
+            .find(specifier => specifier.baseName && specifier.baseName.name === symbol);
+        if (base) {
+            return { kind: 'base contract', contract: contract.name };
+        }
+
+        // Constructors, receive and fallback are unnamed; they match by kind
+        const member = (contract.nodes || [])
+            .find(node => DECLARATION_KINDS[node.nodeType] && (node.name || node.kind) === symbol);
+        if (member) {
+            const special = member.nodeType === 'FunctionDefinition' && !member.name;
+            return { kind: special ? member.kind : DECLARATION_KINDS[member.nodeType], contract: contract.name };
+        }
+    }
+
+    return null;
+}
+
+module.exports = { CodeReferenceVerifier, VERIFICATION_STATUSES, findDeclaration };
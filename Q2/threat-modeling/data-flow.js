@@ -0,0 +1,85 @@
+/**
+ * Data-flow diagram (systemDescription.dataFlow in threat-model.json) and
+ * STRIDE-per-element threat generation. Every element and every flow
+ * crossing a trust boundary gets a candidate threat per STRIDE category
+ * that applies to it; candidates no threat covers are gaps in the model.
+ */
+
+const STRIDE_NAMES = {
+    spoofing: 'Spoofing',
+    tampering: 'Tampering',
+    repudiation: 'Repudiation',
+    informationDisclosure: 'Information Disclosure',
+    denialOfService: 'Denial of Service',
+    elevationOfPrivilege: 'Elevation of Privilege'
+};
+
+// STRIDE categories applying to each element type (Microsoft SDL)
+const STRIDE_PER_ELEMENT = {
+    externalEntity: ['spoofing', 'repudiation'],
+    process: Object.keys(STRIDE_NAMES),
+    dataStore: ['tampering', 'repudiation', 'informationDisclosure', 'denialOfService'],
+    dataFlow: ['tampering', 'informationDisclosure', 'denialOfService']
+};
+
+/**
+ * Trust boundaries a flow crosses: those containing exactly one of its ends
+ */
+function crossedBoundaries(flow, boundaries = []) {
+    return boundaries
+        .filter(boundary => boundary.elements.includes(flow.from) !== boundary.elements.includes(flow.to))
+        .map(boundary => boundary.id);
+}
+
+/**
+ * Candidate threats of a data-flow diagram:
+ * [{ id, target, targetType, category, title, boundaries }]
+ * Flows crossing a boundary also get spoofing of their sender and, into
+ * a process, elevation of privilege; flows within a zone get none.
+ */
+function strideCandidates(dataFlow) {
+    const elements = new Map(dataFlow.elements.map(element => [element.id, element]));
+    const candidate = (target, targetType, category, title, boundaries = []) => ({
+        id: `${target}:${category}`,
+        target,
+        targetType,
+        category,
+        title: `${STRIDE_NAMES[category]} of ${title}`,
+        boundaries
+    });
+
+    const candidates = dataFlow.elements.flatMap(element => STRIDE_PER_ELEMENT[element.type]
+        .map(category => candidate(element.id, element.type, category, element.name)));
+
+    dataFlow.flows.forEach(flow => {
+        const boundaries = crossedBoundaries(flow, dataFlow.trustBoundaries);
+        if (boundaries.length === 0) return;
+
+        const categories = [...STRIDE_PER_ELEMENT.dataFlow, 'spoofing'];
+        if (elements.get(flow.to).type === 'process') {
+            categories.push('elevationOfPrivilege');
+        }
+        const title = `${flow.data} (${elements.get(flow.from).name} -> ${elements.get(flow.to).name})`;
+        categories.forEach(category => candidates.push(candidate(flow.id, 'dataFlow', category, title, boundaries)));
+    });
+
+    return candidates;
+}
+
+/**
+ * Candidates with the ids of the threats covering them (coveredBy): those
+ * listing the target, or a boundary it crosses, among their elements and
+ * flagging the candidate's STRIDE category
+ */
+function coverCandidates(candidates, threats) {
+    return candidates.map(candidate => ({
+        ...candidate,
+        coveredBy: threats
+            .filter(threat => threat.stride[candidate.category])
+            .filter(threat => (threat.elements || [])
+                .some(id => id === candidate.target || candidate.boundaries.includes(id)))
+            .map(threat => threat.id)
+    }));
+}
+
+module.exports = { STRIDE_NAMES, STRIDE_PER_ELEMENT, crossedBoundaries, strideCandidates, coverCandidates };
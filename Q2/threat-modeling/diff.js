@@ -0,0 +1,209 @@
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+const COMPARED_FIELDS = ['severity', 'likelihood', 'impact', 'residualRisk'];
+
+/**
+ * Read a threat model revision: a file path, a git revision of
+ * defaultPath ("HEAD~1"), or an explicit "<revision>:<path>".
+ * Returns { label, document }.
+ */
+function loadRevision(spec, defaultPath) {
+    if (fs.existsSync(spec)) {
+        return { label: spec, document: JSON.parse(fs.readFileSync(spec, 'utf8')) };
+    }
+
+    const cwd = path.dirname(defaultPath);
+    const object = spec.includes(':') ? spec : `${spec}:./${path.basename(defaultPath)}`;
+    let content;
+    try {
+        content = execFileSync('git', ['show', object], { cwd, encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe'] });
+    } catch (error) {
+        throw new Error(`${spec} is neither a file nor a git revision: ${String(error.stderr || error.message).trim()}`);
+    }
+    return { label: object, document: JSON.parse(content) };
+}
+
+function byId(items) {
+    return new Map(items.map(item => [item.id, item]));
+}
+
+function riskTotal(risks) {
+    return Number(Object.values(risks).reduce((sum, risk) => sum + risk.residualScore, 0).toFixed(2));
+}
+
+/**
+ * Differences between two ThreatAnalyzers' models:
+ * {
+ *   before, after: { label, version, threats, readiness, residualRisk },
+ *   threats: { added, removed, changed: [{ id, threat, changes: [{ field, before, after }] }] },
+ *   mitigations: { added, removed, implemented: [{ threatId, id, strategy, before, after }] },
+ *   risk: [{ id, inherentBefore, inherentAfter, residualBefore, residualAfter }],
+ *   readinessChanged, versionBumped
+ * }
+ * risk lists the threats whose inherent or residual score moved;
+ * residualRisk totals the residual scores of every threat.
+ */
+function diffAnalyses(before, after, labels = {}) {
+    const oldThreats = byId(before.threatModel.threats);
+    const newThreats = byId(after.threatModel.threats);
+    const summarize = threat => ({ id: threat.id, threat: threat.threat, severity: threat.severity });
+
+    const risksOf = analyzer => Object.fromEntries(analyzer.threatModel.threats
+        .map(threat => [threat.id, analyzer.calculateResidualRisk(threat)]));
+    const oldRisks = risksOf(before);
+    const newRisks = risksOf(after);
+
+    const diff = {
+        before: {
+            label: labels.before || null,
+            version: before.threatModel.metadata.version,
+            threats: oldThreats.size,
+            readiness: before.generateExecutiveSummary().readinessAssessment,
+            residualRisk: riskTotal(oldRisks)
+        },
+        after: {
+            label: labels.after || null,
+            version: after.threatModel.metadata.version,
+            threats: newThreats.size,
+            readiness: after.generateExecutiveSummary().readinessAssessment,
+            residualRisk: riskTotal(newRisks)
+        },
+        threats: {
+            added: [...newThreats.values()].filter(threat => !oldThreats.has(threat.id)).map(summarize),
+            removed: [...oldThreats.values()].filter(threat => !newThreats.has(threat.id)).map(summarize),
+            changed: []
+        },
+        mitigations: { added: [], removed: [], implemented: [] },
+        risk: []
+    };
+    diff.readinessChanged = diff.before.readiness !== diff.after.readiness;
+    diff.versionBumped = diff.before.version !== diff.after.version;
+
+    newThreats.forEach((threat, id) => {
+        const previous = oldThreats.get(id);
+        if (!previous) return;
+
+        const changes = COMPARED_FIELDS
+            .filter(field => previous[field] !== threat[field])
+            .map(field => ({ field, before: previous[field], after: threat[field] }));
+        if (changes.length > 0) {
+            diff.threats.changed.push({ id, threat: threat.threat, changes });
+        }
+
+        const oldMitigations = byId(previous.mitigations);
+        const newMitigations = byId(threat.mitigations);
+        newMitigations.forEach((mitigation, mitigationId) => {
+            const old = oldMitigations.get(mitigationId);
+            const entry = { threatId: id, id: mitigationId, strategy: mitigation.strategy };
+            if (!old) {
+                diff.mitigations.added.push({ ...entry, implemented: mitigation.implemented });
+            } else if (old.implemented !== mitigation.implemented) {
+                diff.mitigations.implemented.push({ ...entry, before: old.implemented, after: mitigation.implemented });
+            }
+        });
+        oldMitigations.forEach((mitigation, mitigationId) => {
+            if (!newMitigations.has(mitigationId)) {
+                diff.mitigations.removed.push({ threatId: id, id: mitigationId, strategy: mitigation.strategy });
+            }
+        });
+
+        const oldRisk = oldRisks[id];
+        const newRisk = newRisks[id];
+        if (oldRisk.inherentScore !== newRisk.inherentScore || oldRisk.residualScore !== newRisk.residualScore) {
+            diff.risk.push({
+                id,
+                inherentBefore: oldRisk.inherentScore,
+                inherentAfter: newRisk.inherentScore,
+                residualBefore: oldRisk.residualScore,
+                residualAfter: newRisk.residualScore
+            });
+        }
+    });
+
+    return diff;
+}
+
+/**
+ * Whether a diff found any change at all
+ */
+function hasChanges(diff) {
+    return diff.threats.added.length + diff.threats.removed.length + diff.threats.changed.length +
+        diff.mitigations.added.length + diff.mitigations.removed.length + diff.mitigations.implemented.length +
+        diff.risk.length > 0 || diff.readinessChanged;
+}
+
+function flag(implemented) {
+    return implemented ? 'implemented' : 'not implemented';
+}
+
+/**
+ * Lines of a diff, each formatting one kind of entry; shared by the text
+ * and Markdown renderers
+ */
+function describe(diff) {
+    const { before, after } = diff;
+    return {
+        header: diff.versionBumped
+            ? `Threat model ${before.version} -> ${after.version}`
+            : `Threat model ${after.version} (version not bumped)`,
+        labels: before.label && after.label ? `${before.label} -> ${after.label}` : null,
+        sections: [
+            ['Threats added', diff.threats.added.map(t => `${t.id} ${t.threat} (${t.severity})`)],
+            ['Threats removed', diff.threats.removed.map(t => `${t.id} ${t.threat} (${t.severity})`)],
+            ['Threats changed', diff.threats.changed.map(t => `${t.id} ${t.threat}: ` +
+                t.changes.map(change => `${change.field} ${change.before} -> ${change.after}`).join(', '))],
+            ['Mitigations added', diff.mitigations.added.map(m => `${m.id} (${m.threatId}) ${m.strategy}, ${flag(m.implemented)}`)],
+            ['Mitigations removed', diff.mitigations.removed.map(m => `${m.id} (${m.threatId}) ${m.strategy}`)],
+            ['Mitigations implemented flag changed', diff.mitigations.implemented.map(m =>
+                `${m.id} (${m.threatId}) ${m.strategy}: ${flag(m.before)} -> ${flag(m.after)}`)],
+            ['Risk score changes', diff.risk.map(r =>
+                `${r.id} inherent ${r.inherentBefore} -> ${r.inherentAfter}, residual ${r.residualBefore} -> ${r.residualAfter}`)]
+        ],
+        totals: `Total residual risk ${before.residualRisk} -> ${after.residualRisk}`,
+        readiness: diff.readinessChanged
+            ? `Readiness ${before.readiness} -> ${after.readiness}`
+            : `Readiness unchanged: ${after.readiness}`
+    };
+}
+
+/**
+ * Console text of a diff
+ */
+function renderText(diff) {
+    const { header, labels, sections, totals, readiness } = describe(diff);
+    const lines = [header];
+    if (labels) lines.push(labels);
+    if (!hasChanges(diff)) {
+        lines.push('', 'No changes');
+        return lines.join('\n') + '\n';
+    }
+
+    sections.filter(([, entries]) => entries.length > 0).forEach(([title, entries]) => {
+        lines.push('', `${title}:`, ...entries.map(entry => `  ${entry}`));
+    });
+    lines.push('', totals, readiness);
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Markdown of a diff, for pull request descriptions
+ */
+function renderMarkdown(diff) {
+    const { header, labels, sections, totals, readiness } = describe(diff);
+    const lines = [`## ${header}`];
+    if (labels) lines.push('', `\`${diff.before.label}\` -> \`${diff.after.label}\``);
+    if (!hasChanges(diff)) {
+        lines.push('', 'No changes.');
+        return lines.join('\n') + '\n';
+    }
+
+    sections.filter(([, entries]) => entries.length > 0).forEach(([title, entries]) => {
+        lines.push('', `### ${title}`, '', ...entries.map(entry => `- ${entry}`));
+    });
+    lines.push('', '### Risk', '', `- ${totals}`, `- ${readiness}`);
+    return lines.join('\n') + '\n';
+}
+
+module.exports = { loadRevision, diffAnalyses, hasChanges, renderText, renderMarkdown };
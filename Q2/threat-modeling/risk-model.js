@@ -0,0 +1,85 @@
+/**
+ * Default residual risk model. Inherent risk is likelihood x impact
+ * (1-25); every mitigation in place removes its effectiveness share of
+ * the risk that remains, down to floor x inherent. Scores map to the
+ * first level whose threshold they reach.
+ *
+ * Override any part through the threat model's riskModel section or the
+ * analyzer's riskModel option.
+ */
+const DEFAULT_RISK_MODEL = {
+    likelihood: {
+        'VERY HIGH': 5,
+        'HIGH': 4,
+        'MEDIUM': 3,
+        'LOW': 2,
+        'VERY LOW': 1
+    },
+    impact: {
+        'CRITICAL': 5,
+        'HIGH': 4,
+        'MEDIUM': 3,
+        'LOW': 2,
+        'VERY LOW': 1
+    },
+    effectiveness: {
+        HIGH: 0.5,
+        MEDIUM: 0.3,
+        LOW: 0.1
+    },
+    floor: 0.1,
+    levels: {
+        CRITICAL: 15,
+        HIGH: 10,
+        MEDIUM: 5,
+        LOW: 0
+    }
+};
+
+/**
+ * DEFAULT_RISK_MODEL with each section overridden by the given models,
+ * later ones winning
+ */
+function resolveRiskModel(...overrides) {
+    return overrides.filter(Boolean).reduce((model, override) => ({
+        likelihood: { ...model.likelihood, ...override.likelihood },
+        impact: { ...model.impact, ...override.impact },
+        effectiveness: { ...model.effectiveness, ...override.effectiveness },
+        floor: override.floor !== undefined ? override.floor : model.floor,
+        levels: { ...model.levels, ...override.levels }
+    }), DEFAULT_RISK_MODEL);
+}
+
+/**
+ * Level of a 1-25 score under the model's thresholds
+ */
+function riskLevel(score, model = DEFAULT_RISK_MODEL) {
+    const [level] = Object.entries(model.levels)
+        .sort(([, a], [, b]) => b - a)
+        .find(([, threshold]) => score >= threshold) || ['LOW'];
+    return level;
+}
+
+/**
+ * Inherent and residual risk of a threat. inPlace(mitigation) says whether
+ * a mitigation currently reduces the risk.
+ * { inherentScore, inherentRisk, residualScore, residualRisk, reduction }
+ */
+function scoreThreat(threat, inPlace, model = DEFAULT_RISK_MODEL) {
+    const inherentScore = (model.likelihood[threat.likelihood] || 3) * (model.impact[threat.impact] || 3);
+
+    const remaining = threat.mitigations
+        .filter(mitigation => inPlace(mitigation))
+        .reduce((share, mitigation) => share * (1 - (model.effectiveness[mitigation.effectiveness] || 0)), 1);
+    const residualScore = Number((inherentScore * Math.max(remaining, model.floor)).toFixed(2));
+
+    return {
+        inherentScore,
+        inherentRisk: riskLevel(inherentScore, model),
+        residualScore,
+        residualRisk: riskLevel(residualScore, model),
+        reduction: Number((1 - residualScore / inherentScore).toFixed(2))
+    };
+}
+
+module.exports = { DEFAULT_RISK_MODEL, resolveRiskModel, riskLevel, scoreThreat };
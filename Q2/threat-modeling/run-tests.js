@@ -0,0 +1,34 @@
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_RESULTS_PATH, loadTestResults } = require('./test-mapping');
+
+const PROJECT_ROOT = path.join(__dirname, '..');
+
+/**
+ * Run the Hardhat test suite with test-reporter.js, which writes every
+ * result to output (see hardhat.config.js for the mocha settings).
+ * Returns { exitCode, results }; results is null when the run failed
+ * before mocha reported anything (e.g. a compile error).
+ */
+function runTests({ args = [], output = DEFAULT_RESULTS_PATH, cwd = PROJECT_ROOT } = {}) {
+    // Results of an earlier run must not pass for this one
+    fs.rmSync(output, { force: true });
+
+    const run = spawnSync('npx', ['hardhat', 'test', ...args], {
+        cwd,
+        stdio: 'inherit',
+        env: {
+            ...process.env,
+            MOCHA_REPORTER: require.resolve('./test-reporter'),
+            MOCHA_REPORTER_OUTPUT: output
+        }
+    });
+    if (run.error) {
+        throw run.error;
+    }
+
+    return { exitCode: run.status, results: loadTestResults(output) };
+}
+
+module.exports = { runTests };
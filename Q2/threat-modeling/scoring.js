@@ -0,0 +1,174 @@
+/**
+ * CVSS v3.1 and OWASP Risk Rating scores for threats carrying a cvss
+ * vector or owasp factors (see threat-model.schema.json)
+ */
+
+// CVSS v3.1 specification, section 7.4
+const CVSS_WEIGHTS = {
+    AV: { N: 0.85, A: 0.62, L: 0.55, P: 0.2 },
+    AC: { L: 0.77, H: 0.44 },
+    PR: { N: 0.85, L: 0.62, H: 0.27 },
+    PR_CHANGED: { N: 0.85, L: 0.68, H: 0.5 },
+    UI: { N: 0.85, R: 0.62 },
+    CIA: { H: 0.56, L: 0.22, N: 0 },
+    E: { X: 1, H: 1, F: 0.97, P: 0.94, U: 0.91 },
+    RL: { X: 1, U: 1, W: 0.97, T: 0.96, O: 0.95 },
+    RC: { X: 1, C: 1, R: 0.96, U: 0.92 }
+};
+
+// Allowed values per metric; the last three are the temporal metrics
+const CVSS_METRIC_VALUES = {
+    AV: 'NALP', AC: 'LH', PR: 'NLH', UI: 'NR', S: 'UC', C: 'HLN', I: 'HLN', A: 'HLN',
+    E: 'XUPFH', RL: 'XOTWU', RC: 'XURC'
+};
+const CVSS_BASE_METRICS = ['AV', 'AC', 'PR', 'UI', 'S', 'C', 'I', 'A'];
+
+const OWASP_LIKELIHOOD_FACTORS = [
+    'skillLevel', 'motive', 'opportunity', 'size',
+    'easeOfDiscovery', 'easeOfExploit', 'awareness', 'intrusionDetection'
+];
+const OWASP_TECHNICAL_IMPACT_FACTORS = [
+    'lossOfConfidentiality', 'lossOfIntegrity', 'lossOfAvailability', 'lossOfAccountability'
+];
+const OWASP_BUSINESS_IMPACT_FACTORS = [
+    'financialDamage', 'reputationDamage', 'nonCompliance', 'privacyViolation'
+];
+
+// Overall severity by impact level, then likelihood level
+const OWASP_SEVERITY = {
+    HIGH: { LOW: 'MEDIUM', MEDIUM: 'HIGH', HIGH: 'CRITICAL' },
+    MEDIUM: { LOW: 'LOW', MEDIUM: 'MEDIUM', HIGH: 'HIGH' },
+    LOW: { LOW: 'NOTE', MEDIUM: 'LOW', HIGH: 'MEDIUM' }
+};
+
+/**
+ * CVSS v3.1 Roundup: smallest one-decimal number >= value, computed on
+ * integers to avoid floating point errors (specification, appendix A)
+ */
+function roundUp(value) {
+    const integer = Math.round(value * 100000);
+    return integer % 10000 === 0
+        ? integer / 100000
+        : (Math.floor(integer / 10000) + 1) / 10;
+}
+
+function cvssSeverity(score) {
+    if (score === 0) return 'NONE';
+    if (score < 4) return 'LOW';
+    if (score < 7) return 'MEDIUM';
+    if (score < 9) return 'HIGH';
+    return 'CRITICAL';
+}
+
+/**
+ * Metrics of a "CVSS:3.1/AV:N/..." vector; throws on malformed vectors
+ */
+function parseCvssVector(vector) {
+    const [prefix, ...parts] = String(vector).split('/');
+    if (prefix !== 'CVSS:3.1') {
+        throw new Error(`Not a CVSS v3.1 vector: ${vector}`);
+    }
+
+    const metrics = { E: 'X', RL: 'X', RC: 'X' };
+    parts.forEach(part => {
+        const [metric, value = ''] = part.split(':');
+        const allowed = CVSS_METRIC_VALUES[metric];
+        if (!allowed || value.length !== 1 || !allowed.includes(value)) {
+            throw new Error(`Invalid CVSS metric ${part} in ${vector}`);
+        }
+        metrics[metric] = value;
+    });
+
+    const missing = CVSS_BASE_METRICS.filter(metric => !metrics[metric]);
+    if (missing.length > 0) {
+        throw new Error(`CVSS vector ${vector} lacks ${missing.join(', ')}`);
+    }
+    return metrics;
+}
+
+/**
+ * Base and temporal scores of a CVSS v3.1 vector:
+ * { vector, baseScore, temporalScore, severity, temporalSeverity }
+ */
+function scoreCvss(vector) {
+    const m = parseCvssVector(vector);
+    const changed = m.S === 'C';
+
+    const iss = 1 - (1 - CVSS_WEIGHTS.CIA[m.C]) * (1 - CVSS_WEIGHTS.CIA[m.I]) * (1 - CVSS_WEIGHTS.CIA[m.A]);
+    const impact = changed
+        ? 7.52 * (iss - 0.029) - 3.25 * Math.pow(iss - 0.02, 15)
+        : 6.42 * iss;
+    const exploitability = 8.22 * CVSS_WEIGHTS.AV[m.AV] * CVSS_WEIGHTS.AC[m.AC] *
+        (changed ? CVSS_WEIGHTS.PR_CHANGED : CVSS_WEIGHTS.PR)[m.PR] * CVSS_WEIGHTS.UI[m.UI];
+
+    let baseScore = 0;
+    if (impact > 0) {
+        baseScore = roundUp(Math.min((changed ? 1.08 : 1) * (impact + exploitability), 10));
+    }
+    const temporalScore = roundUp(baseScore * CVSS_WEIGHTS.E[m.E] * CVSS_WEIGHTS.RL[m.RL] * CVSS_WEIGHTS.RC[m.RC]);
+
+    return {
+        vector,
+        baseScore,
+        temporalScore,
+        severity: cvssSeverity(baseScore),
+        temporalSeverity: cvssSeverity(temporalScore)
+    };
+}
+
+function owaspLevel(score) {
+    if (score < 3) return 'LOW';
+    if (score < 6) return 'MEDIUM';
+    return 'HIGH';
+}
+
+function average(factors, names) {
+    const values = names.map(name => factors[name]).filter(value => value !== undefined);
+    return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+}
+
+/**
+ * OWASP Risk Rating from 0-9 factors: { likelihood: {...}, impact: {...} }.
+ * Impact uses the business factors when any are given, as the
+ * methodology recommends, and the technical factors otherwise.
+ * { likelihoodScore, likelihood, impactScore, impact, severity }
+ */
+function scoreOwasp({ likelihood = {}, impact = {} }) {
+    const likelihoodScore = average(likelihood, OWASP_LIKELIHOOD_FACTORS);
+    const businessImpact = average(impact, OWASP_BUSINESS_IMPACT_FACTORS);
+    const impactScore = businessImpact !== null
+        ? businessImpact
+        : average(impact, OWASP_TECHNICAL_IMPACT_FACTORS);
+    if (likelihoodScore === null || impactScore === null) {
+        throw new Error('OWASP rating needs at least one likelihood and one impact factor');
+    }
+
+    const likelihoodLevel = owaspLevel(likelihoodScore);
+    const impactLevel = owaspLevel(impactScore);
+    return {
+        likelihoodScore: Number(likelihoodScore.toFixed(2)),
+        likelihood: likelihoodLevel,
+        impactScore: Number(impactScore.toFixed(2)),
+        impact: impactLevel,
+        severity: OWASP_SEVERITY[impactLevel][likelihoodLevel]
+    };
+}
+
+/**
+ * Whether a computed severity disagrees with a declared one; NONE and
+ * NOTE count as LOW, the lowest declared severity
+ */
+function severityMismatch(computed, declared) {
+    const normalized = computed === 'NONE' || computed === 'NOTE' ? 'LOW' : computed;
+    return normalized !== declared;
+}
+
+module.exports = {
+    OWASP_LIKELIHOOD_FACTORS,
+    OWASP_TECHNICAL_IMPACT_FACTORS,
+    OWASP_BUSINESS_IMPACT_FACTORS,
+    parseCvssVector,
+    scoreCvss,
+    scoreOwasp,
+    severityMismatch
+};
@@ -0,0 +1,96 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_RESULTS_PATH = path.join(__dirname, 'test-results.json');
+
+// Threat and mitigation ids tagged in mocha titles, e.g. "@T001" or "@M005"
+const TAG_PATTERN = /@([TM]\d{3,})\b/g;
+
+/**
+ * Test statuses of a mitigation:
+ * - TEST_VERIFIED: tagged tests ran and all of them passed
+ * - FAILING: at least one tagged test failed
+ * - UNTESTED: no tagged test ran (none tagged, or all pending)
+ */
+const TEST_STATUSES = ['TEST_VERIFIED', 'FAILING', 'UNTESTED'];
+
+/**
+ * Threat and mitigation ids tagged in a test title (describe titles
+ * included when given fullTitle)
+ */
+function parseTags(title) {
+    return [...new Set([...title.matchAll(TAG_PATTERN)].map(match => match[1]))];
+}
+
+/**
+ * Read a results file written by test-reporter.js; null when the tests
+ * have not been run yet
+ */
+function loadTestResults(resultsPath = DEFAULT_RESULTS_PATH) {
+    if (!fs.existsSync(resultsPath)) return null;
+    return JSON.parse(fs.readFileSync(resultsPath, 'utf8'));
+}
+
+function emptyCounts() {
+    return { passed: 0, failed: 0, pending: 0, tests: [] };
+}
+
+/**
+ * Tagged test results per threat and per mitigation:
+ * { generatedAt, totals, byThreat: { T001: counts }, byMitigation: { M001: counts } }
+ * where counts is { passed, failed, pending, tests: [fullTitle] }.
+ * A test tagged with a mitigation also counts for the threat it belongs to.
+ * totals counts every test that ran, and how many carry no known id.
+ */
+function mapTestResults(threatModel, results) {
+    const threatOf = new Map();
+    threatModel.threats.forEach(threat => {
+        threat.mitigations.forEach(mitigation => threatOf.set(mitigation.id, threat.id));
+    });
+
+    const byThreat = Object.fromEntries(threatModel.threats.map(threat => [threat.id, emptyCounts()]));
+    const byMitigation = Object.fromEntries([...threatOf.keys()].map(id => [id, emptyCounts()]));
+    const totals = { tests: results.tests.length, passed: 0, failed: 0, pending: 0, untagged: 0 };
+
+    const count = (counts, test) => {
+        if (counts.tests.includes(test.fullTitle)) return;
+        counts[test.state]++;
+        counts.tests.push(test.fullTitle);
+    };
+
+    results.tests.forEach(test => {
+        totals[test.state]++;
+        const tags = parseTags(test.fullTitle).filter(id => byThreat[id] || byMitigation[id]);
+        if (tags.length === 0) {
+            totals.untagged++;
+        }
+
+        tags.forEach(id => {
+            if (id.startsWith('M')) {
+                count(byMitigation[id], test);
+                count(byThreat[threatOf.get(id)], test);
+            } else {
+                count(byThreat[id], test);
+            }
+        });
+    });
+
+    return { generatedAt: results.generatedAt, totals, byThreat, byMitigation };
+}
+
+/**
+ * TEST_STATUSES entry for the counts of a threat or mitigation
+ */
+function testStatus(counts) {
+    if (!counts || counts.passed + counts.failed === 0) return 'UNTESTED';
+    return counts.failed > 0 ? 'FAILING' : 'TEST_VERIFIED';
+}
+
+module.exports = {
+    DEFAULT_RESULTS_PATH,
+    TEST_STATUSES,
+    parseTags,
+    loadTestResults,
+    mapTestResults,
+    testStatus
+};
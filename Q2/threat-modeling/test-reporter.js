@@ -0,0 +1,53 @@
+const fs = require('fs');
+const path = require('path');
+const Mocha = require('mocha');
+const { DEFAULT_RESULTS_PATH } = require('./test-mapping');
+
+const { EVENT_TEST_PASS, EVENT_TEST_FAIL, EVENT_TEST_PENDING, EVENT_RUN_END } = Mocha.Runner.constants;
+
+/**
+ * Mocha reporter printing the usual spec output and writing every test
+ * result to a JSON file for the threat analyzer (see test-mapping.js):
+ * { generatedAt, stats, tests: [{ title, fullTitle, file, state, duration, error }] }
+ *
+ * The file is reporterOptions.output, else MOCHA_REPORTER_OUTPUT, else
+ * threat-modeling/test-results.json.
+ */
+class ThreatTestReporter extends Mocha.reporters.Spec {
+    constructor(runner, options = {}) {
+        super(runner, options);
+        const reporterOptions = options.reporterOptions || {};
+        const output = reporterOptions.output ||
+            process.env.MOCHA_REPORTER_OUTPUT ||
+            DEFAULT_RESULTS_PATH;
+        const tests = [];
+
+        const record = state => (test, error) => tests.push({
+            title: test.title,
+            fullTitle: test.fullTitle(),
+            file: test.file ? path.relative(process.cwd(), test.file) : null,
+            state,
+            duration: test.duration || 0,
+            error: error ? error.message : null
+        });
+
+        runner.on(EVENT_TEST_PASS, record('passed'));
+        runner.on(EVENT_TEST_FAIL, record('failed'));
+        runner.on(EVENT_TEST_PENDING, record('pending'));
+        runner.once(EVENT_RUN_END, () => {
+            fs.mkdirSync(path.dirname(output), { recursive: true });
+            fs.writeFileSync(output, JSON.stringify({
+                generatedAt: new Date().toISOString(),
+                stats: {
+                    tests: tests.length,
+                    passed: tests.filter(test => test.state === 'passed').length,
+                    failed: tests.filter(test => test.state === 'failed').length,
+                    pending: tests.filter(test => test.state === 'pending').length
+                },
+                tests
+            }, null, 2));
+        });
+    }
+}
+
+module.exports = ThreatTestReporter;
@@ -0,0 +1,200 @@
+const fs = require('fs');
+const path = require('path');
+const Ajv = require('ajv');
+const schema = require('./threat-model.schema.json');
+
+const PROJECT_ROOT = path.join(__dirname, '..');
+
+// "<file>:<symbol>" code references; anything else is a free-text note
+const CODE_REFERENCE_PATTERN = /^([\w.-]+(?:\/[\w.-]+)*\.[a-z]+)(?::(.+))?$/i;
+
+const validateSchema = new Ajv({ allErrors: true }).compile(schema);
+
+/**
+ * Error listing every problem found in a threat model
+ */
+class ThreatModelError extends Error {
+    constructor(filePath, errors) {
+        super(`Invalid threat model ${filePath}:\n` +
+            errors.map(error => `  ${error.instancePath || '/'} ${error.message}`).join('\n'));
+        this.name = 'ThreatModelError';
+        this.errors = errors;
+    }
+}
+
+/**
+ * Split a code_reference into { file, symbol }, or null for free text
+ */
+function parseCodeReference(reference) {
+    const match = CODE_REFERENCE_PATTERN.exec(reference || '');
+    return match ? { file: match[1], symbol: match[2] || null } : null;
+}
+
+/**
+ * Cross-references the schema cannot express: unique threat and
+ * mitigation ids, riskMatrix ids naming threats, code_reference files
+ * existing under projectRoot (skipped when it is null), attack trees
+ * with unique node ids blocked by known mitigations, and data-flow
+ * diagrams whose flows, boundaries and threats name known elements
+ */
+function checkReferences(model, projectRoot) {
+    const errors = [];
+    const threatIds = new Map();
+    const mitigationIds = new Map();
+
+    model.threats.forEach((threat, i) => {
+        if (threatIds.has(threat.id)) {
+            errors.push({
+                instancePath: `/threatModel/threats/${i}/id`,
+                message: `duplicates threat id ${threat.id} at /threatModel/threats/${threatIds.get(threat.id)}`
+            });
+        } else {
+            threatIds.set(threat.id, i);
+        }
+
+        threat.mitigations.forEach((mitigation, j) => {
+            const instancePath = `/threatModel/threats/${i}/mitigations/${j}`;
+            if (mitigationIds.has(mitigation.id)) {
+                errors.push({
+                    instancePath: `${instancePath}/id`,
+                    message: `duplicates mitigation id ${mitigation.id} at ${mitigationIds.get(mitigation.id)}`
+                });
+            } else {
+                mitigationIds.set(mitigation.id, instancePath);
+            }
+
+            const reference = parseCodeReference(mitigation.code_reference);
+            if (reference && projectRoot && !fs.existsSync(path.join(projectRoot, reference.file))) {
+                errors.push({
+                    instancePath: `${instancePath}/code_reference`,
+                    message: `references missing file ${reference.file}`
+                });
+            }
+        });
+    });
+
+    model.threats.forEach((threat, i) => {
+        if (!threat.attackTree) return;
+        const nodeIds = new Set();
+        const visit = (node, instancePath) => {
+            if (nodeIds.has(node.id)) {
+                errors.push({ instancePath: `${instancePath}/id`, message: `duplicates attack tree node id ${node.id}` });
+            }
+            nodeIds.add(node.id);
+            (node.blockedBy || []).forEach((id, j) => {
+                if (!mitigationIds.has(id)) {
+                    errors.push({ instancePath: `${instancePath}/blockedBy/${j}`, message: `references unknown mitigation ${id}` });
+                }
+            });
+            (node.children || []).forEach((child, j) => visit(child, `${instancePath}/children/${j}`));
+        };
+        visit(threat.attackTree, `/threatModel/threats/${i}/attackTree`);
+    });
+
+    errors.push(...checkDataFlow(model));
+
+    Object.entries(model.riskMatrix).forEach(([level, ids]) => {
+        ids.forEach((id, i) => {
+            if (!threatIds.has(id)) {
+                errors.push({
+                    instancePath: `/threatModel/riskMatrix/${level}/${i}`,
+                    message: `references unknown threat ${id}`
+                });
+            }
+        });
+    });
+
+    return errors;
+}
+
+/**
+ * Data-flow diagram references: unique ids, flows and boundaries naming
+ * elements, and threat elements naming anything in the diagram
+ */
+function checkDataFlow(model) {
+    const errors = [];
+    const dataFlow = (model.systemDescription || {}).dataFlow;
+    const base = '/threatModel/systemDescription/dataFlow';
+    const elementIds = new Set();
+    const ids = new Map();
+
+    if (dataFlow) {
+        ['elements', 'flows', 'trustBoundaries'].forEach(kind => {
+            (dataFlow[kind] || []).forEach((item, i) => {
+                const instancePath = `${base}/${kind}/${i}`;
+                if (ids.has(item.id)) {
+                    errors.push({ instancePath: `${instancePath}/id`, message: `duplicates data flow id ${item.id} at ${ids.get(item.id)}` });
+                } else {
+                    ids.set(item.id, instancePath);
+                }
+                if (kind === 'elements') elementIds.add(item.id);
+            });
+        });
+
+        const checkElement = (id, instancePath) => {
+            if (!elementIds.has(id)) {
+                errors.push({ instancePath, message: `references unknown data flow element ${id}` });
+            }
+        };
+        dataFlow.flows.forEach((flow, i) => {
+            checkElement(flow.from, `${base}/flows/${i}/from`);
+            checkElement(flow.to, `${base}/flows/${i}/to`);
+        });
+        (dataFlow.trustBoundaries || []).forEach((boundary, i) => {
+            boundary.elements.forEach((id, j) => checkElement(id, `${base}/trustBoundaries/${i}/elements/${j}`));
+        });
+    }
+
+    model.threats.forEach((threat, i) => {
+        (threat.elements || []).forEach((id, j) => {
+            if (!ids.has(id)) {
+                errors.push({
+                    instancePath: `/threatModel/threats/${i}/elements/${j}`,
+                    message: `references unknown data flow element, flow or boundary ${id}`
+                });
+            }
+        });
+    });
+
+    return errors;
+}
+
+/**
+ * Every problem in a parsed threat model file ({ threatModel: ... }):
+ * schema violations first, then broken references. Each error is
+ * { instancePath, message } with a JSON pointer into the file.
+ */
+function findErrors(document, { projectRoot = PROJECT_ROOT } = {}) {
+    if (!validateSchema(document)) {
+        return [...validateSchema.errors];
+    }
+    // References are only checked once the shape is known to be right
+    return checkReferences(document.threatModel, projectRoot);
+}
+
+/**
+ * Validate a parsed threat model file, throwing ThreatModelError
+ */
+function validateThreatModel(document, { filePath = '<threat model>', ...options } = {}) {
+    const errors = findErrors(document, options);
+    if (errors.length > 0) {
+        throw new ThreatModelError(filePath, errors);
+    }
+    return document;
+}
+
+/**
+ * Read and validate a threat model file
+ */
+function loadThreatModel(filePath, options = {}) {
+    const document = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    return validateThreatModel(document, { ...options, filePath });
+}
+
+module.exports = {
+    ThreatModelError,
+    parseCodeReference,
+    findErrors,
+    validateThreatModel,
+    loadThreatModel
+};